@@ -0,0 +1,30 @@
+// The course: 120 days in four CEFR levels of 30 days each.
+// This is the one definition the backend uses for user_profiles.current_day / current_level,
+// and the app reads it from GET /api/lessons/bulk/initial-data (data.course).
+
+// englishName is what the level certificate (PDF) says
+export const COURSE_LEVELS = [
+    { key: 'A1', name: 'A1 - المبتدئ', englishName: 'Beginner', startDay: 1, endDay: 30 },
+    { key: 'A2', name: 'A2 - الأساسي', englishName: 'Elementary', startDay: 31, endDay: 60 },
+    { key: 'B1', name: 'B1 - المتوسط', englishName: 'Intermediate', startDay: 61, endDay: 90 },
+    { key: 'B2', name: 'B2 - المتقدم', englishName: 'Upper Intermediate', startDay: 91, endDay: 120 }
+];
+
+export const findLevel = (key) => COURSE_LEVELS.find(level => level.key === key) || null;
+
+export const COURSE_TOTAL_DAYS = COURSE_LEVELS[COURSE_LEVELS.length - 1].endDay;
+
+// Level a day belongs to (days past the end count as the last level)
+export const levelForDay = (day) =>
+    COURSE_LEVELS.find(level => day <= level.endDay) || COURSE_LEVELS[COURSE_LEVELS.length - 1];
+
+export const nextLevel = (key) => {
+    const index = COURSE_LEVELS.findIndex(level => level.key === key);
+    return index >= 0 ? COURSE_LEVELS[index + 1] || null : null;
+};
+
+// The level whose last day this is, or null
+export const levelEndingOn = (day) => COURSE_LEVELS.find(level => level.endDay === day) || null;
+
+// current_day after completing `day`: the next day, but never past the end of the course
+export const dayAfter = (day) => Math.min(day + 1, COURSE_TOTAL_DAYS);
@@ -63,4 +63,21 @@ export const query = async (text, params) => {
     }
 };
 
+// Run several queries on one connection inside BEGIN/COMMIT.
+// The callback receives a client with the same query(text, params) signature.
+export const withTransaction = async (callback) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await callback(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
 export default pool;
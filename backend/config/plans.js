@@ -0,0 +1,64 @@
+// What a purchase unlocks. Each Salla product maps to one plan; a plan grants
+// whole levels (lessons.level) and/or a range of days ({ days: { from, to } }),
+// optionally for a limited time (durationDays).
+//
+// Map products with SALLA_PRODUCT_PLANS (product id or SKU -> plan key):
+//   SALLA_PRODUCT_PLANS={"1823412":"full","NOTQI-B1B2":"advanced"}
+// Products that are not mapped get SALLA_DEFAULT_PLAN (default: full).
+
+export const PLANS = {
+    full: {
+        name: 'الدورة كاملة (A1 → B2)',
+        levels: ['A1', 'A2', 'B1', 'B2'],
+        durationDays: null // Lifetime
+    },
+    foundation: {
+        name: 'التأسيس (A1 + A2)',
+        levels: ['A1', 'A2'],
+        durationDays: null
+    },
+    advanced: {
+        name: 'المتقدم (B1 + B2)',
+        levels: ['B1', 'B2'],
+        durationDays: null
+    },
+    monthly: {
+        name: 'اشتراك شهري',
+        levels: ['A1', 'A2', 'B1', 'B2'],
+        durationDays: 30
+    }
+};
+
+const parseProductPlans = () => {
+    try {
+        return JSON.parse(process.env.SALLA_PRODUCT_PLANS || '{}');
+    } catch (error) {
+        console.error('❌ SALLA_PRODUCT_PLANS is not valid JSON - ignoring it');
+        return {};
+    }
+};
+
+export const PRODUCT_PLANS = parseProductPlans();
+
+export const DEFAULT_PLAN = process.env.SALLA_DEFAULT_PLAN || 'full';
+
+// Days anyone signed in can open without buying (a free preview of the course)
+export const FREE_PREVIEW_DAYS = parseInt(process.env.FREE_PREVIEW_DAYS || '3');
+
+// Days a self-registered learner can open before confirming their email
+export const UNVERIFIED_PREVIEW_DAYS = parseInt(process.env.UNVERIFIED_PREVIEW_DAYS || '1');
+
+// Where the "buy" buttons in the app send learners
+export const PURCHASE_URL = process.env.SALLA_STORE_URL || null;
+
+// Plan key for one order item, matched by product id first, then SKU
+export const planForProduct = ({ productId, sku }) => {
+    const key = PRODUCT_PLANS[productId] || PRODUCT_PLANS[sku] || DEFAULT_PLAN;
+    return PLANS[key] ? key : null;
+};
+
+// Refunded / cancelled orders: access continues for REFUND_GRACE_HOURS, then stops.
+// With REFUND_DISABLE_ACCOUNT=true the account is disabled too, unless the user still owns another plan;
+// a later paid order that grants a plan enables it again.
+export const REFUND_GRACE_HOURS = parseInt(process.env.REFUND_GRACE_HOURS || '72');
+export const REFUND_DISABLE_ACCOUNT = process.env.REFUND_DISABLE_ACCOUNT === 'true';
@@ -0,0 +1,227 @@
+import { query } from '../config/database.js';
+import { PLANS } from '../config/plans.js';
+import {
+    getUserEntitlements,
+    grantPlan,
+    overrideEntitlement,
+    enableAccount
+} from '../services/entitlements.js';
+import { recordAudit, getUserAuditLog } from '../services/auditLog.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// @desc    A user's access: account state, entitlements and the audit log
+// @route   GET /api/admin/users/:userId/access
+// @access  Private/Admin
+export const getUserAccess = async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        const result = await query(
+            `SELECT id, email, full_name, role, disabled_at, disabled_reason, created_at
+       FROM users WHERE id = $1`,
+            [userId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const [entitlements, auditLog] = await Promise.all([
+            getUserEntitlements(userId),
+            getUserAuditLog(userId)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                user: result.rows[0],
+                entitlements,
+                auditLog
+            }
+        });
+
+    } catch (error) {
+        console.error('Get user access error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching user access'
+        });
+    }
+};
+
+// @desc    Give a user a plan by hand (support, gifts, disputes settled in the user's favour)
+// @route   POST /api/admin/users/:userId/entitlements
+// @access  Private/Admin
+// Body: { plan, note? }
+export const grantEntitlement = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { plan, note = null } = req.body;
+
+        if (!PLANS[plan]) {
+            return res.status(400).json({
+                success: false,
+                message: `Plan must be one of ${Object.keys(PLANS).join(', ')}`
+            });
+        }
+
+        const user = await query('SELECT id FROM users WHERE id = $1', [userId]);
+        if (user.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const entitlement = await grantPlan({ userId, plan, source: 'admin' });
+
+        await recordAudit({
+            userId,
+            actor: req.user.email,
+            action: 'entitlement.granted',
+            entitlementId: entitlement.id,
+            details: { plan, note }
+        });
+
+        console.log(`🎁 ${req.user.email} granted ${plan} to user ${userId}`);
+
+        res.status(201).json({
+            success: true,
+            data: entitlement
+        });
+
+    } catch (error) {
+        console.error('Grant entitlement error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error granting entitlement'
+        });
+    }
+};
+
+// @desc    Revoke one entitlement; refund webhooks leave it alone afterwards
+// @route   POST /api/admin/entitlements/:id/revoke
+// @access  Private/Admin
+// Body: { note?, graceHours? } - graceHours defaults to 0 (access stops now)
+export const revokeEntitlement = async (req, res) => {
+    try {
+        const { note = null, graceHours = 0 } = req.body;
+        const hours = Number(graceHours);
+
+        if (!Number.isFinite(hours) || hours < 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'graceHours must be a number >= 0'
+            });
+        }
+
+        const entitlement = await overrideEntitlement(req.params.id, {
+            status: 'revoked',
+            graceMs: hours * HOUR_MS,
+            actor: req.user.email,
+            note
+        });
+
+        if (!entitlement) {
+            return res.status(404).json({
+                success: false,
+                message: 'Entitlement not found'
+            });
+        }
+
+        console.log(`🚫 ${req.user.email} revoked entitlement ${entitlement.id} (${entitlement.plan})`);
+
+        res.status(200).json({
+            success: true,
+            data: entitlement
+        });
+
+    } catch (error) {
+        console.error('Revoke entitlement error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error revoking entitlement'
+        });
+    }
+};
+
+// @desc    Restore a revoked entitlement (e.g. a refund that was reversed); refund webhooks leave it alone afterwards
+// @route   POST /api/admin/entitlements/:id/restore
+// @access  Private/Admin
+// Body: { note? } - an account disabled by the refund is enabled again too
+export const restoreEntitlement = async (req, res) => {
+    try {
+        const { note = null } = req.body;
+
+        const entitlement = await overrideEntitlement(req.params.id, {
+            status: 'active',
+            actor: req.user.email,
+            note
+        });
+
+        if (!entitlement) {
+            return res.status(404).json({
+                success: false,
+                message: 'Entitlement not found'
+            });
+        }
+
+        const disabled = await query(
+            'SELECT 1 FROM users WHERE id = $1 AND disabled_at IS NOT NULL',
+            [entitlement.user_id]
+        );
+        if (disabled.rows.length > 0) {
+            await enableAccount(entitlement.user_id, { actor: req.user.email, note });
+        }
+
+        console.log(`✅ ${req.user.email} restored entitlement ${entitlement.id} (${entitlement.plan})`);
+
+        res.status(200).json({
+            success: true,
+            data: entitlement
+        });
+
+    } catch (error) {
+        console.error('Restore entitlement error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error restoring entitlement'
+        });
+    }
+};
+
+// @desc    Enable an account that was disabled after a refund
+// @route   POST /api/admin/users/:userId/enable
+// @access  Private/Admin
+// Body: { note? }
+export const enableUser = async (req, res) => {
+    try {
+        const { note = null } = req.body;
+        const user = await enableAccount(req.params.userId, { actor: req.user.email, note });
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        console.log(`✅ ${req.user.email} enabled ${user.email}`);
+
+        res.status(200).json({
+            success: true,
+            data: user
+        });
+
+    } catch (error) {
+        console.error('Enable user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error enabling user'
+        });
+    }
+};
@@ -0,0 +1,411 @@
+import { query, withTransaction } from '../config/database.js';
+import { validateLesson, isValidDayNumber } from '../utils/lessonValidation.js';
+import { MAX_DAY_NUMBER } from '../validators/lessons.js';
+import { parseImportContent, runImport } from '../services/lessonImport.js';
+import { exportLessonBundle, importLessonBundle, isLessonBundle, BUNDLE_VERSION } from '../services/lessonBundle.js';
+
+// Columns an admin can write, in a fixed order for INSERT/UPDATE building
+const LESSON_COLUMNS = [
+    'day_number', 'level', 'title', 'description', 'grammar_topic', 'grammar_content',
+    'reading_text', 'video_url', 'image_url', 'vocabulary_list', 'quiz_list', 'flashcards_list',
+    'quiz_size', 'is_published', 'published_at'
+];
+const JSONB_COLUMNS = ['vocabulary_list', 'quiz_list', 'flashcards_list'];
+
+// pg sends JS arrays as Postgres arrays, JSONB columns need a JSON string
+const toParam = (column, value) => JSONB_COLUMNS.includes(column) ? JSON.stringify(value) : value;
+
+const validationError = (res, errors) => res.status(400).json({
+    success: false,
+    message: 'Invalid lesson content',
+    errors
+});
+
+// @desc    List all lessons, including unpublished drafts
+// @route   GET /api/admin/lessons
+// @access  Private/Admin
+export const listLessons = async (req, res) => {
+    try {
+        const result = await query(`
+            SELECT
+                day_number,
+                level,
+                title,
+                is_published,
+                published_at,
+                updated_at,
+                jsonb_array_length(CASE WHEN jsonb_typeof(vocabulary_list) = 'array' THEN vocabulary_list ELSE '[]'::jsonb END) AS vocabulary_count,
+                jsonb_array_length(CASE WHEN jsonb_typeof(quiz_list) = 'array' THEN quiz_list ELSE '[]'::jsonb END) AS quiz_count,
+                jsonb_array_length(CASE WHEN jsonb_typeof(flashcards_list) = 'array' THEN flashcards_list ELSE '[]'::jsonb END) AS flashcards_count
+            FROM lessons
+            ORDER BY day_number ASC
+        `);
+
+        res.status(200).json({
+            success: true,
+            data: result.rows
+        });
+
+    } catch (error) {
+        console.error('Admin list lessons error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching lessons'
+        });
+    }
+};
+
+// @desc    Get a lesson with all its content (answers included)
+// @route   GET /api/admin/lessons/:dayNumber
+// @access  Private/Admin
+export const getLesson = async (req, res) => {
+    try {
+        const dayNumber = parseInt(req.params.dayNumber);
+
+        const result = await query('SELECT * FROM lessons WHERE day_number = $1', [dayNumber]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lesson not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: result.rows[0]
+        });
+
+    } catch (error) {
+        console.error('Admin get lesson error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching lesson'
+        });
+    }
+};
+
+// @desc    Create a lesson (unpublished unless is_published is true)
+// @route   POST /api/admin/lessons
+// @access  Private/Admin
+export const createLesson = async (req, res) => {
+    try {
+        const { errors, lesson } = validateLesson(req.body);
+        if (errors.length > 0) return validationError(res, errors);
+
+        const existing = await query('SELECT id FROM lessons WHERE day_number = $1', [lesson.day_number]);
+        if (existing.rows.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: `A lesson already exists for day ${lesson.day_number}`
+            });
+        }
+
+        lesson.is_published = lesson.is_published === true;
+        lesson.published_at = lesson.is_published ? new Date() : null;
+
+        const columns = LESSON_COLUMNS.filter(column => lesson[column] !== undefined);
+        const values = columns.map(column => toParam(column, lesson[column]));
+
+        const result = await query(
+            `INSERT INTO lessons (${columns.join(', ')})
+       VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+       RETURNING *`,
+            values
+        );
+
+        console.log(`📝 Lesson for day ${lesson.day_number} created by ${req.user.email}`);
+
+        res.status(201).json({
+            success: true,
+            data: result.rows[0]
+        });
+
+    } catch (error) {
+        console.error('Admin create lesson error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error creating lesson'
+        });
+    }
+};
+
+// @desc    Update lesson content (only the fields sent are changed)
+// @route   PUT /api/admin/lessons/:dayNumber
+// @access  Private/Admin
+export const updateLesson = async (req, res) => {
+    try {
+        const dayNumber = parseInt(req.params.dayNumber);
+
+        if (req.body.day_number !== undefined && Number(req.body.day_number) !== dayNumber) {
+            return res.status(400).json({
+                success: false,
+                message: 'Use /api/admin/lessons/reorder to move a lesson to another day'
+            });
+        }
+
+        const { errors, lesson } = validateLesson(req.body, { partial: true });
+        if (errors.length > 0) return validationError(res, errors);
+
+        // Publishing has its own endpoints so published_at stays correct
+        delete lesson.is_published;
+        delete lesson.day_number;
+
+        const columns = LESSON_COLUMNS.filter(column => lesson[column] !== undefined);
+        if (columns.length === 0) {
+            return validationError(res, ['No lesson fields to update']);
+        }
+
+        const values = columns.map(column => toParam(column, lesson[column]));
+        const assignments = columns.map((column, i) => `${column} = $${i + 1}`);
+
+        const result = await query(
+            `UPDATE lessons
+       SET ${assignments.join(', ')}, updated_at = NOW()
+       WHERE day_number = $${columns.length + 1}
+       RETURNING *`,
+            [...values, dayNumber]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lesson not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: result.rows[0]
+        });
+
+    } catch (error) {
+        console.error('Admin update lesson error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating lesson'
+        });
+    }
+};
+
+// @desc    Move lessons to other days, e.g. { moves: [{ from: 5, to: 3 }, { from: 3, to: 5 }] }
+// @route   POST /api/admin/lessons/reorder
+// @access  Private/Admin
+// A lesson can move to an empty day or to a day that is itself being moved.
+// Learner progress is stored per day and stays where it is; quiz attempts belong to the lesson,
+// so a learner on a moved day starts a new attempt (services/quizVariants.js).
+export const reorderLessons = async (req, res) => {
+    try {
+        const { moves } = req.body;
+
+        if (!Array.isArray(moves) || moves.length === 0) {
+            return validationError(res, ['moves must be a non-empty array of {from, to}']);
+        }
+
+        const from = moves.map(move => Number(move?.from));
+        const to = moves.map(move => Number(move?.to));
+
+        if (![...from, ...to].every(isValidDayNumber)) {
+            return validationError(res, [`from and to must be whole numbers between 1 and ${MAX_DAY_NUMBER}`]);
+        }
+
+        if (new Set(from).size !== from.length || new Set(to).size !== to.length) {
+            return validationError(res, ['Each day may appear only once in from and once in to']);
+        }
+
+        const updated = await withTransaction(async (client) => {
+            const existing = await client.query(
+                'SELECT day_number FROM lessons WHERE day_number = ANY($1::int[]) FOR UPDATE',
+                [from]
+            );
+
+            if (existing.rows.length !== from.length) {
+                const found = new Set(existing.rows.map(row => row.day_number));
+                return { missing: from.filter(day => !found.has(day)), occupied: [] };
+            }
+
+            const occupied = await client.query(
+                'SELECT day_number FROM lessons WHERE day_number = ANY($1::int[]) AND NOT (day_number = ANY($2::int[]))',
+                [to, from]
+            );
+
+            if (occupied.rows.length > 0) {
+                return { missing: [], occupied: occupied.rows.map(row => row.day_number) };
+            }
+
+            // Park the lessons on negative days first - day_number is unique
+            await client.query(
+                'UPDATE lessons SET day_number = -day_number WHERE day_number = ANY($1::int[])',
+                [from]
+            );
+
+            await client.query(
+                `UPDATE lessons l
+           SET day_number = m.to_day, updated_at = NOW()
+           FROM unnest($1::int[], $2::int[]) AS m(from_day, to_day)
+           WHERE l.day_number = -m.from_day`,
+                [from, to]
+            );
+
+            return { missing: [], occupied: [] };
+        });
+
+        if (updated.missing.length > 0) {
+            return res.status(404).json({
+                success: false,
+                message: `No lesson for day(s) ${updated.missing.join(', ')}`
+            });
+        }
+
+        if (updated.occupied.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: `Day(s) ${updated.occupied.join(', ')} already have a lesson`
+            });
+        }
+
+        console.log(`🔀 Lessons reordered by ${req.user.email}:`, moves);
+
+        res.status(200).json({
+            success: true,
+            data: moves.map((move, i) => ({ from: from[i], to: to[i] }))
+        });
+
+    } catch (error) {
+        console.error('Admin reorder lessons error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error reordering lessons'
+        });
+    }
+};
+
+const setPublished = (isPublished) => async (req, res) => {
+    try {
+        const dayNumber = parseInt(req.params.dayNumber);
+
+        const result = await query(
+            `UPDATE lessons
+       SET is_published = $1,
+           published_at = CASE WHEN $1 THEN COALESCE(published_at, NOW()) ELSE published_at END,
+           updated_at = NOW()
+       WHERE day_number = $2
+       RETURNING day_number, title, is_published, published_at`,
+            [isPublished, dayNumber]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lesson not found'
+            });
+        }
+
+        console.log(`${isPublished ? '✅ Published' : '⚠️ Unpublished'} lesson for day ${dayNumber}`);
+
+        res.status(200).json({
+            success: true,
+            data: result.rows[0]
+        });
+
+    } catch (error) {
+        console.error('Admin publish lesson error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating lesson'
+        });
+    }
+};
+
+// @desc    Make a lesson visible to learners
+// @route   POST /api/admin/lessons/:dayNumber/publish
+// @access  Private/Admin
+export const publishLesson = setPublished(true);
+
+// @desc    Hide a lesson from learners (content and progress are kept)
+// @route   POST /api/admin/lessons/:dayNumber/unpublish
+// @access  Private/Admin
+export const unpublishLesson = setPublished(false);
+
+// @desc    Bulk import vocabulary / quiz / flashcard rows (CSV or JSON), or a lesson bundle
+// @route   POST /api/admin/lessons/import?dryRun=true
+// @access  Private/Admin
+// Send CSV as text/csv, JSON as { rows: [...] } / { format: 'csv' | 'json', content: '...' },
+// or a bundle from /api/admin/lessons/export as-is.
+// With dryRun nothing is written; the report lists per-row errors and which days would change.
+export const importLessons = async (req, res) => {
+    try {
+        const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === true;
+
+        // Whole lessons from an export
+        if (isLessonBundle(req.body)) {
+            const report = await importLessonBundle(req.body, { dryRun });
+
+            if (report.applied) {
+                console.log(`📥 Lesson bundle v${report.version} imported by ${req.user.email}: created ${report.create.length}, updated ${report.update.length} lesson(s)`);
+            }
+
+            return res.status(!dryRun && !report.applied ? 400 : 200).json({
+                success: report.errors.length === 0,
+                data: report
+            });
+        }
+
+        let rows;
+        try {
+            if (typeof req.body === 'string') {
+                rows = await parseImportContent(req.body, 'csv');
+            } else if (Array.isArray(req.body?.rows)) {
+                rows = req.body.rows;
+            } else {
+                rows = await parseImportContent(req.body?.content, req.body?.format);
+            }
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: `Could not read import: ${error.message}`
+            });
+        }
+
+        if (rows.length === 0) {
+            return validationError(res, ['Import has no rows']);
+        }
+
+        const report = await runImport(rows, { dryRun });
+
+        if (report.applied) {
+            console.log(`📥 Lesson import by ${req.user.email}: created ${report.create.length}, updated ${report.update.length} day(s)`);
+        }
+
+        res.status(!dryRun && !report.applied ? 400 : 200).json({
+            success: report.errors.length === 0,
+            data: report
+        });
+
+    } catch (error) {
+        console.error('Admin import lessons error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error importing lessons'
+        });
+    }
+};
+
+// @desc    Download every lesson as a versioned JSON bundle (re-importable through /import)
+// @route   GET /api/admin/lessons/export
+// @access  Private/Admin
+export const exportLessons = async (req, res) => {
+    try {
+        const bundle = await exportLessonBundle();
+
+        res.setHeader('Content-Disposition', `attachment; filename="lessons-v${BUNDLE_VERSION}.json"`);
+        res.status(200).json(bundle);
+
+    } catch (error) {
+        console.error('Admin export lessons error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error exporting lessons'
+        });
+    }
+};
@@ -0,0 +1,148 @@
+import {
+    listPlacementItems,
+    createPlacementItem,
+    updatePlacementItem,
+    retirePlacementItem,
+    allowPlacementRetake
+} from '../services/placementTest.js';
+
+// @desc    Placement test questions
+// @route   GET /api/admin/placement/items?level=A2&includeInactive=true
+// @access  Private/Admin
+export const listItems = async (req, res) => {
+    try {
+        const items = await listPlacementItems({
+            level: req.query.level,
+            includeInactive: req.query.includeInactive === 'true'
+        });
+
+        res.status(200).json({
+            success: true,
+            count: items.length,
+            data: items
+        });
+
+    } catch (error) {
+        console.error('List placement items error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching placement items'
+        });
+    }
+};
+
+// @desc    Add a placement test question
+// @route   POST /api/admin/placement/items
+// @access  Private/Admin
+export const createItem = async (req, res) => {
+    try {
+        const item = await createPlacementItem(req.body);
+
+        console.log(`✅ ${req.user.email} added placement item ${item.id} (${item.level})`);
+
+        res.status(201).json({
+            success: true,
+            data: item
+        });
+
+    } catch (error) {
+        console.error('Create placement item error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error creating placement item'
+        });
+    }
+};
+
+// @desc    Replace a placement test question
+// @route   PUT /api/admin/placement/items/:id
+// @access  Private/Admin
+export const updateItem = async (req, res) => {
+    try {
+        const item = await updatePlacementItem(req.params.id, req.body);
+
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Placement item not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: item
+        });
+
+    } catch (error) {
+        console.error('Update placement item error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating placement item'
+        });
+    }
+};
+
+// @desc    Retire a placement test question (kept for past attempts)
+// @route   DELETE /api/admin/placement/items/:id
+// @access  Private/Admin
+export const retireItem = async (req, res) => {
+    try {
+        const retired = await retirePlacementItem(req.params.id);
+
+        if (!retired) {
+            return res.status(404).json({
+                success: false,
+                message: 'Placement item not found'
+            });
+        }
+
+        console.log(`🗑️ ${req.user.email} retired placement item ${req.params.id}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Placement item retired'
+        });
+
+    } catch (error) {
+        console.error('Retire placement item error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating placement item'
+        });
+    }
+};
+
+// @desc    Let a user take the placement test again
+// @route   POST /api/admin/users/:userId/placement/retake
+// @access  Private/Admin
+// Body: { note? }
+export const allowRetake = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const allowed = await allowPlacementRetake(userId, {
+            actor: req.user.email,
+            note: req.body?.note || null
+        });
+
+        if (!allowed) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        console.log(`🧭 ${req.user.email} allowed user ${userId} to retake the placement test`);
+
+        res.status(200).json({
+            success: true,
+            message: 'The user will be asked to take the placement test again'
+        });
+
+    } catch (error) {
+        console.error('Allow placement retake error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error allowing placement retake'
+        });
+    }
+};
@@ -0,0 +1,140 @@
+import {
+    listRegistrationDenials,
+    listAllowlist,
+    addToAllowlist,
+    removeFromAllowlist
+} from '../services/registrationPolicy.js';
+import { isValidNetwork } from '../utils/ip.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// @desc    Refused self-registrations (newest first)
+// @route   GET /api/admin/registration/denials?ip=1.2.3.4&reason=ip_limit&limit=50
+// @access  Private/Admin
+export const listDenials = async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+        const denials = await listRegistrationDenials({
+            ip: req.query.ip,
+            reason: req.query.reason,
+            limit
+        });
+
+        res.status(200).json({
+            success: true,
+            count: denials.length,
+            data: denials
+        });
+
+    } catch (error) {
+        console.error('List registration denials error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching registration denials'
+        });
+    }
+};
+
+// @desc    Networks that are never limited
+// @route   GET /api/admin/registration/allowlist
+// @access  Private/Admin
+export const getAllowlist = async (req, res) => {
+    try {
+        const entries = await listAllowlist();
+
+        res.status(200).json({
+            success: true,
+            count: entries.length,
+            data: entries
+        });
+
+    } catch (error) {
+        console.error('Get allowlist error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching allowlist'
+        });
+    }
+};
+
+// @desc    Allow unlimited registrations from an address or subnet
+// @route   POST /api/admin/registration/allowlist
+// @access  Private/Admin
+// Body: { network: "1.2.3.4" | "10.0.0.0/8", note?, expiresInDays? }
+export const addAllowlistEntry = async (req, res) => {
+    try {
+        const { network, note = null, expiresInDays } = req.body;
+
+        if (!isValidNetwork(network)) {
+            return res.status(400).json({
+                success: false,
+                message: 'network must be an IP address or a CIDR subnet (e.g. 10.0.0.0/8)'
+            });
+        }
+
+        let expiresAt = null;
+        if (expiresInDays !== undefined && expiresInDays !== null) {
+            const days = Number(expiresInDays);
+            if (!Number.isFinite(days) || days <= 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'expiresInDays must be a positive number'
+                });
+            }
+            expiresAt = new Date(Date.now() + days * DAY_MS);
+        }
+
+        const entry = await addToAllowlist({
+            network: network.trim(),
+            note,
+            createdBy: req.user.email,
+            expiresAt
+        });
+
+        console.log(`✅ ${req.user.email} allowlisted ${entry.network} for registration`);
+
+        res.status(201).json({
+            success: true,
+            data: entry
+        });
+
+    } catch (error) {
+        console.error('Add allowlist entry error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating allowlist'
+        });
+    }
+};
+
+// @desc    Remove a network from the allowlist
+// @route   DELETE /api/admin/registration/allowlist/:id
+// @access  Private/Admin
+export const removeAllowlistEntry = async (req, res) => {
+    try {
+        const id = Number(req.params.id);
+        const removed = Number.isInteger(id) && await removeFromAllowlist(id);
+
+        if (!removed) {
+            return res.status(404).json({
+                success: false,
+                message: 'Allowlist entry not found'
+            });
+        }
+
+        console.log(`🗑️ ${req.user.email} removed allowlist entry ${id}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Allowlist entry removed'
+        });
+
+    } catch (error) {
+        console.error('Remove allowlist entry error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating allowlist'
+        });
+    }
+};
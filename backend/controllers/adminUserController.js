@@ -0,0 +1,103 @@
+import { query } from '../config/database.js';
+import { ROLES } from '../middleware/auth.js';
+import { setUnlockedThroughDay } from '../services/lessonUnlocks.js';
+import { MAX_DAY_NUMBER } from '../validators/lessons.js';
+
+// @desc    Change a user's role
+// @route   PUT /api/admin/users/:userId/role
+// @access  Private/Admin
+// The new role is used from the user's next token refresh (roles are carried in the JWT).
+export const updateUserRole = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { role } = req.body;
+
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: `Role must be one of ${ROLES.join(', ')}`
+            });
+        }
+
+        // Keep at least the current admin able to manage roles
+        if (userId === req.user.id && role !== 'admin') {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot remove your own admin role'
+            });
+        }
+
+        const result = await query(
+            `UPDATE users SET role = $1, updated_at = NOW()
+       WHERE id = $2
+       RETURNING id, email, full_name, role`,
+            [role, userId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        console.log(`🔑 ${result.rows[0].email} is now ${role} (changed by ${req.user.email})`);
+
+        res.status(200).json({
+            success: true,
+            data: result.rows[0]
+        });
+
+    } catch (error) {
+        console.error('Update user role error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating role'
+        });
+    }
+};
+
+// @desc    Open every lesson up to a day for a learner, skipping the one-by-one unlocking
+// @route   POST /api/admin/users/:userId/unlock
+// @access  Private/Admin, Teacher
+// Body: { throughDay: 30, note? } - throughDay 0 removes the override
+export const unlockLessons = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { throughDay, note = null } = req.body;
+
+        if (!Number.isInteger(throughDay) || throughDay < 0 || throughDay > MAX_DAY_NUMBER) {
+            return res.status(400).json({
+                success: false,
+                message: `throughDay must be a whole number between 0 and ${MAX_DAY_NUMBER}`
+            });
+        }
+
+        const profile = await setUnlockedThroughDay(userId, {
+            throughDay,
+            source: req.user.email,
+            note
+        });
+
+        if (!profile) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        console.log(`🔓 ${req.user.email} unlocked lessons through day ${throughDay} for user ${userId}`);
+
+        res.status(200).json({
+            success: true,
+            data: profile
+        });
+
+    } catch (error) {
+        console.error('Unlock lessons error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error unlocking lessons'
+        });
+    }
+};
@@ -0,0 +1,110 @@
+import { listWebhookEvents, getWebhookEvent } from '../services/webhookEvents.js';
+import { runSallaEvent, SALLA_PROVIDER } from '../services/sallaOrders.js';
+
+const parseEventId = (value) => {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+// @desc    Audit log of received webhooks (newest first)
+// @route   GET /api/admin/webhooks?status=failed&orderId=123&limit=50
+// @access  Private/Admin
+export const listWebhooks = async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+        const events = await listWebhookEvents({
+            provider: req.query.provider,
+            status: req.query.status,
+            orderId: req.query.orderId,
+            limit
+        });
+
+        res.status(200).json({
+            success: true,
+            count: events.length,
+            data: events
+        });
+
+    } catch (error) {
+        console.error('List webhooks error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching webhooks'
+        });
+    }
+};
+
+// @desc    One webhook event with its payload
+// @route   GET /api/admin/webhooks/:id
+// @access  Private/Admin
+export const getWebhook = async (req, res) => {
+    try {
+        const id = parseEventId(req.params.id);
+        const event = id && await getWebhookEvent(id);
+
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook event not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: event
+        });
+
+    } catch (error) {
+        console.error('Get webhook error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching webhook'
+        });
+    }
+};
+
+// @desc    Process a stored webhook event again (e.g. after a failure was fixed)
+// @route   POST /api/admin/webhooks/:id/replay
+// @access  Private/Admin
+// Orders already processed by another event are still reported as duplicates.
+export const replayWebhook = async (req, res) => {
+    try {
+        const id = parseEventId(req.params.id);
+        const event = id && await getWebhookEvent(id);
+
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook event not found'
+            });
+        }
+
+        if (event.provider !== SALLA_PROVIDER) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot replay ${event.provider} events`
+            });
+        }
+
+        console.log(`🔁 Replaying webhook event ${event.id} (${event.event_type}) for ${req.user.email}`);
+
+        const { statusCode, body } = await runSallaEvent(event);
+        const updated = await getWebhookEvent(event.id);
+
+        res.status(200).json({
+            success: statusCode < 400,
+            data: {
+                event: updated,
+                response: { statusCode, body }
+            }
+        });
+
+    } catch (error) {
+        console.error('Replay webhook error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error replaying webhook'
+        });
+    }
+};
@@ -1,6 +1,62 @@
 import bcrypt from 'bcryptjs';
 import { query } from '../config/database.js';
-import { sendTokenResponse } from '../middleware/auth.js';
+import {
+    sendTokenResponse,
+    sendSessionResponse,
+    clearAuthCookies,
+    clientInfo,
+    REFRESH_COOKIE
+} from '../middleware/auth.js';
+import { activateAccount, sendActivation } from '../services/accountActivation.js';
+import { sendPasswordReset, completePasswordReset } from '../services/passwordReset.js';
+import { sendEmailVerification, verifyEmail } from '../services/emailVerification.js';
+import { getLoginLock, recordLoginFailure, clearLoginFailures } from '../services/loginThrottle.js';
+import { sendTooManyRequests, secondsUntil } from '../middleware/rateLimit.js';
+import {
+    reserveRegistration,
+    logRegistrationDenial,
+    REQUIRE_EMAIL_VERIFICATION
+} from '../services/registrationPolicy.js';
+import { normalizeIp } from '../utils/ip.js';
+import {
+    rotateSession,
+    revokeSessionByToken,
+    revokeSession,
+    revokeUserSessions,
+    listUserSessions
+} from '../services/sessions.js';
+
+// Disabled after a refund (see services/sallaOrders.js); disabled_at may lie in the future while the grace period runs
+const isDisabled = (user) => Boolean(user.disabled_at) && new Date(user.disabled_at) <= new Date();
+
+const LOGIN_LOCKED_MESSAGE = 'محاولات دخول خاطئة كثيرة. تم إيقاف تسجيل الدخول مؤقتاً.';
+
+// Answer a wrong email/password: 401, or 429 when this failure started a lockout
+const rejectLogin = async (req, res, email) => {
+    const lock = await recordLoginFailure({ email, ip: req.ip });
+
+    if (lock) {
+        return sendTooManyRequests(res, {
+            retryAfter: secondsUntil(lock.resetAt),
+            code: 'LOGIN_LOCKED',
+            message: LOGIN_LOCKED_MESSAGE
+        });
+    }
+
+    return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+    });
+};
+
+// Compared against when there is no password to check, so every failed login costs the same
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('no account has this password', 10);
+
+const ACCOUNT_DISABLED_RESPONSE = {
+    success: false,
+    code: 'ACCOUNT_DISABLED',
+    message: 'تم إيقاف هذا الحساب. تواصل مع الدعم لمزيد من المعلومات.'
+};
 
 // @desc    Register user
 // @route   POST /api/auth/register
@@ -8,28 +64,7 @@ import { sendTokenResponse } from '../middleware/auth.js';
 export const register = async (req, res) => {
     try {
         const { email, password, full_name, terms_accepted } = req.body;
-        const ip = req.headers['x-forwarded-for'] || req.socket.remoteAddress;
-
-        // Validation
-        if (!email || !password) {
-            return res.status(400).json({
-                success: false,
-                message: 'Please provide email and password'
-            });
-        }
-
-        // Check if IP has already registered
-        const ipCheck = await query(
-            'SELECT * FROM registration_ips WHERE ip_address = $1',
-            [ip]
-        );
-
-        if (ipCheck.rows.length > 0) {
-            return res.status(403).json({
-                success: false,
-                message: 'عذراً، لا يمكن إنشاء أكثر من حساب من نفس الجهاز.'
-            });
-        }
+        const ip = normalizeIp(req.ip);
 
         // Check if user exists
         const userExists = await query(
@@ -44,26 +79,40 @@ export const register = async (req, res) => {
             });
         }
 
+        // Accounts per IP (see services/registrationPolicy.js) - an allowed sign-up takes its slot now
+        const policy = await reserveRegistration({ ip, email });
+
+        if (!policy.allowed) {
+            await logRegistrationDenial({
+                ip,
+                email,
+                reason: policy.reason,
+                details: policy.details,
+                userAgent: req.headers['user-agent'] || null
+            });
+            console.log(`🚫 Registration from ${ip} denied (${policy.reason}): ${email}`);
+
+            return sendTooManyRequests(res, {
+                retryAfter: policy.retryAfter,
+                code: 'REGISTRATION_LIMIT',
+                message: 'تم إنشاء عدد كبير من الحسابات من هذه الشبكة. حاول مرة أخرى لاحقاً أو تواصل مع الدعم.'
+            });
+        }
+
         // Hash password
         const salt = await bcrypt.genSalt(10);
         const password_hash = await bcrypt.hash(password, salt);
 
         // Create user
         const result = await query(
-            `INSERT INTO users (email, password_hash, full_name, password_changed, terms_accepted, terms_accepted_at) 
-       VALUES ($1, $2, $3, $4, $5, CASE WHEN $5 = true THEN NOW() ELSE NULL END) 
-       RETURNING id, email, full_name, password_changed, terms_accepted, created_at`,
-            [email, password_hash, full_name || 'New User', true, terms_accepted || false]
+            `INSERT INTO users (email, password_hash, full_name, password_changed, terms_accepted, terms_accepted_at, email_verified, email_verified_at) 
+       VALUES ($1, $2, $3, $4, $5, CASE WHEN $5 = true THEN NOW() ELSE NULL END, $6, CASE WHEN $6 THEN NOW() ELSE NULL END) 
+       RETURNING id, email, full_name, role, password_changed, terms_accepted, email_verified, created_at`,
+            [email, password_hash, full_name || 'New User', true, terms_accepted || false, !REQUIRE_EMAIL_VERIFICATION]
         );
 
         const user = result.rows[0];
 
-        // Record IP registration
-        await query(
-            'INSERT INTO registration_ips (ip_address, email) VALUES ($1, $2)',
-            [ip, email]
-        );
-
         // Create user profile
         await query(
             `INSERT INTO user_profiles (user_id, current_level, current_day) 
@@ -71,8 +120,13 @@ export const register = async (req, res) => {
             [user.id, 'A1', 1]
         );
 
+        // Signed in either way; lessons past the first ones wait for the link
+        if (!user.email_verified) {
+            await sendEmailVerification(user);
+        }
+
         // Send token response
-        sendTokenResponse(user, 201, res);
+        await sendTokenResponse(user, 201, req, res);
 
     } catch (error) {
         console.error('Register error:', error);
@@ -85,18 +139,10 @@ export const register = async (req, res) => {
 
 // @desc    Register user (Secret Admin Route)
 // @route   POST /api/auth/register-secret
-// @access  Public (Secret)
+// @access  Private/Admin
 export const registerSecret = async (req, res) => {
     try {
-        const { email } = req.body;
-
-        // Validation
-        if (!email) {
-            return res.status(400).json({
-                success: false,
-                message: 'All fields are required'
-            });
-        }
+        const { email, role = 'student' } = req.body;
 
         // Check if user exists
         const userExists = await query(
@@ -120,10 +166,10 @@ export const registerSecret = async (req, res) => {
 
         // Create user
         const result = await query(
-            `INSERT INTO users (email, password_hash, full_name, password_changed) 
-       VALUES ($1, $2, $3, $4) 
-       RETURNING id, email, full_name, password_changed, created_at`,
-            [email, password_hash, 'New User', false] // false forces password change
+            `INSERT INTO users (email, password_hash, full_name, password_changed, role, email_verified, email_verified_at) 
+       VALUES ($1, $2, $3, $4, $5, true, NOW()) 
+       RETURNING id, email, full_name, role, password_changed, created_at`,
+            [email, password_hash, 'New User', false, role] // false forces password change; the admin vouches for the email
         );
 
         const user = result.rows[0];
@@ -135,6 +181,8 @@ export const registerSecret = async (req, res) => {
             [user.id, 'A1', 1]
         );
 
+        console.log(`📝 ${role} account ${email} created by admin ${req.user.email}`);
+
         // Return the PLAIN TEXT password so admin can see it
         res.status(201).json({
             success: true,
@@ -161,11 +209,13 @@ export const login = async (req, res) => {
     try {
         const { email, password } = req.body;
 
-        // Validation
-        if (!email || !password) {
-            return res.status(400).json({
-                success: false,
-                message: 'Please provide email and password'
+        // Locked after too many wrong passwords - not even checked
+        const lock = await getLoginLock({ email, ip: req.ip });
+        if (lock) {
+            return sendTooManyRequests(res, {
+                retryAfter: secondsUntil(lock.resetAt),
+                code: 'LOGIN_LOCKED',
+                message: LOGIN_LOCKED_MESSAGE
             });
         }
 
@@ -175,23 +225,21 @@ export const login = async (req, res) => {
             [email]
         );
 
-        if (result.rows.length === 0) {
-            return res.status(401).json({
-                success: false,
-                message: 'Invalid credentials'
-            });
-        }
-
         const user = result.rows[0];
 
-        // Check password
-        const isMatch = await bcrypt.compare(password, user.password_hash);
+        // Unknown emails and order accounts that were never activated (no password yet) get the
+        // same answer after the same bcrypt work, so login cannot tell which emails have accounts.
+        // They count as failures too, so guessing them is throttled the same way.
+        const isMatch = await bcrypt.compare(password, user?.password_hash || DUMMY_PASSWORD_HASH);
 
-        if (!isMatch) {
-            return res.status(401).json({
-                success: false,
-                message: 'Invalid credentials'
-            });
+        if (!user || !user.password_hash || !isMatch) {
+            return rejectLogin(req, res, email);
+        }
+
+        await clearLoginFailures({ email });
+
+        if (isDisabled(user)) {
+            return res.status(403).json(ACCOUNT_DISABLED_RESPONSE);
         }
 
         // Update last login
@@ -201,7 +249,7 @@ export const login = async (req, res) => {
         );
 
         // Send token response with password_changed status
-        sendTokenResponse(user, 200, res);
+        await sendTokenResponse(user, 200, req, res);
 
     } catch (error) {
         console.error('Login error:', error);
@@ -218,10 +266,10 @@ export const login = async (req, res) => {
 export const getMe = async (req, res) => {
     try {
         const result = await query(
-            `SELECT u.id, u.email, u.full_name, u.password_changed, u.terms_accepted, u.terms_accepted_at, u.created_at, u.last_login_at,
+            `SELECT u.id, u.email, u.full_name, u.role, u.password_changed, u.terms_accepted, u.terms_accepted_at, u.created_at, u.last_login_at,
               up.current_level, up.current_day, up.listening_score, 
               up.reading_score, up.speaking_score, up.grammar_score,
-              up.streak_days, up.total_study_minutes
+              up.streak_days, up.total_study_minutes, up.placement_status, u.disabled_at, u.email_verified
        FROM users u
        LEFT JOIN user_profiles up ON u.id = up.user_id
        WHERE u.id = $1`,
@@ -235,6 +283,10 @@ export const getMe = async (req, res) => {
             });
         }
 
+        if (isDisabled(result.rows[0])) {
+            return res.status(403).json(ACCOUNT_DISABLED_RESPONSE);
+        }
+
         res.status(200).json({
             success: true,
             user: result.rows[0]
@@ -251,12 +303,16 @@ export const getMe = async (req, res) => {
 
 // @desc    Logout user / clear cookie
 // @route   POST /api/auth/logout
-// @access  Private
+// @access  Public (revokes the session of the refresh cookie, works with an expired access token)
 export const logout = async (req, res) => {
-    res.cookie('token', 'none', {
-        expires: new Date(Date.now() + 10 * 1000),
-        httpOnly: true
-    });
+    try {
+        await revokeSessionByToken(req.cookies?.[REFRESH_COOKIE], 'logout');
+    } catch (error) {
+        // Still clear the cookies - the session expires on its own
+        console.error('Logout error:', error);
+    }
+
+    clearAuthCookies(res);
 
     res.status(200).json({
         success: true,
@@ -264,28 +320,136 @@ export const logout = async (req, res) => {
     });
 };
 
-// @desc    Change password (first time or update)
-// @route   PUT /api/auth/change-password
-// @access  Private
-export const changePassword = async (req, res) => {
+// @desc    Swap the refresh cookie for a new access token (and a new refresh token)
+// @route   POST /api/auth/refresh
+// @access  Public (refresh cookie)
+export const refresh = async (req, res) => {
     try {
-        const { currentPassword, newPassword } = req.body;
+        const rotated = await rotateSession(req.cookies?.[REFRESH_COOKIE], clientInfo(req));
 
-        // Validation
-        if (!currentPassword || !newPassword) {
-            return res.status(400).json({
+        if (!rotated) {
+            clearAuthCookies(res);
+            return res.status(401).json({
                 success: false,
-                message: 'Please provide current and new password'
+                code: 'SESSION_EXPIRED',
+                message: 'Session expired, please log in again'
             });
         }
 
-        if (newPassword.length < 6) {
-            return res.status(400).json({
+        // Role and name are read again, so changes apply from the next refresh
+        const result = await query(
+            'SELECT id, email, full_name, role, password_changed, email_verified, disabled_at FROM users WHERE id = $1',
+            [rotated.userId]
+        );
+        const user = result.rows[0];
+
+        if (!user || isDisabled(user)) {
+            await revokeSession(rotated.userId, rotated.session.id, user ? 'disabled' : 'deleted');
+            clearAuthCookies(res);
+            return res.status(user ? 403 : 401).json(user ? ACCOUNT_DISABLED_RESPONSE : {
+                success: false,
+                code: 'SESSION_EXPIRED',
+                message: 'Session expired, please log in again'
+            });
+        }
+
+        sendSessionResponse(user, { sessionId: rotated.session.id, ...rotated }, 200, res);
+
+    } catch (error) {
+        console.error('Refresh error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during token refresh'
+        });
+    }
+};
+
+// @desc    Log out on every device
+// @route   POST /api/auth/logout-all
+// @access  Private
+export const logoutAll = async (req, res) => {
+    try {
+        const revoked = await revokeUserSessions(req.user.id, { reason: 'logout_all' });
+
+        console.log(`🚪 ${req.user.email} logged out everywhere (${revoked} sessions)`);
+
+        clearAuthCookies(res);
+
+        res.status(200).json({
+            success: true,
+            message: 'Logged out on all devices',
+            revoked
+        });
+
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during logout'
+        });
+    }
+};
+
+// @desc    Devices the user is signed in on
+// @route   GET /api/auth/sessions
+// @access  Private
+export const getSessions = async (req, res) => {
+    try {
+        const sessions = await listUserSessions(req.user.id);
+
+        res.status(200).json({
+            success: true,
+            data: sessions.map(session => ({ ...session, current: session.id === req.user.sessionId }))
+        });
+
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching sessions'
+        });
+    }
+};
+
+// @desc    Sign one device out
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+export const deleteSession = async (req, res) => {
+    try {
+        const revoked = await revokeSession(req.user.id, req.params.id, 'revoked_by_user');
+
+        if (!revoked) {
+            return res.status(404).json({
                 success: false,
-                message: 'Password must be at least 6 characters'
+                message: 'Session not found'
             });
         }
 
+        if (req.params.id === req.user.sessionId) {
+            clearAuthCookies(res);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Session revoked'
+        });
+
+    } catch (error) {
+        console.error('Delete session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error revoking session'
+        });
+    }
+};
+
+// @desc    Change password (first time or update)
+// @route   PUT /api/auth/change-password
+// @access  Private
+export const changePassword = async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
         // Get user
         const result = await query(
             'SELECT * FROM users WHERE id = $1',
@@ -323,9 +487,16 @@ export const changePassword = async (req, res) => {
             [newPasswordHash, true, req.user.id]
         );
 
+        // Whoever else knew the old password is signed out; this device stays signed in
+        const revoked = await revokeUserSessions(req.user.id, {
+            reason: 'password_changed',
+            exceptId: req.user.sessionId
+        });
+
         res.status(200).json({
             success: true,
-            message: 'Password changed successfully'
+            message: 'Password changed successfully',
+            sessionsRevoked: revoked
         });
 
     } catch (error) {
@@ -360,3 +531,225 @@ export const acceptTerms = async (req, res) => {
         });
     }
 };
+
+// @desc    Activate an account created from an order and set its password
+// @route   POST /api/auth/activate
+// @access  Public (single-use token from the activation email)
+export const activate = async (req, res) => {
+    try {
+        const { token, password, terms_accepted } = req.body;
+
+        const user = await activateAccount(token, password, { termsAccepted: terms_accepted });
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                code: 'INVALID_ACTIVATION_TOKEN',
+                message: 'رابط التفعيل غير صالح أو منتهي الصلاحية. اطلب رابطاً جديداً.'
+            });
+        }
+
+        console.log(`🔑 Account activated: ${user.email}`);
+
+        // Same as login: refunded before activating - no session until an admin or a new order enables it
+        if (isDisabled(user)) {
+            return res.status(403).json(ACCOUNT_DISABLED_RESPONSE);
+        }
+
+        // Log the user in straight away
+        await sendTokenResponse(user, 200, req, res);
+
+    } catch (error) {
+        console.error('Activate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during activation'
+        });
+    }
+};
+
+// @desc    Email a new activation link
+// @route   POST /api/auth/activate/resend
+// @access  Public
+// Always answers the same way so it cannot be used to find out which emails have accounts.
+export const resendActivation = async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        const result = await query(
+            'SELECT id, email, full_name FROM users WHERE email = $1 AND password_hash IS NULL',
+            [email]
+        );
+
+        if (result.rows.length > 0) {
+            await sendActivation(result.rows[0]);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'إذا كان هناك حساب غير مفعّل بهذا البريد فسيصلك رابط تفعيل جديد.'
+        });
+
+    } catch (error) {
+        console.error('Resend activation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public (rate limited per IP and email)
+// Always answers the same way so it cannot be used to find out which emails have accounts.
+// Accounts that were never activated get a new activation link instead.
+export const forgotPassword = async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        const result = await query(
+            'SELECT id, email, full_name, password_hash, disabled_at FROM users WHERE email = $1',
+            [email]
+        );
+
+        const user = result.rows[0];
+        if (user && !isDisabled(user)) {
+            const { password_hash, ...recipient } = user;
+
+            if (password_hash) {
+                await sendPasswordReset(recipient);
+            } else {
+                await sendActivation(recipient);
+            }
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'إذا كان هناك حساب بهذا البريد فسيصلك رابط لإعادة تعيين كلمة المرور.'
+        });
+
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Set a new password with the token from the reset email
+// @route   POST /api/auth/reset-password
+// @access  Public (single-use token, rate limited per IP)
+export const resetPassword = async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        const user = await completePasswordReset(token, password);
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                code: 'INVALID_RESET_TOKEN',
+                message: 'رابط إعادة التعيين غير صالح أو منتهي الصلاحية. اطلب رابطاً جديداً.'
+            });
+        }
+
+        console.log(`🔑 Password reset: ${user.email}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'تم تغيير كلمة المرور بنجاح. سجّل الدخول بكلمة المرور الجديدة.'
+        });
+
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during password reset'
+        });
+    }
+};
+
+// @desc    Confirm the email address with the token from the verification email
+// @route   POST /api/auth/verify-email
+// @access  Public (single-use token - the link may be opened on another device)
+export const verifyEmailAddress = async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        const user = await verifyEmail(token);
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                code: 'INVALID_VERIFICATION_TOKEN',
+                message: 'رابط التأكيد غير صالح أو منتهي الصلاحية. اطلب رابطاً جديداً من حسابك.'
+            });
+        }
+
+        console.log(`📧 Email verified: ${user.email}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'تم تأكيد بريدك الإلكتروني بنجاح.'
+        });
+
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during email verification'
+        });
+    }
+};
+
+// @desc    Email a new verification link to the signed-in user
+// @route   POST /api/auth/verify-email/resend
+// @access  Private (rate limited per user)
+export const resendVerification = async (req, res) => {
+    try {
+        const result = await query(
+            'SELECT id, email, full_name, email_verified FROM users WHERE id = $1',
+            [req.user.id]
+        );
+
+        const user = result.rows[0];
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (user.email_verified) {
+            return res.status(400).json({
+                success: false,
+                code: 'EMAIL_ALREADY_VERIFIED',
+                message: 'بريدك الإلكتروني مؤكَّد بالفعل.'
+            });
+        }
+
+        const { sent } = await sendEmailVerification(user);
+
+        if (!sent) {
+            return res.status(502).json({
+                success: false,
+                message: 'تعذّر إرسال رسالة التأكيد الآن. حاول مرة أخرى بعد قليل.'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'أرسلنا رابط تأكيد جديداً إلى بريدك الإلكتروني.'
+        });
+
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
@@ -1,4 +1,10 @@
 import { query } from '../config/database.js';
+import { getAccessPolicy } from '../services/entitlements.js';
+import { getUnlockPolicy } from '../services/lessonUnlocks.js';
+import { getLevelCompletions } from '../services/levelProgress.js';
+import { getUserCertificates } from '../services/levelExams.js';
+import { PURCHASE_URL } from '../config/plans.js';
+import { COURSE_LEVELS, COURSE_TOTAL_DAYS } from '../config/course.js';
 
 // @desc    Get bulk initial data (all available lessons metadata)
 // @route   GET /api/lessons/bulk/initial-data
@@ -7,7 +13,7 @@ export const getBulkInitialData = async (req, res) => {
     try {
         const userId = req.user.id;
 
-        // 1. Get all available lessons (lightweight - only metadata)
+        // 1. Get all published lessons (lightweight - only metadata)
         const lessonsResult = await query(`
             SELECT 
                 day_number,
@@ -17,19 +23,12 @@ export const getBulkInitialData = async (req, res) => {
                 video_url,
                 image_url,
                 grammar_topic,
-                CASE 
-                    WHEN vocabulary_list IS NOT NULL THEN true
-                    ELSE false
-                END as has_vocabulary,
-                CASE 
-                    WHEN quiz_list IS NOT NULL THEN true
-                    ELSE false
-                END as has_quiz,
-                CASE 
-                    WHEN flashcards_list IS NOT NULL THEN true
-                    ELSE false
-                END as has_flashcards
+                CASE WHEN jsonb_typeof(vocabulary_list) = 'array' THEN jsonb_array_length(vocabulary_list) > 0 ELSE false END AS has_vocabulary,
+                CASE WHEN jsonb_typeof(quiz_list) = 'array' THEN jsonb_array_length(quiz_list) > 0 ELSE false END AS has_quiz,
+                CASE WHEN jsonb_typeof(flashcards_list) = 'array' THEN jsonb_array_length(flashcards_list) > 0 ELSE false END AS has_flashcards,
+                updated_at
             FROM lessons
+            WHERE is_published = true
             ORDER BY day_number ASC
         `);
 
@@ -49,7 +48,17 @@ export const getBulkInitialData = async (req, res) => {
             };
         });
 
-        // 3. Combine lessons with progress
+        // 3. What the user has bought (locked lessons are still listed so the roadmap can offer them)
+        //    which days are unlocked (previous lesson completed, see services/lessonUnlocks.js)
+        //    which levels are finished (services/levelProgress.js) and which level exams passed (services/levelExams.js)
+        const [policy, unlocks, levelCompletions, certificates] = await Promise.all([
+            getAccessPolicy(req.user),
+            getUnlockPolicy(req.user),
+            getLevelCompletions(userId),
+            getUserCertificates(userId)
+        ]);
+
+        // 4. Combine lessons with progress
         const lessonsWithProgress = lessonsResult.rows.map(lesson => ({
             day: lesson.day_number,
             level: lesson.level || 'A1',
@@ -61,20 +70,35 @@ export const getBulkInitialData = async (req, res) => {
             hasVocabulary: lesson.has_vocabulary,
             hasQuiz: lesson.has_quiz,
             hasFlashcards: lesson.has_flashcards,
+            updatedAt: lesson.updated_at,
+            access: policy.check({ day: lesson.day_number, level: lesson.level || 'A1' }),
+            unlock: unlocks.check(lesson.day_number),
             progress: progressMap[lesson.day_number] || {
                 completed: false,
                 score: 0
             }
         }));
 
-        // 4. Get available days list
+        // 5. Get available days list
         const availableDays = lessonsResult.rows.map(l => l.day_number);
+        const lockedDays = lessonsWithProgress.filter(l => !l.access.allowed).map(l => l.day);
+        const unlockedDays = lessonsWithProgress.filter(l => l.unlock.unlocked).map(l => l.day);
 
         res.status(200).json({
             success: true,
             data: {
                 lessons: lessonsWithProgress,
                 availableDays: availableDays,
+                lockedDays,
+                unlockedDays,
+                purchaseUrl: PURCHASE_URL,
+                // Level boundaries (config/course.js) - the app derives the current level from these
+                course: {
+                    totalDays: COURSE_TOTAL_DAYS,
+                    levels: COURSE_LEVELS
+                },
+                levelCompletions,
+                certificates,
                 totalLessons: lessonsResult.rows.length
             }
         });
@@ -0,0 +1,40 @@
+import { checkGrammar } from '../utils/grammarChecker.js';
+
+const MAX_TEXT_LENGTH = 5000;
+
+// @desc    Check a piece of learner writing with the offline grammar checker
+// @route   POST /api/grammar/check
+// @access  Private
+export const checkText = async (req, res) => {
+    try {
+        const { text } = req.body;
+
+        if (!text || typeof text !== 'string' || !text.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide text to check'
+            });
+        }
+
+        if (text.length > MAX_TEXT_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `Text must be at most ${MAX_TEXT_LENGTH} characters`
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                corrections: checkGrammar(text)
+            }
+        });
+
+    } catch (error) {
+        console.error('Grammar check error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error checking grammar'
+        });
+    }
+};
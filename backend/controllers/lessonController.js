@@ -1,26 +1,65 @@
-import { query } from '../config/database.js';
+import { query, withTransaction } from '../config/database.js';
+import { gradeQuiz, getCorrectAnswer, stripAnswers, isAttemptSubmitted, bestScoreAfter } from '../utils/quizGrading.js';
+import { countsTowardScore } from '../utils/adaptiveQuiz.js';
+import { getAccessPolicy } from '../services/entitlements.js';
+import { getUnlockPolicy } from '../services/lessonUnlocks.js';
+import { recordLevelCompletion } from '../services/levelProgress.js';
+import { ensureQuizVariant, startNewQuizVariant, variantQuestions, recordVariantResult } from '../services/quizVariants.js';
+import { levelForDay, dayAfter } from '../config/course.js';
+
+// Answers are only revealed once the learner has submitted the quiz for grading
+const mapExercises = (quizList, progress) => {
+    const exercises = Array.isArray(quizList) ? quizList : [];
+
+    if (!progress.quiz_submitted_at) {
+        return exercises.map(stripAnswers);
+    }
+
+    return exercises.map(ex => ({
+        ...ex,
+        correctAnswer: getCorrectAnswer(ex)
+    }));
+};
+
+// Each attempt is graded once; POST /:dayNumber/quiz/retry starts a new one
+const ALREADY_SUBMITTED = {
+    success: false,
+    code: 'QUIZ_ALREADY_SUBMITTED',
+    message: 'This quiz attempt has already been graded. Start a new attempt to try again.'
+};
+
+// The questions of the learner's current quiz attempt (services/quizVariants.js), created on first view.
+// Returns { exercises, progress } - progress then points at the attempt
+const loadQuiz = async (userId, lesson, progress) => {
+    const { variant, progress: quizProgress } = await ensureQuizVariant(userId, lesson);
+    if (!variant) {
+        return { exercises: mapExercises(lesson.quiz_list, progress), progress };
+    }
+    return { exercises: mapExercises(variantQuestions(lesson, variant), quizProgress), progress: quizProgress };
+};
 
 // @desc    Get batch of lessons by day numbers
 // @route   POST /api/lessons/batch
 // @access  Private
 export const getLessonsBatch = async (req, res) => {
     try {
+        // 1 to MAX_BATCH_DAYS day numbers (validators/lessons.js)
         const { days } = req.body;
 
-        if (!days || !Array.isArray(days) || days.length === 0) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid or empty days array'
-            });
-        }
-
         // 1. Get Lessons Details from DB
         // Use ANY to match any of the day numbers
         const lessonsResult = await query(
-            'SELECT * FROM lessons WHERE day_number = ANY($1::int[]) ORDER BY day_number ASC',
+            'SELECT * FROM lessons WHERE day_number = ANY($1::int[]) AND is_published = true ORDER BY day_number ASC',
             [days]
         );
 
+        // Lessons the user has not bought or not unlocked yet are left out (GET /:dayNumber explains why)
+        const [policy, unlocks] = await Promise.all([getAccessPolicy(req.user), getUnlockPolicy(req.user)]);
+        const openLessons = lessonsResult.rows.filter(lesson =>
+            policy.check({ day: lesson.day_number, level: lesson.level || 'A1' }).allowed &&
+            unlocks.check(lesson.day_number).unlocked
+        );
+
         // 2. Get User Progress for these days
         const progressResult = await query(
             'SELECT * FROM lesson_progress WHERE user_id = $1 AND day_number = ANY($2::int[])',
@@ -33,14 +72,14 @@ export const getLessonsBatch = async (req, res) => {
             progressMap[p.day_number] = p;
         });
 
-        // 3. Map Results
-        const lessons = lessonsResult.rows.map(lesson => {
+        // 3. Map Results (with the same quiz questions GET /:dayNumber would give)
+        const lessons = await Promise.all(openLessons.map(async lesson => {
             const dayNumber = lesson.day_number;
-            const progress = progressMap[dayNumber] || {
+            const { exercises, progress } = await loadQuiz(req.user.id, lesson, progressMap[dayNumber] || {
                 completed: false,
                 score: 0,
                 exercises_completed: false
-            };
+            });
 
             return {
                 id: lesson.id,
@@ -61,14 +100,11 @@ export const getLessonsBatch = async (req, res) => {
                     text: lesson.reading_text
                 },
                 vocabulary: lesson.vocabulary_list || [],
-                exercises: (lesson.quiz_list || []).map(ex => ({
-                    ...ex,
-                    correctAnswer: ex.correct_answer || ex.answer
-                })),
+                exercises,
                 flashcards: lesson.flashcards_list || [],
                 userProgress: progress
             };
-        });
+        }));
 
         res.status(200).json({
             success: true,
@@ -93,7 +129,7 @@ export const getLessonByDay = async (req, res) => {
 
         // 1. Get Lesson Details from DB (Single Row Fetch)
         const lessonResult = await query(
-            'SELECT * FROM lessons WHERE day_number = $1',
+            'SELECT * FROM lessons WHERE day_number = $1 AND is_published = true',
             [dayNumber]
         );
 
@@ -109,13 +145,14 @@ export const getLessonByDay = async (req, res) => {
             [req.user.id, dayNumber]
         );
 
-        const progress = progressResult.rows[0] || {
+        // 3. The learner's quiz attempt: picked from the lesson's question bank on first view
+        const { exercises, progress } = await loadQuiz(req.user.id, lesson, progressResult.rows[0] || {
             completed: false,
             score: 0,
             exercises_completed: false
-        };
+        });
 
-        // 3. Map DB Hybrid Structure to Frontend API Response
+        // 4. Map DB Hybrid Structure to Frontend API Response
         res.status(200).json({
             success: true,
             data: {
@@ -138,11 +175,8 @@ export const getLessonByDay = async (req, res) => {
                 },
                 // Map JSONB columns directly
                 vocabulary: lesson.vocabulary_list || [],
-                exercises: (lesson.quiz_list || []).map(ex => ({
-                    ...ex,
-                    // Handle both 'answer' and 'correct_answer' fields for compatibility
-                    correctAnswer: ex.correct_answer || ex.answer
-                })),
+                // Answers stay hidden until the quiz is submitted
+                exercises,
                 flashcards: lesson.flashcards_list || [],
                 userProgress: progress
             }
@@ -158,45 +192,200 @@ export const getLessonByDay = async (req, res) => {
     }
 };
 
+// @desc    Submit quiz answers for server-side grading
+// @route   POST /api/lessons/:dayNumber/submit
+// @access  Private
+export const submitQuiz = async (req, res) => {
+    try {
+        const dayNumber = parseInt(req.params.dayNumber);
+        const { answers } = req.body;
+        const userId = req.user.id;
+
+        // 1. Get the quiz with its answers (never sent to the browser before submission)
+        const lessonResult = await query(
+            'SELECT id, day_number, quiz_list, quiz_size, grammar_topic FROM lessons WHERE day_number = $1 AND is_published = true',
+            [dayNumber]
+        );
+
+        if (lessonResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lesson not found'
+            });
+        }
+
+        const lesson = lessonResult.rows[0];
+        const quizList = Array.isArray(lesson.quiz_list) ? lesson.quiz_list : [];
+
+        if (quizList.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'This lesson has no quiz'
+            });
+        }
+
+        // 2. One submit per attempt - the results reveal the answers, so a resubmit would always score 100%
+        const { variant, progress } = await ensureQuizVariant(userId, lesson);
+
+        if (isAttemptSubmitted(progress, variant)) {
+            return res.status(409).json(ALREADY_SUBMITTED);
+        }
+
+        // 3. Grade on the server - the questions of the attempt the learner was shown, in that order
+        const { results, correctCount, total, score } = gradeQuiz(variantQuestions(lesson, variant), answers);
+
+        // 4. Record the attempt first - it counts towards the accuracy the next questions are picked from,
+        // and only one of two concurrent submits gets to grade it. Then keep the best score across attempts;
+        // a retry on questions whose answers were already shown is practice and cannot raise it.
+        const counted = countsTowardScore(variant);
+        const bestScore = await withTransaction(async (client) => {
+            const recorded = await recordVariantResult(variant.id, { correctCount, score, results }, client);
+            if (!recorded) return null;
+
+            const previous = await client.query(
+                'SELECT score FROM lesson_progress WHERE user_id = $1 AND day_number = $2 FOR UPDATE',
+                [userId, dayNumber]
+            );
+            const best = bestScoreAfter(previous.rows[0]?.score, score, { counts: counted });
+
+            const progressResult = await client.query(
+                `INSERT INTO lesson_progress 
+         (user_id, day_number, lesson_id, score, saved_answers, quiz_results, quiz_submitted_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+         ON CONFLICT (user_id, day_number) 
+         DO UPDATE SET 
+           lesson_id = COALESCE(EXCLUDED.lesson_id, lesson_progress.lesson_id),
+           score = EXCLUDED.score,
+           saved_answers = EXCLUDED.saved_answers,
+           quiz_results = EXCLUDED.quiz_results,
+           quiz_submitted_at = NOW(),
+           updated_at = NOW()
+         RETURNING score`,
+                [userId, dayNumber, lesson.id, best, JSON.stringify(answers), JSON.stringify(results)]
+            );
+            return progressResult.rows[0].score;
+        });
+
+        if (bestScore === null) {
+            return res.status(409).json(ALREADY_SUBMITTED);
+        }
+
+        console.log(`📝 User ${userId} scored ${score}% on Day ${dayNumber} quiz (${correctCount}/${total}, ${variant.target_difficulty || 'full quiz'}${counted ? '' : ', practice'})`);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                score,
+                bestScore,
+                countsTowardScore: counted,
+                correctCount,
+                total,
+                results,
+                variantId: variant.id
+            }
+        });
+
+    } catch (error) {
+        console.error('Submit quiz error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error grading quiz'
+        });
+    }
+};
+
+// @desc    Retry a submitted quiz with a new pick of questions
+// @route   POST /api/lessons/:dayNumber/quiz/retry
+// @access  Private
+export const retryQuiz = async (req, res) => {
+    try {
+        const dayNumber = parseInt(req.params.dayNumber);
+        const userId = req.user.id;
+
+        const lessonResult = await query(
+            'SELECT id, day_number, quiz_list, quiz_size, grammar_topic FROM lessons WHERE day_number = $1 AND is_published = true',
+            [dayNumber]
+        );
+
+        if (lessonResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lesson not found'
+            });
+        }
+
+        const lesson = lessonResult.rows[0];
+
+        // Unsubmitted attempts are kept: retrying must not re-roll the questions
+        const { variant, progress } = await startNewQuizVariant(userId, lesson);
+
+        if (!variant) {
+            return res.status(400).json({
+                success: false,
+                message: 'This lesson has no quiz'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                exercises: mapExercises(variantQuestions(lesson, variant), progress),
+                userProgress: progress,
+                // false: questions already answered in a graded attempt - practice, the stored score stays
+                countsTowardScore: countsTowardScore(variant)
+            }
+        });
+
+    } catch (error) {
+        console.error('Retry quiz error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error starting a new quiz'
+        });
+    }
+};
+
 // @desc    Complete a lesson
 // @route   POST /api/lessons/:dayNumber/complete
 // @access  Private
 export const completeLesson = async (req, res) => {
     try {
         const dayNumber = parseInt(req.params.dayNumber);
-        const { score, timeSpent } = req.body;
+        // Score is never taken from the client - it comes from POST /:dayNumber/submit
+        const { timeSpent } = req.body;
         const userId = req.user.id;
 
         console.log(`📝 User ${userId} completing Lesson Day ${dayNumber}`);
 
-        // 1. Check if lesson exists in DB
+        // 1. Only published lessons can be completed - otherwise any day could be "completed" to skip ahead
         const lessonResult = await query(
-            'SELECT id FROM lessons WHERE day_number = $1',
+            'SELECT id FROM lessons WHERE day_number = $1 AND is_published = true',
             [dayNumber]
         );
 
-        let lessonId = null;
-        if (lessonResult.rows.length > 0) {
-            lessonId = lessonResult.rows[0].id;
-        } else {
-            console.log(`⚠️ Lesson Day ${dayNumber} content missing in DB. Link will be null.`);
+        if (lessonResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lesson not found'
+            });
         }
 
+        const lessonId = lessonResult.rows[0].id;
+
         // 2. Insert or Update Progress
         const result = await query(
             `INSERT INTO lesson_progress 
-       (user_id, day_number, lesson_id, completed, score, time_spent_minutes, completed_at, updated_at)
-       VALUES ($1, $2, $3, true, $4, $5, NOW(), NOW())
+       (user_id, day_number, lesson_id, completed, time_spent_minutes, completed_at, updated_at)
+       VALUES ($1, $2, $3, true, $4, NOW(), NOW())
        ON CONFLICT (user_id, day_number) 
        DO UPDATE SET 
          lesson_id = COALESCE(EXCLUDED.lesson_id, lesson_progress.lesson_id),
          completed = true,
-         score = GREATEST(lesson_progress.score, EXCLUDED.score),
          time_spent_minutes = lesson_progress.time_spent_minutes + EXCLUDED.time_spent_minutes,
          completed_at = NOW(),
          updated_at = NOW()
        RETURNING *`,
-            [userId, dayNumber, lessonId, score || 0, timeSpent || 0]
+            [userId, dayNumber, lessonId, timeSpent || 0]
         );
 
         // 3. Calculate Streak
@@ -237,7 +426,10 @@ export const completeLesson = async (req, res) => {
 
         console.log(`🔥 Streak updated: ${newStreakDays} days`);
 
-        // 4. Smart Update User Profile (Avoid > 30 check constraint error)
+        // 4. Update User Profile: move on to the next day (never past the last day of the course)
+        //    and keep current_level in step with it
+        const nextDay = dayAfter(dayNumber);
+
         // Rotate skill focus: 0=Listening, 1=Reading, 2=Speaking, 3=Grammar
         const skillIndex = (dayNumber - 1) % 4;
 
@@ -247,14 +439,18 @@ export const completeLesson = async (req, res) => {
         const speakingInc = skillIndex === 2 ? 5 : 1;
         const grammarInc = skillIndex === 3 ? 5 : 1;
 
-        await query(
+        const profileUpdate = await query(
             `UPDATE user_profiles
        SET 
          total_study_minutes = total_study_minutes + $1,
          current_day = CASE 
-            WHEN current_day < 30 AND current_day <= $2 THEN $2 + 1 
+            WHEN current_day <= $2 THEN $9 
             ELSE current_day 
          END,
+         current_level = CASE 
+            WHEN current_day <= $2 THEN $10 
+            ELSE current_level 
+         END,
          listening_score = LEAST(100, listening_score + $3),
          reading_score = LEAST(100, reading_score + $4),
          speaking_score = LEAST(100, speaking_score + $5),
@@ -262,7 +458,8 @@ export const completeLesson = async (req, res) => {
          streak_days = $8,
          last_activity_date = CURRENT_DATE,
          updated_at = NOW()
-       WHERE user_id = $7`,
+       WHERE user_id = $7
+       RETURNING current_day, current_level`,
             [
                 timeSpent || 0,
                 dayNumber,
@@ -271,16 +468,29 @@ export const completeLesson = async (req, res) => {
                 speakingInc,
                 grammarInc,
                 userId,
-                newStreakDays
+                newStreakDays,
+                nextDay,
+                levelForDay(nextDay).key
             ]
         );
 
+        // 5. Finishing the last day of a level is recorded once (level_completions)
+        const levelCompleted = await recordLevelCompletion(userId, dayNumber);
+        if (levelCompleted) {
+            console.log(`🎓 User ${userId} completed level ${levelCompleted.level}`);
+        }
+
         console.log('✅ Progress saved successfully');
 
+        const profile = profileUpdate.rows[0];
+
         res.status(200).json({
             success: true,
             message: 'Lesson completed successfully',
-            progress: result.rows[0]
+            progress: result.rows[0],
+            currentDay: profile?.current_day ?? null,
+            currentLevel: profile?.current_level ?? null,
+            levelCompleted
         });
 
     } catch (error) {
@@ -304,15 +514,16 @@ export const saveLessonProgress = async (req, res) => {
 
         // 1. Get lesson ID
         const lessonResult = await query(
-            'SELECT id FROM lessons WHERE day_number = $1',
+            'SELECT id FROM lessons WHERE day_number = $1 AND is_published = true',
             [dayNumber]
         );
 
-        let lessonId = null;
-        if (lessonResult.rows.length > 0) {
-            lessonId = lessonResult.rows[0].id;
+        if (lessonResult.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Lesson not found' });
         }
 
+        const lessonId = lessonResult.rows[0].id;
+
         // 2. Upsert progress with saved_answers
         await query(
             `INSERT INTO lesson_progress 
@@ -334,7 +545,10 @@ export const saveLessonProgress = async (req, res) => {
     }
 };
 
-// @desc    Get vocabulary for game based on user's current day
+// Maximum number of words in one game round
+const GAME_WORD_LIMIT = 20;
+
+// @desc    Get vocabulary for game from the current day and every completed lesson
 // @route   GET /api/lessons/vocabulary/game
 // @access  Private
 export const getGameVocabulary = async (req, res) => {
@@ -353,84 +567,70 @@ export const getGameVocabulary = async (req, res) => {
 
         const currentDay = profileResult.rows[0].current_day;
 
-        const allWords = [];
-        let idCounter = 1;
-        let foundDay = null;
-
-        // 2. Try current day first
-        let result = await query(
-            'SELECT vocabulary_list FROM lessons WHERE day_number = $1',
-            [currentDay]
+        // 2. Words from the current day + all completed days, with past flashcard mistakes
+        const result = await query(
+            `SELECT DISTINCT ON (lower(v->>'word'))
+         l.day_number,
+         l.level,
+         v->>'word' AS word,
+         v->>'translation' AS translation,
+         COALESCE(vp.review_count - vp.correct_count, 0) AS mistakes
+       FROM lessons l
+       CROSS JOIN LATERAL jsonb_array_elements(
+         CASE WHEN jsonb_typeof(l.vocabulary_list) = 'array' THEN l.vocabulary_list ELSE '[]'::jsonb END
+       ) AS v
+       LEFT JOIN vocabulary_progress vp ON vp.user_id = $1 AND vp.word = v->>'word'
+       WHERE (
+           l.day_number = $2
+           OR l.day_number IN (SELECT day_number FROM lesson_progress WHERE user_id = $1 AND completed = true)
+         )
+         AND v->>'word' IS NOT NULL AND v->>'translation' IS NOT NULL
+       ORDER BY lower(v->>'word'), l.day_number DESC`,
+            [userId, currentDay]
         );
 
-        if (result.rows.length > 0 && result.rows[0].vocabulary_list) {
-            const vocabList = result.rows[0].vocabulary_list;
-            const vocabs = Array.isArray(vocabList) ? vocabList : [];
-
-            if (vocabs.length > 0) {
-                vocabs.forEach(v => {
-                    if (v.word && v.translation) {
-                        allWords.push({
-                            id: idCounter++,
-                            english: v.word,
-                            arabic: v.translation,
-                            level: 'A1'
-                        });
-                    }
-                });
-                foundDay = currentDay;
-            }
-        }
-
-        // 3. If not found, try previous day only
-        if (allWords.length === 0 && currentDay > 1) {
-            const prevDay = currentDay - 1;
-            result = await query(
-                'SELECT vocabulary_list FROM lessons WHERE day_number = $1',
-                [prevDay]
-            );
-
-            if (result.rows.length > 0 && result.rows[0].vocabulary_list) {
-                const vocabList = result.rows[0].vocabulary_list;
-                const vocabs = Array.isArray(vocabList) ? vocabList : [];
-
-                if (vocabs.length > 0) {
-                    vocabs.forEach(v => {
-                        if (v.word && v.translation) {
-                            allWords.push({
-                                id: idCounter++,
-                                english: v.word,
-                                arabic: v.translation,
-                                level: 'A1'
-                            });
-                        }
-                    });
-                    foundDay = prevDay;
-                    console.log(`⚠️ Using vocabulary from previous day ${prevDay}`);
-                }
-            }
-        }
-
         // If no vocabulary found at all, return empty with message
-        if (allWords.length === 0) {
+        if (result.rows.length === 0) {
             console.log(`⚠️ No vocabulary found for user (current day: ${currentDay})`);
             return res.status(200).json({
                 success: true,
                 data: [],
                 day: currentDay,
+                days: [],
                 message: 'No vocabulary available yet'
             });
         }
 
+        // 3. Prioritise words the learner got wrong, then today's words, then a random mix of older days
+        const prioritised = result.rows
+            .map(row => ({ ...row, tieBreak: Math.random() }))
+            .sort((a, b) =>
+                (b.mistakes - a.mistakes) ||
+                ((b.day_number === currentDay) - (a.day_number === currentDay)) ||
+                (a.tieBreak - b.tieBreak)
+            )
+            .slice(0, GAME_WORD_LIMIT);
+
         // Shuffle
-        const shuffledWords = allWords.sort(() => Math.random() - 0.5);
+        const shuffledWords = prioritised
+            .sort(() => Math.random() - 0.5)
+            .map((row, index) => ({
+                id: index + 1,
+                english: row.word,
+                arabic: row.translation,
+                level: row.level || 'A1',
+                day: row.day_number
+            }));
+
+        const days = [...new Set(result.rows.map(row => row.day_number))].sort((a, b) => a - b);
 
-        console.log(`✅ Game vocabulary loaded from Day ${foundDay} (${allWords.length} words)`);
+        console.log(`✅ Game vocabulary loaded from ${days.length} day(s) (${shuffledWords.length} of ${result.rows.length} words)`);
 
         res.status(200).json({
             success: true,
             data: shuffledWords,
-            day: foundDay || currentDay
+            day: currentDay,
+            days
         });
 
     } catch (error) {
@@ -451,7 +651,7 @@ export const getAvailableLessons = async (req, res) => {
 
         // Get all day numbers that have content in the database
         const result = await query(
-            'SELECT day_number, title, level FROM lessons ORDER BY day_number ASC'
+            'SELECT day_number, title, level FROM lessons WHERE is_published = true ORDER BY day_number ASC'
         );
 
         console.log('📊 Query result:', result.rows);
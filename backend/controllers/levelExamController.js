@@ -0,0 +1,162 @@
+import {
+    getExamStatus,
+    startLevelExam,
+    submitLevelExam,
+    getCertificatePdf,
+    verifyCertificate
+} from '../services/levelExams.js';
+
+const EXAM_ERRORS = {
+    not_eligible: {
+        status: 403,
+        code: 'EXAM_NOT_AVAILABLE',
+        message: 'أكمل كل دروس المستوى أولاً لتتمكن من دخول اختبار نهاية المستوى.'
+    },
+    already_passed: { status: 409, code: 'EXAM_ALREADY_PASSED', message: 'لقد اجتزت هذا المستوى بالفعل.' },
+    cooldown: { status: 409, code: 'EXAM_COOLDOWN', message: 'يمكنك إعادة الاختبار لاحقاً. راجع دروس المستوى حتى ذلك الحين.' },
+    name_required: {
+        status: 422,
+        code: 'CERTIFICATE_NAME_REQUIRED',
+        message: 'اكتب اسمك بالحروف الإنجليزية كما تريده على الشهادة.'
+    },
+    no_questions: {
+        status: 503,
+        code: 'EXAM_UNAVAILABLE',
+        message: 'اختبار هذا المستوى غير متاح حالياً.'
+    },
+    not_started: { status: 409, code: 'EXAM_NOT_STARTED', message: 'ابدأ الاختبار أولاً.' },
+    time_up: { status: 409, code: 'EXAM_TIME_UP', message: 'انتهى وقت الاختبار ولم تُحتسب الإجابات.' }
+};
+
+// retryAt / certificate travel with the error, so the page can say when to come back
+const sendExamError = (res, { error, ...details }) => {
+    const { status, code, message } = EXAM_ERRORS[error];
+    return res.status(status).json({ success: false, code, message, ...details });
+};
+
+// @desc    Exam rules and, for every level, whether its exam can be taken / was passed
+// @route   GET /api/exams
+// @access  Private
+export const getStatus = async (req, res) => {
+    try {
+        const status = await getExamStatus(req.user.id);
+
+        res.status(200).json({
+            success: true,
+            data: status
+        });
+
+    } catch (error) {
+        console.error('Get exam status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching exams'
+        });
+    }
+};
+
+// @desc    Start a level exam (or resume it) and get its questions
+// @route   POST /api/exams/:level/start
+// @access  Private
+// Body: { certificateName } (only needed for a new attempt)
+export const start = async (req, res) => {
+    try {
+        const exam = await startLevelExam(req.user.id, req.params.level, {
+            certificateName: req.body.certificateName || null
+        });
+        if (exam.error) return sendExamError(res, exam);
+
+        res.status(200).json({
+            success: true,
+            data: exam
+        });
+
+    } catch (error) {
+        console.error('Start level exam error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error starting exam'
+        });
+    }
+};
+
+// @desc    Submit the exam for grading
+// @route   POST /api/exams/:level/submit
+// @access  Private
+// Body: { answers: { [questionIndex]: answer } }
+export const submit = async (req, res) => {
+    try {
+        const result = await submitLevelExam(req.user.id, req.params.level, req.body.answers);
+        if (result.error) return sendExamError(res, result);
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Submit level exam error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error grading exam'
+        });
+    }
+};
+
+// @desc    Download one of your certificates as PDF
+// @route   GET /api/exams/certificates/:code/pdf
+// @access  Private
+export const downloadCertificate = async (req, res) => {
+    try {
+        const certificate = await getCertificatePdf(req.user.id, req.params.code);
+
+        if (!certificate) {
+            return res.status(404).json({
+                success: false,
+                message: 'Certificate not found'
+            });
+        }
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="certificate-${certificate.code}.pdf"`
+        });
+        res.status(200).send(certificate.pdf);
+
+    } catch (error) {
+        console.error('Download certificate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error creating certificate'
+        });
+    }
+};
+
+// @desc    Check a certificate code
+// @route   GET /api/verify/:code
+// @access  Public
+export const verify = async (req, res) => {
+    try {
+        const certificate = await verifyCertificate(req.params.code);
+
+        if (!certificate) {
+            return res.status(404).json({
+                success: false,
+                code: 'CERTIFICATE_NOT_FOUND',
+                message: 'لا توجد شهادة بهذا الرمز.'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: certificate
+        });
+
+    } catch (error) {
+        console.error('Verify certificate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error verifying certificate'
+        });
+    }
+};
@@ -0,0 +1,120 @@
+import {
+    getPlacementStatus,
+    startPlacement,
+    answerPlacement,
+    skipPlacement
+} from '../services/placementTest.js';
+
+const PLACEMENT_ERRORS = {
+    no_profile: { status: 404, code: 'PROFILE_NOT_FOUND', message: 'Profile not found' },
+    not_pending: {
+        status: 409,
+        code: 'PLACEMENT_NOT_AVAILABLE',
+        message: 'اختبار تحديد المستوى يُؤخذ مرة واحدة. تواصل مع الدعم إذا أردت إعادته.'
+    },
+    no_items: {
+        status: 503,
+        code: 'PLACEMENT_UNAVAILABLE',
+        message: 'اختبار تحديد المستوى غير متاح حالياً. يمكنك البدء من المستوى الأول.'
+    },
+    not_started: { status: 409, code: 'PLACEMENT_NOT_STARTED', message: 'ابدأ الاختبار أولاً.' },
+    wrong_item: { status: 409, code: 'PLACEMENT_ITEM_MISMATCH', message: 'هذا السؤال لم يعد متاحاً. أكمل من السؤال الحالي.' }
+};
+
+const sendPlacementError = (res, error) => {
+    const { status, code, message } = PLACEMENT_ERRORS[error];
+    return res.status(status).json({ success: false, code, message });
+};
+
+// @desc    Whether the user still has to take the placement test (and the last result)
+// @route   GET /api/placement
+// @access  Private
+export const getStatus = async (req, res) => {
+    try {
+        const status = await getPlacementStatus(req.user.id);
+        if (!status) return sendPlacementError(res, 'no_profile');
+
+        res.status(200).json({
+            success: true,
+            data: status
+        });
+
+    } catch (error) {
+        console.error('Get placement status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching placement test'
+        });
+    }
+};
+
+// @desc    Start the placement test (or resume it) and get the first question
+// @route   POST /api/placement/start
+// @access  Private
+export const start = async (req, res) => {
+    try {
+        const progress = await startPlacement(req.user.id);
+        if (progress.error) return sendPlacementError(res, progress.error);
+
+        res.status(200).json({
+            success: true,
+            data: progress
+        });
+
+    } catch (error) {
+        console.error('Start placement error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error starting placement test'
+        });
+    }
+};
+
+// @desc    Answer the current question; returns the next one or the result
+// @route   POST /api/placement/answer
+// @access  Private
+export const answer = async (req, res) => {
+    try {
+        const { itemId, answer: userAnswer } = req.body;
+        const outcome = await answerPlacement(req.user.id, { itemId, answer: userAnswer });
+        if (outcome.error) return sendPlacementError(res, outcome.error);
+
+        if (outcome.finished) {
+            console.log(`🧭 User ${req.user.id} placed at ${outcome.result.level} (${outcome.result.correctCount}/${outcome.result.total})`);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: outcome
+        });
+
+    } catch (error) {
+        console.error('Answer placement error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error grading placement test'
+        });
+    }
+};
+
+// @desc    Skip the placement test and start from the first lesson
+// @route   POST /api/placement/skip
+// @access  Private
+export const skip = async (req, res) => {
+    try {
+        const skipped = await skipPlacement(req.user.id);
+        if (!skipped) return sendPlacementError(res, 'not_pending');
+
+        res.status(200).json({
+            success: true,
+            message: 'ستبدأ من الدرس الأول.'
+        });
+
+    } catch (error) {
+        console.error('Skip placement error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error skipping placement test'
+        });
+    }
+};
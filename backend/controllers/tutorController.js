@@ -0,0 +1,222 @@
+import crypto from 'crypto';
+import { query } from '../config/database.js';
+import { getTutorProvider } from '../services/tutor/index.js';
+import { TUTOR_SCENARIOS, getScenario } from '../services/tutor/scenarios.js';
+import { checkGrammar, mergeCorrections } from '../utils/grammarChecker.js';
+import {
+    isValidSessionId,
+    getSessionTurns,
+    saveExchange,
+    listSessions,
+    getRecurringMistakes
+} from '../services/tutor/history.js';
+
+const MAX_MESSAGE_LENGTH = 1000;
+// Only the most recent turns are sent to the model
+const MAX_HISTORY_TURNS = 20;
+
+// Stored turns -> the {role, content} history the providers expect
+const toHistory = (messages) => messages
+    .slice(-MAX_HISTORY_TURNS)
+    .map(({ role, content }) => ({ role, content }));
+
+// @desc    Get available tutor scenarios
+// @route   GET /api/tutor/scenarios
+// @access  Private
+export const getScenarios = async (req, res) => {
+    res.status(200).json({
+        success: true,
+        provider: getTutorProvider().name,
+        data: TUTOR_SCENARIOS.map(({ id, title, level }) => ({ id, title, level }))
+    });
+};
+
+// @desc    Send a message to the AI tutor
+// @route   POST /api/tutor/chat
+// @access  Private
+// Pass the sessionId returned by a previous reply to continue that conversation
+export const chatWithTutor = async (req, res) => {
+    try {
+        const sentAt = new Date();
+        const { scenarioId, message, sessionId } = req.body;
+
+        const scenario = getScenario(scenarioId);
+        if (!scenario) {
+            return res.status(400).json({
+                success: false,
+                message: 'Unknown scenario'
+            });
+        }
+
+        if (!message || typeof message !== 'string' || !message.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a message'
+            });
+        }
+
+        if (message.length > MAX_MESSAGE_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `Message must be at most ${MAX_MESSAGE_LENGTH} characters`
+            });
+        }
+
+        // History comes from the stored conversation, not from the browser
+        let history = [];
+        if (sessionId !== undefined && sessionId !== null) {
+            const session = isValidSessionId(sessionId) ? await getSessionTurns(req.user.id, sessionId) : null;
+
+            if (!session) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Conversation not found'
+                });
+            }
+
+            if (session.scenario !== scenario.id) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Conversation belongs to a different scenario'
+                });
+            }
+
+            history = toHistory(session.messages);
+        }
+
+        // Tutor adapts to the learner's level
+        const profileResult = await query(
+            'SELECT current_level FROM user_profiles WHERE user_id = $1',
+            [req.user.id]
+        );
+        const level = profileResult.rows[0]?.current_level || 'A1';
+
+        const provider = getTutorProvider();
+
+        let result;
+        try {
+            result = await provider.respond({
+                scenario,
+                level,
+                history,
+                message: message.trim()
+            });
+        } catch (error) {
+            console.error(`❌ Tutor provider (${provider.name}) error:`, error.message);
+            return res.status(502).json({
+                success: false,
+                message: 'AI tutor is unavailable, please try again'
+            });
+        }
+
+        // Rule-based corrections are always available, the model adds what the rules miss
+        const corrections = mergeCorrections(checkGrammar(message), result.corrections || []);
+        const activeSessionId = sessionId || crypto.randomUUID();
+
+        await saveExchange({
+            userId: req.user.id,
+            sessionId: activeSessionId,
+            scenarioId: scenario.id,
+            message: message.trim(),
+            sentAt,
+            reply: result.reply,
+            corrections
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                sessionId: activeSessionId,
+                reply: result.reply,
+                corrections
+            }
+        });
+
+    } catch (error) {
+        console.error('Tutor chat error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error in AI tutor'
+        });
+    }
+};
+
+// @desc    List past tutor conversations
+// @route   GET /api/tutor/sessions?scenario=
+// @access  Private
+export const getSessions = async (req, res) => {
+    try {
+        const scenarioId = req.query.scenario || null;
+
+        if (scenarioId && !getScenario(scenarioId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Unknown scenario'
+            });
+        }
+
+        const sessions = await listSessions(req.user.id, { scenarioId });
+
+        res.status(200).json({
+            success: true,
+            data: sessions
+        });
+
+    } catch (error) {
+        console.error('Get tutor sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching conversations'
+        });
+    }
+};
+
+// @desc    Get every turn of a conversation (to resume it)
+// @route   GET /api/tutor/sessions/:sessionId
+// @access  Private
+export const getSession = async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const session = isValidSessionId(sessionId) ? await getSessionTurns(req.user.id, sessionId) : null;
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Conversation not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: session
+        });
+
+    } catch (error) {
+        console.error('Get tutor session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching conversation'
+        });
+    }
+};
+
+// @desc    Corrections from every conversation grouped by grammar rule
+// @route   GET /api/tutor/mistakes
+// @access  Private
+export const getMistakes = async (req, res) => {
+    try {
+        const mistakes = await getRecurringMistakes(req.user.id);
+
+        res.status(200).json({
+            success: true,
+            data: mistakes
+        });
+
+    } catch (error) {
+        console.error('Get tutor mistakes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching mistakes'
+        });
+    }
+};
@@ -0,0 +1,188 @@
+import { query } from '../config/database.js';
+import { ensureDeckForDay, syncCompletedLessonsDeck, buildDueDeck, getDailyCaps } from '../services/reviewDeck.js';
+import { scheduleReview, getCardState, MASTERED_REPETITIONS, PASSING_GRADE, GRADE_CORRECT, GRADE_INCORRECT } from '../utils/srs.js';
+
+// Map a vocabulary_progress row to the card shape used by Flashcards.jsx
+const mapCard = (row) => ({
+    id: row.id,
+    word: row.word,
+    translation: row.translation,
+    example: row.example || '',
+    day: row.day_number,
+    level: row.level,
+    state: getCardState(row.review_count, row.mastery_level),
+    masteryLevel: row.mastery_level,
+    reviewCount: row.review_count,
+    correctCount: row.correct_count,
+    easeFactor: row.ease_factor,
+    intervalDays: row.interval_days,
+    nextReviewDate: row.next_review_date,
+    lastReviewedAt: row.last_reviewed_at
+});
+
+// @desc    Get flashcards due for review
+// @route   GET /api/vocabulary/due?mode=today|review&newLimit=&reviewLimit=
+// @access  Private
+// mode=today  -> cards from the current lesson (falls back to the previous day)
+// mode=review -> cumulative deck built from every completed lesson
+export const getDueCards = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const mode = req.query.mode === 'review' ? 'review' : 'today';
+
+        // Daily caps come from the server config, a client may only lower them
+        const defaultCaps = getDailyCaps();
+        const caps = {
+            newCards: Math.min(parseInt(req.query.newLimit) || defaultCaps.newCards, defaultCaps.newCards),
+            reviewCards: Math.min(parseInt(req.query.reviewLimit) || defaultCaps.reviewCards, defaultCaps.reviewCards)
+        };
+
+        // 1. Get User's Current Day from Profile
+        const profileResult = await query(
+            'SELECT current_day FROM user_profiles WHERE user_id = $1',
+            [userId]
+        );
+
+        if (profileResult.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Profile not found' });
+        }
+
+        const currentDay = profileResult.rows[0].current_day;
+
+        // 2. Make sure the deck has the cards this mode needs
+        let foundDay = null;
+        if (mode === 'review') {
+            const added = await syncCompletedLessonsDeck(userId);
+            if (added > 0) console.log(`📚 Added ${added} cards from completed lessons to review deck`);
+        } else if (await ensureDeckForDay(userId, currentDay)) {
+            foundDay = currentDay;
+        } else if (currentDay > 1 && await ensureDeckForDay(userId, currentDay - 1)) {
+            foundDay = currentDay - 1;
+            console.log(`⚠️ Using flashcards from previous day ${foundDay}`);
+        }
+
+        // 3. Due reviews + new cards within today's caps
+        const deck = await buildDueDeck(userId, {
+            caps,
+            dayNumber: mode === 'today' ? (foundDay || currentDay) : null
+        });
+
+        // 4. Deck summary for the stats grid
+        const statsResult = await query(
+            `SELECT
+         COUNT(*) FILTER (WHERE review_count = 0) AS new_count,
+         COUNT(*) FILTER (WHERE review_count > 0 AND mastery_level < $2) AS learning_count,
+         COUNT(*) FILTER (WHERE review_count > 0 AND mastery_level >= $2) AS mastered_count,
+         MIN(next_review_date) FILTER (WHERE next_review_date > NOW()) AS next_due_at
+       FROM vocabulary_progress
+       WHERE user_id = $1`,
+            [userId, MASTERED_REPETITIONS]
+        );
+
+        const summary = statsResult.rows[0];
+
+        res.status(200).json({
+            success: true,
+            data: {
+                mode,
+                cards: deck.cards.map(mapCard),
+                day: foundDay || currentDay,
+                limits: deck.limits,
+                stats: {
+                    new: parseInt(summary.new_count) || 0,
+                    learning: parseInt(summary.learning_count) || 0,
+                    mastered: parseInt(summary.mastered_count) || 0,
+                    nextDueAt: summary.next_due_at
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get due cards error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching flashcards'
+        });
+    }
+};
+
+// @desc    Record a flashcard review and schedule the next one
+// @route   POST /api/vocabulary/review
+// @access  Private
+export const recordReview = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { cardId, correct, grade } = req.body;
+
+        if (!cardId || (grade === undefined && typeof correct !== 'boolean')) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide cardId and correct (or grade 0-5)'
+            });
+        }
+
+        const reviewGrade = grade !== undefined ? Number(grade) : (correct ? GRADE_CORRECT : GRADE_INCORRECT);
+
+        if (!Number.isFinite(reviewGrade) || reviewGrade < 0 || reviewGrade > 5) {
+            return res.status(400).json({
+                success: false,
+                message: 'Grade must be between 0 and 5'
+            });
+        }
+
+        const cardResult = await query(
+            'SELECT * FROM vocabulary_progress WHERE id = $1 AND user_id = $2',
+            [cardId, userId]
+        );
+
+        if (cardResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Card not found'
+            });
+        }
+
+        const card = cardResult.rows[0];
+        const next = scheduleReview({
+            easeFactor: card.ease_factor,
+            intervalDays: card.interval_days,
+            repetitions: card.mastery_level
+        }, reviewGrade);
+
+        const result = await query(
+            `UPDATE vocabulary_progress
+       SET
+         ease_factor = $1,
+         interval_days = $2,
+         mastery_level = $3,
+         next_review_date = $4,
+         review_count = review_count + 1,
+         correct_count = correct_count + $5,
+         first_reviewed_at = COALESCE(first_reviewed_at, NOW()),
+         last_reviewed_at = NOW()
+       WHERE id = $6 AND user_id = $7
+       RETURNING *`,
+            [
+                next.easeFactor,
+                next.intervalDays,
+                next.repetitions,
+                next.nextReviewDate,
+                reviewGrade >= PASSING_GRADE ? 1 : 0,
+                cardId,
+                userId
+            ]
+        );
+
+        res.status(200).json({
+            success: true,
+            data: mapCard(result.rows[0])
+        });
+
+    } catch (error) {
+        console.error('Record review error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error saving review'
+        });
+    }
+};
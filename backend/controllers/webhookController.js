@@ -1,122 +1,19 @@
-import bcrypt from 'bcryptjs';
-import { query } from '../config/database.js';
 import crypto from 'crypto';
-
-// Generate random password
-const generateRandomPassword = () => {
-    return crypto.randomBytes(8).toString('hex'); // 16 characters
-};
+import { handleSallaDelivery } from '../services/sallaOrders.js';
 
 // @desc    Webhook from Salla platform - Create user account
 // @route   POST /api/webhook/salla/order
-// @access  Public (but should be verified with webhook secret)
+// @access  Public (signed with SALLA_WEBHOOK_SECRET, see verifySallaWebhook)
 export const sallaOrderWebhook = async (req, res) => {
     try {
-        console.log('------------------------------------------------');
-        console.log('📥 DEAD SIMPLE LOG - BODY:', req.body);
-        console.log('------------------------------------------------');
-        console.log('📥 JSON STRINGIFIED:', JSON.stringify(req.body, null, 2));
-
-        // Parse Salla Payload Structure
-        const { event, data } = req.body;
-
-        // Allow order.created and order.updated events (Safe check)
-        // Convert event to string just in case
-        const eventName = String(event || '');
-        if (eventName !== 'order.created' && eventName !== 'order.updated') {
-            console.log(`ℹ️ Ignoring event: ${eventName}`);
-            return res.status(200).json({ message: 'Event ignored' });
-        }
-
-        // Check Order Status
-        const status = data.status?.slug;
-        console.log(`📊 Order Status: ${status}`);
-
-        // List of statuses that indicate payment is successful/order is confirmed
-        const paidStatuses = ['completed', 'under_process', 'shipping_ready', 'shipped', 'delivered', 'shipping_progress'];
-
-        // If status is payment_pending, canceled, or not in the paid list, skip account creation
-        if (!paidStatuses.includes(status)) {
-            console.log(`⏳ Order status is '${status}'. Skipping account creation.`);
-            return res.status(200).json({
-                success: true,
-                message: `Order status is ${status}. Account creation skipped.`
-            });
-        }
-
-        // Extract required fields from the nested structure
-        const customer = data?.customer;
-        const email = customer?.email;
-        const first_name = customer?.first_name || '';
-        const last_name = customer?.last_name || '';
-        const full_name = `${first_name} ${last_name}`.trim();
-
-        // Validation
-        if (!email) {
-            console.error('❌ Email missing in payload');
-            return res.status(400).json({
-                success: false,
-                message: 'Email is required in customer data'
-            });
-        }
-
-        console.log(`📦 Processing paid order for: ${email}`);
-
-        // Check if user already exists
-        const existingUser = await query(
-            'SELECT * FROM users WHERE email = $1',
-            [email]
-        );
-
-        if (existingUser.rows.length > 0) {
-            console.log(`✅ User already exists: ${email}`);
-            return res.status(200).json({
-                success: true,
-                message: 'User already exists',
-                user_id: existingUser.rows[0].id
-            });
-        }
-
-        // Set password to be the same as email
-        const defaultPassword = email;
-        console.log(`🔑 Generated password for ${email}: ${defaultPassword}`);
-
-        // Hash password
-        const salt = await bcrypt.genSalt(10);
-        const password_hash = await bcrypt.hash(defaultPassword, salt);
-
-        // Create user with password_changed = true (So they can login directly, or false to force change? Using false as per previous logic)
-        // Note: Previous logic used false. Keeping it false.
-        const result = await query(
-            `INSERT INTO users (email, password_hash, full_name, password_changed) 
-       VALUES ($1, $2, $3, $4) 
-       RETURNING id, email, full_name, password_changed, created_at`,
-            [email, password_hash, full_name || null, false]
-        );
-
-        const user = result.rows[0];
-
-        // Create user profile
-        await query(
-            `INSERT INTO user_profiles (user_id, current_level, current_day) 
-       VALUES ($1, $2, $3)`,
-            [user.id, 'A1', 1]
-        );
+        console.log(`📥 Salla webhook: ${req.body?.event} (order ${req.body?.data?.id ?? '-'})`);
 
-        console.log(`✅ User created successfully: ${email}`);
-
-        res.status(201).json({
-            success: true,
-            message: 'User account created successfully',
-            user: {
-                id: user.id,
-                email: user.email,
-                full_name: user.full_name
-            }
-        });
+        const { statusCode, body } = await handleSallaDelivery(req.body, req.rawBody);
+        res.status(statusCode).json(body);
 
     } catch (error) {
         console.error('Salla webhook error:', error);
+        // 500 makes Salla retry; the failed event is kept in webhook_events
         res.status(500).json({
             success: false,
             message: 'Server error during user creation'
@@ -124,13 +21,40 @@ export const sallaOrderWebhook = async (req, res) => {
     }
 };
 
-// @desc    Verify Salla webhook signature (optional but recommended)
+// @desc    Verify Salla webhook signature
 // @middleware
+// Salla signs the raw request body with HMAC-SHA256 and sends the hex digest
+// in X-Salla-Signature. req.rawBody is kept by the JSON parser in server.js.
 export const verifySallaWebhook = (req, res, next) => {
-    // TODO: Implement signature verification
-    // const signature = req.headers['x-salla-signature'];
-    // const secret = process.env.SALLA_WEBHOOK_SECRET;
+    const secret = process.env.SALLA_WEBHOOK_SECRET;
+
+    if (!secret) {
+        console.error('❌ SALLA_WEBHOOK_SECRET is not set - rejecting webhook');
+        return res.status(500).json({
+            success: false,
+            message: 'Webhook secret is not configured'
+        });
+    }
+
+    const signature = String(req.headers['x-salla-signature'] || '');
+
+    if (!req.rawBody || !signature) {
+        return res.status(401).json({
+            success: false,
+            message: 'Missing webhook signature'
+        });
+    }
+
+    const expected = crypto.createHmac('sha256', secret).update(req.rawBody).digest('hex');
+    const received = Buffer.from(signature, 'utf8');
+
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, Buffer.from(expected, 'utf8'))) {
+        console.warn(`⚠️ Invalid Salla webhook signature from ${req.ip}`);
+        return res.status(401).json({
+            success: false,
+            message: 'Invalid webhook signature'
+        });
+    }
 
-    // For now, just pass through
     next();
 };
@@ -1,4 +1,9 @@
 import jwt from 'jsonwebtoken';
+import { createSession, checkAccessToken } from '../services/sessions.js';
+import { normalizeIp } from '../utils/ip.js';
+
+// Roles stored in users.role (default: student)
+export const ROLES = ['admin', 'teacher', 'student'];
 
 // Middleware to verify JWT token from httpOnly cookie or Authorization header
 export const protect = async (req, res, next) => {
@@ -17,27 +22,57 @@ export const protect = async (req, res, next) => {
         if (!token) {
             return res.status(401).json({
                 success: false,
+                code: 'NOT_AUTHENTICATED',
                 message: 'Not authorized, no token'
             });
         }
 
+        let decoded;
         try {
             // Verify token
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-            // Add user info to request
-            req.user = {
-                id: decoded.id,
-                email: decoded.email
-            };
-
-            next();
+            decoded = jwt.verify(token, process.env.JWT_SECRET);
         } catch (error) {
+            // Usually an expired access token - the client refreshes and retries
             return res.status(401).json({
                 success: false,
+                code: 'NOT_AUTHENTICATED',
                 message: 'Not authorized, token failed'
             });
         }
+
+        // Tokens issued before sessions existed have none
+        const sessionId = decoded.sid || null;
+
+        // A revoked session or a disabled account stops working now, not when the token expires
+        const problem = await checkAccessToken({ userId: decoded.id, sessionId });
+
+        if (problem === 'disabled') {
+            return res.status(403).json({
+                success: false,
+                code: 'ACCOUNT_DISABLED',
+                message: 'تم إيقاف هذا الحساب. تواصل مع الدعم لمزيد من المعلومات.'
+            });
+        }
+
+        if (problem) {
+            // The refresh that follows fails too and sends the client to the login page
+            return res.status(401).json({
+                success: false,
+                code: 'NOT_AUTHENTICATED',
+                message: 'Not authorized, session ended'
+            });
+        }
+
+        // Add user info to request
+        req.user = {
+            id: decoded.id,
+            email: decoded.email,
+            // Tokens issued before roles existed belong to students
+            role: decoded.role || 'student',
+            sessionId
+        };
+
+        next();
     } catch (error) {
         return res.status(500).json({
             success: false,
@@ -46,33 +81,69 @@ export const protect = async (req, res, next) => {
     }
 };
 
-// Generate JWT token and set httpOnly cookie
-export const sendTokenResponse = (user, statusCode, res) => {
-    // Create token
-    const token = jwt.sign(
-        { id: user.id, email: user.email },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRE || '7d' }
-    );
+// Only let through users with one of the given roles. Use after protect:
+// router.use(protect, authorize('admin'))
+export const authorize = (...roles) => (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({
+            success: false,
+            message: 'Not authorized, no token'
+        });
+    }
 
-    // Cookie options
-    const isProduction = process.env.NODE_ENV === 'production';
+    if (!roles.includes(req.user.role)) {
+        return res.status(403).json({
+            success: false,
+            message: `Role '${req.user.role}' is not allowed to access this route`
+        });
+    }
 
-    // In development (localhost), we cannot use Secure: true (unless using https locally)
-    // and SameSite: 'none' requires Secure: true.
-    // So for dev: Secure: false, SameSite: 'lax' (default)
-    // For prod: Secure: true, SameSite: 'none' (for cross-site if backend/frontend separated like Railway/Netlify)
+    next();
+};
+
+// Short-lived access token (JWT) in the `token` cookie and the response body, plus a
+// long-lived refresh token in an httpOnly cookie that only /api/auth can read.
+// The access token carries the session id (sid) so the session can be told apart.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+export const REFRESH_COOKIE = 'refresh_token';
 
-    const options = {
-        expires: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
+// In development (localhost), we cannot use Secure: true (unless using https locally)
+// and SameSite: 'none' requires Secure: true.
+// So for dev: Secure: false, SameSite: 'lax' (default)
+// For prod: Secure: true, SameSite: 'none' (for cross-site if backend/frontend separated like Railway/Netlify)
+const cookieOptions = () => {
+    const isProduction = process.env.NODE_ENV === 'production';
+    return {
         httpOnly: true, // Cannot be accessed by JavaScript
         secure: isProduction, // True in prod, False in dev
         sameSite: isProduction ? 'none' : 'lax' // None in prod (cross-origin), Lax in dev
     };
+};
+
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+// The device a session was started from, shown in the active devices list
+export const clientInfo = (req) => ({
+    userAgent: req.headers['user-agent'] ? String(req.headers['user-agent']).slice(0, 500) : null,
+    ip: normalizeIp(req.ip)
+});
+
+export const signAccessToken = (user, sessionId) => jwt.sign(
+    { id: user.id, email: user.email, role: user.role || 'student', sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Set both cookies and answer with the access token and the user
+export const sendSessionResponse = (user, { sessionId, refreshToken, expiresAt }, statusCode, res) => {
+    const token = signAccessToken(user, sessionId);
+    const options = cookieOptions();
 
     res
         .status(statusCode)
-        .cookie('token', token, options)
+        // The cookie outlives the JWT; an expired JWT is answered with 401 and the client refreshes
+        .cookie('token', token, { ...options, expires: expiresAt })
+        .cookie(REFRESH_COOKIE, refreshToken, { ...options, expires: expiresAt, path: REFRESH_COOKIE_PATH })
         .json({
             success: true,
             token, // Send token in body for mobile/Safari support
@@ -80,7 +151,21 @@ export const sendTokenResponse = (user, statusCode, res) => {
                 id: user.id,
                 email: user.email,
                 full_name: user.full_name,
-                password_changed: user.password_changed || false
+                role: user.role || 'student',
+                password_changed: user.password_changed || false,
+                email_verified: user.email_verified !== false
             }
         });
 };
+
+// Start a new session (login, register, activation) and send the tokens
+export const sendTokenResponse = async (user, statusCode, req, res) => {
+    const session = await createSession(user.id, clientInfo(req));
+    sendSessionResponse(user, { sessionId: session.session.id, ...session }, statusCode, res);
+};
+
+export const clearAuthCookies = (res) => {
+    const options = cookieOptions();
+    res.clearCookie('token', options);
+    res.clearCookie(REFRESH_COOKIE, { ...options, path: REFRESH_COOKIE_PATH });
+};
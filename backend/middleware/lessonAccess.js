@@ -0,0 +1,47 @@
+import { query } from '../config/database.js';
+import { getAccessPolicy, lockedLessonResponse } from '../services/entitlements.js';
+import { getUnlockPolicy, lockedSequenceResponse } from '../services/lessonUnlocks.js';
+
+// Block /api/lessons/:dayNumber/* for lessons the user has not bought (402/403)
+// or not unlocked yet (403 LESSON_LOCKED, previous lesson not completed).
+// Use after protect. Unknown or unpublished days fall through to the controller.
+export const requireLessonAccess = async (req, res, next) => {
+    try {
+        const dayNumber = parseInt(req.params.dayNumber);
+
+        const result = await query(
+            'SELECT day_number, level FROM lessons WHERE day_number = $1 AND is_published = true',
+            [dayNumber]
+        );
+
+        if (result.rows.length === 0) {
+            return next();
+        }
+
+        const lesson = { day: result.rows[0].day_number, level: result.rows[0].level || 'A1' };
+        const policy = await getAccessPolicy(req.user);
+        const access = policy.check(lesson);
+
+        if (!access.allowed) {
+            const { status, body } = lockedLessonResponse(access, lesson);
+            return res.status(status).json(body);
+        }
+
+        const unlock = (await getUnlockPolicy(req.user)).check(lesson.day);
+
+        if (!unlock.unlocked) {
+            const { status, body } = lockedSequenceResponse(unlock, lesson.day);
+            return res.status(status).json(body);
+        }
+
+        req.lessonAccess = access;
+        req.lessonUnlock = unlock;
+        next();
+    } catch (error) {
+        console.error('Lesson access error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Server error checking lesson access'
+        });
+    }
+};
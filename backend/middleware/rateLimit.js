@@ -0,0 +1,53 @@
+import { getRateLimitStore } from '../services/rateLimit/index.js';
+
+// Fixed-window rate limits, counted per key (IP, email, user, ...).
+// Counters live in the store picked by RATE_LIMIT_STORE (see services/rateLimit).
+//
+// router.post('/forgot-password', rateLimit({
+//     name: 'forgot-password',
+//     windowMs: 60 * 60 * 1000,
+//     max: 5,
+//     keys: (req) => [`ip:${req.ip}`, emailKey(req.body.email)]
+// }), forgotPassword);
+
+const DEFAULT_MESSAGE = 'محاولات كثيرة. حاول مرة أخرى بعد قليل.';
+
+// 429 with the standard Retry-After header (seconds); the body repeats it for the UI
+export const sendTooManyRequests = (res, { retryAfter, code = 'RATE_LIMITED', message = DEFAULT_MESSAGE }) => {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        success: false,
+        code,
+        message,
+        retryAfter
+    });
+};
+
+// Seconds until a timestamp, at least 1
+export const secondsUntil = (timestamp) => Math.max(1, Math.ceil((timestamp - Date.now()) / 1000));
+
+export const rateLimit = ({ name, windowMs, max, keys, message = DEFAULT_MESSAGE }) => async (req, res, next) => {
+    try {
+        const store = getRateLimitStore();
+        const counters = await Promise.all(
+            keys(req).filter(Boolean).map(key => store.increment(`${name}:${key}`, windowMs))
+        );
+        const limited = counters.filter(counter => counter.count > max);
+
+        if (limited.length === 0) return next();
+
+        console.log(`🚦 Rate limit ${name} hit for ${req.ip}`);
+
+        return sendTooManyRequests(res, {
+            retryAfter: secondsUntil(Math.max(...limited.map(counter => counter.resetAt))),
+            message
+        });
+    } catch (error) {
+        // A broken store must not take the login page down with it
+        console.error(`❌ Rate limit ${name} store error:`, error.message);
+        next();
+    }
+};
+
+// Emails are compared case-insensitively when counting
+export const emailKey = (email) => (typeof email === 'string' && email.trim() ? `email:${email.trim().toLowerCase()}` : null);
@@ -0,0 +1,42 @@
+import { checkSchema, validationResult } from 'express-validator';
+
+// Declarative request validation with express-validator schemas (see validators/).
+// Fields are read from the body unless the schema says otherwise (in: ['params'], ...).
+// Sanitizers in a schema (trim, toInt, ...) rewrite req in place, so controllers get clean values.
+//
+// router.post('/login', validate(loginSchema), login);
+//
+// Every failure is answered the same way:
+// 422 { success: false, code: 'VALIDATION_FAILED', message, errors: [{ field, location, message }] }
+
+const DEFAULT_MESSAGE = 'البيانات المرسلة غير صالحة.';
+
+export const sendValidationErrors = (res, errors) => res.status(422).json({
+    success: false,
+    code: 'VALIDATION_FAILED',
+    // The first problem, so clients that only show `message` still say something useful
+    message: errors[0]?.message || DEFAULT_MESSAGE,
+    errors
+});
+
+export const validate = (schema) => {
+    const chains = checkSchema(schema, ['body']);
+
+    return async (req, res, next) => {
+        // One field after the other, so errors come out in schema order
+        for (const chain of chains) {
+            await chain.run(req);
+        }
+
+        const result = validationResult(req);
+        if (result.isEmpty()) return next();
+
+        const errors = result.array({ onlyFirstError: true }).map(error => ({
+            field: error.path,
+            location: error.location,
+            message: error.msg === 'Invalid value' ? DEFAULT_MESSAGE : error.msg
+        }));
+
+        return sendValidationErrors(res, errors);
+    };
+};
@@ -0,0 +1,87 @@
+import express from 'express';
+import {
+    listLessons,
+    getLesson,
+    createLesson,
+    updateLesson,
+    reorderLessons,
+    publishLesson,
+    unpublishLesson,
+    importLessons,
+    exportLessons
+} from '../controllers/adminLessonController.js';
+import { updateUserRole, unlockLessons } from '../controllers/adminUserController.js';
+import { listWebhooks, getWebhook, replayWebhook } from '../controllers/adminWebhookController.js';
+import {
+    getUserAccess,
+    grantEntitlement,
+    revokeEntitlement,
+    restoreEntitlement,
+    enableUser
+} from '../controllers/adminEntitlementController.js';
+import {
+    listDenials,
+    getAllowlist,
+    addAllowlistEntry,
+    removeAllowlistEntry
+} from '../controllers/adminRegistrationController.js';
+import {
+    listItems,
+    createItem,
+    updateItem,
+    retireItem,
+    allowRetake
+} from '../controllers/adminPlacementController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { lessonDaySchema } from '../validators/lessons.js';
+import { placementItemSchema, updatePlacementItemSchema, placementItemIdSchema } from '../validators/placement.js';
+
+const router = express.Router();
+
+// Teachers may move a learner ahead too (sequential unlocking, services/lessonUnlocks.js)
+router.post('/users/:userId/unlock', protect, authorize('admin', 'teacher'), unlockLessons);
+
+// All other routes are admin only
+router.use(protect, authorize('admin'));
+
+// Lesson content management
+router.get('/lessons', listLessons);
+router.post('/lessons', createLesson);
+router.post('/lessons/reorder', reorderLessons); // Must be before :dayNumber routes
+router.get('/lessons/export', exportLessons);
+router.post('/lessons/import', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), importLessons);
+router.get('/lessons/:dayNumber', validate(lessonDaySchema), getLesson);
+router.put('/lessons/:dayNumber', validate(lessonDaySchema), updateLesson);
+router.post('/lessons/:dayNumber/publish', validate(lessonDaySchema), publishLesson);
+router.post('/lessons/:dayNumber/unpublish', validate(lessonDaySchema), unpublishLesson);
+
+// Users
+router.put('/users/:userId/role', updateUserRole);
+
+// Access overrides (refunds, support)
+router.get('/users/:userId/access', getUserAccess);
+router.post('/users/:userId/entitlements', grantEntitlement);
+router.post('/users/:userId/enable', enableUser);
+router.post('/entitlements/:id/revoke', revokeEntitlement);
+router.post('/entitlements/:id/restore', restoreEntitlement);
+
+// Registration abuse policy
+router.get('/registration/denials', listDenials);
+router.get('/registration/allowlist', getAllowlist);
+router.post('/registration/allowlist', addAllowlistEntry);
+router.delete('/registration/allowlist/:id', removeAllowlistEntry);
+
+// Placement test: question pool and retakes
+router.get('/placement/items', listItems);
+router.post('/placement/items', validate(placementItemSchema), createItem);
+router.put('/placement/items/:id', validate(updatePlacementItemSchema), updateItem);
+router.delete('/placement/items/:id', validate(placementItemIdSchema), retireItem);
+router.post('/users/:userId/placement/retake', allowRetake);
+
+// Webhook audit log
+router.get('/webhooks', listWebhooks);
+router.get('/webhooks/:id', getWebhook);
+router.post('/webhooks/:id/replay', replayWebhook);
+
+export default router;
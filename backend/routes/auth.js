@@ -1,18 +1,127 @@
 import express from 'express';
-import { register, login, getMe, logout, changePassword, acceptTerms, registerSecret } from '../controllers/authController.js';
-import { protect } from '../middleware/auth.js';
+import {
+    register,
+    login,
+    getMe,
+    logout,
+    changePassword,
+    acceptTerms,
+    registerSecret,
+    activate,
+    resendActivation,
+    forgotPassword,
+    resetPassword,
+    refresh,
+    logoutAll,
+    getSessions,
+    deleteSession,
+    verifyEmailAddress,
+    resendVerification
+} from '../controllers/authController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { rateLimit, emailKey } from '../middleware/rateLimit.js';
+import { validate } from '../middleware/validate.js';
+import {
+    registerSchema,
+    loginSchema,
+    registerSecretSchema,
+    emailOnlySchema,
+    activateSchema,
+    resetPasswordSchema,
+    verifyEmailSchema,
+    changePasswordSchema,
+    sessionIdSchema
+} from '../validators/auth.js';
 
 const router = express.Router();
 
+const HOUR_MS = 60 * 60 * 1000;
+
+// Reset and activation emails go to real inboxes - keep them rare
+const emailLinkLimit = rateLimit({
+    name: 'email-link',
+    windowMs: HOUR_MS,
+    max: parseInt(process.env.EMAIL_LINKS_MAX_PER_HOUR || '5'),
+    keys: (req) => [`ip:${req.ip}`, emailKey(req.body?.email)]
+});
+
+// Wrong passwords also lock the account for a while (services/loginThrottle.js);
+// this caps raw request volume per IP on top of that
+const loginLimit = rateLimit({
+    name: 'login',
+    windowMs: 15 * 60 * 1000,
+    max: parseInt(process.env.LOGIN_MAX_PER_15_MINUTES || '50'),
+    keys: (req) => [`ip:${req.ip}`]
+});
+
+const registerLimit = rateLimit({
+    name: 'register',
+    windowMs: HOUR_MS,
+    max: parseInt(process.env.REGISTER_MAX_PER_HOUR || '10'),
+    keys: (req) => [`ip:${req.ip}`]
+});
+
+// Admins too - a leaked admin token should not be able to mass-create accounts
+const registerSecretLimit = rateLimit({
+    name: 'register-secret',
+    windowMs: HOUR_MS,
+    max: 30,
+    keys: (req) => [`user:${req.user.id}`]
+});
+
+// Same budget as the other emailed links, counted per signed-in user
+const resendVerificationLimit = rateLimit({
+    name: 'verify-email',
+    windowMs: HOUR_MS,
+    max: parseInt(process.env.EMAIL_LINKS_MAX_PER_HOUR || '5'),
+    keys: (req) => [`user:${req.user.id}`]
+});
+
+// Verification tokens are long and random; this only stops brute-force guessing
+const verifyEmailLimit = rateLimit({
+    name: 'verify-email-token',
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    keys: (req) => [`ip:${req.ip}`]
+});
+
+const resetPasswordLimit = rateLimit({
+    name: 'reset-password',
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    keys: (req) => [`ip:${req.ip}`]
+});
+
+// Activation tokens are long and random; this only stops brute-force guessing
+const activateLimit = rateLimit({
+    name: 'activate',
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    keys: (req) => [`ip:${req.ip}`]
+});
+
 // Public routes
-router.post('/register', register);
-router.post('/register-secret', registerSecret);
-router.post('/login', login);
+router.post('/register', registerLimit, validate(registerSchema), register);
+router.post('/login', loginLimit, validate(loginSchema), login);
+router.post('/activate', activateLimit, validate(activateSchema), activate);
+router.post('/activate/resend', emailLinkLimit, validate(emailOnlySchema), resendActivation);
+router.post('/forgot-password', emailLinkLimit, validate(emailOnlySchema), forgotPassword);
+router.post('/reset-password', resetPasswordLimit, validate(resetPasswordSchema), resetPassword);
+router.post('/verify-email', verifyEmailLimit, validate(verifyEmailSchema), verifyEmailAddress);
+// Use the refresh cookie, so they work after the access token expired
+router.post('/refresh', refresh);
+router.post('/logout', logout);
+
+// Admin only - creates an account with a generated password
+router.post('/register-secret', protect, authorize('admin'), registerSecretLimit, validate(registerSecretSchema), registerSecret);
 
 // Protected routes
 router.get('/me', protect, getMe);
-router.post('/logout', protect, logout);
-router.put('/change-password', protect, changePassword);
+router.post('/logout-all', protect, logoutAll);
+router.post('/verify-email/resend', protect, resendVerificationLimit, resendVerification);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', protect, validate(sessionIdSchema), deleteSession);
+router.put('/change-password', protect, validate(changePasswordSchema), changePassword);
 router.put('/accept-terms', protect, acceptTerms);
 
 export default router;
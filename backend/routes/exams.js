@@ -0,0 +1,21 @@
+import express from 'express';
+import { getStatus, start, submit, downloadCertificate } from '../controllers/levelExamController.js';
+import { protect } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import {
+    startLevelExamSchema,
+    submitLevelExamSchema,
+    certificateCodeSchema
+} from '../validators/levelExams.js';
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+router.get('/', getStatus);
+router.get('/certificates/:code/pdf', validate(certificateCodeSchema), downloadCertificate);
+router.post('/:level/start', validate(startLevelExamSchema), start);
+router.post('/:level/submit', validate(submitLevelExamSchema), submit);
+
+export default router;
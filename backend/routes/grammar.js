@@ -0,0 +1,12 @@
+import express from 'express';
+import { checkText } from '../controllers/grammarController.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+router.post('/check', checkText);
+
+export default router;
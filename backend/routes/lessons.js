@@ -1,7 +1,16 @@
 import express from 'express';
-import { getLessonByDay, completeLesson, saveLessonProgress, getGameVocabulary, getAvailableLessons, getLessonsBatch } from '../controllers/lessonController.js';
+import { getLessonByDay, completeLesson, submitQuiz, retryQuiz, saveLessonProgress, getGameVocabulary, getAvailableLessons, getLessonsBatch } from '../controllers/lessonController.js';
 import { getBulkInitialData } from '../controllers/bulkDataController.js';
 import { protect } from '../middleware/auth.js';
+import { requireLessonAccess } from '../middleware/lessonAccess.js';
+import { validate } from '../middleware/validate.js';
+import {
+    lessonDaySchema,
+    lessonsBatchSchema,
+    submitQuizSchema,
+    saveProgressSchema,
+    completeLessonSchema
+} from '../validators/lessons.js';
 
 const router = express.Router();
 
@@ -11,11 +20,15 @@ router.use(protect);
 // Bulk data endpoint (must be before :dayNumber route)
 router.get('/bulk/initial-data', getBulkInitialData);
 
-router.post('/batch', getLessonsBatch);
+router.post('/batch', validate(lessonsBatchSchema), getLessonsBatch);
 router.get('/available', getAvailableLessons); // Get all available lessons
 router.get('/vocabulary/game', getGameVocabulary); // Specific route first
-router.get('/:dayNumber', getLessonByDay);
-router.post('/:dayNumber/complete', completeLesson);
-router.post('/:dayNumber/save', saveLessonProgress);
+
+// Single lesson routes: 422 for a bad day number, 402/403 for lessons the user has not bought
+router.get('/:dayNumber', validate(lessonDaySchema), requireLessonAccess, getLessonByDay);
+router.post('/:dayNumber/submit', validate(submitQuizSchema), requireLessonAccess, submitQuiz);
+router.post('/:dayNumber/quiz/retry', validate(lessonDaySchema), requireLessonAccess, retryQuiz);
+router.post('/:dayNumber/complete', validate(completeLessonSchema), requireLessonAccess, completeLesson);
+router.post('/:dayNumber/save', validate(saveProgressSchema), requireLessonAccess, saveLessonProgress);
 
 export default router;
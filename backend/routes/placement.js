@@ -0,0 +1,17 @@
+import express from 'express';
+import { getStatus, start, answer, skip } from '../controllers/placementController.js';
+import { protect } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { placementAnswerSchema } from '../validators/placement.js';
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+router.get('/', getStatus);
+router.post('/start', start);
+router.post('/answer', validate(placementAnswerSchema), answer);
+router.post('/skip', skip);
+
+export default router;
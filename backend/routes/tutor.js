@@ -0,0 +1,16 @@
+import express from 'express';
+import { getScenarios, chatWithTutor, getSessions, getSession, getMistakes } from '../controllers/tutorController.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+router.get('/scenarios', getScenarios);
+router.post('/chat', chatWithTutor);
+router.get('/sessions', getSessions);
+router.get('/sessions/:sessionId', getSession);
+router.get('/mistakes', getMistakes);
+
+export default router;
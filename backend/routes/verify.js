@@ -0,0 +1,20 @@
+import express from 'express';
+import { verify } from '../controllers/levelExamController.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { validate } from '../middleware/validate.js';
+import { certificateCodeSchema } from '../validators/levelExams.js';
+
+const router = express.Router();
+
+// Public: employers and schools check the code printed on a certificate.
+// Limited per IP so codes cannot be guessed by trying them all
+const verifyLimit = rateLimit({
+    name: 'certificate-verify',
+    windowMs: 15 * 60 * 1000,
+    max: parseInt(process.env.CERTIFICATE_VERIFY_MAX_PER_15_MINUTES || '60'),
+    keys: (req) => [`ip:${req.ip}`]
+});
+
+router.get('/:code', verifyLimit, validate(certificateCodeSchema), verify);
+
+export default router;
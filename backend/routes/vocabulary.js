@@ -0,0 +1,13 @@
+import express from 'express';
+import { getDueCards, recordReview } from '../controllers/vocabularyController.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+router.get('/due', getDueCards);
+router.post('/review', recordReview);
+
+export default router;
@@ -1,9 +1,11 @@
 import express from 'express';
 import { sallaOrderWebhook, verifySallaWebhook } from '../controllers/webhookController.js';
+import { validate } from '../middleware/validate.js';
+import { sallaWebhookSchema } from '../validators/webhook.js';
 
 const router = express.Router();
 
-// Salla webhook endpoint
-router.post('/salla/order', verifySallaWebhook, sallaOrderWebhook);
+// Salla webhook endpoint (signature first, so unsigned junk is never even parsed further)
+router.post('/salla/order', verifySallaWebhook, validate(sallaWebhookSchema), sallaOrderWebhook);
 
 export default router;
@@ -0,0 +1,33 @@
+// Export every lesson to a versioned JSON bundle.
+// Usage:
+//   npm run export:lessons -- content/lessons.json
+//
+// The file can be committed to git and imported elsewhere with npm run import:lessons.
+
+import fs from 'fs';
+import path from 'path';
+import pool from '../config/database.js';
+import { exportLessonBundle } from '../services/lessonBundle.js';
+
+const file = process.argv[2];
+
+if (!file) {
+    console.error('Usage: node scripts/exportLessons.js <output.json>');
+    process.exit(1);
+}
+
+const main = async () => {
+    const bundle = await exportLessonBundle();
+
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(bundle, null, 2)}\n`);
+
+    console.log(`✅ Exported ${bundle.lessons.length} lessons (bundle v${bundle.version}) to ${file}`);
+};
+
+main()
+    .catch(error => {
+        console.error('❌ Export failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
@@ -0,0 +1,77 @@
+// Import lesson vocabulary / quiz / flashcard rows from a CSV or JSON file,
+// or whole lessons from a bundle written by npm run export:lessons.
+// Usage:
+//   npm run import:lessons -- content/a2.csv --dry-run   (validate only, nothing is written)
+//   npm run import:lessons -- content/a2.csv             (write, only if every row is valid)
+//   npm run import:lessons -- content/lessons.json       (bundle: replaces the lessons it contains)
+//
+// Only the days in the file are touched. Rows replace just the lists they contain.
+
+import fs from 'fs';
+import path from 'path';
+import pool from '../config/database.js';
+import { parseImportContent, runImport } from '../services/lessonImport.js';
+import { importLessonBundle, isLessonBundle } from '../services/lessonBundle.js';
+
+const args = process.argv.slice(2);
+const file = args.find(arg => !arg.startsWith('--'));
+const dryRun = args.includes('--dry-run');
+
+if (!file) {
+    console.error('Usage: node scripts/importLessons.js <file.csv|file.json> [--dry-run]');
+    process.exit(1);
+}
+
+const format = path.extname(file).toLowerCase() === '.json' ? 'json' : 'csv';
+
+const printErrors = (errors) => errors.forEach(({ row, day_number, errors: messages }) => {
+    const where = row ? `Row ${row}` : `Day ${day_number}`;
+    messages.forEach(message => console.log(`❌ ${where}: ${message}`));
+});
+
+const importBundle = async (bundle) => {
+    console.log(`📦 Lesson bundle v${bundle.version} with ${bundle.lessons?.length ?? 0} lessons${dryRun ? ' (dry run)' : ''}`);
+    const report = await importLessonBundle(bundle, { dryRun });
+
+    printErrors(report.errors);
+    console.log(`   New: ${report.create.join(', ') || '-'}`);
+    console.log(`   Replaced: ${report.update.join(', ') || '-'}`);
+    return report;
+};
+
+const importRows = async (content) => {
+    const rows = await parseImportContent(content, format);
+    console.log(`📄 Read ${rows.length} rows from ${file}${dryRun ? ' (dry run)' : ''}`);
+
+    const report = await runImport(rows, { dryRun });
+
+    printErrors(report.errors);
+    report.days.forEach(({ day_number, ...counts }) => {
+        const lists = Object.entries(counts).map(([field, count]) => `${field}: ${count}`).join(', ');
+        console.log(`   Day ${day_number} (${report.create.includes(day_number) ? 'new' : 'update'}) - ${lists}`);
+    });
+    return report;
+};
+
+const main = async () => {
+    const content = fs.readFileSync(file, 'utf8');
+    const json = format === 'json' ? JSON.parse(content) : null;
+
+    const report = isLessonBundle(json) ? await importBundle(json) : await importRows(json ?? content);
+
+    if (report.applied) {
+        console.log(`✅ Imported: ${report.create.length} day(s) created, ${report.update.length} day(s) updated`);
+    } else if (report.errors.length > 0) {
+        console.log(`⚠️ ${report.errors.length} problem(s) found - nothing was written`);
+        process.exitCode = 1;
+    } else {
+        console.log('✅ Dry run passed - run again without --dry-run to import');
+    }
+};
+
+main()
+    .catch(error => {
+        console.error('❌ Import failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
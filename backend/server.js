@@ -7,13 +7,38 @@ import { fileURLToPath } from 'url';
 import authRoutes from './routes/auth.js';
 import webhookRoutes from './routes/webhook.js';
 import lessonRoutes from './routes/lessons.js';
+import vocabularyRoutes from './routes/vocabulary.js';
+import tutorRoutes from './routes/tutor.js';
+import grammarRoutes from './routes/grammar.js';
+import adminRoutes from './routes/admin.js';
+import placementRoutes from './routes/placement.js';
+import examRoutes from './routes/exams.js';
+import verifyRoutes from './routes/verify.js';
+import { parseTrustProxy } from './utils/ip.js';
+import { getNotifier } from './services/notifier/index.js';
 
 // Load env vars
 dotenv.config();
 
+// Fail at startup, not on the first activation email, when production has no way to deliver mail
+getNotifier();
+
 const app = express();
 
+// Which proxies may set X-Forwarded-For (and so req.ip). Off by default: behind a
+// platform proxy (Railway, Heroku, nginx) set TRUST_PROXY=1, or every client
+// shares the proxy's address for rate limits and the registration policy.
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Body parser
+// Lesson imports and bundles are larger than a normal request
+app.use('/api/admin/lessons', express.json({ limit: '10mb' }));
+// Webhook signatures are checked against the exact bytes received
+app.use('/api/webhook', express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -30,13 +55,21 @@ app.use(cookieParser());
 // Enable CORS with credentials
 app.use(cors({
     origin: process.env.FRONTEND_URL || 'http://localhost:5173',
-    credentials: true // Allow cookies to be sent
+    credentials: true, // Allow cookies to be sent
+    exposedHeaders: ['Retry-After'] // Read by the login page after a 429
 }));
 
 // Mount routers
 app.use('/api/auth', authRoutes);
 app.use('/api/webhook', webhookRoutes);
 app.use('/api/lessons', lessonRoutes);
+app.use('/api/vocabulary', vocabularyRoutes);
+app.use('/api/tutor', tutorRoutes);
+app.use('/api/grammar', grammarRoutes);
+app.use('/api/placement', placementRoutes);
+app.use('/api/exams', examRoutes);
+app.use('/api/verify', verifyRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check route
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,58 @@
+import bcrypt from 'bcryptjs';
+import { withTransaction } from '../config/database.js';
+import { createAuthToken, consumeAuthToken, TOKEN_PURPOSES } from './authTokens.js';
+import { getNotifier } from './notifier/index.js';
+import { activationMessage } from './notifier/messages.js';
+
+// Accounts created from a Salla order start without a password. The buyer gets
+// an emailed single-use link to /activate, where they choose one.
+
+const ACTIVATION_TTL_MS = parseInt(process.env.ACTIVATION_TOKEN_TTL_HOURS || '72') * 60 * 60 * 1000;
+
+// Issue a fresh activation link and deliver it. Earlier links stop working.
+// Delivery failures are logged and reported, not thrown - the account itself is fine
+// and a new link can be requested from /api/auth/activate/resend.
+export const sendActivation = async (user) => {
+    const { token, expiresAt } = await createAuthToken(user.id, TOKEN_PURPOSES.activation, ACTIVATION_TTL_MS);
+
+    try {
+        await getNotifier().send(activationMessage({
+            email: user.email,
+            fullName: user.full_name,
+            token,
+            expiresAt
+        }));
+        return { sent: true, expiresAt };
+    } catch (error) {
+        console.error(`❌ Could not send activation email to ${user.email}:`, error.message);
+        return { sent: false, expiresAt };
+    }
+};
+
+// Use the token and set the password (and record the terms, accepted on the activation page).
+// The link arrived by email, so the address counts as verified too.
+// Returns the user, or null for an invalid/expired/used token. A refund-disabled account is
+// activated too (the password is kept for when it is enabled again); the caller refuses the login.
+export const activateAccount = async (token, password, { termsAccepted = false } = {}) => {
+    const salt = await bcrypt.genSalt(10);
+    const password_hash = await bcrypt.hash(password, salt);
+
+    return withTransaction(async (client) => {
+        const userId = await consumeAuthToken(token, TOKEN_PURPOSES.activation, client);
+        if (!userId) return null;
+
+        const result = await client.query(
+            `UPDATE users
+       SET password_hash = $1, password_changed = true, last_login_at = NOW(), updated_at = NOW(),
+           terms_accepted_at = CASE WHEN $3 AND NOT COALESCE(terms_accepted, false) THEN NOW() ELSE terms_accepted_at END,
+           terms_accepted = COALESCE(terms_accepted, false) OR $3,
+           email_verified_at = CASE WHEN email_verified THEN email_verified_at ELSE NOW() END,
+           email_verified = true
+       WHERE id = $2
+       RETURNING id, email, full_name, role, password_changed, terms_accepted, email_verified, disabled_at`,
+            [password_hash, userId, termsAccepted === true]
+        );
+
+        return result.rows[0] || null;
+    });
+};
@@ -0,0 +1,23 @@
+import { query } from '../config/database.js';
+
+// Append-only record of changes to a user's access (refunds, admin overrides, ...)
+
+export const recordAudit = async ({ userId, actor, action, entitlementId = null, details = {} }, db = { query }) => {
+    await db.query(
+        `INSERT INTO audit_log (user_id, actor, action, entitlement_id, details)
+     VALUES ($1, $2, $3, $4, $5)`,
+        [userId, actor, action, entitlementId, JSON.stringify(details)]
+    );
+};
+
+export const getUserAuditLog = async (userId, { limit = 100 } = {}) => {
+    const result = await query(
+        `SELECT id, actor, action, entitlement_id, details, created_at
+     FROM audit_log
+     WHERE user_id = $1
+     ORDER BY created_at DESC
+     LIMIT $2`,
+        [userId, limit]
+    );
+    return result.rows;
+};
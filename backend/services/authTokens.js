@@ -0,0 +1,51 @@
+import crypto from 'crypto';
+import { query } from '../config/database.js';
+
+// Single-use, expiring tokens that are emailed to a user (account activation, password reset,
+// email verification).
+// The raw token only exists in the email; the database keeps its sha256.
+
+export const TOKEN_PURPOSES = {
+    activation: 'activation',
+    passwordReset: 'password_reset',
+    emailVerification: 'email_verification'
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Issue a new token for the user. Earlier unused tokens with the same purpose stop working.
+// Returns { token, expiresAt }
+export const createAuthToken = async (userId, purpose, ttlMs, db = { query }) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + ttlMs);
+
+    await db.query(
+        `UPDATE auth_tokens SET used_at = NOW()
+     WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+        [userId, purpose]
+    );
+
+    await db.query(
+        `INSERT INTO auth_tokens (user_id, purpose, token_hash, expires_at)
+     VALUES ($1, $2, $3, $4)`,
+        [userId, purpose, hashToken(token), expiresAt]
+    );
+
+    return { token, expiresAt };
+};
+
+// Mark the token used and return its user_id, or null when it is unknown, expired or already used.
+// A single UPDATE so two requests with the same token cannot both succeed.
+// Pass a transaction client as db to roll the token back if the caller fails afterwards.
+export const consumeAuthToken = async (token, purpose, db = { query }) => {
+    if (typeof token !== 'string' || token.length === 0) return null;
+
+    const result = await db.query(
+        `UPDATE auth_tokens SET used_at = NOW()
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING user_id`,
+        [hashToken(token), purpose]
+    );
+
+    return result.rows[0]?.user_id || null;
+};
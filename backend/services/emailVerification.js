@@ -0,0 +1,54 @@
+import { query, withTransaction } from '../config/database.js';
+import { createAuthToken, consumeAuthToken, TOKEN_PURPOSES } from './authTokens.js';
+import { getNotifier } from './notifier/index.js';
+import { emailVerificationMessage } from './notifier/messages.js';
+
+// Self-registered accounts start with email_verified = false and get an emailed
+// single-use link to /verify-email. Until then only the first lessons open
+// (UNVERIFIED_PREVIEW_DAYS, see services/entitlements.js).
+// Order-created accounts are verified by their activation link instead.
+
+const VERIFICATION_TTL_MS = parseInt(process.env.EMAIL_VERIFICATION_TOKEN_TTL_HOURS || '48') * 60 * 60 * 1000;
+
+// Issue a fresh verification link and deliver it. Earlier links stop working.
+// Delivery failures are logged and reported, not thrown - a new link can be
+// requested from /api/auth/verify-email/resend.
+export const sendEmailVerification = async (user) => {
+    const { token, expiresAt } = await createAuthToken(user.id, TOKEN_PURPOSES.emailVerification, VERIFICATION_TTL_MS);
+
+    try {
+        await getNotifier().send(emailVerificationMessage({
+            email: user.email,
+            fullName: user.full_name,
+            token,
+            expiresAt
+        }));
+        return { sent: true, expiresAt };
+    } catch (error) {
+        console.error(`❌ Could not send verification email to ${user.email}:`, error.message);
+        return { sent: false, expiresAt };
+    }
+};
+
+// Use the token and mark the address verified.
+// Returns the user, or null for an invalid/expired/used token.
+export const verifyEmail = async (token) => withTransaction(async (client) => {
+    const userId = await consumeAuthToken(token, TOKEN_PURPOSES.emailVerification, client);
+    if (!userId) return null;
+
+    const result = await client.query(
+        `UPDATE users
+     SET email_verified_at = CASE WHEN email_verified THEN email_verified_at ELSE NOW() END,
+         email_verified = true, updated_at = NOW()
+     WHERE id = $1
+     RETURNING id, email, full_name, email_verified`,
+        [userId]
+    );
+
+    return result.rows[0] || null;
+});
+
+export const isEmailVerified = async (userId) => {
+    const result = await query('SELECT email_verified FROM users WHERE id = $1', [userId]);
+    return result.rows[0]?.email_verified !== false;
+};
@@ -0,0 +1,281 @@
+import { query, withTransaction } from '../config/database.js';
+import { PLANS, DEFAULT_PLAN, FREE_PREVIEW_DAYS, UNVERIFIED_PREVIEW_DAYS, PURCHASE_URL, planForProduct } from '../config/plans.js';
+import { recordAudit } from './auditLog.js';
+import { isEmailVerified } from './emailVerification.js';
+
+// Which lessons a user may open. Access comes from (in order):
+//   staff role    admins and teachers see everything
+//   unverified    an unconfirmed email stops at day UNVERIFIED_PREVIEW_DAYS, whatever else applies
+//   free preview  days 1..FREE_PREVIEW_DAYS
+//   entitlement   an active row in entitlements covering the lesson's level or day,
+//                 or a revoked one (refund / cancellation) that is still in its grace period
+//
+// A lesson that is not covered gets a 402 (never bought) or a 403 (bought, but
+// the entitlement expired or was revoked, or the email is not verified yet).
+
+export const STAFF_ROLES = ['admin', 'teacher'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const covers = (entitlement, lesson) =>
+    (entitlement.levels || []).includes(lesson.level) ||
+    (entitlement.day_from !== null && entitlement.day_from !== undefined &&
+        lesson.day >= entitlement.day_from && lesson.day <= (entitlement.day_to ?? entitlement.day_from));
+
+const inGracePeriod = (entitlement, now) =>
+    entitlement.status === 'revoked' && Boolean(entitlement.grace_until) && new Date(entitlement.grace_until) > now;
+
+const isCurrent = (entitlement, now) =>
+    (entitlement.status === 'active' || inGracePeriod(entitlement, now)) &&
+    new Date(entitlement.starts_at) <= now &&
+    (!entitlement.expires_at || new Date(entitlement.expires_at) > now);
+
+export const getUserEntitlements = async (userId) => {
+    const result = await query(
+        `SELECT id, source, order_id, plan, levels, day_from, day_to, status, starts_at, expires_at,
+            grace_until, revoked_at, revoke_reason, admin_override
+     FROM entitlements
+     WHERE user_id = $1
+     ORDER BY starts_at ASC`,
+        [userId]
+    );
+    return result.rows;
+};
+
+// Pure access check, so one policy can be applied to many lessons.
+// check({ day, level }) -> { allowed: true, reason: 'staff' | 'free' | 'entitled' | 'grace', graceUntil? }
+//                        | { allowed: false, reason: 'purchase_required' | 'expired' | 'revoked' | 'email_unverified', expiredAt? }
+// user.email_verified === false applies the unverified limit.
+export const buildAccessPolicy = (user, entitlements, now = new Date()) => {
+    const isStaff = STAFF_ROLES.includes(user?.role);
+    const unverified = user?.email_verified === false;
+
+    return {
+        check: (lesson) => {
+            if (isStaff) return { allowed: true, reason: 'staff' };
+            if (unverified && lesson.day > UNVERIFIED_PREVIEW_DAYS) return { allowed: false, reason: 'email_unverified' };
+            if (lesson.day <= FREE_PREVIEW_DAYS) return { allowed: true, reason: 'free' };
+
+            const matching = entitlements.filter(entitlement => covers(entitlement, lesson));
+            const current = matching.filter(entitlement => isCurrent(entitlement, now));
+
+            if (current.some(entitlement => entitlement.status === 'active')) {
+                return { allowed: true, reason: 'entitled' };
+            }
+
+            if (current.length > 0) {
+                const graceUntil = current.map(entitlement => entitlement.grace_until).sort((a, b) => new Date(b) - new Date(a))[0];
+                return { allowed: true, reason: 'grace', graceUntil };
+            }
+
+            if (matching.some(entitlement => entitlement.status === 'revoked')) {
+                return { allowed: false, reason: 'revoked' };
+            }
+
+            if (matching.length > 0) {
+                const lastExpiry = matching
+                    .map(entitlement => entitlement.expires_at)
+                    .filter(Boolean)
+                    .sort((a, b) => new Date(b) - new Date(a))[0];
+                return { allowed: false, reason: 'expired', expiredAt: lastExpiry || null };
+            }
+
+            return { allowed: false, reason: 'purchase_required' };
+        }
+    };
+};
+
+export const getAccessPolicy = async (user) => {
+    const [entitlements, emailVerified] = await Promise.all([getUserEntitlements(user.id), isEmailVerified(user.id)]);
+    return buildAccessPolicy({ ...user, email_verified: emailVerified }, entitlements);
+};
+
+// Response for a lesson the user cannot open: { status, body }
+const LOCKED_RESPONSES = {
+    purchase_required: {
+        status: 402,
+        code: 'PURCHASE_REQUIRED',
+        message: (lesson) => `هذا الدرس ضمن مستوى ${lesson.level} المدفوع. اشترك لفتحه.`
+    },
+    expired: {
+        status: 403,
+        code: 'ACCESS_EXPIRED',
+        message: () => 'انتهى اشتراكك في هذا المستوى. جدّد الاشتراك لمتابعة الدروس.'
+    },
+    revoked: {
+        status: 403,
+        code: 'ACCESS_REVOKED',
+        message: () => 'تم إيقاف اشتراكك بعد استرداد الطلب أو إلغائه. تواصل مع الدعم إذا كان هذا خطأ.'
+    },
+    email_unverified: {
+        status: 403,
+        code: 'EMAIL_NOT_VERIFIED',
+        message: () => 'أكّد بريدك الإلكتروني لفتح باقي الدروس. أرسلنا لك رابط التأكيد عند التسجيل.'
+    }
+};
+
+export const lockedLessonResponse = (access, lesson) => {
+    const locked = LOCKED_RESPONSES[access.reason] || LOCKED_RESPONSES.purchase_required;
+
+    return {
+        status: locked.status,
+        body: {
+            success: false,
+            code: locked.code,
+            message: locked.message(lesson),
+            day: lesson.day,
+            level: lesson.level,
+            expiredAt: access.expiredAt || null,
+            purchaseUrl: PURCHASE_URL
+        }
+    };
+};
+
+// Plan keys bought in a Salla order (one per distinct plan; an order without items gets the default plan)
+export const plansForOrder = (order) => {
+    const items = Array.isArray(order?.items) ? order.items : [];
+    const keys = items.map(item => planForProduct({
+        productId: String(item.product?.id ?? item.product_id ?? ''),
+        sku: item.sku ?? item.product?.sku
+    }));
+
+    const plans = [...new Set(keys.filter(Boolean))];
+    return plans.length > 0 ? plans : [DEFAULT_PLAN].filter(key => PLANS[key]);
+};
+
+// Grant one plan. Granting the same plan for the same order twice is a no-op.
+// Returns the new entitlement, or null when it already existed.
+export const grantPlan = async ({ userId, plan, source, orderId = null, startsAt = new Date() }, db = { query }) => {
+    const definition = PLANS[plan];
+    if (!definition) throw new Error(`Unknown plan "${plan}"`);
+
+    const start = new Date(startsAt);
+    const expiresAt = definition.durationDays ? new Date(start.getTime() + definition.durationDays * DAY_MS) : null;
+
+    const result = await db.query(
+        `INSERT INTO entitlements (user_id, source, order_id, plan, levels, day_from, day_to, starts_at, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     ON CONFLICT (source, order_id, plan) DO NOTHING
+     RETURNING *`,
+        [
+            userId,
+            source,
+            orderId,
+            plan,
+            definition.levels || [],
+            definition.days?.from ?? null,
+            definition.days?.to ?? null,
+            start,
+            expiresAt
+        ]
+    );
+
+    return result.rows[0] || null;
+};
+
+// Entitlements for a paid Salla order. Returns the plan keys granted.
+export const grantOrderEntitlements = async (userId, order) => {
+    const plans = plansForOrder(order);
+    const orderDate = order?.date?.date ? new Date(order.date.date) : new Date();
+    const startsAt = Number.isNaN(orderDate.getTime()) ? new Date() : orderDate;
+
+    for (const plan of plans) {
+        await grantPlan({ userId, plan, source: 'salla', orderId: order?.id != null ? String(order.id) : null, startsAt });
+    }
+
+    return plans;
+};
+
+// Revoke every entitlement bought with a Salla order (refund / cancellation).
+// Access continues until now + graceMs. Rows an admin overrode, and rows already
+// revoked, are left alone - so repeated refund events change nothing.
+// Returns the revoked rows.
+export const revokeOrderEntitlements = async (orderId, { reason, graceMs, actor }) => withTransaction(async (client) => {
+    const graceUntil = new Date(Date.now() + graceMs);
+
+    const result = await client.query(
+        `UPDATE entitlements
+     SET status = 'revoked', revoked_at = NOW(), grace_until = $2, revoke_reason = $3, updated_at = NOW()
+     WHERE source = 'salla' AND order_id = $1 AND status = 'active' AND admin_override = false
+     RETURNING *`,
+        [String(orderId), graceUntil, reason]
+    );
+
+    for (const entitlement of result.rows) {
+        await recordAudit({
+            userId: entitlement.user_id,
+            actor,
+            action: 'entitlement.revoked',
+            entitlementId: entitlement.id,
+            details: { order_id: entitlement.order_id, plan: entitlement.plan, reason, grace_until: graceUntil }
+        }, client);
+    }
+
+    return result.rows;
+});
+
+// Does the user still own a plan that is not revoked or expired?
+export const hasActiveEntitlement = async (userId) => {
+    const result = await query(
+        `SELECT 1 FROM entitlements
+     WHERE user_id = $1 AND status = 'active' AND (expires_at IS NULL OR expires_at > NOW())
+     LIMIT 1`,
+        [userId]
+    );
+    return result.rows.length > 0;
+};
+
+// Admin override: change one entitlement by hand. The row is flagged admin_override
+// so later refund webhooks do not undo the decision.
+//   status 'active'  -> restore access now
+//   status 'revoked' -> revoke, with access until now + graceMs (0 = immediately)
+// Returns the updated row, or null when it does not exist.
+export const overrideEntitlement = async (id, { status, graceMs = 0, actor, note = null }) => withTransaction(async (client) => {
+    const result = status === 'active'
+        ? await client.query(
+            `UPDATE entitlements
+         SET status = 'active', grace_until = NULL, revoked_at = NULL, revoke_reason = NULL,
+             admin_override = true, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+            [id]
+        )
+        : await client.query(
+            `UPDATE entitlements
+         SET status = 'revoked', revoked_at = NOW(), grace_until = $2, revoke_reason = 'admin',
+             admin_override = true, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+            [id, new Date(Date.now() + graceMs)]
+        );
+
+    const entitlement = result.rows[0];
+    if (!entitlement) return null;
+
+    await recordAudit({
+        userId: entitlement.user_id,
+        actor,
+        action: status === 'active' ? 'entitlement.restored' : 'entitlement.revoked',
+        entitlementId: entitlement.id,
+        details: { plan: entitlement.plan, order_id: entitlement.order_id, note, grace_until: entitlement.grace_until }
+    }, client);
+
+    return entitlement;
+});
+
+// Admin override: lift a refund-triggered account disable.
+// Returns the user, or null when it does not exist.
+export const enableAccount = async (userId, { actor, note = null }) => withTransaction(async (client) => {
+    const result = await client.query(
+        `UPDATE users SET disabled_at = NULL, disabled_reason = NULL, updated_at = NOW()
+     WHERE id = $1
+     RETURNING id, email, full_name`,
+        [userId]
+    );
+
+    const user = result.rows[0];
+    if (!user) return null;
+
+    await recordAudit({ userId, actor, action: 'account.enabled', details: { note } }, client);
+    return user;
+});
@@ -0,0 +1,123 @@
+import { query, withTransaction } from '../config/database.js';
+import { validateLesson } from '../utils/lessonValidation.js';
+
+// Portable lesson bundle: every lesson with its metadata and JSONB lists.
+// Used to back up content, keep it in git and promote it between environments.
+//
+// {
+//   "bundle": "lessons",
+//   "version": 1,
+//   "lessons": [{ "day_number": 1, "level": "A1", "title": "...", ..., "is_published": true }]
+// }
+//
+// No timestamps or ids are written so exporting the same content twice gives the same file.
+
+export const BUNDLE_TYPE = 'lessons';
+export const BUNDLE_VERSION = 1;
+
+// Exported columns, in the order they appear in the file
+const BUNDLE_COLUMNS = [
+    'day_number', 'level', 'title', 'description', 'grammar_topic', 'grammar_content',
+    'reading_text', 'video_url', 'image_url', 'vocabulary_list', 'quiz_list', 'flashcards_list', 'quiz_size', 'is_published'
+];
+const JSONB_COLUMNS = ['vocabulary_list', 'quiz_list', 'flashcards_list'];
+
+export const isLessonBundle = (data) => Boolean(data && typeof data === 'object' && data.bundle === BUNDLE_TYPE);
+
+export const exportLessonBundle = async () => {
+    const result = await query(
+        `SELECT ${BUNDLE_COLUMNS.join(', ')} FROM lessons ORDER BY day_number ASC`
+    );
+
+    return {
+        bundle: BUNDLE_TYPE,
+        version: BUNDLE_VERSION,
+        lessons: result.rows.map(row => Object.fromEntries(
+            BUNDLE_COLUMNS.map(column => [column, row[column] ?? (JSONB_COLUMNS.includes(column) ? [] : null)])
+        ))
+    };
+};
+
+// Check the bundle header and every lesson. Returns { errors: [{ day_number, errors }], lessons }
+export const validateLessonBundle = (bundle) => {
+    if (!isLessonBundle(bundle)) {
+        return { errors: [{ day_number: null, errors: [`Not a lesson bundle ("bundle": "${BUNDLE_TYPE}" is missing)`] }], lessons: [] };
+    }
+
+    if (!Number.isInteger(bundle.version) || bundle.version > BUNDLE_VERSION) {
+        return { errors: [{ day_number: null, errors: [`Unsupported bundle version ${bundle.version} (this server reads up to ${BUNDLE_VERSION})`] }], lessons: [] };
+    }
+
+    if (!Array.isArray(bundle.lessons)) {
+        return { errors: [{ day_number: null, errors: ['lessons must be an array'] }], lessons: [] };
+    }
+
+    const errors = [];
+    const lessons = [];
+    const seenDays = new Set();
+
+    bundle.lessons.forEach((item, index) => {
+        const { errors: lessonErrors, lesson } = validateLesson(item);
+        const dayNumber = item?.day_number ?? `#${index + 1}`;
+
+        if (lesson.day_number !== undefined && seenDays.has(lesson.day_number)) {
+            lessonErrors.push('day_number appears more than once in the bundle');
+        }
+        seenDays.add(lesson.day_number);
+
+        if (lessonErrors.length > 0) {
+            errors.push({ day_number: dayNumber, errors: lessonErrors });
+        } else {
+            lessons.push({ ...lesson, is_published: lesson.is_published === true });
+        }
+    });
+
+    return { errors, lessons };
+};
+
+// Create or fully replace every lesson in the bundle, matched by day_number.
+// Lessons that are not in the bundle are left alone.
+export const importLessonBundle = async (bundle, { dryRun = false } = {}) => {
+    const { errors, lessons } = validateLessonBundle(bundle);
+    const dayNumbers = lessons.map(lesson => lesson.day_number);
+
+    const existing = await query(
+        'SELECT day_number FROM lessons WHERE day_number = ANY($1::int[])',
+        [dayNumbers]
+    );
+    const existingDays = new Set(existing.rows.map(row => row.day_number));
+
+    const report = {
+        dryRun,
+        version: bundle?.version ?? null,
+        totalLessons: Array.isArray(bundle?.lessons) ? bundle.lessons.length : 0,
+        errors,
+        create: dayNumbers.filter(day => !existingDays.has(day)),
+        update: dayNumbers.filter(day => existingDays.has(day))
+    };
+
+    if (dryRun || errors.length > 0) {
+        return { ...report, applied: false };
+    }
+
+    const columns = BUNDLE_COLUMNS;
+    const updates = columns.filter(column => column !== 'day_number').map(column => `${column} = EXCLUDED.${column}`);
+
+    await withTransaction(async (client) => {
+        for (const lesson of lessons) {
+            await client.query(
+                `INSERT INTO lessons (${columns.join(', ')}, published_at)
+           VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}, CASE WHEN $${columns.length} THEN NOW() END)
+           ON CONFLICT (day_number) DO UPDATE SET
+             ${updates.join(',\n             ')},
+             published_at = CASE WHEN EXCLUDED.is_published THEN COALESCE(lessons.published_at, NOW()) ELSE lessons.published_at END,
+             updated_at = NOW()`,
+                columns.map(column => JSONB_COLUMNS.includes(column)
+                    ? JSON.stringify(lesson[column] || [])
+                    : (lesson[column] ?? null))
+            );
+        }
+    });
+
+    return { ...report, applied: true };
+};
@@ -0,0 +1,244 @@
+import { Readable } from 'stream';
+import csv from 'csv-parser';
+import { query, withTransaction } from '../config/database.js';
+import { validateListItem, isValidDayNumber, DAY_NUMBER_MESSAGE, LESSON_LEVELS } from '../utils/lessonValidation.js';
+
+// Bulk import of lesson content from the content team's spreadsheets.
+//
+// One row per item, keyed by day_number:
+//   day_number, type, word, translation, example, question, options, correct_answer, explanation,
+//   difficulty, front, back, title, level
+// type is vocabulary | quiz | flashcard. In CSV, quiz options are separated with "|".
+// title/level are only needed once per day, and only for days that have no lesson yet.
+//
+// Import replaces the imported lists of the imported days. Everything else
+// (other lists of the same day, other days, publishing state) is left alone.
+
+const ROW_TYPES = {
+    vocabulary: 'vocabulary_list',
+    quiz: 'quiz_list',
+    flashcard: 'flashcards_list'
+};
+
+const LIST_FIELDS = Object.values(ROW_TYPES);
+
+// Spreadsheets leave empty cells as '' - treat them as missing
+const cell = (row, key) => {
+    const value = row[key];
+    if (value === undefined || value === null) return undefined;
+    if (typeof value === 'string') {
+        const trimmed = value.trim();
+        return trimmed === '' ? undefined : trimmed;
+    }
+    return value;
+};
+
+const parseOptions = (value) => {
+    if (value === undefined) return undefined;
+    if (Array.isArray(value)) return value;
+    return String(value).split('|').map(option => option.trim()).filter(Boolean);
+};
+
+// Row -> list item in the shape stored in the lessons JSONB columns
+const ROW_TO_ITEM = {
+    vocabulary_list: (row) => ({
+        word: cell(row, 'word'),
+        translation: cell(row, 'translation'),
+        example: cell(row, 'example') || ''
+    }),
+    quiz_list: (row) => {
+        const options = parseOptions(cell(row, 'options'));
+        const item = {
+            question: cell(row, 'question'),
+            correct_answer: cell(row, 'correct_answer') ?? cell(row, 'answer')
+        };
+        if (options && options.length > 0) item.options = options;
+        if (cell(row, 'explanation')) item.explanation = cell(row, 'explanation');
+        if (cell(row, 'question_type')) item.type = cell(row, 'question_type');
+        if (cell(row, 'difficulty')) item.difficulty = String(cell(row, 'difficulty')).toLowerCase();
+        return item;
+    },
+    flashcards_list: (row) => ({
+        front: cell(row, 'front') ?? cell(row, 'word'),
+        back: cell(row, 'back') ?? cell(row, 'translation'),
+        example: cell(row, 'example') || ''
+    })
+};
+
+// CSV text -> array of row objects (header names are trimmed and lower-cased)
+export const parseCsv = (content) => new Promise((resolve, reject) => {
+    const rows = [];
+    Readable.from([String(content).replace(/^\uFEFF/, '')])
+        .pipe(csv({ mapHeaders: ({ header }) => header.trim().toLowerCase() }))
+        .on('data', row => rows.push(row))
+        .on('end', () => resolve(rows))
+        .on('error', reject);
+});
+
+// JSON text (or already parsed value) -> array of row objects.
+// Accepts [rows] or { rows: [...] }.
+export const parseJsonRows = (content) => {
+    const data = typeof content === 'string' ? JSON.parse(content) : content;
+    const rows = Array.isArray(data) ? data : data?.rows;
+    if (!Array.isArray(rows)) {
+        throw new Error('JSON import must be an array of rows or { "rows": [...] }');
+    }
+    return rows;
+};
+
+export const parseImportContent = async (content, format) => {
+    if (format === 'csv') return parseCsv(content);
+    if (format === 'json') return parseJsonRows(content);
+    throw new Error(`Unknown import format "${format}" (use csv or json)`);
+};
+
+// Validate every row and group the valid ones per day.
+// Returns { days: { [day]: { title, level, vocabulary_list?, quiz_list?, flashcards_list? } }, errors: [{ row, errors }] }
+export const buildImportPlan = (rows) => {
+    const days = {};
+    const errors = [];
+
+    rows.forEach((row, index) => {
+        const rowNumber = index + 1;
+        const rowErrors = [];
+
+        if (!row || typeof row !== 'object') {
+            errors.push({ row: rowNumber, errors: ['Row must be an object'] });
+            return;
+        }
+
+        const dayNumber = Number(cell(row, 'day_number'));
+        if (!isValidDayNumber(dayNumber)) rowErrors.push(DAY_NUMBER_MESSAGE);
+
+        const type = String(cell(row, 'type') || '').toLowerCase();
+        const field = ROW_TYPES[type];
+        if (!field) rowErrors.push(`type must be one of ${Object.keys(ROW_TYPES).join(', ')}`);
+
+        const level = cell(row, 'level');
+        if (level !== undefined && !LESSON_LEVELS.includes(level)) {
+            rowErrors.push(`level must be one of ${LESSON_LEVELS.join(', ')}`);
+        }
+
+        let item = null;
+        if (field) {
+            item = ROW_TO_ITEM[field](row);
+            rowErrors.push(...validateListItem(field, item, type));
+        }
+
+        if (rowErrors.length > 0) {
+            errors.push({ row: rowNumber, day_number: cell(row, 'day_number') ?? null, errors: rowErrors });
+            return;
+        }
+
+        const day = days[dayNumber] || (days[dayNumber] = {});
+        if (cell(row, 'title') && !day.title) day.title = cell(row, 'title');
+        if (level && !day.level) day.level = level;
+        (day[field] || (day[field] = [])).push(item);
+    });
+
+    return { days, errors };
+};
+
+// Short per-day description of what an import would change
+export const summarizePlan = (plan) => Object.entries(plan.days).map(([day, content]) => ({
+    day_number: Number(day),
+    ...Object.fromEntries(LIST_FIELDS.filter(field => content[field]).map(field => [field, content[field].length]))
+}));
+
+// What an import would do: which days get created or updated, and which
+// new days are missing a title. Used for dry runs and before writing.
+export const previewImportPlan = async (plan) => {
+    const dayNumbers = Object.keys(plan.days).map(Number);
+    const existing = await query(
+        'SELECT day_number FROM lessons WHERE day_number = ANY($1::int[])',
+        [dayNumbers]
+    );
+    const existingDays = new Set(existing.rows.map(row => row.day_number));
+
+    const create = dayNumbers.filter(day => !existingDays.has(day));
+    return {
+        create,
+        update: dayNumbers.filter(day => existingDays.has(day)),
+        missingTitle: create.filter(day => !plan.days[day].title)
+    };
+};
+
+// Write a validated plan. Days without a lesson are created as unpublished drafts.
+// Runs in one transaction: either every day is written or none.
+export const applyImportPlan = async (plan) => withTransaction(async (client) => {
+    const created = [];
+    const updated = [];
+
+    for (const [day, content] of Object.entries(plan.days)) {
+        const dayNumber = Number(day);
+        const fields = LIST_FIELDS.filter(field => content[field]);
+
+        const existing = await client.query(
+            'SELECT id FROM lessons WHERE day_number = $1 FOR UPDATE',
+            [dayNumber]
+        );
+
+        if (existing.rows.length > 0) {
+            const assignments = fields.map((field, i) => `${field} = $${i + 1}`);
+            await client.query(
+                `UPDATE lessons SET ${assignments.join(', ')}, updated_at = NOW()
+           WHERE day_number = $${fields.length + 1}`,
+                [...fields.map(field => JSON.stringify(content[field])), dayNumber]
+            );
+            updated.push(dayNumber);
+            continue;
+        }
+
+        // previewImportPlan already reports this - kept as a guard
+        if (!content.title) {
+            throw new Error(`Day ${dayNumber} has no lesson and no title to create one`);
+        }
+
+        await client.query(
+            `INSERT INTO lessons (day_number, title, level, vocabulary_list, quiz_list, flashcards_list, is_published)
+       VALUES ($1, $2, $3, $4, $5, $6, false)`,
+            [
+                dayNumber,
+                content.title,
+                content.level || 'A1',
+                ...LIST_FIELDS.map(field => JSON.stringify(content[field] || []))
+            ]
+        );
+        created.push(dayNumber);
+    }
+
+    return { created, updated };
+});
+
+// Validate rows and, unless dryRun is set or a row is invalid, write them.
+// Nothing is written when any row has an error.
+export const runImport = async (rows, { dryRun = false } = {}) => {
+    const plan = buildImportPlan(rows);
+    const preview = await previewImportPlan(plan);
+
+    const errors = [
+        ...plan.errors,
+        ...preview.missingTitle.map(day => ({
+            row: null,
+            day_number: day,
+            errors: ['No lesson exists for this day yet - add a title to one of its rows']
+        }))
+    ];
+
+    const report = {
+        dryRun,
+        totalRows: rows.length,
+        validRows: rows.length - plan.errors.length,
+        errors,
+        days: summarizePlan(plan),
+        create: preview.create,
+        update: preview.update
+    };
+
+    if (dryRun || errors.length > 0) {
+        return { ...report, applied: false };
+    }
+
+    const result = await applyImportPlan(plan);
+    return { ...report, applied: true, create: result.created, update: result.updated };
+};
@@ -0,0 +1,122 @@
+import { query, withTransaction } from '../config/database.js';
+import { STAFF_ROLES } from './entitlements.js';
+import { recordAudit } from './auditLog.js';
+
+// Lessons open one after the other. A published day is unlocked when:
+//   staff role   admins and teachers open everything
+//   first        it is the first published lesson
+//   completed    the learner already completed it (always open for review)
+//   override     it is <= user_profiles.unlocked_through_day (placement test, staff override)
+//   previous     the published lesson before it is completed - with at least
+//                UNLOCK_MIN_QUIZ_SCORE on its quiz, when it has one (0 = no minimum)
+//
+// This is separate from buying (services/entitlements.js): a lesson has to be
+// both paid for and unlocked.
+
+export const UNLOCK_MIN_QUIZ_SCORE = parseInt(process.env.UNLOCK_MIN_QUIZ_SCORE || '0');
+
+// Pure check, so one lookup serves the whole roadmap.
+// lessons: published [{ day, hasQuiz }], progress: { [day]: { completed, score } }
+// check(day) -> { unlocked: true, reason: 'staff' | 'first' | 'completed' | 'override' | 'previous' }
+//             | { unlocked: false, reason: 'previous_incomplete' | 'score_too_low', previousDay, requiredScore?, bestScore? }
+export const buildUnlockPolicy = ({ user, lessons, progress, unlockedThroughDay = 0, minScore = UNLOCK_MIN_QUIZ_SCORE }) => {
+    const isStaff = STAFF_ROLES.includes(user?.role);
+    const days = lessons.map(lesson => lesson.day).sort((a, b) => a - b);
+    const hasQuiz = Object.fromEntries(lessons.map(lesson => [lesson.day, lesson.hasQuiz]));
+
+    return {
+        check: (day) => {
+            if (isStaff) return { unlocked: true, reason: 'staff' };
+            if (progress[day]?.completed) return { unlocked: true, reason: 'completed' };
+            if (day <= unlockedThroughDay) return { unlocked: true, reason: 'override' };
+
+            const previousDay = days.filter(d => d < day).pop();
+            if (previousDay === undefined) return { unlocked: true, reason: 'first' };
+
+            const previous = progress[previousDay];
+            if (!previous?.completed) {
+                return { unlocked: false, reason: 'previous_incomplete', previousDay };
+            }
+
+            const bestScore = previous.score || 0;
+            if (minScore > 0 && hasQuiz[previousDay] && bestScore < minScore) {
+                return { unlocked: false, reason: 'score_too_low', previousDay, requiredScore: minScore, bestScore };
+            }
+
+            return { unlocked: true, reason: 'previous' };
+        }
+    };
+};
+
+export const getUnlockPolicy = async (user) => {
+    const [lessonsResult, progressResult, profileResult] = await Promise.all([
+        query(
+            `SELECT day_number,
+              CASE WHEN jsonb_typeof(quiz_list) = 'array' THEN jsonb_array_length(quiz_list) > 0 ELSE false END AS has_quiz
+       FROM lessons
+       WHERE is_published = true`
+        ),
+        query('SELECT day_number, completed, score FROM lesson_progress WHERE user_id = $1', [user.id]),
+        query('SELECT unlocked_through_day FROM user_profiles WHERE user_id = $1', [user.id])
+    ]);
+
+    const progress = {};
+    progressResult.rows.forEach(row => {
+        progress[row.day_number] = { completed: row.completed, score: row.score };
+    });
+
+    return buildUnlockPolicy({
+        user,
+        lessons: lessonsResult.rows.map(row => ({ day: row.day_number, hasQuiz: row.has_quiz })),
+        progress,
+        unlockedThroughDay: profileResult.rows[0]?.unlocked_through_day || 0
+    });
+};
+
+const LOCKED_MESSAGES = {
+    previous_incomplete: (unlock) => `أكمل درس اليوم ${unlock.previousDay} أولاً لفتح هذا الدرس.`,
+    score_too_low: (unlock) =>
+        `احصل على ${unlock.requiredScore}% على الأقل في اختبار اليوم ${unlock.previousDay} لفتح هذا الدرس (أفضل نتيجة لك ${unlock.bestScore}%).`
+};
+
+// Response for a lesson that is not unlocked yet: { status, body }
+export const lockedSequenceResponse = (unlock, day) => ({
+    status: 403,
+    body: {
+        success: false,
+        code: 'LESSON_LOCKED',
+        reason: unlock.reason,
+        message: LOCKED_MESSAGES[unlock.reason](unlock),
+        day,
+        previousDay: unlock.previousDay,
+        requiredScore: unlock.requiredScore ?? null,
+        bestScore: unlock.bestScore ?? null
+    }
+});
+
+const applyUnlock = async (client, userId, { throughDay, source, note = null }) => {
+    const result = await client.query(
+        `UPDATE user_profiles SET unlocked_through_day = $2, unlocked_by = $3, updated_at = NOW()
+     WHERE user_id = $1
+     RETURNING user_id, current_day, unlocked_through_day, unlocked_by`,
+        [userId, throughDay, throughDay > 0 ? source : null]
+    );
+
+    if (result.rows.length === 0) return null;
+
+    await recordAudit({
+        userId,
+        actor: source,
+        action: 'lessons.unlocked',
+        details: { through_day: throughDay, note }
+    }, client);
+
+    return result.rows[0];
+};
+
+// Open every day up to throughDay (placement test, staff override). 0 removes the override.
+// source: 'placement' or the staff member's email. Returns the profile, or null without one.
+// Pass a transaction client to make it part of a larger change.
+export const setUnlockedThroughDay = async (userId, options, client = null) => (client
+    ? applyUnlock(client, userId, options)
+    : withTransaction((transaction) => applyUnlock(transaction, userId, options)));
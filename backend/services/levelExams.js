@@ -0,0 +1,288 @@
+import { query, withTransaction } from '../config/database.js';
+import { COURSE_LEVELS, findLevel } from '../config/course.js';
+import { gradeQuiz, stripAnswers } from '../utils/quizGrading.js';
+import { drawExamQuestions, generateCertificateCode, normalizeCertificateCode } from '../utils/levelExam.js';
+import { renderCertificatePdf } from '../utils/certificatePdf.js';
+
+// Level-end exam: once a level is finished (level_completions), the learner can take a timed
+// exam drawn from the quizzes of every lesson in it. Graded here, like lesson quizzes.
+// Passing writes an achievement and issues a certificate (PDF) with a verification code that
+// anyone can check on /verify/:code. Failing or running out of time means waiting
+// LEVEL_EXAM_RETRY_HOURS before the next try.
+
+export const LEVEL_EXAM_QUESTIONS = parseInt(process.env.LEVEL_EXAM_QUESTIONS || '30');
+export const LEVEL_EXAM_MINUTES = parseInt(process.env.LEVEL_EXAM_MINUTES || '45');
+export const LEVEL_EXAM_PASS_SCORE = parseInt(process.env.LEVEL_EXAM_PASS_SCORE || '70');
+export const LEVEL_EXAM_RETRY_HOURS = parseInt(process.env.LEVEL_EXAM_RETRY_HOURS || '24');
+
+// Answers that arrive a little after the clock ran out (slow network) still count
+const SUBMIT_GRACE_SECONDS = 30;
+
+const frontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+export const verifyUrl = (code) => `${frontendUrl()}/verify/${code}`;
+
+const examRules = () => ({
+    questionCount: LEVEL_EXAM_QUESTIONS,
+    minutes: LEVEL_EXAM_MINUTES,
+    passScore: LEVEL_EXAM_PASS_SCORE,
+    retryHours: LEVEL_EXAM_RETRY_HOURS
+});
+
+// What the learner sees of the exam: the questions without their answers
+const attemptProgress = (attempt) => ({
+    attemptId: attempt.id,
+    level: attempt.level,
+    questions: attempt.questions.map(({ day, index, ...question }) => ({ day, ...stripAnswers(question) })),
+    startedAt: attempt.started_at,
+    expiresAt: attempt.expires_at,
+    minutes: LEVEL_EXAM_MINUTES
+});
+
+const publicCertificate = (certificate) => certificate && {
+    code: certificate.code,
+    level: certificate.level,
+    holderName: certificate.holder_name,
+    score: certificate.score,
+    issuedAt: certificate.issued_at
+};
+
+// When a failed / timed-out attempt allows the next one, or null if it already does
+const retryAt = (attempt) => {
+    if (!attempt || attempt.passed) return null;
+    const finishedAt = new Date(attempt.submitted_at || attempt.expires_at);
+    const next = new Date(finishedAt.getTime() + LEVEL_EXAM_RETRY_HOURS * 60 * 60 * 1000);
+    return next > new Date() ? next : null;
+};
+
+// Attempts left open past their time (tab closed) count as a failed try
+const expireOverdueAttempts = async (db, userId) => {
+    await db.query(
+        `UPDATE level_exam_attempts SET status = 'expired'
+     WHERE user_id = $1 AND status = 'in_progress' AND expires_at + make_interval(secs => $2) < NOW()`,
+        [userId, SUBMIT_GRACE_SECONDS]
+    );
+};
+
+const findLastFinishedAttempt = async (db, userId, levelKey) => {
+    const result = await db.query(
+        `SELECT id, level, status, score, passed, submitted_at, expires_at FROM level_exam_attempts
+     WHERE user_id = $1 AND level = $2 AND status <> 'in_progress'
+     ORDER BY started_at DESC LIMIT 1`,
+        [userId, levelKey]
+    );
+    return result.rows[0] || null;
+};
+
+const findCertificate = async (db, userId, levelKey) => {
+    const result = await db.query('SELECT * FROM certificates WHERE user_id = $1 AND level = $2', [userId, levelKey]);
+    return result.rows[0] || null;
+};
+
+// { rules, levels: [{ level, name, eligible, passed, certificate, inProgress, lastAttempt, retryAt }] }
+export const getExamStatus = async (userId) => {
+    await expireOverdueAttempts({ query }, userId);
+
+    const [completions, inProgress, lastAttempts, certificates] = await Promise.all([
+        query('SELECT level FROM level_completions WHERE user_id = $1', [userId]),
+        query(
+            `SELECT id, level, expires_at FROM level_exam_attempts WHERE user_id = $1 AND status = 'in_progress'`,
+            [userId]
+        ),
+        query(
+            `SELECT DISTINCT ON (level) level, status, score, passed, submitted_at, expires_at
+       FROM level_exam_attempts
+       WHERE user_id = $1 AND status <> 'in_progress'
+       ORDER BY level, started_at DESC`,
+            [userId]
+        ),
+        query('SELECT * FROM certificates WHERE user_id = $1', [userId])
+    ]);
+
+    const completed = new Set(completions.rows.map(row => row.level));
+    const byLevel = (rows) => Object.fromEntries(rows.map(row => [row.level, row]));
+    const open = byLevel(inProgress.rows);
+    const last = byLevel(lastAttempts.rows);
+    const issued = byLevel(certificates.rows);
+
+    return {
+        rules: examRules(),
+        levels: COURSE_LEVELS.map(level => ({
+            level: level.key,
+            name: level.name,
+            eligible: completed.has(level.key),
+            passed: Boolean(issued[level.key]),
+            certificate: publicCertificate(issued[level.key]),
+            inProgress: open[level.key] ? { attemptId: open[level.key].id, expiresAt: open[level.key].expires_at } : null,
+            lastAttempt: last[level.key] ? {
+                status: last[level.key].status,
+                score: last[level.key].score,
+                passed: last[level.key].passed,
+                submittedAt: last[level.key].submitted_at
+            } : null,
+            retryAt: retryAt(last[level.key])
+        }))
+    };
+};
+
+// Start the exam of a level (or resume the one in progress).
+// Returns progress, or { error: 'not_eligible' | 'already_passed' | 'cooldown' | 'name_required' | 'no_questions', ... }
+export const startLevelExam = async (userId, levelKey, { certificateName }) => {
+    const level = findLevel(levelKey);
+
+    return withTransaction(async (client) => {
+        // The level must be finished. Locking its row also keeps two tabs from starting two exams
+        const completion = await client.query(
+            'SELECT id FROM level_completions WHERE user_id = $1 AND level = $2 FOR UPDATE',
+            [userId, level.key]
+        );
+        if (completion.rows.length === 0) return { error: 'not_eligible' };
+
+        const certificate = await findCertificate(client, userId, level.key);
+        if (certificate) return { error: 'already_passed', certificate: publicCertificate(certificate) };
+
+        await expireOverdueAttempts(client, userId);
+
+        const openResult = await client.query(
+            `SELECT * FROM level_exam_attempts WHERE user_id = $1 AND level = $2 AND status = 'in_progress'`,
+            [userId, level.key]
+        );
+        if (openResult.rows.length > 0) return attemptProgress(openResult.rows[0]);
+
+        const waitUntil = retryAt(await findLastFinishedAttempt(client, userId, level.key));
+        if (waitUntil) return { error: 'cooldown', retryAt: waitUntil };
+
+        if (!certificateName) return { error: 'name_required' };
+
+        const lessons = await client.query(
+            `SELECT day_number, quiz_list FROM lessons
+       WHERE is_published = true AND day_number BETWEEN $1 AND $2`,
+            [level.startDay, level.endDay]
+        );
+        const questions = drawExamQuestions(lessons.rows, LEVEL_EXAM_QUESTIONS);
+        if (questions.length === 0) return { error: 'no_questions' };
+
+        const result = await client.query(
+            `INSERT INTO level_exam_attempts (user_id, level, questions, certificate_name, question_count, expires_at)
+       VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(mins => $6))
+       RETURNING *`,
+            [userId, level.key, JSON.stringify(questions), certificateName, questions.length, LEVEL_EXAM_MINUTES]
+        );
+
+        console.log(`📝 User ${userId} started the ${level.key} exam (${questions.length} questions)`);
+
+        return attemptProgress(result.rows[0]);
+    });
+};
+
+// Achievement + certificate for a passed exam
+const issueCertificate = async (client, userId, level, attempt, score) => {
+    const achievement = await client.query(
+        `INSERT INTO achievements (user_id, achievement_type, achievement_name, description)
+     VALUES ($1, 'level_certificate', $2, $3)
+     RETURNING id`,
+        [userId, `شهادة ${level.name}`, `اجتاز اختبار نهاية المستوى بنتيجة ${score}%`]
+    );
+
+    const result = await client.query(
+        `INSERT INTO certificates (code, user_id, level, attempt_id, achievement_id, holder_name, score)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+        [generateCertificateCode(level.key), userId, level.key, attempt.id, achievement.rows[0].id, attempt.certificate_name, score]
+    );
+
+    return result.rows[0];
+};
+
+// Grade the exam in progress. answers are keyed by question index, like lesson quizzes.
+// Returns { score, correctCount, total, passed, passScore, results, certificate, retryAt }
+// or { error: 'not_started' | 'time_up' }
+export const submitLevelExam = async (userId, levelKey, answers) => {
+    const level = findLevel(levelKey);
+
+    return withTransaction(async (client) => {
+        const attemptResult = await client.query(
+            `SELECT *, expires_at + make_interval(secs => $3) < NOW() AS overdue
+       FROM level_exam_attempts
+       WHERE user_id = $1 AND level = $2 AND status = 'in_progress'
+       FOR UPDATE`,
+            [userId, level.key, SUBMIT_GRACE_SECONDS]
+        );
+        const attempt = attemptResult.rows[0];
+        if (!attempt) return { error: 'not_started' };
+
+        if (attempt.overdue) {
+            await client.query(`UPDATE level_exam_attempts SET status = 'expired' WHERE id = $1`, [attempt.id]);
+            return { error: 'time_up', retryAt: retryAt({ passed: false, expires_at: attempt.expires_at }) };
+        }
+
+        const { results, correctCount, total, score } = gradeQuiz(attempt.questions, answers);
+        const passed = score >= LEVEL_EXAM_PASS_SCORE;
+
+        const updated = await client.query(
+            `UPDATE level_exam_attempts
+       SET status = 'submitted', answers = $2, results = $3, correct_count = $4, score = $5, passed = $6, submitted_at = NOW()
+       WHERE id = $1
+       RETURNING passed, submitted_at, expires_at`,
+            [attempt.id, JSON.stringify(answers), JSON.stringify(results), correctCount, score, passed]
+        );
+
+        const certificate = passed ? await issueCertificate(client, userId, level, attempt, score) : null;
+
+        console.log(`🎓 User ${userId} scored ${score}% on the ${level.key} exam (${passed ? 'passed' : 'failed'})`);
+
+        return {
+            score,
+            correctCount,
+            total,
+            passed,
+            passScore: LEVEL_EXAM_PASS_SCORE,
+            results,
+            certificate: publicCertificate(certificate),
+            retryAt: retryAt(updated.rows[0])
+        };
+    });
+};
+
+// The learner's certificates, for the dashboard
+export const getUserCertificates = async (userId) => {
+    const result = await query('SELECT * FROM certificates WHERE user_id = $1 ORDER BY issued_at ASC', [userId]);
+    return result.rows.map(publicCertificate);
+};
+
+// PDF of one of the user's own certificates, or null
+export const getCertificatePdf = async (userId, code) => {
+    const result = await query(
+        'SELECT * FROM certificates WHERE code = $1 AND user_id = $2',
+        [normalizeCertificateCode(code), userId]
+    );
+    const certificate = result.rows[0];
+    if (!certificate) return null;
+
+    return {
+        code: certificate.code,
+        pdf: renderCertificatePdf({
+            holderName: certificate.holder_name,
+            level: findLevel(certificate.level),
+            score: certificate.score,
+            issuedAt: certificate.issued_at,
+            code: certificate.code,
+            verifyUrl: verifyUrl(certificate.code)
+        })
+    };
+};
+
+// Public check of a certificate code: what the certificate says, or null
+export const verifyCertificate = async (code) => {
+    const result = await query(
+        'SELECT code, level, holder_name, score, issued_at FROM certificates WHERE code = $1',
+        [normalizeCertificateCode(code)]
+    );
+    const certificate = result.rows[0];
+    if (!certificate) return null;
+
+    return {
+        ...publicCertificate(certificate),
+        levelName: findLevel(certificate.level)?.name || certificate.level
+    };
+};
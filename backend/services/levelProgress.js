@@ -0,0 +1,46 @@
+import { query } from '../config/database.js';
+import { levelEndingOn, nextLevel } from '../config/course.js';
+
+// A level is finished when its last day is completed. Each level is recorded once per user
+// (level_completions), so completing the last day again for review does not count twice.
+
+// Returns { level, name, completedDay, completedAt, nextLevel } when this completion finished a level, else null
+export const recordLevelCompletion = async (userId, day, db = { query }) => {
+    const level = levelEndingOn(day);
+    if (!level) return null;
+
+    const result = await db.query(
+        `INSERT INTO level_completions (user_id, level, completed_day)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (user_id, level) DO NOTHING
+     RETURNING completed_at`,
+        [userId, level.key, day]
+    );
+
+    if (result.rows.length === 0) return null;
+
+    const next = nextLevel(level.key);
+
+    return {
+        level: level.key,
+        name: level.name,
+        completedDay: day,
+        completedAt: result.rows[0].completed_at,
+        nextLevel: next ? next.key : null
+    };
+};
+
+export const getLevelCompletions = async (userId) => {
+    const result = await query(
+        `SELECT level, completed_day, completed_at
+     FROM level_completions
+     WHERE user_id = $1
+     ORDER BY completed_at ASC`,
+        [userId]
+    );
+    return result.rows.map(row => ({
+        level: row.level,
+        completedDay: row.completed_day,
+        completedAt: row.completed_at
+    }));
+};
@@ -0,0 +1,60 @@
+import { getRateLimitStore } from './rateLimit/index.js';
+import { emailKey } from '../middleware/rateLimit.js';
+
+// Lockout after repeated wrong passwords, per email and per IP.
+// Failures are counted for LOGIN_FAILURE_WINDOW_MINUTES. Reaching the limit locks
+// logins for LOGIN_LOCKOUT_SECONDS; every further failure after the lock ends
+// doubles it, up to LOGIN_LOCKOUT_MAX_MINUTES. A successful login clears the email's count.
+
+const MAX_FAILURES_PER_EMAIL = parseInt(process.env.LOGIN_MAX_FAILURES || '5');
+const MAX_FAILURES_PER_IP = parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP || '20');
+const FAILURE_WINDOW_MS = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES || '60') * 60 * 1000;
+const LOCKOUT_MS = parseInt(process.env.LOGIN_LOCKOUT_SECONDS || '60') * 1000;
+const MAX_LOCKOUT_MS = parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES || '60') * 60 * 1000;
+
+const subjects = ({ email, ip }) => [
+    { key: emailKey(email), max: MAX_FAILURES_PER_EMAIL },
+    { key: ip ? `ip:${ip}` : null, max: MAX_FAILURES_PER_IP }
+].filter(subject => subject.key);
+
+export const lockoutMs = (failures, max) =>
+    failures < max ? 0 : Math.min(LOCKOUT_MS * 2 ** (failures - max), MAX_LOCKOUT_MS);
+
+// The lock that ends last, or null. -> { resetAt } (ms timestamp)
+export const getLoginLock = async ({ email, ip }) => {
+    const store = getRateLimitStore();
+    const locks = await Promise.all(subjects({ email, ip }).map(({ key }) => store.get(`login-lock:${key}`)));
+    const active = locks.filter(Boolean);
+
+    return active.length > 0 ? { resetAt: Math.max(...active.map(lock => lock.resetAt)) } : null;
+};
+
+// Count a failed attempt. Returns the lock it started, or null.
+export const recordLoginFailure = async ({ email, ip }) => {
+    const store = getRateLimitStore();
+    let lock = null;
+
+    for (const { key, max } of subjects({ email, ip })) {
+        const { count } = await store.increment(`login-fail:${key}`, FAILURE_WINDOW_MS);
+        const duration = lockoutMs(count, max);
+
+        if (duration > 0) {
+            const resetAt = Date.now() + duration;
+            await store.set(`login-lock:${key}`, count, resetAt);
+            console.log(`🔒 Login locked for ${key} after ${count} failures (${Math.round(duration / 1000)}s)`);
+            if (!lock || resetAt > lock.resetAt) lock = { resetAt };
+        }
+    }
+
+    return lock;
+};
+
+// The IP count is left alone so one good password cannot reset guessing at others
+export const clearLoginFailures = async ({ email }) => {
+    const key = emailKey(email);
+    if (!key) return;
+
+    const store = getRateLimitStore();
+    await store.remove(`login-fail:${key}`);
+    await store.remove(`login-lock:${key}`);
+};
@@ -0,0 +1,57 @@
+import { createSmtpNotifier } from './providers/smtpNotifier.js';
+import { createFileNotifier } from './providers/fileNotifier.js';
+import { createConsoleNotifier } from './providers/consoleNotifier.js';
+
+// Pick how emails to users are delivered from the environment:
+//   NOTIFIER=smtp    -> real email (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE, MAIL_FROM)
+//   NOTIFIER=file    -> one .json file per message in NOTIFIER_OUTBOX_DIR (default: outbox/)
+//   NOTIFIER=console -> printed to the server log (default outside production)
+// Every notifier has send({ to, subject, text, html }).
+// The links in these emails are live credentials, so production must send real email:
+// anything but smtp throws instead of printing them to the log or leaving them on disk.
+let notifier = null;
+
+const PRODUCTION_NOTIFIERS = ['smtp'];
+
+export const getNotifier = () => {
+    if (notifier) return notifier;
+
+    const name = (process.env.NOTIFIER || '').toLowerCase();
+
+    if (process.env.NODE_ENV === 'production' && !PRODUCTION_NOTIFIERS.includes(name)) {
+        throw new Error(`NOTIFIER must be ${PRODUCTION_NOTIFIERS.join(' or ')} in production (got "${process.env.NOTIFIER || ''}")`);
+    }
+
+    switch (name) {
+        case 'smtp':
+            notifier = createSmtpNotifier({
+                host: process.env.SMTP_HOST,
+                port: parseInt(process.env.SMTP_PORT || '587'),
+                secure: process.env.SMTP_SECURE === 'true',
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS,
+                from: process.env.MAIL_FROM || process.env.SMTP_USER
+            });
+            break;
+        case 'file':
+            notifier = createFileNotifier({
+                dir: process.env.NOTIFIER_OUTBOX_DIR || 'outbox'
+            });
+            break;
+        case '':
+        case 'console':
+            notifier = createConsoleNotifier();
+            break;
+        default:
+            console.warn(`⚠️ Unknown NOTIFIER "${name}", printing emails to the console`);
+            notifier = createConsoleNotifier();
+    }
+
+    console.log(`✉️ Notifier: ${notifier.name}`);
+    return notifier;
+};
+
+// Tests can swap in their own notifier
+export const setNotifier = (customNotifier) => {
+    notifier = customNotifier;
+};
@@ -0,0 +1,92 @@
+// Emails sent to learners. Arabic first, like the app.
+
+const frontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const formatDate = (date) => new Date(date).toLocaleString('ar-EG', { dateStyle: 'long', timeStyle: 'short' });
+
+export const activationMessage = ({ email, fullName, token, expiresAt }) => {
+    const link = `${frontendUrl()}/activate?token=${encodeURIComponent(token)}`;
+    const name = fullName || email;
+
+    return {
+        to: email,
+        subject: 'فعّل حسابك في نُطقي',
+        text: [
+            `مرحباً ${name}،`,
+            '',
+            'شكراً لاشتراكك في نُطقي! لتفعيل حسابك واختيار كلمة المرور افتح الرابط التالي:',
+            link,
+            '',
+            `الرابط صالح لمرة واحدة فقط حتى ${formatDate(expiresAt)}.`,
+            'لو لم تطلب هذا الحساب تجاهل هذه الرسالة.'
+        ].join('\n'),
+        html: `
+            <div dir="rtl" style="font-family: Tahoma, Arial, sans-serif; line-height: 1.8">
+                <p>مرحباً ${escapeHtml(name)}،</p>
+                <p>شكراً لاشتراكك في نُطقي! لتفعيل حسابك واختيار كلمة المرور اضغط على الزر:</p>
+                <p><a href="${link}" style="background:#7c3aed;color:#fff;padding:12px 24px;border-radius:12px;text-decoration:none">تفعيل الحساب</a></p>
+                <p style="color:#666">الرابط صالح لمرة واحدة فقط حتى ${formatDate(expiresAt)}.<br>لو لم تطلب هذا الحساب تجاهل هذه الرسالة.</p>
+            </div>
+        `
+    };
+};
+
+export const passwordResetMessage = ({ email, fullName, token, expiresAt }) => {
+    const link = `${frontendUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+    const name = fullName || email;
+
+    return {
+        to: email,
+        subject: 'إعادة تعيين كلمة المرور في نُطقي',
+        text: [
+            `مرحباً ${name}،`,
+            '',
+            'وصلنا طلب لإعادة تعيين كلمة المرور لحسابك. لاختيار كلمة مرور جديدة افتح الرابط التالي:',
+            link,
+            '',
+            `الرابط صالح لمرة واحدة فقط حتى ${formatDate(expiresAt)}.`,
+            'لو لم تطلب إعادة التعيين تجاهل هذه الرسالة، وكلمة المرور الحالية ستبقى كما هي.'
+        ].join('\n'),
+        html: `
+            <div dir="rtl" style="font-family: Tahoma, Arial, sans-serif; line-height: 1.8">
+                <p>مرحباً ${escapeHtml(name)}،</p>
+                <p>وصلنا طلب لإعادة تعيين كلمة المرور لحسابك. لاختيار كلمة مرور جديدة اضغط على الزر:</p>
+                <p><a href="${link}" style="background:#7c3aed;color:#fff;padding:12px 24px;border-radius:12px;text-decoration:none">إعادة تعيين كلمة المرور</a></p>
+                <p style="color:#666">الرابط صالح لمرة واحدة فقط حتى ${formatDate(expiresAt)}.<br>لو لم تطلب إعادة التعيين تجاهل هذه الرسالة، وكلمة المرور الحالية ستبقى كما هي.</p>
+            </div>
+        `
+    };
+};
+
+export const emailVerificationMessage = ({ email, fullName, token, expiresAt }) => {
+    const link = `${frontendUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+    const name = fullName || email;
+
+    return {
+        to: email,
+        subject: 'أكّد بريدك الإلكتروني في نُطقي',
+        text: [
+            `مرحباً ${name}،`,
+            '',
+            'أهلاً بك في نُطقي! لتأكيد بريدك الإلكتروني وفتح باقي الدروس افتح الرابط التالي:',
+            link,
+            '',
+            `الرابط صالح لمرة واحدة فقط حتى ${formatDate(expiresAt)}.`,
+            'لو لم تنشئ حساباً في نُطقي تجاهل هذه الرسالة.'
+        ].join('\n'),
+        html: `
+            <div dir="rtl" style="font-family: Tahoma, Arial, sans-serif; line-height: 1.8">
+                <p>مرحباً ${escapeHtml(name)}،</p>
+                <p>أهلاً بك في نُطقي! لتأكيد بريدك الإلكتروني وفتح باقي الدروس اضغط على الزر:</p>
+                <p><a href="${link}" style="background:#7c3aed;color:#fff;padding:12px 24px;border-radius:12px;text-decoration:none">تأكيد البريد الإلكتروني</a></p>
+                <p style="color:#666">الرابط صالح لمرة واحدة فقط حتى ${formatDate(expiresAt)}.<br>لو لم تنشئ حساباً في نُطقي تجاهل هذه الرسالة.</p>
+            </div>
+        `
+    };
+};
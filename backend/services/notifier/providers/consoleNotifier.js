@@ -0,0 +1,15 @@
+import crypto from 'crypto';
+
+// Local development stand-in: prints the message to the server log
+export const createConsoleNotifier = () => ({
+    name: 'console',
+
+    send: async ({ to, subject, text }) => {
+        console.log('------------------------------------------------');
+        console.log(`✉️ To: ${to}`);
+        console.log(`✉️ Subject: ${subject}`);
+        console.log(text);
+        console.log('------------------------------------------------');
+        return { id: crypto.randomUUID() };
+    }
+});
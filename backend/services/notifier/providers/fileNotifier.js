@@ -0,0 +1,19 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// Local development stand-in: writes each message to <dir>/<time>-<id>.json so links can be opened by hand
+export const createFileNotifier = ({ dir }) => ({
+    name: 'file',
+
+    send: async (message) => {
+        const id = crypto.randomUUID();
+        const file = path.resolve(dir, `${Date.now()}-${id}.json`);
+
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, `${JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)}\n`);
+
+        console.log(`✉️ Email to ${message.to} written to ${file}`);
+        return { id };
+    }
+});
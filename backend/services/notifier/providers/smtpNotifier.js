@@ -0,0 +1,23 @@
+import nodemailer from 'nodemailer';
+
+export const createSmtpNotifier = ({ host, port, secure, user, pass, from }) => {
+    if (!host) {
+        throw new Error('NOTIFIER=smtp needs SMTP_HOST');
+    }
+
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined
+    });
+
+    return {
+        name: 'smtp',
+
+        send: async ({ to, subject, text, html }) => {
+            const info = await transporter.sendMail({ from, to, subject, text, html });
+            return { id: info.messageId };
+        }
+    };
+};
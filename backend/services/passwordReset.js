@@ -0,0 +1,57 @@
+import bcrypt from 'bcryptjs';
+import { withTransaction } from '../config/database.js';
+import { createAuthToken, consumeAuthToken, TOKEN_PURPOSES } from './authTokens.js';
+import { revokeUserSessions } from './sessions.js';
+import { getNotifier } from './notifier/index.js';
+import { passwordResetMessage } from './notifier/messages.js';
+
+// "Forgot password": an emailed single-use link to /reset-password, where the
+// user picks a new password without knowing the old one.
+
+const RESET_TTL_MS = parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES || '60') * 60 * 1000;
+
+// Issue a fresh reset link and deliver it. Earlier links stop working.
+// Delivery failures are logged, not thrown - the caller answers the same way either way.
+export const sendPasswordReset = async (user) => {
+    const { token, expiresAt } = await createAuthToken(user.id, TOKEN_PURPOSES.passwordReset, RESET_TTL_MS);
+
+    try {
+        await getNotifier().send(passwordResetMessage({
+            email: user.email,
+            fullName: user.full_name,
+            token,
+            expiresAt
+        }));
+        return { sent: true, expiresAt };
+    } catch (error) {
+        console.error(`❌ Could not send password reset email to ${user.email}:`, error.message);
+        return { sent: false, expiresAt };
+    }
+};
+
+// Use the token and set the new password. Every session is signed out.
+// Opening the emailed link also verifies the address.
+// Returns the user, or null for an invalid/expired/used token.
+export const completePasswordReset = async (token, password) => {
+    const salt = await bcrypt.genSalt(10);
+    const password_hash = await bcrypt.hash(password, salt);
+
+    return withTransaction(async (client) => {
+        const userId = await consumeAuthToken(token, TOKEN_PURPOSES.passwordReset, client);
+        if (!userId) return null;
+
+        const result = await client.query(
+            `UPDATE users
+       SET password_hash = $1, password_changed = true, updated_at = NOW(),
+           email_verified_at = CASE WHEN email_verified THEN email_verified_at ELSE NOW() END,
+           email_verified = true
+       WHERE id = $2
+       RETURNING id, email, full_name, role`,
+            [password_hash, userId]
+        );
+
+        await revokeUserSessions(userId, { reason: 'password_reset' }, client);
+
+        return result.rows[0] || null;
+    });
+};
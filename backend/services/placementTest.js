@@ -0,0 +1,279 @@
+import { query, withTransaction } from '../config/database.js';
+import { COURSE_LEVELS, levelForDay } from '../config/course.js';
+import { nextAbility, pickItem, placementResult } from '../utils/placement.js';
+import { isAnswerCorrect } from '../utils/quizGrading.js';
+import { setUnlockedThroughDay } from './lessonUnlocks.js';
+import { recordAudit } from './auditLog.js';
+
+// New learners take the placement test once, on first login (user_profiles.placement_status = 'pending').
+// Questions come one at a time from placement_items and are graded here - the browser
+// never sees the answers. The result moves current_day / current_level to the start of
+// the level found and unlocks every day before it (lessonUnlocks, source 'placement').
+// Skipping starts the learner at A1. An admin can allow a retake.
+
+export const PLACEMENT_MAX_ITEMS = parseInt(process.env.PLACEMENT_MAX_ITEMS || '12');
+
+const LEVEL_KEYS = COURSE_LEVELS.map(level => level.key);
+
+// Where the staircase starts (A2: one wrong answer is enough to drop a beginner to A1)
+export const PLACEMENT_START_LEVEL = LEVEL_KEYS.includes(process.env.PLACEMENT_START_LEVEL)
+    ? process.env.PLACEMENT_START_LEVEL
+    : 'A2';
+
+const ITEM_COLUMNS = 'id, level, skill, question, options, correct_answer, is_active, created_at, updated_at';
+
+// What the learner sees of a question
+const publicItem = (item) => ({
+    id: item.id,
+    skill: item.skill,
+    question: item.question,
+    options: item.options
+});
+
+const attemptProgress = (attempt, item) => ({
+    attemptId: attempt.id,
+    answered: attempt.answers.length,
+    maxItems: PLACEMENT_MAX_ITEMS,
+    item: item ? publicItem(item) : null
+});
+
+const loadActiveItems = async (db) => {
+    const result = await db.query(`SELECT ${ITEM_COLUMNS} FROM placement_items WHERE is_active = true`);
+    return result.rows;
+};
+
+const loadItem = async (db, id) => {
+    const result = await db.query(`SELECT ${ITEM_COLUMNS} FROM placement_items WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+};
+
+const findAttemptInProgress = async (db, userId, { lock = false } = {}) => {
+    const result = await db.query(
+        `SELECT id, ability, current_item_id, answers FROM placement_attempts
+     WHERE user_id = $1 AND status = 'in_progress'${lock ? ' FOR UPDATE' : ''}`,
+        [userId]
+    );
+    return result.rows[0] || null;
+};
+
+const lastResult = (attempt) => attempt && {
+    level: attempt.result_level,
+    day: attempt.result_day,
+    correctCount: attempt.correct_count,
+    total: attempt.answers.length,
+    completedAt: attempt.completed_at
+};
+
+// { status: 'pending' | 'completed' | 'skipped', inProgress: progress | null, result: last result | null }
+// null without a profile
+export const getPlacementStatus = async (userId) => {
+    const profileResult = await query('SELECT placement_status FROM user_profiles WHERE user_id = $1', [userId]);
+    if (profileResult.rows.length === 0) return null;
+
+    const [attempt, completedResult] = await Promise.all([
+        findAttemptInProgress({ query }, userId),
+        query(
+            `SELECT result_level, result_day, correct_count, answers, completed_at FROM placement_attempts
+       WHERE user_id = $1 AND status = 'completed'
+       ORDER BY completed_at DESC LIMIT 1`,
+            [userId]
+        )
+    ]);
+
+    return {
+        status: profileResult.rows[0].placement_status,
+        inProgress: attempt ? attemptProgress(attempt, await loadItem({ query }, attempt.current_item_id)) : null,
+        result: lastResult(completedResult.rows[0]) || null
+    };
+};
+
+// Start the test, or resume the one in progress.
+// Returns progress with the first question, or { error: 'no_profile' | 'not_pending' | 'no_items' }
+export const startPlacement = async (userId) => withTransaction(async (client) => {
+    const profile = await client.query(
+        'SELECT placement_status FROM user_profiles WHERE user_id = $1 FOR UPDATE',
+        [userId]
+    );
+    if (profile.rows.length === 0) return { error: 'no_profile' };
+    if (profile.rows[0].placement_status !== 'pending') return { error: 'not_pending' };
+
+    const existing = await findAttemptInProgress(client, userId);
+    if (existing) return attemptProgress(existing, await loadItem(client, existing.current_item_id));
+
+    const first = pickItem(await loadActiveItems(client), LEVEL_KEYS, PLACEMENT_START_LEVEL);
+    if (!first) return { error: 'no_items' };
+
+    const result = await client.query(
+        `INSERT INTO placement_attempts (user_id, ability, current_item_id)
+     VALUES ($1, $2, $3)
+     RETURNING id, ability, current_item_id, answers`,
+        [userId, PLACEMENT_START_LEVEL, first.id]
+    );
+
+    return attemptProgress(result.rows[0], first);
+});
+
+// Move the learner to the start of the level found. Progress already made is kept.
+const applyPlacement = async (client, userId, level) => {
+    const profileResult = await client.query(
+        'SELECT current_day, unlocked_through_day FROM user_profiles WHERE user_id = $1 FOR UPDATE',
+        [userId]
+    );
+    const profile = profileResult.rows[0];
+    const currentDay = Math.max(profile.current_day, level.startDay);
+
+    await client.query(
+        `UPDATE user_profiles
+     SET current_day = $2, current_level = $3, placement_status = 'completed', updated_at = NOW()
+     WHERE user_id = $1`,
+        [userId, currentDay, levelForDay(currentDay).key]
+    );
+
+    // The first day of the level opens too - its previous lesson was never taken
+    if (level.startDay > 1 && level.startDay > profile.unlocked_through_day) {
+        await setUnlockedThroughDay(userId, {
+            throughDay: level.startDay,
+            source: 'placement',
+            note: `Placement test: ${level.key}`
+        }, client);
+    }
+};
+
+// Grade the answer to the current question.
+// Returns { finished: false, ...progress with the next question }
+//       | { finished: true, result: { level, name, day, correctCount, total, byLevel } }
+//       | { error: 'not_started' | 'wrong_item' }
+export const answerPlacement = async (userId, { itemId, answer }) => withTransaction(async (client) => {
+    const attempt = await findAttemptInProgress(client, userId, { lock: true });
+    if (!attempt) return { error: 'not_started' };
+    // Only the question that was served can be answered (and only once)
+    if (attempt.current_item_id !== itemId) return { error: 'wrong_item' };
+
+    const item = await loadItem(client, itemId);
+    const correct = isAnswerCorrect({ correct_answer: item.correct_answer, options: item.options }, answer);
+    const answers = [...attempt.answers, { itemId, level: item.level, answer, correct }];
+    const ability = nextAbility(LEVEL_KEYS, item.level, correct);
+
+    const next = answers.length < PLACEMENT_MAX_ITEMS
+        ? pickItem(await loadActiveItems(client), LEVEL_KEYS, ability, answers.map(a => a.itemId))
+        : null;
+
+    if (next) {
+        const updated = await client.query(
+            `UPDATE placement_attempts SET answers = $2, ability = $3, current_item_id = $4
+       WHERE id = $1
+       RETURNING id, ability, current_item_id, answers`,
+            [attempt.id, JSON.stringify(answers), ability, next.id]
+        );
+        return { finished: false, ...attemptProgress(updated.rows[0], next) };
+    }
+
+    // Enough questions (or the pool ran out): place the learner
+    const result = placementResult(LEVEL_KEYS, answers);
+    const level = COURSE_LEVELS.find(l => l.key === result.level);
+
+    await client.query(
+        `UPDATE placement_attempts
+     SET status = 'completed', answers = $2, ability = $3, current_item_id = NULL,
+         result_level = $4, result_day = $5, correct_count = $6, completed_at = NOW()
+     WHERE id = $1`,
+        [attempt.id, JSON.stringify(answers), ability, level.key, level.startDay, result.correctCount]
+    );
+
+    await applyPlacement(client, userId, level);
+
+    return {
+        finished: true,
+        result: {
+            level: level.key,
+            name: level.name,
+            day: level.startDay,
+            correctCount: result.correctCount,
+            total: result.total,
+            byLevel: result.byLevel
+        }
+    };
+});
+
+// Start at A1 without taking the test. false when the test is not pending.
+export const skipPlacement = async (userId) => withTransaction(async (client) => {
+    const result = await client.query(
+        `UPDATE user_profiles SET placement_status = 'skipped', updated_at = NOW()
+     WHERE user_id = $1 AND placement_status = 'pending'
+     RETURNING user_id`,
+        [userId]
+    );
+    if (result.rows.length === 0) return false;
+
+    await client.query(
+        `UPDATE placement_attempts SET status = 'abandoned', current_item_id = NULL
+     WHERE user_id = $1 AND status = 'in_progress'`,
+        [userId]
+    );
+    return true;
+});
+
+// Let the learner take the test again (they are asked on their next visit). false without a profile.
+export const allowPlacementRetake = async (userId, { actor, note = null }) => withTransaction(async (client) => {
+    const result = await client.query(
+        `UPDATE user_profiles SET placement_status = 'pending', updated_at = NOW()
+     WHERE user_id = $1
+     RETURNING user_id`,
+        [userId]
+    );
+    if (result.rows.length === 0) return false;
+
+    await client.query(
+        `UPDATE placement_attempts SET status = 'abandoned', current_item_id = NULL
+     WHERE user_id = $1 AND status = 'in_progress'`,
+        [userId]
+    );
+
+    await recordAudit({ userId, actor, action: 'placement.retake_allowed', details: { note } }, client);
+    return true;
+});
+
+// ----- Question pool (admin) -----
+
+export const listPlacementItems = async ({ level, includeInactive = false } = {}) => {
+    const result = await query(
+        `SELECT ${ITEM_COLUMNS} FROM placement_items
+     WHERE ($1::text IS NULL OR level = $1) AND ($2 OR is_active = true)
+     ORDER BY level, id`,
+        [level || null, includeInactive]
+    );
+    return result.rows;
+};
+
+export const createPlacementItem = async ({ level, skill = 'grammar', question, options, correct_answer }) => {
+    const result = await query(
+        `INSERT INTO placement_items (level, skill, question, options, correct_answer)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING ${ITEM_COLUMNS}`,
+        [level, skill, question, JSON.stringify(options), correct_answer]
+    );
+    return result.rows[0];
+};
+
+// Full replacement; null when the item does not exist
+export const updatePlacementItem = async (id, { level, skill = 'grammar', question, options, correct_answer, is_active = true }) => {
+    const result = await query(
+        `UPDATE placement_items
+     SET level = $2, skill = $3, question = $4, options = $5, correct_answer = $6, is_active = $7, updated_at = NOW()
+     WHERE id = $1
+     RETURNING ${ITEM_COLUMNS}`,
+        [id, level, skill, question, JSON.stringify(options), correct_answer, is_active]
+    );
+    return result.rows[0] || null;
+};
+
+// Items are retired, not deleted - finished attempts still point at them
+export const retirePlacementItem = async (id) => {
+    const result = await query(
+        `UPDATE placement_items SET is_active = false, updated_at = NOW()
+     WHERE id = $1
+     RETURNING id`,
+        [id]
+    );
+    return result.rows.length > 0;
+};
@@ -0,0 +1,228 @@
+import { query, withTransaction } from '../config/database.js';
+import {
+    difficultyOf,
+    estimateSkill,
+    targetDifficulty,
+    pickQuestions,
+    revealedCount,
+    MIN_RUNNING_ANSWERS,
+    MIN_TOPIC_ANSWERS
+} from '../utils/adaptiveQuiz.js';
+
+// Each quiz attempt is a variant (quiz_variants): the questions a learner was given from the
+// lesson's quiz_list, and how they did on them. lesson_progress.quiz_variant_id points at the
+// attempt they are on - saved_answers and quiz_results are indexed by its questions, in order.
+//
+// Lessons without quiz_size (or with a bank no bigger than it) keep the old behaviour: every
+// question in lesson order. Otherwise utils/adaptiveQuiz.js picks the questions from the
+// learner's recent accuracy and their accuracy on the lesson's grammar topic.
+//
+// A graded attempt shows its answers, so a retry that repeats any of its questions (always the
+// case for lessons without quiz_size) records revealed_count > 0: practice, left out of the
+// learner's accuracy and of lesson_progress.score.
+
+// Submitted attempts that make up the "recent" accuracy
+const RECENT_ATTEMPTS = 10;
+
+const VARIANT_COLUMNS = `id, day_number, lesson_id, question_indexes, difficulties, target_difficulty, running_accuracy,
+  topic_accuracy, question_count, revealed_count, correct_count, score, created_at, submitted_at`;
+
+export const quizBank = (lesson) => (Array.isArray(lesson.quiz_list) ? lesson.quiz_list : []);
+
+// The questions of an attempt, in the order they were shown
+export const variantQuestions = (lesson, variant) => {
+    const bank = quizBank(lesson);
+    return variant.question_indexes.map(index => bank[index]);
+};
+
+// An attempt only applies to the lesson it was drawn from: a reorder moves lessons to other days
+// (and progress stays on the day), and an edit can remove questions from under it
+export const fitsLesson = (variant, lesson) => {
+    const bank = quizBank(lesson);
+    return Boolean(variant) &&
+        variant.lesson_id === lesson.id &&
+        variant.question_indexes.every(index => Number.isInteger(index) && index < bank.length);
+};
+
+const accuracyOf = (row, minAnswers) =>
+    row && row.answered >= minAnswers ? row.correct / row.answered : null;
+
+// { runningAccuracy, topicAccuracy } - 0..1, null without enough answers
+export const getLearnerAccuracy = async (userId, grammarTopic, db = { query }) => {
+    const [recentResult, topicResult] = await Promise.all([
+        db.query(
+            `SELECT COALESCE(SUM(correct_count), 0)::int AS correct, COALESCE(SUM(question_count), 0)::int AS answered
+       FROM (
+         SELECT correct_count, question_count FROM quiz_variants
+         WHERE user_id = $1 AND submitted_at IS NOT NULL AND revealed_count = 0
+         ORDER BY submitted_at DESC LIMIT $2
+       ) recent`,
+            [userId, RECENT_ATTEMPTS]
+        ),
+        grammarTopic
+            ? db.query(
+                `SELECT COALESCE(SUM(qv.correct_count), 0)::int AS correct, COALESCE(SUM(qv.question_count), 0)::int AS answered
+         FROM quiz_variants qv
+         JOIN lessons l ON l.id = qv.lesson_id
+         WHERE qv.user_id = $1 AND qv.submitted_at IS NOT NULL AND qv.revealed_count = 0
+           AND lower(l.grammar_topic) = lower($2)`,
+                [userId, grammarTopic]
+            )
+            : { rows: [] }
+    ]);
+
+    return {
+        runningAccuracy: accuracyOf(recentResult.rows[0], MIN_RUNNING_ANSWERS),
+        topicAccuracy: accuracyOf(topicResult.rows[0], MIN_TOPIC_ANSWERS)
+    };
+};
+
+// Positions in the lesson's quiz_list whose answers a graded attempt has shown
+const findRevealedQuestions = async (db, userId, lesson) => {
+    const result = await db.query(
+        `SELECT question_indexes FROM quiz_variants
+     WHERE user_id = $1 AND lesson_id = $2 AND submitted_at IS NOT NULL`,
+        [userId, lesson.id]
+    );
+    return result.rows.flatMap(row => row.question_indexes);
+};
+
+// wholeQuiz: every question in lesson order (answers saved before variants existed are indexed that way)
+// revealed: positions shown with their answers outside quiz_variants (a quiz graded before variants existed)
+const createVariant = async (db, userId, lesson, { wholeQuiz = false, revealed = [] } = {}) => {
+    const bank = quizBank(lesson);
+    const size = lesson.quiz_size;
+
+    let questionIndexes = bank.map((question, index) => index);
+    let target = null;
+    let accuracy = { runningAccuracy: null, topicAccuracy: null };
+
+    if (!wholeQuiz && size && size < bank.length) {
+        accuracy = await getLearnerAccuracy(userId, lesson.grammar_topic, db);
+        target = targetDifficulty(estimateSkill(accuracy));
+
+        const seenResult = await db.query(
+            'SELECT question_indexes FROM quiz_variants WHERE user_id = $1 AND lesson_id = $2',
+            [userId, lesson.id]
+        );
+        const seen = seenResult.rows.flatMap(row => row.question_indexes);
+
+        questionIndexes = pickQuestions(bank, { size, target, seen });
+    }
+
+    const shown = [...revealed, ...await findRevealedQuestions(db, userId, lesson)];
+
+    const result = await db.query(
+        `INSERT INTO quiz_variants
+       (user_id, day_number, lesson_id, question_indexes, difficulties, target_difficulty,
+        running_accuracy, topic_accuracy, question_count, revealed_count)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING ${VARIANT_COLUMNS}`,
+        [
+            userId,
+            lesson.day_number,
+            lesson.id,
+            JSON.stringify(questionIndexes),
+            JSON.stringify(questionIndexes.map(index => difficultyOf(bank[index]))),
+            target,
+            accuracy.runningAccuracy,
+            accuracy.topicAccuracy,
+            questionIndexes.length,
+            revealedCount(questionIndexes, shown)
+        ]
+    );
+
+    return result.rows[0];
+};
+
+const loadVariant = async (db, id) => {
+    if (!id) return null;
+    const result = await db.query(`SELECT ${VARIANT_COLUMNS} FROM quiz_variants WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+};
+
+// Points lesson_progress at a new attempt; the answers of the old one no longer apply
+const switchVariant = async (db, progress, variant, { keepAnswers = false } = {}) => {
+    const result = await db.query(
+        `UPDATE lesson_progress
+     SET quiz_variant_id = $2,
+         saved_answers = CASE WHEN $3 THEN saved_answers ELSE NULL END,
+         quiz_results = CASE WHEN $3 THEN quiz_results ELSE NULL END,
+         quiz_submitted_at = CASE WHEN $3 THEN quiz_submitted_at ELSE NULL END,
+         updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+        [progress.id, variant.id, keepAnswers]
+    );
+    return result.rows[0];
+};
+
+// lesson_progress row for the lesson, locked until the transaction ends
+// (the lesson page and the prefetch batch ask at the same time - only one may create the attempt)
+const lockProgress = async (client, userId, lesson) => {
+    await client.query(
+        `INSERT INTO lesson_progress (user_id, day_number, lesson_id, updated_at)
+     VALUES ($1, $2, $3, NOW())
+     ON CONFLICT (user_id, day_number) DO NOTHING`,
+        [userId, lesson.day_number, lesson.id]
+    );
+    const result = await client.query(
+        'SELECT * FROM lesson_progress WHERE user_id = $1 AND day_number = $2 FOR UPDATE',
+        [userId, lesson.day_number]
+    );
+    return result.rows[0];
+};
+
+// The attempt the learner is on, created on first view.
+// lesson: row with id, day_number, quiz_list, quiz_size, grammar_topic
+// Returns { variant, progress }; variant is null for lessons without a quiz
+export const ensureQuizVariant = async (userId, lesson) => {
+    if (quizBank(lesson).length === 0) return { variant: null, progress: null };
+
+    return withTransaction(async (client) => {
+        const progress = await lockProgress(client, userId, lesson);
+        const current = await loadVariant(client, progress.quiz_variant_id);
+
+        if (fitsLesson(current, lesson)) {
+            return { variant: current, progress };
+        }
+
+        // Answered before variants existed: those answers are for the whole quiz, keep them
+        const legacy = !current && Boolean(progress.saved_answers || progress.quiz_submitted_at);
+        const variant = await createVariant(client, userId, lesson, { wholeQuiz: legacy });
+
+        return { variant, progress: await switchVariant(client, progress, variant, { keepAnswers: legacy }) };
+    });
+};
+
+// Retry: a new pick of questions once the current attempt has been submitted.
+// Before that the current attempt is returned as it is - reloading must not re-roll the questions.
+export const startNewQuizVariant = async (userId, lesson) => {
+    if (quizBank(lesson).length === 0) return { variant: null, progress: null };
+
+    return withTransaction(async (client) => {
+        const progress = await lockProgress(client, userId, lesson);
+        const current = await loadVariant(client, progress.quiz_variant_id);
+
+        if (fitsLesson(current, lesson) && !progress.quiz_submitted_at) {
+            return { variant: current, progress };
+        }
+
+        // A quiz graded before variants existed showed the answers of its whole-quiz attempt
+        const legacyRevealed = current && !current.submitted_at && progress.quiz_submitted_at ? current.question_indexes : [];
+        const variant = await createVariant(client, userId, lesson, { revealed: legacyRevealed });
+        return { variant, progress: await switchVariant(client, progress, variant) };
+    });
+};
+
+// Grading result of an attempt (counts towards the learner's accuracy from now on).
+// An attempt is graded once: returns false, writing nothing, when it was already submitted.
+export const recordVariantResult = async (variantId, { correctCount, score, results }, db = { query }) => {
+    const result = await db.query(
+        `UPDATE quiz_variants
+     SET correct_count = $2, score = $3, results = $4, submitted_at = NOW()
+     WHERE id = $1 AND submitted_at IS NULL`,
+        [variantId, correctCount, score, JSON.stringify(results)]
+    );
+    return result.rowCount > 0;
+};
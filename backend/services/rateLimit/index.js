@@ -0,0 +1,39 @@
+import { createMemoryStore } from './providers/memoryStore.js';
+import { createPostgresStore } from './providers/postgresStore.js';
+
+// Pick where rate limit counters live from the environment:
+//   RATE_LIMIT_STORE=memory   -> in this process (default; fine for a single instance)
+//   RATE_LIMIT_STORE=postgres -> rate_limits table, shared by every instance
+// Every store has:
+//   increment(key, windowMs) -> { count, resetAt }   starts a new window when the last one ended
+//   get(key)                 -> { count, resetAt } | null
+//   set(key, count, resetAt)
+//   remove(key)
+// resetAt is a timestamp in ms.
+let store = null;
+
+export const getRateLimitStore = () => {
+    if (store) return store;
+
+    const name = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+
+    switch (name) {
+        case 'postgres':
+            store = createPostgresStore();
+            break;
+        case 'memory':
+            store = createMemoryStore();
+            break;
+        default:
+            console.warn(`⚠️ Unknown RATE_LIMIT_STORE "${name}", counting in memory`);
+            store = createMemoryStore();
+    }
+
+    console.log(`🚦 Rate limit store: ${store.name}`);
+    return store;
+};
+
+// Tests can swap in their own store
+export const setRateLimitStore = (customStore) => {
+    store = customStore;
+};
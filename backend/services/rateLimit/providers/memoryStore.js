@@ -0,0 +1,49 @@
+// Counters in this process. Each server instance counts on its own, and a restart forgets everything.
+export const createMemoryStore = ({ sweepIntervalMs = 5 * 60 * 1000 } = {}) => {
+    const counters = new Map(); // key -> { count, resetAt }
+
+    const current = (key) => {
+        const counter = counters.get(key);
+        if (!counter) return null;
+        if (counter.resetAt <= Date.now()) {
+            counters.delete(key);
+            return null;
+        }
+        return counter;
+    };
+
+    // Drop finished windows now and then so the map does not grow forever
+    setInterval(() => {
+        const now = Date.now();
+        for (const [key, counter] of counters) {
+            if (counter.resetAt <= now) counters.delete(key);
+        }
+    }, sweepIntervalMs).unref();
+
+    return {
+        name: 'memory',
+
+        increment: async (key, windowMs) => {
+            let counter = current(key);
+            if (!counter) {
+                counter = { count: 0, resetAt: Date.now() + windowMs };
+                counters.set(key, counter);
+            }
+            counter.count += 1;
+            return { count: counter.count, resetAt: counter.resetAt };
+        },
+
+        get: async (key) => {
+            const counter = current(key);
+            return counter ? { count: counter.count, resetAt: counter.resetAt } : null;
+        },
+
+        set: async (key, count, resetAt) => {
+            counters.set(key, { count, resetAt });
+        },
+
+        remove: async (key) => {
+            counters.delete(key);
+        }
+    };
+};
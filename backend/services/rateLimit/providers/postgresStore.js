@@ -0,0 +1,50 @@
+import { query } from '../../../config/database.js';
+
+// Counters in the rate_limits table, shared by every server instance.
+// Finished windows are deleted now and then instead of on every request.
+export const createPostgresStore = ({ sweepIntervalMs = 10 * 60 * 1000 } = {}) => {
+    const toCounter = (row) => (row ? { count: row.count, resetAt: new Date(row.reset_at).getTime() } : null);
+
+    setInterval(() => {
+        query('DELETE FROM rate_limits WHERE reset_at <= NOW()')
+            .catch(error => console.error('❌ Rate limit sweep failed:', error.message));
+    }, sweepIntervalMs).unref();
+
+    return {
+        name: 'postgres',
+
+        // One statement, so parallel requests on different instances count correctly
+        increment: async (key, windowMs) => {
+            const result = await query(
+                `INSERT INTO rate_limits (key, count, reset_at)
+         VALUES ($1, 1, NOW() + $2::float8 * INTERVAL '1 millisecond')
+         ON CONFLICT (key) DO UPDATE SET
+           count = CASE WHEN rate_limits.reset_at <= NOW() THEN 1 ELSE rate_limits.count + 1 END,
+           reset_at = CASE WHEN rate_limits.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE rate_limits.reset_at END
+         RETURNING count, reset_at`,
+                [key, windowMs]
+            );
+            return toCounter(result.rows[0]);
+        },
+
+        get: async (key) => {
+            const result = await query(
+                'SELECT count, reset_at FROM rate_limits WHERE key = $1 AND reset_at > NOW()',
+                [key]
+            );
+            return toCounter(result.rows[0]);
+        },
+
+        set: async (key, count, resetAt) => {
+            await query(
+                `INSERT INTO rate_limits (key, count, reset_at) VALUES ($1, $2, $3)
+         ON CONFLICT (key) DO UPDATE SET count = EXCLUDED.count, reset_at = EXCLUDED.reset_at`,
+                [key, count, new Date(resetAt)]
+            );
+        },
+
+        remove: async (key) => {
+            await query('DELETE FROM rate_limits WHERE key = $1', [key]);
+        }
+    };
+};
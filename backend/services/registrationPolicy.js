@@ -0,0 +1,137 @@
+import net from 'net';
+import { query, withTransaction } from '../config/database.js';
+import { ipBucket } from '../utils/ip.js';
+
+// Who may self-register. Instead of one account per IP forever (which blocked
+// families, dorms and mobile carriers behind CGNAT), an IP may create
+// REGISTRATION_MAX_PER_IP accounts per REGISTRATION_IP_WINDOW_HOURS. IPv6 clients are
+// counted per /64 (utils/ip.js ipBucket), which registration_ips.ip_address stores for them.
+// Allowlisted networks are never limited. Every refusal is stored in
+// registration_denials for admins to review.
+// New accounts must confirm their email before getting past the first lessons;
+// REGISTRATION_REQUIRE_EMAIL_VERIFICATION=false creates them verified instead.
+
+const MAX_PER_IP = parseInt(process.env.REGISTRATION_MAX_PER_IP || '3');
+const IP_WINDOW_HOURS = parseInt(process.env.REGISTRATION_IP_WINDOW_HOURS || '24');
+
+export const REQUIRE_EMAIL_VERIFICATION = process.env.REGISTRATION_REQUIRE_EMAIL_VERIFICATION !== 'false';
+
+export const isAllowlisted = async (ip) => {
+    if (!net.isIP(ip || '')) return false;
+
+    const result = await query(
+        `SELECT 1 FROM registration_allowlist
+     WHERE $1::inet <<= network AND (expires_at IS NULL OR expires_at > NOW())
+     LIMIT 1`,
+        [ip]
+    );
+    return result.rows.length > 0;
+};
+
+const recordRegistration = async ({ bucket, email }, db = { query }) => {
+    await db.query(
+        'INSERT INTO registration_ips (ip_address, email) VALUES ($1, $2)',
+        [bucket || 'unknown', email]
+    );
+};
+
+// Take one of the IP's registration slots, or say why not.
+// Counting and recording happen under a lock on the IP, so parallel sign-ups from one
+// network cannot all pass the count before any of them is recorded.
+// -> { allowed: true, allowlisted } | { allowed: false, reason, retryAfter, details }
+export const reserveRegistration = async ({ ip, email }) => {
+    const bucket = ipBucket(ip);
+
+    if (!ip || await isAllowlisted(ip)) {
+        await recordRegistration({ bucket, email });
+        return { allowed: true, allowlisted: Boolean(ip) };
+    }
+
+    return withTransaction(async (client) => {
+        await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`registration:${bucket}`]);
+
+        const result = await client.query(
+            `SELECT COUNT(*)::int AS count, MIN(created_at) AS oldest
+       FROM registration_ips
+       WHERE ip_address = $1 AND created_at > NOW() - $2::float8 * INTERVAL '1 hour'`,
+            [bucket, IP_WINDOW_HOURS]
+        );
+        const { count, oldest } = result.rows[0];
+
+        if (count < MAX_PER_IP) {
+            await recordRegistration({ bucket, email }, client);
+            return { allowed: true, allowlisted: false };
+        }
+
+        // A slot frees up when the oldest registration in the window leaves it
+        const freesAt = new Date(oldest).getTime() + IP_WINDOW_HOURS * 60 * 60 * 1000;
+
+        return {
+            allowed: false,
+            reason: 'ip_limit',
+            retryAfter: Math.max(1, Math.ceil((freesAt - Date.now()) / 1000)),
+            details: { count, max: MAX_PER_IP, window_hours: IP_WINDOW_HOURS, network: bucket }
+        };
+    });
+};
+
+export const logRegistrationDenial = async ({ ip, email, reason, details = {}, userAgent = null }) => {
+    await query(
+        `INSERT INTO registration_denials (ip, email, reason, details, user_agent)
+     VALUES ($1, $2, $3, $4, $5)`,
+        [ip, email, reason, JSON.stringify(details), userAgent]
+    );
+};
+
+// Newest first. Filters: ip, reason
+export const listRegistrationDenials = async ({ ip, reason, limit = 50 } = {}) => {
+    const conditions = [];
+    const params = [];
+
+    if (ip) {
+        params.push(ip);
+        conditions.push(`ip = $${params.length}`);
+    }
+    if (reason) {
+        params.push(reason);
+        conditions.push(`reason = $${params.length}`);
+    }
+    params.push(limit);
+
+    const result = await query(
+        `SELECT id, ip, email, reason, details, user_agent, created_at
+     FROM registration_denials
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY created_at DESC
+     LIMIT $${params.length}`,
+        params
+    );
+    return result.rows;
+};
+
+export const listAllowlist = async () => {
+    const result = await query(
+        `SELECT id, network::text AS network, note, created_by, expires_at, created_at
+     FROM registration_allowlist
+     ORDER BY created_at DESC`
+    );
+    return result.rows;
+};
+
+// Adding a network that is already listed updates its note and expiry.
+// Host bits are dropped: 10.1.2.3/8 is stored as 10.0.0.0/8.
+export const addToAllowlist = async ({ network, note = null, createdBy, expiresAt = null }) => {
+    const result = await query(
+        `INSERT INTO registration_allowlist (network, note, created_by, expires_at)
+     VALUES (network($1::inet), $2, $3, $4)
+     ON CONFLICT (network) DO UPDATE SET note = EXCLUDED.note, created_by = EXCLUDED.created_by, expires_at = EXCLUDED.expires_at
+     RETURNING id, network::text AS network, note, created_by, expires_at, created_at`,
+        [network, note, createdBy, expiresAt]
+    );
+    return result.rows[0];
+};
+
+export const removeFromAllowlist = async (id) => {
+    const result = await query('DELETE FROM registration_allowlist WHERE id = $1', [id]);
+    return result.rowCount > 0;
+};
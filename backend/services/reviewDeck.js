@@ -0,0 +1,112 @@
+import { query } from '../config/database.js';
+
+// Daily caps for a review session (per user, reset at midnight server time)
+export const getDailyCaps = () => ({
+    newCards: parseInt(process.env.SRS_DAILY_NEW_CARDS || '20'),
+    reviewCards: parseInt(process.env.SRS_DAILY_REVIEW_CARDS || '100')
+});
+
+// JSONB lists can be null or (in old rows) a non-array value
+const safeList = (column) => `CASE WHEN jsonb_typeof(${column}) = 'array' THEN ${column} ELSE '[]'::jsonb END`;
+
+// Flashcards use {front, back}, vocabulary uses {word, translation}
+const CARD_FIELDS = `
+    COALESCE(item->>'front', item->>'word') AS word,
+    COALESCE(item->>'back', item->>'translation') AS translation,
+    item->>'example' AS example`;
+
+// Make sure every flashcard of a lesson has a vocabulary_progress row for the user.
+// Returns false if the lesson has no flashcards.
+export const ensureDeckForDay = async (userId, dayNumber) => {
+    // Existing rows keep their scheduling state
+    const result = await query(
+        `WITH cards AS (
+         SELECT DISTINCT ON (c.word) l.level, l.day_number, c.word, c.translation, c.example
+         FROM lessons l
+         CROSS JOIN LATERAL (
+           SELECT ${CARD_FIELDS}
+           FROM jsonb_array_elements(${safeList('l.flashcards_list')}) AS item
+         ) c
+         WHERE l.day_number = $2 AND c.word IS NOT NULL AND c.translation IS NOT NULL
+         ORDER BY c.word
+       ), inserted AS (
+         INSERT INTO vocabulary_progress (user_id, word, translation, example, level, day_number)
+         SELECT $1, word, translation, example, COALESCE(level, 'A1'), day_number FROM cards
+         ON CONFLICT (user_id, word) DO NOTHING
+       )
+       SELECT COUNT(*) AS card_count FROM cards`,
+        [userId, dayNumber]
+    );
+
+    return parseInt(result.rows[0].card_count) > 0;
+};
+
+// Add the vocabulary and flashcards of every completed lesson to the user's deck.
+// Words that appear on several days keep the earliest day.
+export const syncCompletedLessonsDeck = async (userId) => {
+    const result = await query(
+        `INSERT INTO vocabulary_progress (user_id, word, translation, example, level, day_number)
+       SELECT DISTINCT ON (c.word) $1, c.word, c.translation, c.example, COALESCE(l.level, 'A1'), l.day_number
+       FROM lesson_progress lp
+       JOIN lessons l ON l.day_number = lp.day_number
+       CROSS JOIN LATERAL (
+         SELECT ${CARD_FIELDS}
+         FROM jsonb_array_elements(${safeList('l.flashcards_list')} || ${safeList('l.vocabulary_list')}) AS item
+       ) c
+       WHERE lp.user_id = $1 AND lp.completed = true
+         AND c.word IS NOT NULL AND c.translation IS NOT NULL
+       ORDER BY c.word, l.day_number ASC
+       ON CONFLICT (user_id, word) DO NOTHING`,
+        [userId]
+    );
+
+    return result.rowCount;
+};
+
+// Build today's session: due reviews first (most overdue, then most mistakes),
+// then new cards from the earliest days, each limited by what is left of the daily cap.
+// Pass dayNumber to only draw cards that came from that lesson.
+export const buildDueDeck = async (userId, { caps = getDailyCaps(), dayNumber = null } = {}) => {
+    const usageResult = await query(
+        `SELECT
+         COUNT(*) FILTER (WHERE first_reviewed_at >= CURRENT_DATE) AS new_today,
+         COUNT(*) FILTER (WHERE last_reviewed_at >= CURRENT_DATE AND first_reviewed_at < CURRENT_DATE) AS reviewed_today
+       FROM vocabulary_progress
+       WHERE user_id = $1`,
+        [userId]
+    );
+
+    const usage = usageResult.rows[0];
+    const newRemaining = Math.max(0, caps.newCards - (parseInt(usage.new_today) || 0));
+    const reviewRemaining = Math.max(0, caps.reviewCards - (parseInt(usage.reviewed_today) || 0));
+
+    const reviewResult = await query(
+        `SELECT * FROM vocabulary_progress
+       WHERE user_id = $1 AND review_count > 0 AND next_review_date <= NOW()
+         AND ($3::int IS NULL OR day_number = $3)
+       ORDER BY date_trunc('day', next_review_date) ASC,
+                (review_count - correct_count) DESC,
+                next_review_date ASC
+       LIMIT $2`,
+        [userId, reviewRemaining, dayNumber]
+    );
+
+    const newResult = await query(
+        `SELECT * FROM vocabulary_progress
+       WHERE user_id = $1 AND review_count = 0 AND next_review_date <= NOW()
+         AND ($3::int IS NULL OR day_number = $3)
+       ORDER BY day_number ASC NULLS LAST, created_at ASC
+       LIMIT $2`,
+        [userId, newRemaining, dayNumber]
+    );
+
+    return {
+        cards: [...reviewResult.rows, ...newResult.rows],
+        limits: {
+            newCards: caps.newCards,
+            reviewCards: caps.reviewCards,
+            newRemaining: newRemaining - newResult.rows.length,
+            reviewRemaining: reviewRemaining - reviewResult.rows.length
+        }
+    };
+};
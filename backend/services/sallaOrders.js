@@ -0,0 +1,293 @@
+import { query } from '../config/database.js';
+import { REFUND_GRACE_HOURS, REFUND_DISABLE_ACCOUNT } from '../config/plans.js';
+import { sendActivation } from './accountActivation.js';
+import { grantOrderEntitlements, revokeOrderEntitlements, hasActiveEntitlement, enableAccount } from './entitlements.js';
+import { recordAudit } from './auditLog.js';
+import {
+    hashPayload,
+    isHandledRetry,
+    recordWebhookEvent,
+    findProcessedOrderEvent,
+    markWebhookEvent
+} from './webhookEvents.js';
+
+// Salla order webhooks: a paid order creates the customer's account, without a
+// password, and emails an activation link (see accountActivation.js). The products
+// in the order become entitlements (see entitlements.js and config/plans.js).
+// A refunded or cancelled order revokes them again after a grace period.
+// Every delivery goes through webhook_events first (see webhookEvents.js) so
+// Salla retries and repeated order.updated events create the account once.
+
+export const SALLA_PROVIDER = 'salla';
+
+const HANDLED_EVENTS = ['order.created', 'order.updated', 'order.refunded', 'order.cancelled'];
+
+// Statuses that indicate payment is successful/order is confirmed
+const PAID_STATUSES = ['completed', 'under_process', 'shipping_ready', 'shipped', 'delivered', 'shipping_progress'];
+
+// Statuses that take the access bought with the order away again
+const REVOKING_STATUSES = ['canceled', 'refunded'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// order.refunded / order.cancelled carry the status in the event name;
+// the status slug on the order may lag behind.
+const EVENT_STATUSES = { 'order.refunded': 'refunded', 'order.cancelled': 'canceled' };
+
+// The fields we index an event by
+export const describeSallaEvent = (payload) => {
+    const eventType = String(payload?.event || '');
+    return {
+        eventType,
+        orderId: payload?.data?.id !== undefined && payload?.data?.id !== null ? String(payload.data.id) : null,
+        orderStatus: EVENT_STATUSES[eventType] || payload?.data?.status?.slug || null
+    };
+};
+
+const findUserByEmail = async (email) => {
+    const result = await query(
+        'SELECT id, email, full_name, password_hash, disabled_at FROM users WHERE email = $1',
+        [email]
+    );
+    return result.rows[0] || null;
+};
+
+// A paid order from a buyer who already has an account: grant the plans, and
+// re-enable the account or re-send the activation link where that applies.
+// Returns { processingStatus, statusCode, body }
+const processExistingCustomer = async (row, data, { resendActivation = true } = {}) => {
+    const { password_hash, disabled_at, ...user } = row;
+    const plans = await grantOrderEntitlements(user.id, data);
+
+    // Bought again after a refund disabled the account - the new plan brings login back
+    const enabled = Boolean(disabled_at) && plans.length > 0;
+    if (enabled) {
+        await enableAccount(user.id, { actor: SALLA_PROVIDER, note: data?.id != null ? `order ${data.id} paid` : 'order paid' });
+    }
+
+    // Bought again before activating - send a fresh link
+    const activation = password_hash || !resendActivation ? null : await sendActivation(user);
+
+    console.log(`✅ User already exists: ${user.email} - granted ${plans.join(', ')}${enabled ? ' (account re-enabled)' : ''}${activation ? ' (activation link re-sent)' : ''}`);
+    return {
+        processingStatus: 'processed',
+        statusCode: 200,
+        body: {
+            success: true,
+            message: 'User already exists',
+            user_id: user.id,
+            plans,
+            ...(enabled && { account_enabled: true }),
+            ...(activation && { activation_sent: activation.sent })
+        }
+    };
+};
+
+// Create the account for a paid order.
+// Returns { processingStatus, statusCode, body }
+const processPaidOrder = async (data) => {
+    // Extract required fields from the nested structure
+    const customer = data?.customer;
+    const email = customer?.email;
+    const first_name = customer?.first_name || '';
+    const last_name = customer?.last_name || '';
+    const full_name = `${first_name} ${last_name}`.trim();
+
+    if (!email) {
+        console.error('❌ Email missing in payload');
+        return {
+            processingStatus: 'failed',
+            statusCode: 400,
+            body: { success: false, message: 'Email is required in customer data' }
+        };
+    }
+
+    console.log(`📦 Processing paid order for: ${email}`);
+
+    const existing = await findUserByEmail(email);
+    if (existing) return processExistingCustomer(existing, data);
+
+    // No password until the buyer activates the account
+    const result = await query(
+        `INSERT INTO users (email, password_hash, full_name, password_changed) 
+       VALUES ($1, NULL, $2, false) 
+       ON CONFLICT (email) DO NOTHING
+       RETURNING id, email, full_name, password_changed, created_at`,
+        [email, full_name || null]
+    );
+
+    if (result.rows.length === 0) {
+        // Another delivery for the same buyer created the account a moment ago and sends its activation link
+        return processExistingCustomer(await findUserByEmail(email), data, { resendActivation: false });
+    }
+
+    const user = result.rows[0];
+
+    // Create user profile
+    await query(
+        `INSERT INTO user_profiles (user_id, current_level, current_day) 
+       VALUES ($1, $2, $3)`,
+        [user.id, 'A1', 1]
+    );
+
+    const plans = await grantOrderEntitlements(user.id, data);
+    const activation = await sendActivation(user);
+
+    console.log(`✅ User created successfully: ${email} - granted ${plans.join(', ')} (activation link ${activation.sent ? 'sent' : 'NOT sent'})`);
+
+    return {
+        processingStatus: 'processed',
+        statusCode: 201,
+        body: {
+            success: true,
+            message: 'User account created successfully',
+            user: { id: user.id, email: user.email, full_name: user.full_name },
+            plans,
+            activation_sent: activation.sent
+        }
+    };
+};
+
+// Revoke what a refunded / cancelled order granted.
+// Returns { processingStatus, statusCode, body }
+const processRevokedOrder = async (data, status) => {
+    const orderId = String(data.id);
+    const graceMs = REFUND_GRACE_HOURS * HOUR_MS;
+    const actor = SALLA_PROVIDER;
+
+    const revoked = await revokeOrderEntitlements(orderId, { reason: status, graceMs, actor });
+
+    if (revoked.length === 0) {
+        // Never granted, or an admin decided to keep it - leave a trace for support
+        const email = data?.customer?.email;
+        const user = email ? (await query('SELECT id FROM users WHERE email = $1', [email])).rows[0] : null;
+
+        await recordAudit({
+            userId: user?.id || null,
+            actor,
+            action: 'refund.unmatched',
+            details: { order_id: orderId, status, email: email || null }
+        });
+
+        console.log(`⚠️ Order ${orderId} is ${status} but no active entitlement matched`);
+        return {
+            processingStatus: 'processed',
+            statusCode: 200,
+            body: { success: true, message: 'No active entitlement for this order', revoked: [] }
+        };
+    }
+
+    const graceUntil = revoked[0].grace_until;
+    const userIds = [...new Set(revoked.map(entitlement => entitlement.user_id))];
+    const disabled = [];
+
+    if (REFUND_DISABLE_ACCOUNT) {
+        for (const userId of userIds) {
+            if (await hasActiveEntitlement(userId)) continue;
+
+            await query(
+                `UPDATE users SET disabled_at = COALESCE(disabled_at, $2), disabled_reason = $3, updated_at = NOW()
+         WHERE id = $1`,
+                [userId, graceUntil, `order ${orderId} ${status}`]
+            );
+            await recordAudit({
+                userId,
+                actor,
+                action: 'account.disabled',
+                details: { order_id: orderId, status, disabled_at: graceUntil }
+            });
+            disabled.push(userId);
+        }
+    }
+
+    console.log(`🚫 Order ${orderId} ${status}: revoked ${revoked.map(entitlement => entitlement.plan).join(', ')} (access until ${new Date(graceUntil).toISOString()})`);
+
+    return {
+        processingStatus: 'processed',
+        statusCode: 200,
+        body: {
+            success: true,
+            message: 'Entitlements revoked',
+            revoked: revoked.map(entitlement => entitlement.plan),
+            grace_until: graceUntil,
+            disabled_users: disabled
+        }
+    };
+};
+
+// Process one stored event and record the outcome on it.
+// Also used to replay an event from the admin API.
+export const runSallaEvent = async (event) => {
+    const { event_type: eventType, order_id: orderId, order_status: status } = event;
+    let outcome;
+
+    try {
+        if (!HANDLED_EVENTS.includes(eventType)) {
+            console.log(`ℹ️ Ignoring event: ${eventType}`);
+            outcome = { processingStatus: 'ignored', statusCode: 200, body: { message: 'Event ignored' } };
+        } else if (REVOKING_STATUSES.includes(status) && orderId) {
+            // Revoking twice changes nothing, so no duplicate check is needed
+            outcome = await processRevokedOrder(event.payload?.data, status);
+        } else if (!PAID_STATUSES.includes(status)) {
+            // payment_pending, canceled, ... - the account is created by a later order.updated
+            console.log(`⏳ Order ${orderId} status is '${status}'. Skipping account creation.`);
+            outcome = {
+                processingStatus: 'skipped',
+                statusCode: 200,
+                body: { success: true, message: `Order status is ${status}. Account creation skipped.` }
+            };
+        } else {
+            const processedBy = await findProcessedOrderEvent(SALLA_PROVIDER, orderId, event.id, PAID_STATUSES);
+            const revokedBy = processedBy ? null : await findProcessedOrderEvent(SALLA_PROVIDER, orderId, event.id, REVOKING_STATUSES);
+
+            if (revokedBy) {
+                // A late "paid" update for an order that was already refunded must not grant access again
+                console.log(`⏭️ Order ${orderId} was ${revokedBy.order_status} by webhook event ${revokedBy.id}. Skipping.`);
+                outcome = {
+                    processingStatus: 'skipped',
+                    statusCode: 200,
+                    body: { success: true, message: `Order was ${revokedBy.order_status}`, revoked_by: revokedBy.id }
+                };
+            } else if (processedBy) {
+                console.log(`🔁 Order ${orderId} was already processed by webhook event ${processedBy.id}`);
+                outcome = {
+                    processingStatus: 'duplicate',
+                    statusCode: 200,
+                    body: { success: true, message: 'Order already processed', processed_by: processedBy.id }
+                };
+            } else {
+                outcome = await processPaidOrder(event.payload?.data);
+            }
+        }
+    } catch (error) {
+        await markWebhookEvent(event.id, 'failed', { error: error.message });
+        throw error;
+    }
+
+    await markWebhookEvent(event.id, outcome.processingStatus, {
+        result: outcome.body,
+        error: outcome.processingStatus === 'failed' ? outcome.body.message : null
+    });
+
+    return { ...outcome, body: { ...outcome.body, event_id: event.id } };
+};
+
+// Store an incoming delivery and process it unless it is a retry of one already handled
+export const handleSallaDelivery = async (payload, rawBody) => {
+    const { event, isRetry } = await recordWebhookEvent({
+        provider: SALLA_PROVIDER,
+        ...describeSallaEvent(payload),
+        payloadHash: hashPayload(rawBody),
+        payload
+    });
+
+    if (isHandledRetry(event, isRetry)) {
+        console.log(`🔁 Webhook event ${event.id} received again (attempt ${event.attempts}) - already ${event.processing_status}`);
+        return {
+            statusCode: 200,
+            body: { success: true, message: 'Event already received', event_id: event.id, status: event.processing_status }
+        };
+    }
+
+    return runSallaEvent(event);
+};
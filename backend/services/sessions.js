@@ -0,0 +1,163 @@
+import crypto from 'crypto';
+import { query, withTransaction } from '../config/database.js';
+
+// Server-side sessions behind the short-lived access JWT.
+// Each signed-in device has one row with a refresh token (httpOnly cookie). Every
+// refresh swaps it for a new one; a token that was already swapped is only
+// presented again by someone who copied it, so the whole session is revoked.
+
+const REFRESH_TTL_MS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30') * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+const newToken = () => crypto.randomBytes(32).toString('hex');
+
+const SESSION_COLUMNS = 'id, user_agent, ip, created_at, last_used_at, expires_at';
+
+// Start a session for a user who just proved who they are.
+// Returns { session, refreshToken, expiresAt }
+export const createSession = async (userId, { userAgent = null, ip = null } = {}, db = { query }) => {
+    const refreshToken = newToken();
+    const expiresAt = new Date(Date.now() + REFRESH_TTL_MS);
+
+    const result = await db.query(
+        `INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip, expires_at)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING ${SESSION_COLUMNS}`,
+        [userId, hashToken(refreshToken), userAgent, ip, expiresAt]
+    );
+
+    return { session: result.rows[0], refreshToken, expiresAt };
+};
+
+// Two tabs refreshing at the same moment both send the same cookie; the slower one
+// presents a token that was rotated a moment ago. That is not treated as theft.
+const ROTATION_GRACE_MS = 30 * 1000;
+
+// What a presented refresh token gets: 'rotate', 'reuse' (a rotated token presented again after
+// the grace period - the session is revoked) or 'reject' (unknown, expired or revoked).
+// session: the row whose current or previous token hash matches, or null
+export const refreshVerdict = (session, tokenHash, now = Date.now()) => {
+    if (!session) return 'reject';
+
+    const isPrevious = session.refresh_token_hash !== tokenHash;
+    if (isPrevious && !session.revoked_at && now - new Date(session.last_used_at).getTime() > ROTATION_GRACE_MS) {
+        return 'reuse';
+    }
+
+    if (session.revoked_at || new Date(session.expires_at).getTime() <= now) return 'reject';
+    return 'rotate';
+};
+
+// Swap a refresh token for a new one.
+// Returns { session, userId, refreshToken, expiresAt }, or null when the token is
+// unknown, expired, revoked - or a rotated one being reused (the session is revoked then).
+export const rotateSession = async (refreshToken, { userAgent = null, ip = null } = {}) => {
+    if (typeof refreshToken !== 'string' || refreshToken.length === 0) return null;
+    const tokenHash = hashToken(refreshToken);
+
+    return withTransaction(async (client) => {
+        const found = await client.query(
+            `SELECT id, user_id, refresh_token_hash, last_used_at, expires_at, revoked_at FROM sessions
+       WHERE refresh_token_hash = $1 OR previous_token_hash = $1
+       FOR UPDATE`,
+            [tokenHash]
+        );
+
+        const session = found.rows[0];
+        const verdict = refreshVerdict(session, tokenHash);
+
+        if (verdict === 'reuse') {
+            await client.query(
+                `UPDATE sessions SET revoked_at = NOW(), revoke_reason = 'reuse' WHERE id = $1`,
+                [session.id]
+            );
+            console.log(`🚨 Rotated refresh token reused - session ${session.id} of user ${session.user_id} revoked`);
+            return null;
+        }
+
+        if (verdict === 'reject') return null;
+
+        const nextToken = newToken();
+        const expiresAt = new Date(Date.now() + REFRESH_TTL_MS);
+
+        const updated = await client.query(
+            `UPDATE sessions
+       SET refresh_token_hash = $2, previous_token_hash = $3, expires_at = $4,
+           last_used_at = NOW(), user_agent = COALESCE($5, user_agent), ip = COALESCE($6, ip)
+       WHERE id = $1
+       RETURNING ${SESSION_COLUMNS}`,
+            [session.id, hashToken(nextToken), tokenHash, expiresAt, userAgent, ip]
+        );
+
+        return { session: updated.rows[0], userId: session.user_id, refreshToken: nextToken, expiresAt };
+    });
+};
+
+// Why an access token may no longer be used, or null while it may.
+// row: the user's disabled_at with the token's session (session_id, revoked_at, expires_at), or
+// null when the user is gone. disabled_at may lie in the future while a refund grace period runs.
+export const accessTokenProblem = (row, { sessionId = null, now = new Date() } = {}) => {
+    if (!row) return 'signed_out';
+    if (row.disabled_at && new Date(row.disabled_at) <= now) return 'disabled';
+    // Tokens issued before sessions existed have none to check
+    if (!sessionId) return null;
+    if (!row.session_id || row.revoked_at || new Date(row.expires_at) <= now) return 'signed_out';
+    return null;
+};
+
+// Checked on every request, so logging out everywhere, a password change or a disabled
+// account take effect at once rather than when the access token expires
+export const checkAccessToken = async ({ userId, sessionId = null }, db = { query }) => {
+    const result = await db.query(
+        `SELECT u.disabled_at, s.id AS session_id, s.revoked_at, s.expires_at
+     FROM users u
+     LEFT JOIN sessions s ON s.id = $2::uuid AND s.user_id = u.id
+     WHERE u.id = $1`,
+        [userId, sessionId]
+    );
+    return accessTokenProblem(result.rows[0] || null, { sessionId });
+};
+
+// Revoke the session a refresh token belongs to (logout on this device)
+export const revokeSessionByToken = async (refreshToken, reason = 'logout') => {
+    if (typeof refreshToken !== 'string' || refreshToken.length === 0) return false;
+
+    const result = await query(
+        `UPDATE sessions SET revoked_at = NOW(), revoke_reason = $2
+     WHERE refresh_token_hash = $1 AND revoked_at IS NULL`,
+        [hashToken(refreshToken), reason]
+    );
+    return result.rowCount > 0;
+};
+
+// Revoke one of the user's sessions (signing a device out from the profile page)
+export const revokeSession = async (userId, sessionId, reason = 'logout') => {
+    const result = await query(
+        `UPDATE sessions SET revoked_at = NOW(), revoke_reason = $3
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL`,
+        [sessionId, userId, reason]
+    );
+    return result.rowCount > 0;
+};
+
+// Revoke every session of the user, optionally keeping one (the device that asked).
+// Returns the number of sessions revoked.
+export const revokeUserSessions = async (userId, { reason, exceptId = null } = {}, db = { query }) => {
+    const result = await db.query(
+        `UPDATE sessions SET revoked_at = NOW(), revoke_reason = $2
+     WHERE user_id = $1 AND revoked_at IS NULL AND ($3::uuid IS NULL OR id <> $3::uuid)`,
+        [userId, reason, exceptId]
+    );
+    return result.rowCount;
+};
+
+// Devices the user is signed in on, most recently used first
+export const listUserSessions = async (userId) => {
+    const result = await query(
+        `SELECT ${SESSION_COLUMNS} FROM sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_used_at DESC`,
+        [userId]
+    );
+    return result.rows;
+};
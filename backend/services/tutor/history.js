@@ -0,0 +1,102 @@
+import { query } from '../../config/database.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export const isValidSessionId = (sessionId) => typeof sessionId === 'string' && UUID_PATTERN.test(sessionId);
+
+// Map an ai_conversations row to the message shape used by AITutor.jsx
+const mapTurn = (row) => ({
+    role: row.role,
+    content: row.message,
+    corrections: Array.isArray(row.corrections) ? row.corrections : [],
+    createdAt: row.created_at
+});
+
+// All turns of a conversation, oldest first. Returns null if the session
+// does not exist or belongs to someone else.
+export const getSessionTurns = async (userId, sessionId) => {
+    const result = await query(
+        `SELECT role, message, corrections, scenario, created_at
+       FROM ai_conversations
+       WHERE user_id = $1 AND session_id = $2
+       ORDER BY created_at ASC`,
+        [userId, sessionId]
+    );
+
+    if (result.rows.length === 0) return null;
+
+    return {
+        sessionId,
+        scenario: result.rows[0].scenario,
+        messages: result.rows.map(mapTurn)
+    };
+};
+
+// Save one exchange: the learner's message and the tutor's reply with its corrections
+export const saveExchange = async ({ userId, sessionId, scenarioId, message, sentAt, reply, corrections }) => {
+    await query(
+        `INSERT INTO ai_conversations (user_id, session_id, scenario, role, message, corrections, created_at)
+       VALUES
+         ($1, $2, $3, 'user', $4, '[]'::jsonb, $5),
+         ($1, $2, $3, 'assistant', $6, $7, NOW())`,
+        [userId, sessionId, scenarioId, message, sentAt, reply, JSON.stringify(corrections || [])]
+    );
+};
+
+// Past conversations, most recent first. Pass scenarioId to only list one scenario.
+export const listSessions = async (userId, { scenarioId = null, limit = 20 } = {}) => {
+    const result = await query(
+        `SELECT
+         session_id,
+         MIN(scenario) AS scenario,
+         MIN(created_at) AS started_at,
+         MAX(created_at) AS last_message_at,
+         COUNT(*) FILTER (WHERE role = 'user') AS message_count,
+         COALESCE(SUM(jsonb_array_length(corrections)), 0) AS correction_count
+       FROM ai_conversations
+       WHERE user_id = $1 AND ($2::text IS NULL OR scenario = $2)
+       GROUP BY session_id
+       ORDER BY MAX(created_at) DESC
+       LIMIT $3`,
+        [userId, scenarioId, limit]
+    );
+
+    return result.rows.map(row => ({
+        sessionId: row.session_id,
+        scenario: row.scenario,
+        startedAt: row.started_at,
+        lastMessageAt: row.last_message_at,
+        messageCount: parseInt(row.message_count) || 0,
+        correctionCount: parseInt(row.correction_count) || 0
+    }));
+};
+
+// Corrections across every conversation grouped by grammar rule, most frequent first.
+// Each rule keeps its latest few examples.
+export const getRecurringMistakes = async (userId, { limit = 10, examplesPerRule = 3 } = {}) => {
+    const result = await query(
+        `SELECT
+         c->>'rule' AS rule,
+         COUNT(*) AS count,
+         MAX(ac.created_at) AS last_seen_at,
+         jsonb_agg(
+           jsonb_build_object('error', c->>'error', 'correction', c->>'correction', 'scenario', ac.scenario)
+           ORDER BY ac.created_at DESC
+         ) AS examples
+       FROM ai_conversations ac
+       CROSS JOIN LATERAL jsonb_array_elements(ac.corrections) AS c
+       WHERE ac.user_id = $1 AND ac.role = 'assistant'
+         AND COALESCE(c->>'rule', '') <> ''
+       GROUP BY c->>'rule'
+       ORDER BY COUNT(*) DESC, MAX(ac.created_at) DESC
+       LIMIT $2`,
+        [userId, limit]
+    );
+
+    return result.rows.map(row => ({
+        rule: row.rule,
+        count: parseInt(row.count) || 0,
+        lastSeenAt: row.last_seen_at,
+        examples: row.examples.slice(0, examplesPerRule)
+    }));
+};
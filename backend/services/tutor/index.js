@@ -0,0 +1,48 @@
+import { createOpenAIProvider } from './providers/openaiProvider.js';
+import { createLocalProvider } from './providers/localProvider.js';
+import { createMockProvider } from './providers/mockProvider.js';
+
+// Pick the tutor provider from the environment:
+//   TUTOR_PROVIDER=openai -> OpenAI-compatible API (TUTOR_API_URL, TUTOR_API_KEY, TUTOR_MODEL)
+//   TUTOR_PROVIDER=local  -> local model server (TUTOR_LOCAL_URL, TUTOR_LOCAL_MODEL)
+//   TUTOR_PROVIDER=mock   -> deterministic replies, no network (default)
+let provider = null;
+
+export const getTutorProvider = () => {
+    if (provider) return provider;
+
+    const name = (process.env.TUTOR_PROVIDER || 'mock').toLowerCase();
+    const timeoutMs = parseInt(process.env.TUTOR_TIMEOUT_MS || '20000');
+
+    switch (name) {
+        case 'openai':
+            provider = createOpenAIProvider({
+                apiUrl: process.env.TUTOR_API_URL || 'https://api.openai.com/v1',
+                apiKey: process.env.TUTOR_API_KEY,
+                model: process.env.TUTOR_MODEL || 'gpt-4o-mini',
+                timeoutMs
+            });
+            break;
+        case 'local':
+            provider = createLocalProvider({
+                apiUrl: process.env.TUTOR_LOCAL_URL || 'http://localhost:11434',
+                model: process.env.TUTOR_LOCAL_MODEL || 'llama3.1',
+                timeoutMs
+            });
+            break;
+        case 'mock':
+            provider = createMockProvider();
+            break;
+        default:
+            console.warn(`⚠️ Unknown TUTOR_PROVIDER "${name}", using mock tutor`);
+            provider = createMockProvider();
+    }
+
+    console.log(`🤖 AI Tutor provider: ${provider.name}`);
+    return provider;
+};
+
+// Tests can swap in their own provider
+export const setTutorProvider = (customProvider) => {
+    provider = customProvider;
+};
@@ -0,0 +1,65 @@
+// Shared prompt building / response parsing for LLM-backed tutor providers
+
+// Instructions appended to every scenario's systemPrompt
+const TUTOR_INSTRUCTIONS = `
+You are also an English tutor for an Arabic-speaking learner at CEFR level {level}.
+Stay in the role above and keep the conversation going in simple English suited to that level.
+Check the learner's LAST message for grammar and vocabulary mistakes.
+Answer ONLY with a JSON object of this shape:
+{"reply": "<your in-role reply in English>", "corrections": [{"error": "<wrong text>", "correction": "<corrected text>", "rule": "<short explanation in Arabic>"}]}
+Use an empty corrections array when the message is correct. Do not correct punctuation only.`;
+
+export const buildMessages = ({ scenario, level, history, message }) => [
+    {
+        role: 'system',
+        content: `${scenario.systemPrompt}\n${TUTOR_INSTRUCTIONS.replace('{level}', level || scenario.level)}`
+    },
+    ...history.map(turn => ({ role: turn.role, content: turn.content })),
+    { role: 'user', content: message }
+];
+
+// Keep only well-formed {error, correction, rule} entries
+export const normalizeCorrections = (corrections) => {
+    if (!Array.isArray(corrections)) return [];
+    return corrections
+        .filter(c => c && typeof c === 'object' && c.error && c.correction)
+        .map(c => ({
+            error: String(c.error),
+            correction: String(c.correction),
+            rule: c.rule ? String(c.rule) : ''
+        }));
+};
+
+// Models don't always return clean JSON - fall back to using the text as the reply
+export const parseTutorOutput = (text) => {
+    const raw = String(text || '').trim();
+    const jsonStart = raw.indexOf('{');
+    const jsonEnd = raw.lastIndexOf('}');
+
+    if (jsonStart !== -1 && jsonEnd > jsonStart) {
+        try {
+            const parsed = JSON.parse(raw.slice(jsonStart, jsonEnd + 1));
+            if (parsed && typeof parsed.reply === 'string') {
+                return {
+                    reply: parsed.reply.trim(),
+                    corrections: normalizeCorrections(parsed.corrections)
+                };
+            }
+        } catch (error) {
+            // Not JSON - use as plain text below
+        }
+    }
+
+    return { reply: raw, corrections: [] };
+};
+
+// fetch with a timeout so a slow model server can't hang the request
+export const fetchWithTimeout = async (url, options, timeoutMs) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        return await fetch(url, { ...options, signal: controller.signal });
+    } finally {
+        clearTimeout(timer);
+    }
+};
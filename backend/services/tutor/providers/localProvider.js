@@ -0,0 +1,27 @@
+import { buildMessages, parseTutorOutput, fetchWithTimeout } from '../prompt.js';
+
+// Local model server using the Ollama chat API (http://localhost:11434 by default)
+export const createLocalProvider = ({ apiUrl, model, timeoutMs }) => ({
+    name: 'local',
+
+    respond: async ({ scenario, level, history, message }) => {
+        const response = await fetchWithTimeout(`${apiUrl.replace(/\/$/, '')}/api/chat`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                model,
+                messages: buildMessages({ scenario, level, history, message }),
+                stream: false,
+                format: 'json'
+            })
+        }, timeoutMs);
+
+        if (!response.ok) {
+            const body = await response.text();
+            throw new Error(`Local model server returned ${response.status}: ${body.substring(0, 200)}`);
+        }
+
+        const data = await response.json();
+        return parseTutorOutput(data.message?.content);
+    }
+});
@@ -0,0 +1,28 @@
+// Deterministic stand-in for development and tests - no network, same input gives same output
+
+// In-role replies per scenario, picked by conversation turn
+const SCENARIO_REPLIES = {
+    coffee: ['Great! What size would you like - small, medium, or large?', 'Would you like milk or sugar with that?', 'That will be four dollars, please.'],
+    'job-interview': ['That sounds interesting. Can you tell me more about your previous experience?', 'What are your biggest strengths?', 'Why do you want to work with us?'],
+    airport: ['Certainly! May I see your passport and ticket, please?', 'Do you have any bags to check in?', 'Here is your boarding pass. Your gate is B12.'],
+    doctor: ['I understand. How long have you been experiencing these symptoms?', 'Do you have a fever?', 'Please rest and drink plenty of water.'],
+    shopping: ['Excellent choice! Would you like to try it on?', 'What size do you need?', 'Would you like to pay by card or cash?'],
+    business: ['That\'s a good point. What do you think about the timeline?', 'How much budget do we need?', 'Let\'s schedule a follow-up meeting.'],
+    hotel: ['Perfect! Let me check our availability for those dates.', 'How many guests will be staying?', 'Your room is ready. Here is your key.'],
+    restaurant: ['Wonderful! Would you like to start with any appetizers?', 'And what would you like to drink?', 'Would you like to see the dessert menu?']
+};
+
+export const createMockProvider = () => ({
+    name: 'mock',
+
+    respond: async ({ scenario, history }) => {
+        const replies = SCENARIO_REPLIES[scenario.id] || ['That\'s great! Please continue...'];
+        const turn = history.filter(h => h.role === 'user').length;
+
+        return {
+            reply: replies[turn % replies.length],
+            // The offline grammar checker adds corrections for every provider
+            corrections: []
+        };
+    }
+});
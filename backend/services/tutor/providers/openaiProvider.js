@@ -0,0 +1,30 @@
+import { buildMessages, parseTutorOutput, fetchWithTimeout } from '../prompt.js';
+
+// Any OpenAI-compatible /chat/completions endpoint (OpenAI, Azure-compatible gateways, vLLM, llama.cpp server...)
+export const createOpenAIProvider = ({ apiUrl, apiKey, model, timeoutMs }) => ({
+    name: 'openai',
+
+    respond: async ({ scenario, level, history, message }) => {
+        const response = await fetchWithTimeout(`${apiUrl.replace(/\/$/, '')}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+            },
+            body: JSON.stringify({
+                model,
+                messages: buildMessages({ scenario, level, history, message }),
+                temperature: 0.7,
+                response_format: { type: 'json_object' }
+            })
+        }, timeoutMs);
+
+        if (!response.ok) {
+            const body = await response.text();
+            throw new Error(`Tutor provider returned ${response.status}: ${body.substring(0, 200)}`);
+        }
+
+        const data = await response.json();
+        return parseTutorOutput(data.choices?.[0]?.message?.content);
+    }
+});
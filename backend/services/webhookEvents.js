@@ -0,0 +1,100 @@
+import crypto from 'crypto';
+import { query } from '../config/database.js';
+
+// Every webhook delivery is stored in webhook_events before it is processed.
+// Identical retries (same raw body) land on the same row, so each delivery
+// is processed once and stays available for auditing and replay.
+//
+// processing_status:
+//   received   stored, not processed yet (or the server died halfway)
+//   processed  handled (account created or already existed)
+//   skipped    order is not paid yet
+//   ignored    event type we do not handle
+//   duplicate  another event already processed the same order
+//   failed     processing threw or the payload was unusable - retried on the next delivery
+
+// Statuses that mean "done": a retry of the same delivery is answered without reprocessing
+export const FINAL_STATUSES = ['processed', 'skipped', 'ignored', 'duplicate'];
+
+// A retry whose first delivery already finished is answered from webhook_events
+export const isHandledRetry = (event, isRetry) => Boolean(isRetry) && FINAL_STATUSES.includes(event?.processing_status);
+
+export const hashPayload = (rawBody) => crypto.createHash('sha256').update(rawBody).digest('hex');
+
+// Store a delivery. Returns { event, isRetry } - isRetry when the same body was seen before.
+export const recordWebhookEvent = async ({ provider, eventType, orderId, orderStatus, payloadHash, payload }) => {
+    const result = await query(
+        `INSERT INTO webhook_events (provider, event_type, order_id, order_status, payload_hash, payload)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (provider, payload_hash) DO UPDATE SET
+       attempts = webhook_events.attempts + 1,
+       last_received_at = NOW()
+     RETURNING *, (xmax = 0) AS inserted`,
+        [provider, eventType, orderId, orderStatus, payloadHash, JSON.stringify(payload)]
+    );
+
+    const { inserted, ...event } = result.rows[0];
+    return { event, isRetry: !inserted };
+};
+
+// The event that already handled this order with one of the given statuses, if any
+export const findProcessedOrderEvent = async (provider, orderId, excludeId, orderStatuses) => {
+    if (!orderId) return null;
+
+    const result = await query(
+        `SELECT id, event_type, order_status, processed_at FROM webhook_events
+     WHERE provider = $1 AND order_id = $2 AND processing_status = 'processed' AND id <> $3
+       AND order_status = ANY($4::text[])
+     ORDER BY processed_at ASC
+     LIMIT 1`,
+        [provider, orderId, excludeId, orderStatuses]
+    );
+
+    return result.rows[0] || null;
+};
+
+export const markWebhookEvent = async (id, processingStatus, { result = null, error = null } = {}) => {
+    await query(
+        `UPDATE webhook_events
+     SET processing_status = $2, result = $3, error = $4, processed_at = NOW()
+     WHERE id = $1`,
+        [id, processingStatus, result ? JSON.stringify(result) : null, error]
+    );
+};
+
+export const getWebhookEvent = async (id) => {
+    const result = await query('SELECT * FROM webhook_events WHERE id = $1', [id]);
+    return result.rows[0] || null;
+};
+
+// Newest first; payloads are left out of the list (fetch one event to see it)
+export const listWebhookEvents = async ({ provider, status, orderId, limit = 50 } = {}) => {
+    const conditions = [];
+    const params = [];
+
+    if (provider) {
+        params.push(provider);
+        conditions.push(`provider = $${params.length}`);
+    }
+    if (status) {
+        params.push(status);
+        conditions.push(`processing_status = $${params.length}`);
+    }
+    if (orderId) {
+        params.push(String(orderId));
+        conditions.push(`order_id = $${params.length}`);
+    }
+    params.push(limit);
+
+    const result = await query(
+        `SELECT id, provider, event_type, order_id, order_status, payload_hash, processing_status,
+            result, error, attempts, received_at, last_received_at, processed_at
+     FROM webhook_events
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY received_at DESC
+     LIMIT $${params.length}`,
+        params
+    );
+
+    return result.rows;
+};
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { pickQuestions, revealedCount, countsTowardScore } from '../utils/adaptiveQuiz.js';
+import { bestScoreAfter } from '../utils/quizGrading.js';
+
+const BANK = [
+    { difficulty: 'easy' }, { difficulty: 'easy' }, { difficulty: 'easy' }, { difficulty: 'easy' },
+    { difficulty: 'medium' }, { difficulty: 'medium' }, { difficulty: 'medium' }, { difficulty: 'medium' },
+    { difficulty: 'hard' }, { difficulty: 'hard' }, { difficulty: 'hard' }, { difficulty: 'hard' }
+];
+
+test('a retry of a whole quiz repeats every revealed question and is practice', () => {
+    const first = [0, 1, 2, 3, 4];
+    const retry = { revealed_count: revealedCount([0, 1, 2, 3, 4], first) };
+
+    assert.equal(retry.revealed_count, 5);
+    assert.equal(countsTowardScore(retry), false);
+});
+
+test('a retry cannot overwrite the score with the revealed answers', () => {
+    const firstScore = 40;
+    const best = bestScoreAfter(0, firstScore);
+
+    const retry = { revealed_count: revealedCount([0, 1, 2, 3, 4], [0, 1, 2, 3, 4]) };
+    assert.equal(bestScoreAfter(best, 100, { counts: countsTowardScore(retry) }), 40);
+});
+
+test('a retry on a bank with unseen questions picks new ones, which count', () => {
+    const first = pickQuestions(BANK, { size: 4, target: 'medium', random: () => 0.5 });
+    const retryIndexes = pickQuestions(BANK, { size: 4, target: 'medium', seen: first, random: () => 0.5 });
+    const retry = { revealed_count: revealedCount(retryIndexes, first) };
+
+    assert.equal(retry.revealed_count, 0);
+    assert.equal(countsTowardScore(retry), true);
+    assert.equal(bestScoreAfter(40, 75, { counts: countsTowardScore(retry) }), 75);
+});
+
+test('a counted attempt never lowers the best score', () => {
+    assert.equal(bestScoreAfter(80, 50), 80);
+    assert.equal(bestScoreAfter(null, 50), 50);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildAccessPolicy, lockedLessonResponse } from '../services/entitlements.js';
+
+// Defaults: FREE_PREVIEW_DAYS=3, UNVERIFIED_PREVIEW_DAYS=1
+const NOW = new Date('2026-10-19T12:00:00Z');
+const daysFromNow = (days) => new Date(NOW.getTime() + days * 24 * 60 * 60 * 1000);
+
+const student = { id: 'u1', role: 'student', email_verified: true };
+const b1Lesson = { day: 70, level: 'B1' };
+
+const entitlement = (fields = {}) => ({
+    plan: 'full',
+    levels: ['A1', 'A2', 'B1', 'B2'],
+    day_from: null,
+    day_to: null,
+    status: 'active',
+    starts_at: daysFromNow(-10),
+    expires_at: null,
+    grace_until: null,
+    ...fields
+});
+
+// The row add_entitlements.sql gives every account that existed before entitlements
+const legacyFull = entitlement({ source: 'legacy' });
+
+const check = (user, entitlements, lesson) => buildAccessPolicy(user, entitlements, NOW).check(lesson);
+
+test('admins and teachers open every lesson without buying', () => {
+    assert.equal(check({ role: 'admin' }, [], b1Lesson).reason, 'staff');
+    assert.equal(check({ role: 'teacher', email_verified: false }, [], b1Lesson).reason, 'staff');
+});
+
+test('the free preview days are open to everyone signed in', () => {
+    assert.deepEqual(check(student, [], { day: 3, level: 'A1' }), { allowed: true, reason: 'free' });
+    assert.deepEqual(check(student, [], { day: 4, level: 'A1' }), { allowed: false, reason: 'purchase_required' });
+});
+
+test('an unverified email stops at the first lesson, even with a purchase', () => {
+    const unverified = { ...student, email_verified: false };
+
+    assert.equal(check(unverified, [legacyFull], { day: 1, level: 'A1' }).allowed, true);
+    assert.deepEqual(check(unverified, [legacyFull], { day: 2, level: 'A1' }), { allowed: false, reason: 'email_unverified' });
+});
+
+test('the legacy full backfill opens A1 to B2 but not C1', () => {
+    assert.equal(check(student, [legacyFull], b1Lesson).reason, 'entitled');
+    assert.equal(check(student, [legacyFull], { day: 110, level: 'C1' }).reason, 'purchase_required');
+});
+
+test('a plan covers only its levels or days', () => {
+    const foundation = entitlement({ plan: 'foundation', levels: ['A1', 'A2'] });
+    const dayRange = entitlement({ plan: 'custom', levels: [], day_from: 60, day_to: 80 });
+
+    assert.equal(check(student, [foundation], b1Lesson).reason, 'purchase_required');
+    assert.equal(check(student, [dayRange], b1Lesson).reason, 'entitled');
+    assert.equal(check(student, [dayRange], { day: 81, level: 'B1' }).reason, 'purchase_required');
+});
+
+test('a refunded plan keeps working until its grace period ends', () => {
+    const inGrace = entitlement({ status: 'revoked', grace_until: daysFromNow(2) });
+    const afterGrace = entitlement({ status: 'revoked', grace_until: daysFromNow(-1) });
+
+    assert.deepEqual(check(student, [inGrace], b1Lesson), { allowed: true, reason: 'grace', graceUntil: inGrace.grace_until });
+    assert.deepEqual(check(student, [afterGrace], b1Lesson), { allowed: false, reason: 'revoked' });
+    // Another plan still covering the lesson wins
+    assert.equal(check(student, [afterGrace, legacyFull], b1Lesson).reason, 'entitled');
+});
+
+test('an expired subscription is told apart from never buying', () => {
+    const monthly = entitlement({ plan: 'monthly', starts_at: daysFromNow(-40), expires_at: daysFromNow(-10) });
+    const access = check(student, [monthly], b1Lesson);
+
+    assert.deepEqual(access, { allowed: false, reason: 'expired', expiredAt: monthly.expires_at });
+    assert.equal(check(student, [entitlement({ starts_at: daysFromNow(1) })], b1Lesson).allowed, false);
+});
+
+test('locked lessons answer 402 when never bought and 403 otherwise', () => {
+    assert.equal(lockedLessonResponse({ reason: 'purchase_required' }, b1Lesson).status, 402);
+    assert.equal(lockedLessonResponse({ reason: 'revoked' }, b1Lesson).body.code, 'ACCESS_REVOKED');
+    assert.equal(lockedLessonResponse({ reason: 'expired' }, b1Lesson).status, 403);
+    assert.equal(lockedLessonResponse({ reason: 'email_unverified' }, b1Lesson).body.code, 'EMAIL_NOT_VERIFIED');
+});
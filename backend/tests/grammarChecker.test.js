@@ -0,0 +1,72 @@
+// Example sentences for the offline grammar checker.
+// Run with: npm test
+//
+// Each example lists the corrections it should produce ([] = sentence is correct).
+// Add a line here whenever a rule is changed or a false positive is reported.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { checkGrammar } from '../utils/grammarChecker.js';
+
+const EXAMPLES = [
+    // Third-person -s
+    { text: 'He go to school every day.', expected: [['He go', 'He goes']] },
+    { text: 'She like coffee.', expected: [['She like', 'She likes']] },
+    { text: 'My brother is tall and he study English.', expected: [['he study', 'he studies']] },
+    { text: 'It work very well.', expected: [['It work', 'It works']] },
+    { text: 'He watch TV at night.', expected: [['He watch', 'He watches']] },
+    { text: 'She have two children.', expected: [['She have', 'She has']] },
+    { text: "He don't like tea.", expected: [["He don't", "He doesn't"]] },
+    { text: 'Does he go to work by bus?', expected: [] },
+    { text: 'She can swim very fast.', expected: [] },
+    { text: 'Let it go.', expected: [] },
+    { text: 'He goes to the gym.', expected: [] },
+    { text: 'Yesterday he read a book.', expected: [] },
+
+    // Missing verb to be
+    { text: 'I student.', expected: [['I student', 'I am a student']] },
+    { text: 'He engineer.', expected: [['He engineer', 'He is an engineer']] },
+    { text: 'They teacher.', expected: [['They teacher', 'They are teachers']] },
+    { text: 'I tired today.', expected: [['I tired', 'I am tired']] },
+    { text: 'I from Egypt.', expected: [['I from', 'I am from']] },
+    { text: 'She a doctor.', expected: [['She a', 'She is a']] },
+    { text: 'Are you ready?', expected: [] },
+    { text: 'Give it a try.', expected: [] },
+    { text: 'I told you the truth.', expected: [] },
+    { text: 'I am happy.', expected: [] },
+
+    // Be + base verb
+    { text: 'I am go to the market.', expected: [['I am go', 'I am going / I go']] },
+    { text: 'She is write a letter.', expected: [['She is write', 'She is writing / She writes']] },
+    { text: 'We are study now.', expected: [['We are study', 'We are studying / We study']] },
+    { text: 'They were swim in the sea.', expected: [['They were swim', 'They were swimming']] },
+    { text: "I'm come now.", expected: [["I'm come", "I'm coming"]] },
+    { text: 'They are like brothers.', expected: [] },
+    { text: 'I am going home.', expected: [] },
+
+    // Articles
+    { text: 'I ate a apple.', expected: [['a apple', 'an apple']] },
+    { text: 'She is an good friend.', expected: [['an good', 'a good']] },
+    { text: 'He is teacher.', expected: [['is teacher', 'is a teacher']] },
+    { text: 'My sister is engineer.', expected: [['is engineer', 'is an engineer']] },
+    { text: 'They are student.', expected: [['are student', 'are students']] },
+    { text: 'I speak the English.', expected: [['speak the English', 'speak English']] },
+    { text: 'I study at a university.', expected: [] },
+    { text: 'I waited for an hour.', expected: [] },
+    { text: 'It is an MBA program.', expected: [] },
+    { text: 'The English language is useful.', expected: [] },
+
+    // Several mistakes in one sentence
+    {
+        text: 'I student and he go to a office.',
+        expected: [['I student', 'I am a student'], ['he go', 'he goes'], ['a office', 'an office']]
+    }
+];
+
+for (const { text, expected } of EXAMPLES) {
+    test(text, () => {
+        const actual = checkGrammar(text).map(c => [c.error, c.correction]);
+        assert.deepEqual(actual, expected);
+    });
+}
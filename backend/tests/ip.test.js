@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ipBucket, normalizeIp } from '../utils/ip.js';
+
+test('IPv4 clients are counted per address', () => {
+    assert.equal(ipBucket('203.0.113.5'), '203.0.113.5');
+    assert.equal(ipBucket(normalizeIp('::ffff:203.0.113.5')), '203.0.113.5');
+});
+
+test('IPv6 clients are counted per /64', () => {
+    assert.equal(ipBucket('2001:db8:1:2::5'), '2001:db8:1:2::/64');
+    assert.equal(ipBucket('2001:0db8:0001:0002:aaaa:bbbb:cccc:dddd'), '2001:db8:1:2::/64');
+    assert.equal(ipBucket('2001:db8::1'), ipBucket('2001:db8:0:0:ffff::9'));
+    assert.notEqual(ipBucket('2001:db8:1:2::5'), ipBucket('2001:db8:1:3::5'));
+});
+
+test('addresses that are not IPs are left alone', () => {
+    assert.equal(ipBucket(null), null);
+    assert.equal(ipBucket('unknown'), 'unknown');
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validate } from '../middleware/validate.js';
+import { lessonDaySchema, MAX_DAY_NUMBER } from '../validators/lessons.js';
+import { validateLesson, isValidDayNumber, DAY_NUMBER_MESSAGE } from '../utils/lessonValidation.js';
+
+// Runs the middleware on a fake request: { status, body } when it answered, { next: true } otherwise
+const run = async (schema, req) => {
+    const outcome = {};
+    const res = {
+        status(code) {
+            outcome.status = code;
+            return this;
+        },
+        json(body) {
+            outcome.body = body;
+            return this;
+        }
+    };
+
+    await validate(schema)({ body: {}, query: {}, ...req }, res, () => {
+        outcome.next = true;
+    });
+    return outcome;
+};
+
+test('a day number that is not a number is a 422, not a database error', async () => {
+    const { status, body } = await run(lessonDaySchema, { params: { dayNumber: 'abc' } });
+
+    assert.equal(status, 422);
+    assert.equal(body.code, 'VALIDATION_FAILED');
+    assert.equal(body.errors[0].field, 'dayNumber');
+});
+
+test('a valid day number reaches the controller as an integer', async () => {
+    const req = { params: { dayNumber: '12' } };
+    const outcome = await run(lessonDaySchema, req);
+
+    assert.equal(outcome.next, true);
+    assert.equal(req.params.dayNumber, 12);
+});
+
+test('lesson bodies take the same day numbers as the route params', () => {
+    assert.equal(isValidDayNumber(1), true);
+    assert.equal(isValidDayNumber(MAX_DAY_NUMBER), true);
+    assert.equal(isValidDayNumber(MAX_DAY_NUMBER + 1), false);
+    assert.equal(isValidDayNumber(1e12), false);
+    assert.equal(isValidDayNumber(0), false);
+
+    assert.deepEqual(validateLesson({ day_number: 1e12 }, { partial: true }).errors, [DAY_NUMBER_MESSAGE]);
+});
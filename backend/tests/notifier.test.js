@@ -0,0 +1,47 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getNotifier, setNotifier } from '../services/notifier/index.js';
+
+const ENV = { NODE_ENV: process.env.NODE_ENV, NOTIFIER: process.env.NOTIFIER, SMTP_HOST: process.env.SMTP_HOST };
+
+afterEach(() => {
+    for (const [key, value] of Object.entries(ENV)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+    }
+    setNotifier(null);
+});
+
+test('falls back to the console notifier in development', () => {
+    process.env.NODE_ENV = 'development';
+    delete process.env.NOTIFIER;
+
+    assert.equal(getNotifier().name, 'console');
+});
+
+test('production refuses a missing, unknown, console or file notifier', () => {
+    process.env.NODE_ENV = 'production';
+
+    for (const value of [undefined, 'sms', 'console', 'file']) {
+        if (value === undefined) delete process.env.NOTIFIER;
+        else process.env.NOTIFIER = value;
+
+        assert.throws(() => getNotifier(), /NOTIFIER must be smtp in production/);
+    }
+});
+
+test('production rejects the file notifier', () => {
+    process.env.NODE_ENV = 'production';
+    process.env.NOTIFIER = 'file';
+
+    assert.throws(() => getNotifier(), /NOTIFIER must be smtp in production \(got "file"\)/);
+});
+
+test('production accepts the smtp notifier', () => {
+    process.env.NODE_ENV = 'production';
+    process.env.NOTIFIER = 'smtp';
+    process.env.SMTP_HOST = 'smtp.example.com';
+
+    assert.equal(getNotifier().name, 'smtp');
+});
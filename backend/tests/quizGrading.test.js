@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { gradeQuiz, isAttemptSubmitted, bestScoreAfter } from '../utils/quizGrading.js';
+import { revealedCount, countsTowardScore } from '../utils/adaptiveQuiz.js';
+
+const QUIZ = [
+    { question: 'I ___ a student.', options: ['am', 'is', 'are'], answer: 'am' },
+    { question: 'She ___ coffee.', options: ['like', 'likes'], correct_answer: 1 }
+];
+
+test('grades answers keyed by question index', () => {
+    const { correctCount, total, score, results } = gradeQuiz(QUIZ, { 0: 'AM ', 1: 'like' });
+
+    assert.equal(correctCount, 1);
+    assert.equal(total, 2);
+    assert.equal(score, 50);
+    assert.equal(results[1].correctAnswer, 'likes');
+});
+
+test('a new attempt can be submitted', () => {
+    assert.equal(isAttemptSubmitted({ quiz_submitted_at: null }, { submitted_at: null }), false);
+    assert.equal(isAttemptSubmitted(null, null), false);
+});
+
+test('a second submit of the same attempt is rejected', () => {
+    const submittedAt = new Date();
+
+    assert.equal(isAttemptSubmitted({ quiz_submitted_at: submittedAt }, { submitted_at: null }), true);
+    assert.equal(isAttemptSubmitted({ quiz_submitted_at: null }, { submitted_at: submittedAt }), true);
+});
+
+test('retry then submit the revealed answers: graded, but the best score stays', () => {
+    // First attempt: graded, so its answers are shown
+    const first = { question_indexes: [0, 1], submitted_at: new Date() };
+    const firstScore = gradeQuiz(QUIZ, { 0: 'am', 1: 'like' }).score;
+    let best = bestScoreAfter(0, firstScore, { counts: true });
+    assert.equal(isAttemptSubmitted(null, first), true);
+
+    // Retry: a new attempt on the same two questions
+    const retry = { question_indexes: [0, 1], submitted_at: null, revealed_count: revealedCount([0, 1], first.question_indexes) };
+    assert.equal(isAttemptSubmitted(null, retry), false);
+
+    const { score } = gradeQuiz(QUIZ, { 0: 'am', 1: 'likes' });
+    assert.equal(score, 100);
+
+    best = bestScoreAfter(best, score, { counts: countsTowardScore(retry) });
+    assert.equal(best, 50);
+});
@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { fitsLesson } from '../services/quizVariants.js';
+
+const lesson = { id: 7, day_number: 3, quiz_list: [{}, {}, {}] };
+
+test('an attempt fits the lesson it was drawn from', () => {
+    assert.equal(fitsLesson({ lesson_id: 7, question_indexes: [0, 2] }, lesson), true);
+});
+
+test('an attempt from the lesson that used to be on this day does not fit', () => {
+    assert.equal(fitsLesson({ lesson_id: 9, question_indexes: [0, 1] }, lesson), false);
+    assert.equal(fitsLesson({ lesson_id: null, question_indexes: [0, 1] }, lesson), false);
+});
+
+test('an attempt with questions the lesson no longer has does not fit', () => {
+    assert.equal(fitsLesson({ lesson_id: 7, question_indexes: [0, 3] }, lesson), false);
+    assert.equal(fitsLesson(null, lesson), false);
+});
@@ -0,0 +1,82 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createMemoryStore } from '../services/rateLimit/providers/memoryStore.js';
+import { setRateLimitStore } from '../services/rateLimit/index.js';
+import { lockoutMs, recordLoginFailure, getLoginLock, clearLoginFailures } from '../services/loginThrottle.js';
+
+// Defaults: 5 failures per email, 60s lockout doubling up to 60 minutes
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+beforeEach(() => {
+    setRateLimitStore(createMemoryStore());
+});
+
+test('no lockout below the limit', () => {
+    assert.equal(lockoutMs(0, 5), 0);
+    assert.equal(lockoutMs(4, 5), 0);
+});
+
+test('the lockout doubles with every failure past the limit', () => {
+    assert.equal(lockoutMs(5, 5), 60 * SECOND);
+    assert.equal(lockoutMs(6, 5), 120 * SECOND);
+    assert.equal(lockoutMs(7, 5), 240 * SECOND);
+});
+
+test('the lockout stops growing at the maximum', () => {
+    assert.equal(lockoutMs(11, 5), 60 * MINUTE);
+    assert.equal(lockoutMs(50, 5), 60 * MINUTE);
+});
+
+test('the memory store counts within a window and starts over once it ended', async () => {
+    const store = createMemoryStore();
+
+    assert.equal((await store.increment('k', MINUTE)).count, 1);
+    assert.equal((await store.increment('k', MINUTE)).count, 2);
+    assert.equal((await store.get('k')).count, 2);
+
+    // Window already over
+    await store.set('k', 2, Date.now() - 1);
+    assert.equal(await store.get('k'), null);
+    assert.equal((await store.increment('k', MINUTE)).count, 1);
+});
+
+test('the memory store forgets removed keys', async () => {
+    const store = createMemoryStore();
+
+    await store.increment('k', MINUTE);
+    await store.remove('k');
+    assert.equal(await store.get('k'), null);
+});
+
+test('the fifth wrong password locks the email', async () => {
+    const attempt = { email: 'Learner@Example.com', ip: '203.0.113.5' };
+
+    for (let i = 0; i < 4; i++) {
+        assert.equal(await recordLoginFailure(attempt), null);
+    }
+    assert.equal(await getLoginLock(attempt), null);
+
+    const lock = await recordLoginFailure(attempt);
+    assert.ok(lock.resetAt - Date.now() > 55 * SECOND && lock.resetAt - Date.now() <= 60 * SECOND);
+
+    // Same address in other case, from another IP
+    const locked = await getLoginLock({ email: 'learner@example.com', ip: '198.51.100.7' });
+    assert.equal(locked.resetAt, lock.resetAt);
+});
+
+test('a successful login clears the email count but not the IP count', async () => {
+    const ip = '203.0.113.9';
+
+    for (let i = 0; i < 5; i++) await recordLoginFailure({ email: 'a@example.com', ip });
+    await clearLoginFailures({ email: 'a@example.com' });
+
+    assert.equal(await getLoginLock({ email: 'a@example.com' }), null);
+
+    // 15 more failures on other emails reach the per-IP limit of 20
+    let lock = null;
+    for (let i = 0; i < 15; i++) lock = await recordLoginFailure({ email: `user${i}@example.com`, ip });
+    assert.ok(lock);
+    assert.ok(await getLoginLock({ email: 'fresh@example.com', ip }));
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { refreshVerdict, accessTokenProblem, checkAccessToken } from '../services/sessions.js';
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const ago = (seconds) => new Date(NOW - seconds * 1000);
+const later = (days) => new Date(NOW + days * 24 * 60 * 60 * 1000);
+
+const session = (fields = {}) => ({
+    refresh_token_hash: 'current',
+    last_used_at: ago(60),
+    expires_at: later(30),
+    revoked_at: null,
+    ...fields
+});
+
+test('the current refresh token is rotated', () => {
+    assert.equal(refreshVerdict(session(), 'current', NOW), 'rotate');
+});
+
+test('a rotated token sent again within 30 seconds is a second tab, not theft', () => {
+    assert.equal(refreshVerdict(session({ last_used_at: ago(10) }), 'previous', NOW), 'rotate');
+});
+
+test('a rotated token sent again later revokes the session', () => {
+    assert.equal(refreshVerdict(session({ last_used_at: ago(31) }), 'previous', NOW), 'reuse');
+});
+
+test('unknown, expired and revoked sessions are rejected', () => {
+    assert.equal(refreshVerdict(null, 'current', NOW), 'reject');
+    assert.equal(refreshVerdict(session({ expires_at: ago(1) }), 'current', NOW), 'reject');
+    assert.equal(refreshVerdict(session({ revoked_at: ago(5) }), 'current', NOW), 'reject');
+    // Already revoked for reuse: rejected without revoking again
+    assert.equal(refreshVerdict(session({ revoked_at: ago(5) }), 'previous', NOW), 'reject');
+});
+
+test('an access token stops working once its session is revoked', () => {
+    const now = new Date(NOW);
+    const row = { disabled_at: null, session_id: 's1', revoked_at: null, expires_at: later(30) };
+
+    assert.equal(accessTokenProblem(row, { sessionId: 's1', now }), null);
+    assert.equal(accessTokenProblem({ ...row, revoked_at: ago(1) }, { sessionId: 's1', now }), 'signed_out');
+    assert.equal(accessTokenProblem({ ...row, session_id: null }, { sessionId: 's1', now }), 'signed_out');
+    assert.equal(accessTokenProblem(null, { sessionId: 's1', now }), 'signed_out');
+});
+
+test('an access token stops working once the account is disabled, not during the grace period', () => {
+    const now = new Date(NOW);
+    const row = { disabled_at: ago(1), session_id: 's1', revoked_at: null, expires_at: later(30) };
+
+    assert.equal(accessTokenProblem(row, { sessionId: 's1', now }), 'disabled');
+    assert.equal(accessTokenProblem({ ...row, disabled_at: later(2) }, { sessionId: 's1', now }), null);
+    // Tokens from before sessions existed are only checked for the account
+    assert.equal(accessTokenProblem({ disabled_at: null }, { now }), null);
+});
+
+test('checkAccessToken looks the session up for the token user', async () => {
+    const calls = [];
+    const db = {
+        query: async (sql, params) => {
+            calls.push(params);
+            return { rows: [{ disabled_at: null, session_id: 's1', revoked_at: new Date(), expires_at: later(30) }] };
+        }
+    };
+
+    assert.equal(await checkAccessToken({ userId: 'u1', sessionId: 's1' }, db), 'signed_out');
+    assert.deepEqual(calls, [['u1', 's1']]);
+});
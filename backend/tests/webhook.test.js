@@ -0,0 +1,110 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+
+import { verifySallaWebhook } from '../controllers/webhookController.js';
+import { hashPayload, isHandledRetry, FINAL_STATUSES } from '../services/webhookEvents.js';
+
+const SECRET = 'test-webhook-secret';
+const RAW_BODY = Buffer.from('{"event":"order.updated","data":{"id":42}}');
+
+const sign = (body, secret = SECRET) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+// Runs the middleware and reports whether it passed the request on, or what it answered
+const verify = ({ signature, rawBody = RAW_BODY } = {}) => {
+    const result = { nextCalled: false, status: null, body: null };
+    const req = { headers: signature === undefined ? {} : { 'x-salla-signature': signature }, rawBody, ip: '127.0.0.1' };
+    const res = {
+        status(code) { result.status = code; return this; },
+        json(body) { result.body = body; return this; }
+    };
+    verifySallaWebhook(req, res, () => { result.nextCalled = true; });
+    return result;
+};
+
+let savedSecret;
+let savedWarn;
+let savedError;
+
+beforeEach(() => {
+    savedSecret = process.env.SALLA_WEBHOOK_SECRET;
+    savedWarn = console.warn;
+    savedError = console.error;
+    console.warn = () => {};
+    console.error = () => {};
+    process.env.SALLA_WEBHOOK_SECRET = SECRET;
+});
+
+afterEach(() => {
+    if (savedSecret === undefined) delete process.env.SALLA_WEBHOOK_SECRET;
+    else process.env.SALLA_WEBHOOK_SECRET = savedSecret;
+    console.warn = savedWarn;
+    console.error = savedError;
+});
+
+test('a correctly signed delivery is passed on', () => {
+    const result = verify({ signature: sign(RAW_BODY) });
+    assert.equal(result.nextCalled, true);
+    assert.equal(result.status, null);
+});
+
+test('a signature made with another secret is rejected', () => {
+    const result = verify({ signature: sign(RAW_BODY, 'another-secret') });
+    assert.equal(result.nextCalled, false);
+    assert.equal(result.status, 401);
+    assert.equal(result.body.message, 'Invalid webhook signature');
+});
+
+test('a signature for another body is rejected', () => {
+    const result = verify({ signature: sign(Buffer.from('{"event":"order.updated","data":{"id":43}}')) });
+    assert.equal(result.status, 401);
+});
+
+test('a signature of the wrong length is rejected without throwing', () => {
+    for (const signature of ['abc', sign(RAW_BODY) + '00', sign(RAW_BODY).slice(1)]) {
+        const result = verify({ signature });
+        assert.equal(result.nextCalled, false);
+        assert.equal(result.status, 401);
+        assert.equal(result.body.message, 'Invalid webhook signature');
+    }
+});
+
+test('a delivery without a signature or body is rejected', () => {
+    assert.equal(verify().status, 401);
+    assert.equal(verify({ signature: '' }).status, 401);
+    assert.equal(verify({ signature: sign(RAW_BODY), rawBody: null }).status, 401);
+    assert.equal(verify().body.message, 'Missing webhook signature');
+});
+
+test('without a configured secret every delivery is refused', () => {
+    delete process.env.SALLA_WEBHOOK_SECRET;
+    const result = verify({ signature: sign(RAW_BODY) });
+    assert.equal(result.nextCalled, false);
+    assert.equal(result.status, 500);
+});
+
+test('the same raw body always hashes to the same key', () => {
+    assert.equal(hashPayload(RAW_BODY), hashPayload(Buffer.from(RAW_BODY)));
+    assert.equal(hashPayload(RAW_BODY), hashPayload(RAW_BODY.toString()));
+});
+
+test('a different body - even one byte - hashes to a different key', () => {
+    assert.notEqual(hashPayload(RAW_BODY), hashPayload('{"event":"order.updated","data":{"id":43}}'));
+    assert.notEqual(hashPayload(RAW_BODY), hashPayload(RAW_BODY.toString() + ' '));
+});
+
+test('a retry of a finished delivery is answered without processing it again', () => {
+    for (const status of FINAL_STATUSES) {
+        assert.equal(isHandledRetry({ processing_status: status }, true), true);
+    }
+});
+
+test('a retry of a failed or unfinished delivery is processed again', () => {
+    assert.equal(isHandledRetry({ processing_status: 'failed' }, true), false);
+    assert.equal(isHandledRetry({ processing_status: 'received' }, true), false);
+});
+
+test('a first delivery is always processed', () => {
+    assert.equal(isHandledRetry({ processing_status: 'received' }, false), false);
+    assert.equal(isHandledRetry({ processing_status: 'processed' }, false), false);
+});
@@ -0,0 +1,108 @@
+// Adaptive lesson quizzes - the pure part (no database), used by services/quizVariants.js.
+//
+// A lesson's quiz_list can be a bank bigger than one quiz, each question tagged
+// difficulty easy | medium | hard (untagged = medium). With lessons.quiz_size set,
+// every attempt gets quiz_size questions, mixed around a target difficulty:
+//
+//   skill     blend of the learner's recent accuracy and their accuracy on the lesson's
+//             grammar topic (the topic counts more - it is the closer signal)
+//   target    easy below 50%, hard from 80%, medium in between (and without history)
+//   mix       mostly the target, some of its neighbour, ordered easy -> hard
+//
+// Questions the learner already had in earlier attempts at the lesson are used last.
+// An attempt with questions whose answers a graded attempt already showed is practice:
+// it does not count towards the lesson score or the learner's accuracy.
+
+export const QUIZ_DIFFICULTIES = ['easy', 'medium', 'hard'];
+export const DEFAULT_DIFFICULTY = 'medium';
+
+// Below these many answers the accuracy is not trusted (treated as no history)
+export const MIN_RUNNING_ANSWERS = 5;
+export const MIN_TOPIC_ANSWERS = 3;
+
+const TOPIC_WEIGHT = 0.6;
+const EASY_BELOW = 0.5;
+const HARD_FROM = 0.8;
+
+// Share of each difficulty for a target
+const MIX = {
+    easy: { easy: 0.6, medium: 0.4, hard: 0 },
+    medium: { easy: 0.25, medium: 0.5, hard: 0.25 },
+    hard: { easy: 0, medium: 0.4, hard: 0.6 }
+};
+
+export const difficultyOf = (question) =>
+    QUIZ_DIFFICULTIES.includes(question?.difficulty) ? question.difficulty : DEFAULT_DIFFICULTY;
+
+// 0..1, or null without enough history
+export const estimateSkill = ({ runningAccuracy = null, topicAccuracy = null }) => {
+    if (runningAccuracy === null && topicAccuracy === null) return null;
+    if (topicAccuracy === null) return runningAccuracy;
+    if (runningAccuracy === null) return topicAccuracy;
+    return topicAccuracy * TOPIC_WEIGHT + runningAccuracy * (1 - TOPIC_WEIGHT);
+};
+
+export const targetDifficulty = (skill) => {
+    if (skill === null || skill === undefined) return DEFAULT_DIFFICULTY;
+    if (skill < EASY_BELOW) return 'easy';
+    if (skill >= HARD_FROM) return 'hard';
+    return 'medium';
+};
+
+const shuffle = (items, random) => {
+    const copy = [...items];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+};
+
+// How many questions of each difficulty; always adds up to size
+const mixCounts = (target, size) => {
+    const counts = Object.fromEntries(QUIZ_DIFFICULTIES.map(d => [d, Math.round(size * MIX[target][d])]));
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    counts[target] = Math.max(0, counts[target] + size - total);
+    return counts;
+};
+
+// Positions in quizList for one attempt, easiest first.
+// seen: positions from earlier attempts at this lesson
+export const pickQuestions = (quizList, { size, target, seen = [], random = Math.random }) => {
+    const alreadySeen = new Set(seen);
+    const pools = Object.fromEntries(QUIZ_DIFFICULTIES.map(difficulty => {
+        const indexes = quizList.map((question, index) => index).filter(index => difficultyOf(quizList[index]) === difficulty);
+        const shuffled = shuffle(indexes, random);
+        return [difficulty, [...shuffled.filter(i => !alreadySeen.has(i)), ...shuffled.filter(i => alreadySeen.has(i))]];
+    }));
+
+    const wanted = Math.min(size, quizList.length);
+    const counts = mixCounts(target, wanted);
+    const picked = [];
+
+    QUIZ_DIFFICULTIES.forEach(difficulty => {
+        picked.push(...pools[difficulty].splice(0, counts[difficulty]));
+    });
+
+    // A difficulty without enough questions: fill up from the closest ones to the target
+    const targetIndex = QUIZ_DIFFICULTIES.indexOf(target);
+    const byCloseness = [...QUIZ_DIFFICULTIES].sort((a, b) =>
+        Math.abs(QUIZ_DIFFICULTIES.indexOf(a) - targetIndex) - Math.abs(QUIZ_DIFFICULTIES.indexOf(b) - targetIndex));
+
+    for (const difficulty of byCloseness) {
+        if (picked.length >= wanted) break;
+        picked.push(...pools[difficulty].splice(0, wanted - picked.length));
+    }
+
+    const rank = (index) => QUIZ_DIFFICULTIES.indexOf(difficultyOf(quizList[index]));
+    return picked.sort((a, b) => rank(a) - rank(b));
+};
+
+// Questions of an attempt whose answers were already shown (revealed: positions from graded attempts)
+export const revealedCount = (questionIndexes, revealed = []) => {
+    const shown = new Set(revealed);
+    return questionIndexes.filter(index => shown.has(index)).length;
+};
+
+// Only attempts on questions the learner had not seen answered count
+export const countsTowardScore = (variant) => !variant?.revealed_count;
@@ -0,0 +1,122 @@
+import { COURSE_TOTAL_DAYS } from '../config/course.js';
+
+// Level certificate as a one-page PDF (landscape A4), written by hand - no PDF library needed.
+// It only uses the standard Helvetica fonts every PDF reader has, so the text is English and
+// limited to Latin-1. Names outside it (e.g. Arabic) are left to the verification page.
+
+const PAGE_WIDTH = 842;
+const PAGE_HEIGHT = 595;
+
+// Helvetica / Helvetica-Bold advance widths (1/1000 em) for ASCII 32..126, from the standard AFM files
+const WIDTHS = {
+    regular: [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+    bold: [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ]
+};
+
+// Accented Latin-1 letters are about as wide as an average letter
+const FALLBACK_WIDTH = 556;
+
+// What the standard fonts can draw (WinAnsi: ASCII + Latin-1)
+export const isPrintable = (text) => /^[\x20-\x7E\u00A0-\u00FF]*$/.test(text);
+
+const textWidth = (text, size, font) =>
+    [...text].reduce((sum, char) => {
+        const code = char.charCodeAt(0);
+        return sum + (code >= 32 && code <= 126 ? WIDTHS[font][code - 32] : FALLBACK_WIDTH);
+    }, 0) * size / 1000;
+
+const escapeText = (text) => text.replace(/[\\()]/g, match => `\\${match}`);
+
+// Centred line of text; y from the bottom of the page
+const centredText = (text, { y, size, font = 'regular', color = [0.2, 0.2, 0.2] }) => {
+    const x = (PAGE_WIDTH - textWidth(text, size, font)) / 2;
+    return [
+        `${color.join(' ')} rg`,
+        'BT',
+        `/${font === 'bold' ? 'F2' : 'F1'} ${size} Tf`,
+        `${x.toFixed(2)} ${y} Td`,
+        `(${escapeText(text)}) Tj`,
+        'ET'
+    ].join('\n');
+};
+
+const PURPLE = [0.486, 0.227, 0.929];
+const PINK = [0.859, 0.153, 0.467];
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+    timeZone: 'UTC'
+});
+
+// Objects -> PDF file with its cross-reference table
+const buildPdf = (objects) => {
+    let pdf = '%PDF-1.4\n';
+    const offsets = [];
+
+    objects.forEach((object, index) => {
+        offsets.push(Buffer.byteLength(pdf, 'latin1'));
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    });
+
+    const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 7 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(pdf, 'latin1');
+};
+
+// certificate: { holderName, level: { key, englishName }, score, issuedAt, code, verifyUrl }
+export const renderCertificatePdf = ({ holderName, level, score, issuedAt, code, verifyUrl }) => {
+    const name = holderName && isPrintable(holderName) ? holderName : null;
+    // Long names get smaller instead of running off the page
+    const nameSize = name ? Math.min(30, Math.floor(30 * 700 / textWidth(name, 30, 'bold'))) : 0;
+
+    const content = [
+        // Double frame
+        `${PURPLE.join(' ')} RG`,
+        '4 w',
+        `30 30 ${PAGE_WIDTH - 60} ${PAGE_HEIGHT - 60} re S`,
+        `${PINK.join(' ')} RG`,
+        '1 w',
+        `42 42 ${PAGE_WIDTH - 84} ${PAGE_HEIGHT - 84} re S`,
+
+        centredText('CERTIFICATE OF ACHIEVEMENT', { y: 470, size: 32, font: 'bold', color: PURPLE }),
+        centredText('This certifies that', { y: 410, size: 15 }),
+        name
+            ? centredText(name, { y: 360, size: nameSize, font: 'bold' })
+            : centredText('the holder of this certificate (name on the verification page)', { y: 365, size: 16, font: 'bold' }),
+        centredText(`has passed the ${level.key} ${level.englishName} level exam`, { y: 310, size: 17 }),
+        centredText(`of the ${COURSE_TOTAL_DAYS}-day English course`, { y: 286, size: 15 }),
+        centredText(`Score: ${score}%   |   ${formatDate(issuedAt)}`, { y: 236, size: 14, color: [0.35, 0.35, 0.35] }),
+
+        centredText(`Verification code: ${code}`, { y: 130, size: 16, font: 'bold', color: PURPLE }),
+        centredText(`Verify at ${verifyUrl}`, { y: 108, size: 11, color: [0.35, 0.35, 0.35] })
+    ].join('\n');
+
+    return buildPdf([
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 5 0 R /F2 6 0 R >> >> /Contents 4 0 R >>`,
+        `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+        `<< /Title (${escapeText(`${level.key} certificate ${code}`)}) /Producer (English Learning Platform) >>`
+    ]);
+};
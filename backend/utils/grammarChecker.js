@@ -0,0 +1,298 @@
+// Rule-based grammar checker for learner English - runs offline, no model needed.
+// Targets the mistakes Arabic speakers make most often:
+//   - missing third-person -s      "he go"        -> "he goes"
+//   - missing verb to be (copula)   "I student"    -> "I am a student"
+//   - article misuse                "a apple", "he is teacher", "I speak the English"
+//   - be + base verb                "I am go"      -> "I am going / I go"
+// Returns the same {error, correction, rule} shape the AI tutor uses.
+
+const RULES = {
+    thirdPerson: 'مع الضمائر (he, she, it) نضيف "s" أو "es" للفعل في المضارع البسيط',
+    thirdPersonAux: 'مع الضمائر (he, she, it) نستخدم "does" و "has" بدلاً من "do" و "have"',
+    copula: 'لا نحذف فعل الكون في الإنجليزية: نستخدم "am" مع I، و "is" مع he/she/it، و "are" مع you/we/they',
+    beBaseVerb: 'لا نضع الفعل في صيغته الأصلية بعد "am/is/are": استخدم الفعل + ing للمضارع المستمر، أو احذف فعل الكون للمضارع البسيط',
+    anBeforeVowel: 'نستخدم "an" بدلاً من "a" قبل الكلمات التي تبدأ بصوت متحرك (a, e, i, o, u)',
+    aBeforeConsonant: 'نستخدم "a" بدلاً من "an" قبل الكلمات التي تبدأ بصوت ساكن',
+    articleBeforeJob: 'نضع "a" أو "an" قبل الاسم المفرد المعدود، خاصة مع المهن: He is a teacher',
+    theBeforeLanguage: 'لا نستخدم "the" قبل أسماء اللغات عند الحديث عن اللغة نفسها: I speak English'
+};
+
+const SUBJECT_BE = { i: 'am', he: 'is', she: 'is', it: 'is', you: 'are', we: 'are', they: 'are' };
+const THIRD_PERSON = new Set(['he', 'she', 'it']);
+const PLURAL_SUBJECTS = new Set(['we', 'they']);
+const OBJECT_FORMS = new Set(['you', 'it']);
+const CLAUSE_STARTERS = new Set(['and', 'but', 'so', 'because', 'when', 'if', 'that', 'now', 'today']);
+
+const BE_FORMS = new Set(['am', 'is', 'are', 'was', 'were', "i'm", "you're", "we're", "they're"]);
+// "he's" can also mean "he has", so it only counts as "is" before a job noun
+const BE_FORMS_WITH_S = new Set([...BE_FORMS, "he's", "she's", "it's"]);
+
+// A subject followed by its verb is fine after these ("does he go", "let it go", "am I late")
+const INVERSION_WORDS = new Set([
+    'do', 'does', 'did', "don't", "doesn't", "didn't",
+    'can', 'could', 'will', 'would', 'should', 'shall', 'may', 'might', 'must',
+    "can't", "couldn't", "won't", "wouldn't", "shouldn't", "mustn't",
+    'let', 'make', 'made', 'help', 'see', 'saw', 'hear', 'heard', 'watch', 'watched',
+    'am', 'is', 'are', 'was', 'were', "isn't", "aren't", "wasn't", "weren't"
+]);
+
+// Common verbs in base form. Verbs whose past tense or participle looks the same
+// (read, put, cut...) are left out so "he read" or "it is read" are not flagged.
+const BASE_VERBS = new Set([
+    'go', 'come', 'eat', 'drink', 'play', 'work', 'study', 'watch', 'write', 'want', 'like', 'love',
+    'live', 'speak', 'sleep', 'drive', 'travel', 'visit', 'learn', 'teach', 'need', 'buy', 'walk',
+    'listen', 'talk', 'wait', 'call', 'swim', 'sit', 'get', 'make', 'take', 'see', 'know',
+    'think', 'say', 'tell', 'give', 'start', 'finish', 'try', 'fly', 'wash', 'fix', 'miss', 'stay',
+    'pray', 'wake', 'leave', 'meet', 'pay', 'send', 'understand', 'feel', 'begin', 'bring', 'carry',
+    'arrive', 'move', 'dance', 'sing', 'smoke', 'use', 'enjoy', 'prefer', 'remember', 'forget'
+]);
+
+// "they are like brothers", "we are live on air", "it is work" - valid with be
+const NOT_AFTER_BE = new Set(['like', 'live', 'love', 'work']);
+
+const AUX_THIRD_PERSON = { do: 'does', "don't": "doesn't", have: 'has' };
+
+const JOB_NOUNS = new Set([
+    'student', 'teacher', 'doctor', 'engineer', 'nurse', 'driver', 'pilot', 'manager', 'lawyer',
+    'farmer', 'chef', 'programmer', 'developer', 'accountant', 'designer', 'employee', 'mechanic',
+    'dentist', 'pharmacist', 'officer', 'soldier', 'artist', 'singer', 'writer', 'translator',
+    'architect', 'journalist', 'photographer', 'waiter', 'secretary', 'scientist', 'player'
+]);
+
+const STATE_WORDS = new Set([
+    'happy', 'sad', 'tired', 'hungry', 'thirsty', 'busy', 'ready', 'sick', 'fine', 'late', 'angry',
+    'sorry', 'married', 'single', 'bored', 'excited', 'afraid', 'sure', 'free', 'new', 'old', 'young',
+    'from', 'here', 'there', 'at'
+]);
+
+const LANGUAGES = new Set(['english', 'arabic', 'french', 'german', 'spanish', 'italian', 'turkish', 'chinese', 'japanese', 'russian']);
+const LANGUAGE_VERBS = new Set(['speak', 'speaks', 'speaking', 'learn', 'learns', 'learning', 'study', 'studies', 'studying', 'know', 'knows', 'understand', 'understands', 'teach', 'teaches', 'teaching']);
+
+// Vowel letters that sound like a consonant ("a university") and silent h ("an hour")
+const CONSONANT_SOUND_VOWEL = /^(uni(?![mnd])|use|usu|uti|eu|ewe|one|once)/;
+const VOWEL_SOUND_H = /^(hour|honest|honou?r|heir)/;
+
+const DOUBLED_FINAL = new Set(['swim', 'sit', 'get', 'begin']);
+
+const isVowelSound = (word) => {
+    if (VOWEL_SOUND_H.test(word)) return true;
+    if (CONSONANT_SOUND_VOWEL.test(word)) return false;
+    return /^[aeiou]/.test(word);
+};
+
+const toThirdPerson = (verb) => {
+    if (verb === 'have') return 'has';
+    if (/(s|x|z|ch|sh|o)$/.test(verb)) return `${verb}es`;
+    if (/[^aeiou]y$/.test(verb)) return `${verb.slice(0, -1)}ies`;
+    return `${verb}s`;
+};
+
+const toIngForm = (verb) => {
+    if (DOUBLED_FINAL.has(verb)) return `${verb}${verb.slice(-1)}ing`;
+    if (verb.endsWith('ie')) return `${verb.slice(0, -2)}ying`;
+    if (/[^aeiou]e$/.test(verb)) return `${verb.slice(0, -1)}ing`;
+    return `${verb}ing`;
+};
+
+const toPlural = (noun) => {
+    if (/[^aeiou]y$/.test(noun)) return `${noun.slice(0, -1)}ies`;
+    if (/(s|x|ch|sh)$/.test(noun)) return `${noun}es`;
+    return `${noun}s`;
+};
+
+const withArticle = (word) => `${isVowelSound(word.toLowerCase()) ? 'an' : 'a'} ${word}`;
+
+// Split into words, keeping their position. Words separated by anything
+// other than spaces (punctuation, new sentence) are not treated as adjacent.
+const tokenize = (text) => {
+    const tokens = [];
+    const pattern = /[A-Za-z]+(?:['’][A-Za-z]+)?/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        const word = match[0].replace('’', "'");
+        const previous = tokens[tokens.length - 1];
+        tokens.push({
+            word,
+            lower: word.toLowerCase(),
+            start: match.index,
+            end: match.index + match[0].length,
+            joined: previous ? /^\s+$/.test(text.slice(previous.end, match.index)) : false
+        });
+    }
+
+    return tokens;
+};
+
+// Each check looks at token i and returns a correction or null
+const checkThirdPerson = (tokens, i) => {
+    const subject = tokens[i];
+    const verb = tokens[i + 1];
+    if (!verb || !verb.joined || !THIRD_PERSON.has(subject.lower)) return null;
+
+    const previous = tokens[i - 1];
+    if (previous && subject.joined && INVERSION_WORDS.has(previous.lower)) return null;
+
+    if (AUX_THIRD_PERSON[verb.lower]) {
+        return {
+            error: `${subject.word} ${verb.word}`,
+            correction: `${subject.word} ${AUX_THIRD_PERSON[verb.lower]}`,
+            rule: RULES.thirdPersonAux
+        };
+    }
+
+    if (!BASE_VERBS.has(verb.lower)) return null;
+
+    return {
+        error: `${subject.word} ${verb.word}`,
+        correction: `${subject.word} ${toThirdPerson(verb.lower)}`,
+        rule: RULES.thirdPerson
+    };
+};
+
+const checkCopula = (tokens, i) => {
+    const subject = tokens[i];
+    const next = tokens[i + 1];
+    const be = SUBJECT_BE[subject.lower];
+    if (!be || !next || !next.joined) return null;
+
+    const previous = tokens[i - 1];
+    if (previous && subject.joined && INVERSION_WORDS.has(previous.lower)) return null;
+
+    // "you" and "it" are often objects ("give it a try", "I told you the truth")
+    if (OBJECT_FORMS.has(subject.lower) && previous && subject.joined && !CLAUSE_STARTERS.has(previous.lower)) return null;
+
+    const plural = PLURAL_SUBJECTS.has(subject.lower);
+
+    if (JOB_NOUNS.has(next.lower)) {
+        return {
+            error: `${subject.word} ${next.word}`,
+            correction: `${subject.word} ${be} ${plural ? toPlural(next.lower) : withArticle(next.word)}`,
+            rule: RULES.copula
+        };
+    }
+
+    if (STATE_WORDS.has(next.lower) || next.lower === 'a' || next.lower === 'an' || next.lower === 'the') {
+        return {
+            error: `${subject.word} ${next.word}`,
+            correction: `${subject.word} ${be} ${next.word}`,
+            rule: RULES.copula
+        };
+    }
+
+    return null;
+};
+
+const checkBeBaseVerb = (tokens, i) => {
+    const be = tokens[i];
+    const verb = tokens[i + 1];
+    if (!verb || !verb.joined || !BE_FORMS.has(be.lower)) return null;
+    if (!BASE_VERBS.has(verb.lower) || NOT_AFTER_BE.has(verb.lower)) return null;
+
+    // "I am go" -> subject "I"; contractions carry their own subject
+    const contracted = be.lower.includes("'");
+    const subject = contracted ? null : tokens[i - 1];
+    const hasSubject = subject && be.joined && SUBJECT_BE[subject.lower];
+
+    const error = hasSubject ? `${subject.word} ${be.word} ${verb.word}` : `${be.word} ${verb.word}`;
+    let correction = `${hasSubject ? `${subject.word} ` : ''}${be.word} ${toIngForm(verb.lower)}`;
+
+    // Simple present alternative only makes sense for present tense
+    if (hasSubject && ['am', 'is', 'are'].includes(be.lower)) {
+        const simple = THIRD_PERSON.has(subject.lower) ? toThirdPerson(verb.lower) : verb.lower;
+        correction += ` / ${subject.word} ${simple}`;
+    }
+
+    return { error, correction, rule: RULES.beBaseVerb };
+};
+
+const checkArticleSound = (tokens, i) => {
+    const article = tokens[i];
+    const noun = tokens[i + 1];
+    if (!noun || !noun.joined || (article.lower !== 'a' && article.lower !== 'an')) return null;
+
+    // Single letters and abbreviations ("a B", "an MBA") depend on how they are read
+    if (noun.word.length < 2 || noun.word === noun.word.toUpperCase()) return null;
+
+    const vowelSound = isVowelSound(noun.lower);
+
+    if (article.lower === 'a' && vowelSound) {
+        return {
+            error: `${article.word} ${noun.word}`,
+            correction: `${article.word === 'A' ? 'An' : 'an'} ${noun.word}`,
+            rule: RULES.anBeforeVowel
+        };
+    }
+
+    if (article.lower === 'an' && !vowelSound) {
+        return {
+            error: `${article.word} ${noun.word}`,
+            correction: `${article.word === 'An' ? 'A' : 'a'} ${noun.word}`,
+            rule: RULES.aBeforeConsonant
+        };
+    }
+
+    return null;
+};
+
+const checkArticleBeforeJob = (tokens, i) => {
+    const be = tokens[i];
+    const noun = tokens[i + 1];
+    if (!noun || !noun.joined || !BE_FORMS_WITH_S.has(be.lower) || !JOB_NOUNS.has(noun.lower)) return null;
+
+    const subject = tokens[i - 1];
+    const plural = (subject && be.joined && PLURAL_SUBJECTS.has(subject.lower)) || /^(we|they)'re$/.test(be.lower);
+
+    return {
+        error: `${be.word} ${noun.word}`,
+        correction: `${be.word} ${plural ? toPlural(noun.lower) : withArticle(noun.word)}`,
+        rule: RULES.articleBeforeJob
+    };
+};
+
+const checkTheBeforeLanguage = (tokens, i) => {
+    const verb = tokens[i];
+    const article = tokens[i + 1];
+    const language = tokens[i + 2];
+    if (!language || !article.joined || !language.joined) return null;
+    if (!LANGUAGE_VERBS.has(verb.lower) || article.lower !== 'the' || !LANGUAGES.has(language.lower)) return null;
+
+    // "the English language" is fine
+    const after = tokens[i + 3];
+    if (after && after.joined && after.lower === 'language') return null;
+
+    return {
+        error: `${verb.word} ${article.word} ${language.word}`,
+        correction: `${verb.word} ${language.word}`,
+        rule: RULES.theBeforeLanguage
+    };
+};
+
+const CHECKS = [checkThirdPerson, checkCopula, checkBeBaseVerb, checkArticleSound, checkArticleBeforeJob, checkTheBeforeLanguage];
+
+// Check a learner's text. Returns [{error, correction, rule}], empty when nothing was found.
+export const checkGrammar = (text) => {
+    if (!text || typeof text !== 'string') return [];
+
+    const tokens = tokenize(text);
+    const corrections = [];
+    const seen = new Set();
+
+    tokens.forEach((token, i) => {
+        for (const check of CHECKS) {
+            const correction = check(tokens, i);
+            if (correction && !seen.has(correction.error.toLowerCase())) {
+                seen.add(correction.error.toLowerCase());
+                corrections.push(correction);
+            }
+        }
+    });
+
+    return corrections;
+};
+
+// Combine two correction lists, dropping entries for the same wrong text
+export const mergeCorrections = (primary = [], secondary = []) => {
+    const seen = new Set(primary.map(c => c.error.toLowerCase()));
+    return [...primary, ...secondary.filter(c => !seen.has(c.error.toLowerCase()))];
+};
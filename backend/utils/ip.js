@@ -0,0 +1,67 @@
+import net from 'net';
+
+// Client IP helpers. req.ip is only the real client address when TRUST_PROXY
+// matches the deployment (see server.js) - never read X-Forwarded-For directly.
+
+// IPv4 clients of a dual-stack server show up as ::ffff:1.2.3.4
+export const normalizeIp = (ip) => {
+    if (typeof ip !== 'string') return null;
+    const trimmed = ip.trim();
+    const mapped = trimmed.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    return mapped ? mapped[1] : trimmed || null;
+};
+
+// The eight 16-bit groups of an IPv6 address ("2001:db8::1" -> [0x2001, 0xdb8, 0, ..., 1])
+const ipv6Groups = (ip) => {
+    const address = ip.split('%')[0];
+    const [head, tail] = address.split('::');
+    const parse = (part) => {
+        if (!part) return [];
+        const groups = [];
+        for (const piece of part.split(':')) {
+            if (piece.includes('.')) {
+                // Embedded IPv4 in the last 32 bits
+                const [a, b, c, d] = piece.split('.').map(Number);
+                groups.push((a << 8) | b, (c << 8) | d);
+            } else {
+                groups.push(parseInt(piece, 16));
+            }
+        }
+        return groups;
+    };
+
+    const first = parse(head);
+    if (tail === undefined) return first;
+    const last = parse(tail);
+    return [...first, ...new Array(8 - first.length - last.length).fill(0), ...last];
+};
+
+// What one client counts as for per-network limits: an IPv4 address as it is, an IPv6
+// address by its /64 - a subscriber is usually given a whole /64 and can use any address in it.
+export const ipBucket = (ip) => {
+    if (net.isIP(ip || '') !== 6) return ip;
+    const prefix = ipv6Groups(ip).slice(0, 4).map(group => group.toString(16)).join(':');
+    return `${prefix}::/64`;
+};
+
+// "1.2.3.4", "10.0.0.0/8" or "2001:db8::/32"
+export const isValidNetwork = (value) => {
+    if (typeof value !== 'string') return false;
+
+    const [address, prefix, ...rest] = value.trim().split('/');
+    const version = net.isIP(address);
+    if (!version || rest.length > 0) return false;
+    if (prefix === undefined) return true;
+
+    const bits = Number(prefix);
+    return /^\d+$/.test(prefix) && bits >= 0 && bits <= (version === 4 ? 32 : 128);
+};
+
+// Value for app.set('trust proxy'): "true" / "false", a hop count, or a list of
+// addresses/subnets ("loopback, 10.0.0.0/8")
+export const parseTrustProxy = (value) => {
+    if (value === undefined || value === '' || value === 'false') return false;
+    if (value === 'true') return true;
+    if (/^\d+$/.test(value)) return Number(value);
+    return value.split(',').map(entry => entry.trim()).filter(Boolean);
+};
@@ -0,0 +1,160 @@
+// Validation for lesson content written through the admin API and the bulk import.
+// Checks the JSONB lists have the shapes LessonView.jsx, Flashcards and the quiz grader expect:
+//   vocabulary_list  [{word, translation, example?}]
+//   quiz_list        [{question, options?, correct_answer | answer, explanation?, type?, difficulty?}]
+//   flashcards_list  [{front, back} | {word, translation}, example?]
+
+import { getExerciseOptions, normalizeAnswer } from './quizGrading.js';
+import { QUIZ_DIFFICULTIES } from './adaptiveQuiz.js';
+import { MAX_DAY_NUMBER } from '../validators/lessons.js';
+
+export const LESSON_LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+
+// Plain text columns an admin may set
+const TEXT_FIELDS = ['description', 'grammar_topic', 'grammar_content', 'reading_text', 'video_url', 'image_url'];
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isOptionalString = (value) => value === undefined || value === null || typeof value === 'string';
+
+const validateVocabularyItem = (item, label, errors) => {
+    if (!item || typeof item !== 'object') {
+        errors.push(`${label} must be an object`);
+        return;
+    }
+    if (!isNonEmptyString(item.word)) errors.push(`${label}.word is required`);
+    if (!isNonEmptyString(item.translation)) errors.push(`${label}.translation is required`);
+    if (!isOptionalString(item.example)) errors.push(`${label}.example must be a string`);
+};
+
+const validateQuizItem = (item, label, errors) => {
+    if (!item || typeof item !== 'object') {
+        errors.push(`${label} must be an object`);
+        return;
+    }
+    if (!isNonEmptyString(item.question)) errors.push(`${label}.question is required`);
+    if (!isOptionalString(item.explanation)) errors.push(`${label}.explanation must be a string`);
+    if (!isOptionalString(item.type)) errors.push(`${label}.type must be a string`);
+    if (item.difficulty !== undefined && item.difficulty !== null && !QUIZ_DIFFICULTIES.includes(item.difficulty)) {
+        errors.push(`${label}.difficulty must be one of ${QUIZ_DIFFICULTIES.join(', ')}`);
+    }
+
+    let options = null;
+    if (item.options !== undefined && item.options !== null) {
+        options = getExerciseOptions(item);
+        if (!Array.isArray(options) || options.some(option => typeof option !== 'string')) {
+            errors.push(`${label}.options must be an array of strings`);
+            return;
+        }
+    }
+
+    const answer = item.correct_answer !== undefined ? item.correct_answer : item.answer;
+    if (answer === undefined || answer === null || answer === '') {
+        errors.push(`${label} needs a correct_answer`);
+        return;
+    }
+
+    // Multiple choice: the answer is one of the options (or its index)
+    if (options && options.length > 0) {
+        const matches = typeof answer === 'number'
+            ? Number.isInteger(answer) && answer >= 0 && answer < options.length
+            : options.some(option => normalizeAnswer(option) === normalizeAnswer(answer));
+
+        if (!matches) errors.push(`${label}.correct_answer must match one of the options`);
+    } else if (typeof answer !== 'string') {
+        errors.push(`${label}.correct_answer must be a string`);
+    }
+};
+
+const validateFlashcardItem = (item, label, errors) => {
+    if (!item || typeof item !== 'object') {
+        errors.push(`${label} must be an object`);
+        return;
+    }
+    const front = item.front !== undefined ? item.front : item.word;
+    const back = item.back !== undefined ? item.back : item.translation;
+    if (!isNonEmptyString(front)) errors.push(`${label} needs a front (or word)`);
+    if (!isNonEmptyString(back)) errors.push(`${label} needs a back (or translation)`);
+    if (!isOptionalString(item.example)) errors.push(`${label}.example must be a string`);
+};
+
+const LIST_VALIDATORS = {
+    vocabulary_list: validateVocabularyItem,
+    quiz_list: validateQuizItem,
+    flashcards_list: validateFlashcardItem
+};
+
+// Validate one list item on its own (used by the bulk import, one row at a time).
+// label prefixes the messages, e.g. "vocabulary" -> "vocabulary.word is required"
+export const validateListItem = (field, item, label = field) => {
+    const errors = [];
+    LIST_VALIDATORS[field](item, label, errors);
+    return errors;
+};
+
+// Same bounds as the :dayNumber route params (validators/lessons.js)
+export const isValidDayNumber = (value) => Number.isInteger(value) && value >= 1 && value <= MAX_DAY_NUMBER;
+
+export const DAY_NUMBER_MESSAGE = `day_number must be a whole number between 1 and ${MAX_DAY_NUMBER}`;
+
+// Validate a lesson body. With partial=true only the fields present are checked
+// (used for updates). Returns { errors, lesson } where lesson only holds known columns.
+export const validateLesson = (body, { partial = false } = {}) => {
+    const errors = [];
+    const lesson = {};
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { errors: ['Lesson must be an object'], lesson };
+    }
+
+    if (!partial || body.day_number !== undefined) {
+        const dayNumber = Number(body.day_number);
+        if (!isValidDayNumber(dayNumber)) errors.push(DAY_NUMBER_MESSAGE);
+        else lesson.day_number = dayNumber;
+    }
+
+    if (!partial || body.title !== undefined) {
+        if (!isNonEmptyString(body.title)) errors.push('title is required');
+        else lesson.title = body.title.trim();
+    }
+
+    if (!partial || body.level !== undefined) {
+        const level = body.level === undefined ? 'A1' : body.level;
+        if (!LESSON_LEVELS.includes(level)) errors.push(`level must be one of ${LESSON_LEVELS.join(', ')}`);
+        else lesson.level = level;
+    }
+
+    TEXT_FIELDS.forEach(field => {
+        if (body[field] === undefined) return;
+        if (!isOptionalString(body[field])) errors.push(`${field} must be a string`);
+        else lesson[field] = body[field];
+    });
+
+    Object.entries(LIST_VALIDATORS).forEach(([field, validateItem]) => {
+        if (body[field] === undefined) {
+            if (!partial) lesson[field] = [];
+            return;
+        }
+        if (!Array.isArray(body[field])) {
+            errors.push(`${field} must be an array`);
+            return;
+        }
+        body[field].forEach((item, index) => validateItem(item, `${field}[${index}]`, errors));
+        lesson[field] = body[field];
+    });
+
+    // Questions per quiz attempt, picked from quiz_list by difficulty (null = all of them)
+    if (body.quiz_size !== undefined) {
+        if (body.quiz_size !== null && !(Number.isInteger(body.quiz_size) && body.quiz_size >= 1)) {
+            errors.push('quiz_size must be a positive integer or null');
+        } else {
+            lesson.quiz_size = body.quiz_size;
+        }
+    }
+
+    if (body.is_published !== undefined) {
+        if (typeof body.is_published !== 'boolean') errors.push('is_published must be true or false');
+        else lesson.is_published = body.is_published;
+    }
+
+    return { errors, lesson };
+};
@@ -0,0 +1,49 @@
+// Level exams - the pure part (no database), used by services/levelExams.js.
+
+import { randomInt } from 'crypto';
+
+// No 0/O, 1/I/L: codes are read off paper and typed in by hand
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+// A1-7K3M-Q9XD
+export const CERTIFICATE_CODE_PATTERN = /^[A-C][12]-[A-HJKMNP-Z2-9]{4}-[A-HJKMNP-Z2-9]{4}$/;
+
+const randomChars = (length) =>
+    Array.from({ length }, () => CODE_ALPHABET[randomInt(CODE_ALPHABET.length)]).join('');
+
+export const generateCertificateCode = (levelKey) => `${levelKey}-${randomChars(4)}-${randomChars(4)}`;
+
+// Codes are typed in by hand: any case, spaces around
+export const normalizeCertificateCode = (code) => String(code || '').trim().toUpperCase();
+
+const shuffle = (items, random) => {
+    const copy = [...items];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+};
+
+// Questions for one exam, spread over the level: one question from every lesson
+// (in random order) before a second one from any of them.
+// lessons: [{ day_number, quiz_list }]. Returns copies with the answers: [{ day, index, ...question }]
+export const drawExamQuestions = (lessons, size, random = Math.random) => {
+    const pools = shuffle(
+        lessons
+            .filter(lesson => Array.isArray(lesson.quiz_list) && lesson.quiz_list.length > 0)
+            .map(lesson => shuffle(lesson.quiz_list.map((question, index) => ({ day: lesson.day_number, index, ...question })), random)),
+        random
+    );
+
+    const drawn = [];
+    while (drawn.length < size && pools.some(pool => pool.length > 0)) {
+        for (const pool of pools) {
+            if (drawn.length >= size) break;
+            if (pool.length > 0) drawn.push(pool.shift());
+        }
+    }
+
+    // Lesson order reads better than random jumps between days
+    return drawn.sort((a, b) => a.day - b.day || a.index - b.index);
+};
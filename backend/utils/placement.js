@@ -0,0 +1,64 @@
+// Adaptive placement test - the pure part (no database), used by services/placementTest.js.
+//
+// The test walks up and down the levels like a staircase: a right answer asks the
+// next question one level higher, a wrong one a level lower. Once it stops, a level
+// counts as mastered when enough of its questions were answered and most were right;
+// mastering a level also covers every level below it. The learner starts at the
+// first level after the highest one mastered (the last level at most).
+
+// Share of right answers that masters a level, and how many questions that takes
+export const PLACEMENT_PASS_RATE = 0.6;
+export const PLACEMENT_MIN_ITEMS_PER_LEVEL = 2;
+
+// Level of the next question after an answer
+export const nextAbility = (levels, ability, correct) => {
+    const index = levels.indexOf(ability);
+    const next = correct ? Math.min(index + 1, levels.length - 1) : Math.max(index - 1, 0);
+    return levels[next];
+};
+
+// A random item from `level` that was not asked yet. When that level has run out,
+// the closest level that still has items (lower first). null when the pool is used up.
+export const pickItem = (items, levels, level, askedIds = [], random = Math.random) => {
+    const asked = new Set(askedIds);
+    const start = levels.indexOf(level);
+
+    for (let distance = 0; distance < levels.length; distance++) {
+        for (const index of [start - distance, start + distance]) {
+            if (index < 0 || index >= levels.length) continue;
+
+            const candidates = items.filter(item => item.level === levels[index] && !asked.has(item.id));
+            if (candidates.length > 0) {
+                return candidates[Math.floor(random() * candidates.length)];
+            }
+        }
+    }
+
+    return null;
+};
+
+// answers: [{ level, correct }] -> { level, byLevel: { A1: { asked, correct } }, correctCount, total }
+export const placementResult = (levels, answers) => {
+    const byLevel = Object.fromEntries(levels.map(level => [level, { asked: 0, correct: 0 }]));
+
+    answers.forEach(answer => {
+        if (!byLevel[answer.level]) return;
+        byLevel[answer.level].asked += 1;
+        if (answer.correct) byLevel[answer.level].correct += 1;
+    });
+
+    const isMastered = ({ asked, correct }) =>
+        asked >= PLACEMENT_MIN_ITEMS_PER_LEVEL && correct / asked >= PLACEMENT_PASS_RATE;
+
+    let highestMastered = -1;
+    levels.forEach((level, index) => {
+        if (isMastered(byLevel[level])) highestMastered = index;
+    });
+
+    return {
+        level: levels[Math.min(highestMastered + 1, levels.length - 1)],
+        byLevel,
+        correctCount: answers.filter(answer => answer.correct).length,
+        total: answers.length
+    };
+};
@@ -0,0 +1,89 @@
+// Server-side quiz grading helpers
+// Mirrors the normalisation used by checkIsCorrect in LessonView.jsx,
+// so a learner gets the same verdict whether graded here or locally.
+
+import { checkGrammar } from './grammarChecker.js';
+
+// Normalise an answer for comparison (case + surrounding whitespace)
+export const normalizeAnswer = (value) => {
+    if (value === undefined || value === null) return '';
+    return String(value).trim().toLowerCase();
+};
+
+// Options may be stored as a JSON string or as an array
+export const getExerciseOptions = (exercise) => {
+    if (!exercise.options) return null;
+    if (typeof exercise.options === 'string') {
+        try {
+            return JSON.parse(exercise.options);
+        } catch (error) {
+            return null;
+        }
+    }
+    return exercise.options;
+};
+
+// Handle both 'answer' and 'correct_answer' fields for compatibility.
+// Some content stores the index of the right option instead of its text.
+export const getCorrectAnswer = (exercise) => {
+    const answer = exercise.correct_answer !== undefined ? exercise.correct_answer : exercise.answer;
+    const options = getExerciseOptions(exercise);
+
+    if (typeof answer === 'number' && Array.isArray(options) && options[answer] !== undefined) {
+        return options[answer];
+    }
+
+    return answer;
+};
+
+export const isAnswerCorrect = (exercise, userAnswer) => {
+    if (userAnswer === undefined || userAnswer === null || userAnswer === '') return false;
+
+    const correctAnswer = getCorrectAnswer(exercise);
+    if (correctAnswer === undefined || correctAnswer === null) return false;
+
+    return normalizeAnswer(userAnswer) === normalizeAnswer(correctAnswer);
+};
+
+// Remove everything that reveals the answer before sending a question to the browser
+export const stripAnswers = (exercise) => {
+    const { answer, correct_answer, correctAnswer, explanation, ...safeExercise } = exercise;
+    return safeExercise;
+};
+
+// A graded attempt is final: its answers have been revealed, so submitting again needs a retry
+// (a new attempt) first. progress is the lesson_progress row, variant the quiz_variants row.
+export const isAttemptSubmitted = (progress, variant) =>
+    Boolean(progress?.quiz_submitted_at || variant?.submitted_at);
+
+// The lesson score after an attempt: the best across attempts, but a practice attempt
+// (questions whose answers were already shown - utils/adaptiveQuiz.js) never raises it
+export const bestScoreAfter = (previousBest, score, { counts = true } = {}) =>
+    counts ? Math.max(previousBest || 0, score) : (previousBest || 0);
+
+// Grade a full quiz.
+// `answers` is keyed by question index (the same shape LessonView autosaves).
+export const gradeQuiz = (quizList, answers = {}) => {
+    const results = quizList.map((exercise, index) => {
+        const userAnswer = answers[index] !== undefined ? answers[index] : null;
+        const correct = isAnswerCorrect(exercise, userAnswer);
+        // Free-text answers (translate / fill-blank) also get grammar feedback
+        const options = getExerciseOptions(exercise);
+        const isFreeText = !(Array.isArray(options) && options.length > 0) && typeof userAnswer === 'string';
+
+        return {
+            index,
+            userAnswer,
+            correct,
+            correctAnswer: getCorrectAnswer(exercise),
+            explanation: exercise.explanation || null,
+            corrections: !correct && isFreeText ? checkGrammar(userAnswer) : []
+        };
+    });
+
+    const correctCount = results.filter(r => r.correct).length;
+    const total = quizList.length;
+    const score = total > 0 ? Math.round((correctCount / total) * 100) : 0;
+
+    return { results, correctCount, total, score };
+};
@@ -0,0 +1,63 @@
+// Spaced repetition scheduling (SM-2)
+// https://super-memory.com/english/ol/sm2.htm
+//
+// Each card keeps an ease factor, its current interval (in days) and the number
+// of successful reviews in a row (stored as mastery_level). A review grade
+// between 0 and 5 moves those values and decides when the card is due next.
+
+export const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+// Cards answered correctly this many times in a row count as mastered
+export const MASTERED_REPETITIONS = 3;
+
+// Grades below this are lapses: the card goes back to the start
+export const PASSING_GRADE = 3;
+
+// Flashcards only have "I know it" / "I don't know it" buttons
+export const GRADE_CORRECT = 4;
+export const GRADE_INCORRECT = 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Apply one review to a card { easeFactor, intervalDays, repetitions }.
+// grade: 0 (blackout) .. 5 (perfect recall)
+export const scheduleReview = (card, grade, now = new Date()) => {
+    const quality = Math.max(0, Math.min(5, Math.round(grade)));
+    const easeFactor = card.easeFactor || DEFAULT_EASE;
+    const intervalDays = card.intervalDays || 0;
+    const repetitions = card.repetitions || 0;
+
+    let nextRepetitions;
+    let nextInterval;
+
+    if (quality < PASSING_GRADE) {
+        // Lapse - relearn from tomorrow
+        nextRepetitions = 0;
+        nextInterval = 1;
+    } else {
+        nextRepetitions = repetitions + 1;
+        if (nextRepetitions === 1) nextInterval = 1;
+        else if (nextRepetitions === 2) nextInterval = 6;
+        else nextInterval = Math.round(Math.max(intervalDays, 1) * easeFactor);
+    }
+
+    const nextEase = Math.max(
+        MIN_EASE,
+        easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+    );
+
+    return {
+        easeFactor: Math.round(nextEase * 100) / 100,
+        intervalDays: nextInterval,
+        repetitions: nextRepetitions,
+        nextReviewDate: new Date(now.getTime() + nextInterval * DAY_MS)
+    };
+};
+
+// new | learning | mastered - the three states the Flashcards page shows
+export const getCardState = (reviewCount, repetitions) => {
+    if (!reviewCount) return 'new';
+    if (repetitions >= MASTERED_REPETITIONS) return 'mastered';
+    return 'learning';
+};
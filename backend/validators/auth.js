@@ -0,0 +1,106 @@
+import { ROLES } from '../middleware/auth.js';
+
+// Request schemas for routes/auth.js (used with middleware/validate.js)
+
+export const PASSWORD_MIN_LENGTH = 6;
+// bcrypt only looks at the first 72 bytes; longer input is refused rather than silently cut
+const PASSWORD_MAX_LENGTH = 72;
+
+const email = {
+    isString: { errorMessage: 'البريد الإلكتروني مطلوب.', bail: true },
+    trim: true,
+    isEmail: { errorMessage: 'البريد الإلكتروني غير صحيح.', bail: true },
+    isLength: { options: { max: 255 }, errorMessage: 'البريد الإلكتروني طويل جداً.' }
+};
+
+// Login only needs something to look up - older accounts were created before emails were checked
+const loginEmail = {
+    isString: { errorMessage: 'البريد الإلكتروني مطلوب.', bail: true },
+    trim: true,
+    notEmpty: { errorMessage: 'البريد الإلكتروني مطلوب.', bail: true },
+    isLength: { options: { max: 255 }, errorMessage: 'البريد الإلكتروني طويل جداً.' }
+};
+
+const newPassword = {
+    isString: { errorMessage: 'كلمة المرور مطلوبة.', bail: true },
+    isLength: {
+        options: { min: PASSWORD_MIN_LENGTH, max: PASSWORD_MAX_LENGTH },
+        errorMessage: `كلمة المرور يجب أن تكون بين ${PASSWORD_MIN_LENGTH} و ${PASSWORD_MAX_LENGTH} حرفاً.`
+    }
+};
+
+const currentPassword = {
+    isString: { errorMessage: 'كلمة المرور مطلوبة.', bail: true },
+    notEmpty: { errorMessage: 'كلمة المرور مطلوبة.', bail: true },
+    isLength: { options: { max: 1024 }, errorMessage: 'كلمة المرور طويلة جداً.' }
+};
+
+// Emailed single-use tokens (64 hex characters)
+const token = {
+    isString: { errorMessage: 'الرابط غير صالح.', bail: true },
+    trim: true,
+    isHexadecimal: { errorMessage: 'الرابط غير صالح.', bail: true },
+    isLength: { options: { min: 64, max: 64 }, errorMessage: 'الرابط غير صالح.' }
+};
+
+const termsAccepted = {
+    optional: true,
+    isBoolean: { errorMessage: 'terms_accepted must be true or false', bail: true },
+    toBoolean: true
+};
+
+export const registerSchema = {
+    email,
+    password: newPassword,
+    full_name: {
+        optional: { options: { values: 'null' } },
+        isString: { errorMessage: 'الاسم غير صالح.', bail: true },
+        trim: true,
+        isLength: { options: { max: 100 }, errorMessage: 'الاسم طويل جداً.' }
+    },
+    terms_accepted: termsAccepted
+};
+
+export const loginSchema = {
+    email: loginEmail,
+    password: currentPassword
+};
+
+export const registerSecretSchema = {
+    email,
+    role: {
+        optional: true,
+        isIn: { options: [ROLES], errorMessage: `Role must be one of ${ROLES.join(', ')}` }
+    }
+};
+
+export const emailOnlySchema = {
+    email: loginEmail
+};
+
+export const activateSchema = {
+    token,
+    password: newPassword,
+    terms_accepted: termsAccepted
+};
+
+export const resetPasswordSchema = {
+    token,
+    password: newPassword
+};
+
+export const verifyEmailSchema = {
+    token
+};
+
+export const changePasswordSchema = {
+    currentPassword,
+    newPassword
+};
+
+export const sessionIdSchema = {
+    id: {
+        in: ['params'],
+        isUUID: { errorMessage: 'Session not found' }
+    }
+};
@@ -0,0 +1,65 @@
+// Request schemas for routes/lessons.js and the lesson routes in routes/admin.js (used with middleware/validate.js)
+
+// Far past the end of the course; keeps day numbers inside the integer column range
+export const MAX_DAY_NUMBER = 1000;
+
+// The app asks for the current day and the next two; anything much bigger is not a client of ours
+export const MAX_BATCH_DAYS = 10;
+
+const dayNumber = {
+    in: ['params'],
+    isInt: {
+        options: { min: 1, max: MAX_DAY_NUMBER },
+        errorMessage: 'رقم اليوم غير صالح.'
+    },
+    toInt: true
+};
+
+const answers = {
+    isObject: { errorMessage: 'أرسل إجاباتك.' }
+};
+
+export const lessonDaySchema = {
+    dayNumber
+};
+
+export const lessonsBatchSchema = {
+    days: {
+        isArray: {
+            options: { min: 1, max: MAX_BATCH_DAYS },
+            errorMessage: `days must be an array of 1 to ${MAX_BATCH_DAYS} day numbers`
+        }
+    },
+    'days.*': {
+        isInt: {
+            options: { min: 1, max: MAX_DAY_NUMBER },
+            errorMessage: 'رقم اليوم غير صالح.'
+        },
+        toInt: true
+    }
+};
+
+export const submitQuizSchema = {
+    dayNumber,
+    answers
+};
+
+export const saveProgressSchema = {
+    dayNumber,
+    answers
+};
+
+export const completeLessonSchema = {
+    dayNumber,
+    // Minutes spent on the lesson, added to the study time
+    timeSpent: {
+        optional: { options: { values: 'null' } },
+        isInt: { options: { min: 0, max: 600 }, errorMessage: 'timeSpent must be between 0 and 600 minutes' },
+        toInt: true
+    },
+    // Older clients still send their own score. It is ignored (the server grades in /submit), but must be sane.
+    score: {
+        optional: { options: { values: 'null' } },
+        isFloat: { options: { min: 0, max: 100 }, errorMessage: 'score must be between 0 and 100' }
+    }
+};
@@ -0,0 +1,51 @@
+import { COURSE_LEVELS } from '../config/course.js';
+import { CERTIFICATE_CODE_PATTERN } from '../utils/levelExam.js';
+
+// Request schemas for routes/exams.js and routes/verify.js (used with middleware/validate.js)
+
+const level = {
+    in: ['params'],
+    isIn: {
+        options: [COURSE_LEVELS.map(course => course.key)],
+        errorMessage: 'المستوى غير موجود.'
+    }
+};
+
+// Codes are typed in by hand, so any case is fine
+const code = {
+    in: ['params'],
+    trim: true,
+    toUpperCase: true,
+    matches: { options: [CERTIFICATE_CODE_PATTERN], errorMessage: 'رمز الشهادة غير صالح.' }
+};
+
+export const levelExamSchema = {
+    level
+};
+
+export const startLevelExamSchema = {
+    level,
+    // Printed on the certificate with the standard PDF fonts (utils/certificatePdf.js): Latin letters only.
+    // Needed to start an exam, not to resume one
+    certificateName: {
+        optional: { options: { values: 'null' } },
+        isString: { errorMessage: 'اكتب اسمك كما تريده على الشهادة.', bail: true },
+        trim: true,
+        isLength: { options: { min: 2, max: 80 }, errorMessage: 'الاسم يجب أن يكون بين 2 و 80 حرفاً.', bail: true },
+        matches: {
+            options: [/^[A-Za-zÀ-ÖØ-öø-ÿ][A-Za-zÀ-ÖØ-öø-ÿ .'-]*$/],
+            errorMessage: 'اكتب الاسم بالحروف الإنجليزية.'
+        }
+    }
+};
+
+export const submitLevelExamSchema = {
+    level,
+    answers: {
+        isObject: { errorMessage: 'أرسل إجاباتك.' }
+    }
+};
+
+export const certificateCodeSchema = {
+    code
+};
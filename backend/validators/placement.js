@@ -0,0 +1,73 @@
+import { COURSE_LEVELS } from '../config/course.js';
+
+// Request schemas for routes/placement.js and the placement routes in routes/admin.js
+// (used with middleware/validate.js)
+
+export const PLACEMENT_SKILLS = ['grammar', 'vocabulary', 'reading'];
+
+export const placementAnswerSchema = {
+    itemId: {
+        isInt: { options: { min: 1 }, errorMessage: 'السؤال غير صالح.' },
+        toInt: true
+    },
+    answer: {
+        isString: { errorMessage: 'اختر إجابة.', bail: true },
+        notEmpty: { errorMessage: 'اختر إجابة.', bail: true },
+        isLength: { options: { max: 500 }, errorMessage: 'الإجابة طويلة جداً.' }
+    }
+};
+
+const itemId = {
+    in: ['params'],
+    isInt: { options: { min: 1 }, errorMessage: 'id must be a positive whole number' },
+    toInt: true
+};
+
+export const placementItemIdSchema = {
+    id: itemId
+};
+
+export const placementItemSchema = {
+    level: {
+        isIn: {
+            options: [COURSE_LEVELS.map(level => level.key)],
+            errorMessage: `level must be one of ${COURSE_LEVELS.map(level => level.key).join(', ')}`
+        }
+    },
+    skill: {
+        optional: true,
+        isIn: { options: [PLACEMENT_SKILLS], errorMessage: `skill must be one of ${PLACEMENT_SKILLS.join(', ')}` }
+    },
+    question: {
+        isString: { errorMessage: 'question is required', bail: true },
+        trim: true,
+        notEmpty: { errorMessage: 'question is required', bail: true },
+        isLength: { options: { max: 1000 }, errorMessage: 'question is too long' }
+    },
+    options: {
+        isArray: { options: { min: 2, max: 6 }, errorMessage: 'options must be an array of 2 to 6 choices' }
+    },
+    'options.*': {
+        isString: { errorMessage: 'every option must be text', bail: true },
+        trim: true,
+        notEmpty: { errorMessage: 'options cannot be empty' }
+    },
+    correct_answer: {
+        isString: { errorMessage: 'correct_answer is required', bail: true },
+        trim: true,
+        custom: {
+            options: (value, { req }) => Array.isArray(req.body.options) && req.body.options.includes(value),
+            errorMessage: 'correct_answer must be one of the options'
+        }
+    },
+    is_active: {
+        optional: true,
+        isBoolean: { errorMessage: 'is_active must be true or false', bail: true },
+        toBoolean: true
+    }
+};
+
+export const updatePlacementItemSchema = {
+    id: itemId,
+    ...placementItemSchema
+};
@@ -0,0 +1,33 @@
+// Request schemas for routes/webhook.js (used with middleware/validate.js)
+// Only the shape is checked here - business rules (paid status, customer email, ...)
+// are decided in services/sallaOrders.js, where the outcome is stored on the event.
+
+export const sallaWebhookSchema = {
+    event: {
+        isString: { errorMessage: 'event is required', bail: true },
+        isLength: { options: { min: 1, max: 100 }, errorMessage: 'event is required' }
+    },
+    data: {
+        isObject: { errorMessage: 'data must be an object' }
+    },
+    'data.id': {
+        optional: { options: { values: 'null' } },
+        custom: {
+            options: (value) => ['string', 'number'].includes(typeof value) && String(value).length <= 100,
+            errorMessage: 'data.id must be a string or a number'
+        }
+    },
+    'data.status.slug': {
+        optional: { options: { values: 'null' } },
+        isString: { errorMessage: 'data.status.slug must be a string' }
+    },
+    'data.customer.email': {
+        optional: { options: { values: 'falsy' } },
+        isString: { errorMessage: 'data.customer.email must be a string', bail: true },
+        isLength: { options: { max: 255 }, errorMessage: 'data.customer.email is too long' }
+    },
+    'data.items': {
+        optional: { options: { values: 'null' } },
+        isArray: { errorMessage: 'data.items must be an array' }
+    }
+};
@@ -14,12 +14,17 @@ CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 CREATE TABLE IF NOT EXISTS users (
   id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
   email text UNIQUE NOT NULL,
-  password_hash text NOT NULL,
+  password_hash text, -- NULL until an account created from an order is activated
   full_name text,
+  role text NOT NULL DEFAULT 'student' CHECK (role IN ('admin', 'teacher', 'student')),
   password_changed boolean NOT NULL DEFAULT false,
   terms_accepted boolean DEFAULT false,
   terms_accepted_at timestamptz,
   last_login_at timestamptz,
+  disabled_at timestamptz, -- Account blocked from this time on (e.g. after a refund)
+  disabled_reason text,
+  email_verified boolean NOT NULL DEFAULT false, -- Self-registered accounts are limited to the first lessons until verified
+  email_verified_at timestamptz,
   created_at timestamptz DEFAULT now() NOT NULL,
   updated_at timestamptz DEFAULT now() NOT NULL
 );
@@ -27,19 +32,65 @@ CREATE TABLE IF NOT EXISTS users (
 -- security/tracking table
 CREATE TABLE IF NOT EXISTS registration_ips (
   id SERIAL PRIMARY KEY,
-  ip_address varchar(45) NOT NULL,
+  ip_address varchar(45) NOT NULL, -- IPv4 address, or the /64 of an IPv6 one (utils/ip.js ipBucket)
   email varchar(255) NOT NULL,
   created_at timestamptz DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Registration abuse policy: networks that are never limited, and refused registrations
+CREATE TABLE IF NOT EXISTS registration_allowlist (
+  id SERIAL PRIMARY KEY,
+  network cidr NOT NULL UNIQUE,
+  note text,
+  created_by text,
+  expires_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS registration_denials (
+  id SERIAL PRIMARY KEY,
+  ip varchar(45),
+  email text,
+  reason text NOT NULL,
+  details jsonb NOT NULL DEFAULT '{}'::jsonb,
+  user_agent text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- Single-use emailed tokens (activation, ...), stored as sha256
+CREATE TABLE IF NOT EXISTS auth_tokens (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL,
+  purpose text NOT NULL, -- activation | password_reset | email_verification
+  token_hash text NOT NULL UNIQUE,
+  expires_at timestamptz NOT NULL,
+  used_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- Signed-in devices; rotating refresh tokens stored as sha256
+CREATE TABLE IF NOT EXISTS sessions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL,
+  refresh_token_hash text NOT NULL UNIQUE,
+  previous_token_hash text,
+  user_agent text,
+  ip text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  last_used_at timestamptz NOT NULL DEFAULT now(),
+  expires_at timestamptz NOT NULL,
+  revoked_at timestamptz,
+  revoke_reason text
+);
+
 -- ============================================
 -- 2. USER PROFILES
 -- ============================================
 CREATE TABLE IF NOT EXISTS user_profiles (
   id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
   user_id uuid NOT NULL, -- references users(id) technically, but FK constraint might be missing in dump
-  current_level text NOT NULL DEFAULT 'A1',
-  current_day integer NOT NULL DEFAULT 1,
+  current_level text NOT NULL DEFAULT 'A1', -- follows current_day (backend/config/course.js)
+  current_day integer NOT NULL DEFAULT 1 CONSTRAINT user_profiles_current_day_positive CHECK (current_day >= 1), -- 1-120
   
   -- Skill Scores
   listening_score integer NOT NULL DEFAULT 0,
@@ -51,6 +102,11 @@ CREATE TABLE IF NOT EXISTS user_profiles (
   streak_days integer NOT NULL DEFAULT 0,
   total_study_minutes integer NOT NULL DEFAULT 0,
   last_activity_date date,
+
+  -- Sequential unlocking: days up to here are open regardless of progress
+  unlocked_through_day integer NOT NULL DEFAULT 0,
+  unlocked_by text, -- placement | staff email
+  placement_status text NOT NULL DEFAULT 'pending', -- pending | completed | skipped
   
   created_at timestamptz NOT NULL DEFAULT now(),
   updated_at timestamptz NOT NULL DEFAULT now()
@@ -61,7 +117,7 @@ CREATE TABLE IF NOT EXISTS user_profiles (
 -- ============================================
 CREATE TABLE IF NOT EXISTS lessons (
   id SERIAL PRIMARY KEY,
-  day_number integer NOT NULL,
+  day_number integer NOT NULL UNIQUE,
   title text NOT NULL,
   level text DEFAULT 'A1',
   description text,
@@ -75,8 +131,13 @@ CREATE TABLE IF NOT EXISTS lessons (
   
   -- JSONB Content Arrays (The core of the hybrid schema)
   vocabulary_list jsonb DEFAULT '[]'::jsonb,  -- Array of {word, translation, example}
-  quiz_list jsonb DEFAULT '[]'::jsonb,        -- Array of {question, options, answer}
+  quiz_list jsonb DEFAULT '[]'::jsonb,        -- Array of {question, options, answer, difficulty}
   flashcards_list jsonb DEFAULT '[]'::jsonb,  -- Array of flashcard objects
+  quiz_size integer, -- Questions per attempt picked from quiz_list (NULL = all, in order)
+  
+  -- Publishing (managed through /api/admin/lessons)
+  is_published boolean NOT NULL DEFAULT false,
+  published_at timestamptz,
   
   created_at timestamptz DEFAULT now(),
   updated_at timestamptz DEFAULT now()
@@ -96,6 +157,9 @@ CREATE TABLE IF NOT EXISTS lesson_progress (
   time_spent_minutes integer DEFAULT 0,
   
   saved_answers jsonb, -- In-progress quiz state
+  quiz_results jsonb, -- Server-side grading of the last submitted attempt
+  quiz_submitted_at timestamptz,
+  quiz_variant_id uuid, -- Attempt the answers belong to (quiz_variants)
   
   completed_at timestamptz,
   created_at timestamptz DEFAULT now(),
@@ -103,7 +167,112 @@ CREATE TABLE IF NOT EXISTS lesson_progress (
 );
 
 -- ============================================
--- 5. ACHIEVEMENTS
+-- 5. VOCABULARY PROGRESS (Flashcards SRS - SM-2)
+-- ============================================
+CREATE TABLE IF NOT EXISTS vocabulary_progress (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL,
+  word text NOT NULL,
+  translation text NOT NULL,
+  example text,
+  level text NOT NULL,
+  day_number integer, -- Lesson the card came from
+  
+  -- SM-2 scheduling
+  mastery_level integer NOT NULL DEFAULT 0, -- Successful reviews in a row
+  ease_factor real NOT NULL DEFAULT 2.5,
+  interval_days integer NOT NULL DEFAULT 0,
+  next_review_date timestamptz NOT NULL DEFAULT now(),
+  
+  review_count integer NOT NULL DEFAULT 0,
+  correct_count integer NOT NULL DEFAULT 0,
+  first_reviewed_at timestamptz, -- For the daily new-card cap
+  last_reviewed_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (user_id, word)
+);
+
+-- ============================================
+-- 6. AI TUTOR CONVERSATIONS (one row per turn)
+-- ============================================
+CREATE TABLE IF NOT EXISTS ai_conversations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL,
+  session_id uuid NOT NULL, -- Groups the turns of one conversation
+  scenario text NOT NULL,
+  role text NOT NULL, -- user | assistant
+  message text NOT NULL,
+  corrections jsonb NOT NULL DEFAULT '[]'::jsonb, -- [{error, correction, rule}] on assistant turns
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- ============================================
+-- 7. WEBHOOK EVENTS (Salla deliveries: idempotency, audit, replay)
+-- ============================================
+CREATE TABLE IF NOT EXISTS webhook_events (
+  id SERIAL PRIMARY KEY,
+  provider text NOT NULL, -- salla
+  event_type text NOT NULL,
+  order_id text,
+  order_status text,
+  payload_hash text NOT NULL, -- sha256 of the raw body
+  payload jsonb NOT NULL,
+  processing_status text NOT NULL DEFAULT 'received', -- received | processed | skipped | ignored | duplicate | failed
+  result jsonb,
+  error text,
+  attempts integer NOT NULL DEFAULT 1,
+  received_at timestamptz NOT NULL DEFAULT now(),
+  last_received_at timestamptz NOT NULL DEFAULT now(),
+  processed_at timestamptz,
+  UNIQUE (provider, payload_hash)
+);
+
+-- ============================================
+-- 8. ENTITLEMENTS (what each user bought: levels / days, start, expiry)
+-- ============================================
+CREATE TABLE IF NOT EXISTS entitlements (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL,
+  source text NOT NULL, -- salla | admin | legacy
+  order_id text,
+  plan text NOT NULL, -- key in backend/config/plans.js
+  levels text[] NOT NULL DEFAULT '{}',
+  day_from integer,
+  day_to integer,
+  status text NOT NULL DEFAULT 'active', -- active | revoked
+  starts_at timestamptz NOT NULL DEFAULT now(),
+  expires_at timestamptz, -- NULL = lifetime
+  grace_until timestamptz, -- Revoked rows keep access until then
+  revoked_at timestamptz,
+  revoke_reason text,
+  admin_override boolean NOT NULL DEFAULT false, -- Webhooks leave these rows alone
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (source, order_id, plan)
+);
+
+-- Who changed a user's access, when and why
+CREATE TABLE IF NOT EXISTS audit_log (
+  id SERIAL PRIMARY KEY,
+  user_id uuid,
+  actor text NOT NULL, -- salla | admin email
+  action text NOT NULL, -- entitlement.revoked, entitlement.restored, account.disabled, ...
+  entitlement_id uuid,
+  details jsonb NOT NULL DEFAULT '{}'::jsonb,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- ============================================
+-- 9. RATE LIMITS (counters for RATE_LIMIT_STORE=postgres)
+-- ============================================
+CREATE TABLE IF NOT EXISTS rate_limits (
+  key text PRIMARY KEY,
+  count integer NOT NULL DEFAULT 0,
+  reset_at timestamptz NOT NULL
+);
+
+-- ============================================
+-- 10. ACHIEVEMENTS
 -- ============================================
 CREATE TABLE IF NOT EXISTS achievements (
   id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -114,11 +283,117 @@ CREATE TABLE IF NOT EXISTS achievements (
   earned_at timestamptz NOT NULL DEFAULT now()
 );
 
+-- ============================================
+-- 11. LEVEL COMPLETIONS (one row per finished level)
+-- ============================================
+CREATE TABLE IF NOT EXISTS level_completions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL,
+  level text NOT NULL, -- A1 | A2 | B1 | B2
+  completed_day integer NOT NULL, -- last day of the level
+  completed_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT level_completions_user_level_key UNIQUE (user_id, level)
+);
+CREATE INDEX IF NOT EXISTS idx_level_completions_user ON level_completions (user_id, completed_at);
+
+-- ============================================
+-- 12. PLACEMENT TEST (question pool + attempts)
+-- ============================================
+CREATE TABLE IF NOT EXISTS placement_items (
+  id serial PRIMARY KEY,
+  level text NOT NULL, -- A1 | A2 | B1 | B2
+  skill text NOT NULL DEFAULT 'grammar', -- grammar | vocabulary | reading
+  question text NOT NULL,
+  options jsonb NOT NULL,
+  correct_answer text NOT NULL, -- text of the right option
+  is_active boolean NOT NULL DEFAULT true,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_placement_items_level ON placement_items (level, is_active);
+
+CREATE TABLE IF NOT EXISTS placement_attempts (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL,
+  status text NOT NULL DEFAULT 'in_progress', -- in_progress | completed | abandoned
+  ability text NOT NULL, -- level of the next question
+  current_item_id integer,
+  answers jsonb NOT NULL DEFAULT '[]'::jsonb, -- [{ itemId, level, answer, correct }]
+  result_level text,
+  result_day integer,
+  correct_count integer,
+  started_at timestamptz NOT NULL DEFAULT now(),
+  completed_at timestamptz
+);
+CREATE INDEX IF NOT EXISTS idx_placement_attempts_user ON placement_attempts (user_id, started_at);
+CREATE UNIQUE INDEX IF NOT EXISTS placement_attempts_one_in_progress ON placement_attempts (user_id) WHERE status = 'in_progress';
+
+-- ============================================
+-- 13. QUIZ VARIANTS (questions each learner got per quiz attempt)
+-- ============================================
+CREATE TABLE IF NOT EXISTS quiz_variants (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL,
+  day_number integer NOT NULL,
+  lesson_id integer,
+  question_indexes jsonb NOT NULL, -- Positions in lessons.quiz_list, in the order shown
+  difficulties jsonb NOT NULL, -- easy | medium | hard of each question shown
+  target_difficulty text, -- NULL = the whole quiz in lesson order
+  running_accuracy real, -- What the pick was based on (NULL = not enough history)
+  topic_accuracy real,
+  question_count integer NOT NULL,
+  revealed_count integer NOT NULL DEFAULT 0, -- Questions an earlier graded attempt showed the answers of (> 0 = practice)
+  correct_count integer,
+  score integer,
+  results jsonb,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  submitted_at timestamptz
+);
+CREATE INDEX IF NOT EXISTS idx_quiz_variants_user ON quiz_variants (user_id, submitted_at);
+CREATE INDEX IF NOT EXISTS idx_quiz_variants_user_day ON quiz_variants (user_id, day_number, created_at);
+
+-- ============================================
+-- 14. LEVEL EXAMS & CERTIFICATES
+-- ============================================
+CREATE TABLE IF NOT EXISTS level_exam_attempts (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL,
+  level text NOT NULL, -- A1 | A2 | B1 | B2
+  status text NOT NULL DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'submitted', 'expired')),
+  questions jsonb NOT NULL, -- Copies of the questions with their answers
+  certificate_name text,
+  answers jsonb,
+  results jsonb,
+  question_count integer NOT NULL,
+  correct_count integer,
+  score integer,
+  passed boolean,
+  started_at timestamptz NOT NULL DEFAULT now(),
+  expires_at timestamptz NOT NULL,
+  submitted_at timestamptz
+);
+CREATE INDEX IF NOT EXISTS idx_level_exam_attempts_user ON level_exam_attempts (user_id, level, started_at);
+CREATE UNIQUE INDEX IF NOT EXISTS level_exam_attempts_one_in_progress ON level_exam_attempts (user_id, level) WHERE status = 'in_progress';
+
+CREATE TABLE IF NOT EXISTS certificates (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  code text NOT NULL UNIQUE, -- Verification code printed on the PDF
+  user_id uuid NOT NULL,
+  level text NOT NULL,
+  attempt_id uuid,
+  achievement_id uuid,
+  holder_name text NOT NULL,
+  score integer NOT NULL,
+  issued_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (user_id, level)
+);
+
 -- =============================================================================
 -- ⚠️ IMPORTANT NOTES:
--- 1. Tables 'vocabulary', 'exercises', 'vocabulary_progress', 'daily_tasks'
+-- 1. Tables 'vocabulary', 'exercises', 'daily_tasks'
 --    DO NOT EXIST in the live database. They have been superseded by the JSONB columns
---    in the 'lessons' table or logic in the frontend.
+--    in the 'lessons' table or logic in the frontend. Question difficulty
+--    (exercises.difficulty) lives on each lessons.quiz_list item instead.
 -- 2. Foreign Key constraints were not explicitly exported in the standard dump 
 --    but 'user_id' fields implicitly link to 'users.id'.
 -- =============================================================================
@@ -0,0 +1,15 @@
+-- AI Tutor conversation history (one row per turn)
+CREATE TABLE IF NOT EXISTS ai_conversations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  session_id uuid NOT NULL,
+  scenario text NOT NULL,
+  role text NOT NULL CHECK (role IN ('user', 'assistant')),
+  message text NOT NULL,
+  corrections jsonb NOT NULL DEFAULT '[]'::jsonb,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_conversations_user ON ai_conversations(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_ai_conversations_scenario ON ai_conversations(user_id, scenario);
+CREATE INDEX IF NOT EXISTS idx_ai_conversations_session ON ai_conversations(session_id, created_at);
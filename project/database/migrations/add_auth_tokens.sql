@@ -0,0 +1,15 @@
+-- Accounts created from a Salla order have no password until the buyer activates them
+ALTER TABLE users ALTER COLUMN password_hash DROP NOT NULL;
+
+-- Single-use tokens sent by email (account activation, ...). Only the sha256 of the token is stored.
+CREATE TABLE IF NOT EXISTS auth_tokens (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  purpose text NOT NULL, -- activation
+  token_hash text NOT NULL UNIQUE,
+  expires_at timestamptz NOT NULL,
+  used_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_tokens_user ON auth_tokens(user_id, purpose);
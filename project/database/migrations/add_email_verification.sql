@@ -0,0 +1,7 @@
+-- Self-registered accounts confirm their email before they get past the first lessons.
+-- Accounts that exist already count as verified; new ones start unverified.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified boolean NOT NULL DEFAULT true;
+ALTER TABLE users ALTER COLUMN email_verified SET DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at timestamptz;
+
+-- Verification links are auth_tokens rows with purpose 'email_verification'
@@ -0,0 +1,25 @@
+-- What each user has bought: levels and/or a day range, from a start date until an optional expiry
+CREATE TABLE IF NOT EXISTS entitlements (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  source text NOT NULL, -- salla | admin | legacy
+  order_id text, -- Salla order id
+  plan text NOT NULL, -- key in backend/config/plans.js
+  levels text[] NOT NULL DEFAULT '{}',
+  day_from integer,
+  day_to integer,
+  status text NOT NULL DEFAULT 'active', -- active | revoked
+  starts_at timestamptz NOT NULL DEFAULT now(),
+  expires_at timestamptz, -- NULL = lifetime
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (source, order_id, plan)
+);
+
+CREATE INDEX IF NOT EXISTS idx_entitlements_user ON entitlements(user_id, status);
+
+-- Everyone who had an account before entitlements existed bought (or was given) the full course
+INSERT INTO entitlements (user_id, source, order_id, plan, levels)
+SELECT id, 'legacy', id::text, 'full', ARRAY['A1', 'A2', 'B1', 'B2']
+FROM users
+ON CONFLICT (source, order_id, plan) DO NOTHING;
@@ -0,0 +1,11 @@
+-- Lesson content management: draft/published state
+-- Existing lessons stay visible, new lessons start as drafts
+ALTER TABLE lessons ADD COLUMN IF NOT EXISTS is_published boolean NOT NULL DEFAULT true;
+ALTER TABLE lessons ALTER COLUMN is_published SET DEFAULT false;
+ALTER TABLE lessons ADD COLUMN IF NOT EXISTS published_at timestamptz;
+
+UPDATE lessons SET published_at = COALESCE(published_at, created_at) WHERE is_published = true;
+
+-- One lesson per day (the admin API and reordering rely on it)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_lessons_day_number_unique ON lessons(day_number);
+CREATE INDEX IF NOT EXISTS idx_lessons_published ON lessons(is_published, day_number);
@@ -0,0 +1,8 @@
+-- Lessons open in order: a day unlocks once the previous lesson is completed
+-- (see backend/services/lessonUnlocks.js). Admins, teachers and the placement test
+-- can open every day up to unlocked_through_day at once.
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS unlocked_through_day integer NOT NULL DEFAULT 0;
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS unlocked_by text; -- placement | staff email
+
+-- Nobody loses a day they could already open (the app used to unlock everything up to current_day)
+UPDATE user_profiles SET unlocked_through_day = current_day WHERE unlocked_through_day < current_day;
@@ -0,0 +1,39 @@
+-- Level-end exams (backend/services/levelExams.js): a timed test drawn from every lesson quiz
+-- of a finished level. Passing it adds an achievement and issues a certificate with a
+-- verification code (public: GET /api/verify/:code).
+
+-- One row per exam taken. questions holds a copy of each question with its answer,
+-- so editing a lesson later does not change an exam already handed out
+CREATE TABLE IF NOT EXISTS level_exam_attempts (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  level text NOT NULL, -- A1 | A2 | B1 | B2
+  status text NOT NULL DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'submitted', 'expired')),
+  questions jsonb NOT NULL, -- [{ day, index, question, options, correct_answer, ... }]
+  certificate_name text, -- Name for the certificate, given when starting
+  answers jsonb,
+  results jsonb,
+  question_count integer NOT NULL,
+  correct_count integer,
+  score integer,
+  passed boolean,
+  started_at timestamptz NOT NULL DEFAULT now(),
+  expires_at timestamptz NOT NULL,
+  submitted_at timestamptz
+);
+CREATE INDEX IF NOT EXISTS idx_level_exam_attempts_user ON level_exam_attempts (user_id, level, started_at);
+CREATE UNIQUE INDEX IF NOT EXISTS level_exam_attempts_one_in_progress ON level_exam_attempts (user_id, level) WHERE status = 'in_progress';
+
+-- One certificate per user and level
+CREATE TABLE IF NOT EXISTS certificates (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  code text NOT NULL UNIQUE, -- e.g. A1-7K3M-Q9XD, printed on the PDF
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  level text NOT NULL,
+  attempt_id uuid REFERENCES level_exam_attempts(id) ON DELETE SET NULL,
+  achievement_id uuid REFERENCES achievements(id) ON DELETE SET NULL,
+  holder_name text NOT NULL,
+  score integer NOT NULL,
+  issued_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (user_id, level)
+);
@@ -0,0 +1,34 @@
+-- Progression runs through the whole 120-day course (backend/config/course.js), not just A1.
+-- Older databases capped current_day at 30 with a CHECK constraint - drop whatever it was called.
+DO $$
+DECLARE c record;
+BEGIN
+  FOR c IN
+    SELECT conname FROM pg_constraint
+    WHERE conrelid = 'user_profiles'::regclass AND contype = 'c'
+      AND pg_get_constraintdef(oid) ILIKE '%current_day%'
+  LOOP
+    EXECUTE format('ALTER TABLE user_profiles DROP CONSTRAINT %I', c.conname);
+  END LOOP;
+END $$;
+
+ALTER TABLE user_profiles ADD CONSTRAINT user_profiles_current_day_positive CHECK (current_day >= 1);
+
+-- current_level follows current_day
+UPDATE user_profiles SET current_level = CASE
+    WHEN current_day <= 30 THEN 'A1'
+    WHEN current_day <= 60 THEN 'A2'
+    WHEN current_day <= 90 THEN 'B1'
+    ELSE 'B2'
+  END;
+
+-- One row per level a learner has finished (completed its last day)
+CREATE TABLE IF NOT EXISTS level_completions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  level text NOT NULL, -- A1 | A2 | B1 | B2
+  completed_day integer NOT NULL, -- last day of the level
+  completed_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT level_completions_user_level_key UNIQUE (user_id, level)
+);
+CREATE INDEX IF NOT EXISTS idx_level_completions_user ON level_completions (user_id, completed_at);
@@ -0,0 +1,68 @@
+-- Adaptive placement test (backend/services/placementTest.js): new learners take it once,
+-- on first login, and start at the level it finds. Accounts that exist already are not asked.
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS placement_status text NOT NULL DEFAULT 'skipped';
+ALTER TABLE user_profiles ALTER COLUMN placement_status SET DEFAULT 'pending'; -- pending | completed | skipped
+
+-- Question pool, tagged by CEFR level
+CREATE TABLE IF NOT EXISTS placement_items (
+  id serial PRIMARY KEY,
+  level text NOT NULL, -- A1 | A2 | B1 | B2
+  skill text NOT NULL DEFAULT 'grammar', -- grammar | vocabulary | reading
+  question text NOT NULL,
+  options jsonb NOT NULL, -- ["...", "..."]
+  correct_answer text NOT NULL, -- text of the right option
+  is_active boolean NOT NULL DEFAULT true, -- retired items stay for old attempts
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_placement_items_level ON placement_items (level, is_active);
+
+-- One row per test taken; answers is [{ itemId, level, answer, correct }] in order
+CREATE TABLE IF NOT EXISTS placement_attempts (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  status text NOT NULL DEFAULT 'in_progress', -- in_progress | completed | abandoned
+  ability text NOT NULL, -- level of the next question
+  current_item_id integer REFERENCES placement_items(id),
+  answers jsonb NOT NULL DEFAULT '[]'::jsonb,
+  result_level text,
+  result_day integer,
+  correct_count integer,
+  started_at timestamptz NOT NULL DEFAULT now(),
+  completed_at timestamptz
+);
+CREATE INDEX IF NOT EXISTS idx_placement_attempts_user ON placement_attempts (user_id, started_at);
+CREATE UNIQUE INDEX IF NOT EXISTS placement_attempts_one_in_progress ON placement_attempts (user_id) WHERE status = 'in_progress';
+
+-- Starter pool (admins manage it under /api/admin/placement/items)
+INSERT INTO placement_items (level, skill, question, options, correct_answer)
+SELECT * FROM (VALUES
+  ('A1', 'grammar', 'She ___ a teacher.', '["am", "is", "are", "be"]'::jsonb, 'is'),
+  ('A1', 'grammar', 'I ___ two brothers.', '["has", "have", "am", "having"]'::jsonb, 'have'),
+  ('A1', 'vocabulary', 'The opposite of "hot" is ___.', '["cold", "warm", "big", "fast"]'::jsonb, 'cold'),
+  ('A1', 'grammar', '___ you like coffee?', '["Do", "Does", "Are", "Is"]'::jsonb, 'Do'),
+  ('A1', 'vocabulary', 'We sleep in the ___.', '["bedroom", "kitchen", "garden", "street"]'::jsonb, 'bedroom'),
+  ('A1', 'grammar', 'There ___ three apples on the table.', '["is", "are", "am", "be"]'::jsonb, 'are'),
+
+  ('A2', 'grammar', 'Yesterday I ___ to the market.', '["go", "went", "gone", "going"]'::jsonb, 'went'),
+  ('A2', 'grammar', 'She is ___ than her sister.', '["tall", "taller", "tallest", "more tall"]'::jsonb, 'taller'),
+  ('A2', 'grammar', 'I ___ TV when you called.', '["watched", "was watching", "am watching", "watch"]'::jsonb, 'was watching'),
+  ('A2', 'vocabulary', 'I''m hungry. Can we get something to ___?', '["eat", "drink", "sleep", "wear"]'::jsonb, 'eat'),
+  ('A2', 'grammar', 'We ___ visit our grandparents next weekend.', '["going to", "are going to", "goes to", "will to"]'::jsonb, 'are going to'),
+  ('A2', 'grammar', 'How ___ money do you have?', '["many", "much", "lot", "few"]'::jsonb, 'much'),
+
+  ('B1', 'grammar', 'I have lived here ___ 2015.', '["for", "since", "from", "during"]'::jsonb, 'since'),
+  ('B1', 'grammar', 'If it rains tomorrow, we ___ at home.', '["stay", "will stay", "would stay", "stayed"]'::jsonb, 'will stay'),
+  ('B1', 'grammar', 'The book ___ by millions of people.', '["has read", "has been read", "is reading", "reads"]'::jsonb, 'has been read'),
+  ('B1', 'vocabulary', 'She decided to ___ smoking for her health.', '["give up", "give in", "give out", "give away"]'::jsonb, 'give up'),
+  ('B1', 'grammar', 'He asked me where I ___.', '["live", "lived", "am living", "will live"]'::jsonb, 'lived'),
+  ('B1', 'grammar', 'You ___ wear a seatbelt. It''s the law.', '["must", "might", "can", "would"]'::jsonb, 'must'),
+
+  ('B2', 'grammar', 'If I had known, I ___ you.', '["would tell", "would have told", "will tell", "had told"]'::jsonb, 'would have told'),
+  ('B2', 'grammar', 'I''d rather you ___ smoke in here.', '["don''t", "didn''t", "won''t", "not"]'::jsonb, 'didn''t'),
+  ('B2', 'vocabulary', 'The new policy had a significant ___ on sales.', '["impact", "affect", "effort", "result"]'::jsonb, 'impact'),
+  ('B2', 'grammar', '___ the rain, the match went ahead.', '["Despite", "Although", "Even", "However"]'::jsonb, 'Despite'),
+  ('B2', 'grammar', 'By next year, she ___ here for a decade.', '["will work", "will have been working", "has worked", "works"]'::jsonb, 'will have been working'),
+  ('B2', 'grammar', 'Hardly ___ the house when it started to rain.', '["I had left", "had I left", "I left", "did I leave"]'::jsonb, 'had I left')
+) AS seed (level, skill, question, options, correct_answer)
+WHERE NOT EXISTS (SELECT 1 FROM placement_items);
@@ -0,0 +1,5 @@
+-- Store server-side quiz grading results on lesson_progress
+ALTER TABLE lesson_progress ADD COLUMN IF NOT EXISTS quiz_results JSONB;
+ALTER TABLE lesson_progress ADD COLUMN IF NOT EXISTS quiz_submitted_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN lesson_progress.quiz_results IS 'Per-question grading results: [{index, userAnswer, correct, correctAnswer, explanation}]';
@@ -0,0 +1,32 @@
+-- Adaptive quizzes (backend/services/quizVariants.js): a lesson's quiz_list can be a bank of
+-- questions tagged difficulty easy | medium | hard, and each attempt gets quiz_size of them,
+-- picked from the learner's accuracy. NULL quiz_size = every question, in lesson order (as before).
+ALTER TABLE lessons ADD COLUMN IF NOT EXISTS quiz_size integer;
+
+-- Which questions each learner was given, one row per attempt
+CREATE TABLE IF NOT EXISTS quiz_variants (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  day_number integer NOT NULL,
+  lesson_id integer REFERENCES lessons(id) ON DELETE SET NULL,
+  question_indexes jsonb NOT NULL, -- positions in lessons.quiz_list, in the order shown
+  difficulties jsonb NOT NULL, -- difficulty of each question shown
+  target_difficulty text, -- easy | medium | hard, NULL = the whole quiz in lesson order
+  running_accuracy real, -- what the pick was based on (NULL = not enough history)
+  topic_accuracy real,
+  question_count integer NOT NULL,
+  correct_count integer, -- set on submit
+  score integer,
+  results jsonb,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  submitted_at timestamptz
+);
+CREATE INDEX IF NOT EXISTS idx_quiz_variants_user ON quiz_variants (user_id, submitted_at);
+CREATE INDEX IF NOT EXISTS idx_quiz_variants_user_day ON quiz_variants (user_id, day_number, created_at);
+
+-- Questions whose answers an earlier graded attempt showed; > 0 = practice, not counted in
+-- lesson_progress.score or the learner's accuracy
+ALTER TABLE quiz_variants ADD COLUMN IF NOT EXISTS revealed_count integer NOT NULL DEFAULT 0;
+
+-- The attempt the learner is on (saved_answers / quiz_results are indexed by its questions)
+ALTER TABLE lesson_progress ADD COLUMN IF NOT EXISTS quiz_variant_id uuid REFERENCES quiz_variants(id) ON DELETE SET NULL;
@@ -0,0 +1,8 @@
+-- Rate limit and login lockout counters for RATE_LIMIT_STORE=postgres (shared by every server instance)
+CREATE TABLE IF NOT EXISTS rate_limits (
+  key text PRIMARY KEY, -- e.g. login:ip:1.2.3.4, login-fail:email:a@b.c, login-lock:email:a@b.c
+  count integer NOT NULL DEFAULT 0,
+  reset_at timestamptz NOT NULL -- the window (or lock) ends here
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limits_reset_at ON rate_limits(reset_at);
@@ -0,0 +1,22 @@
+-- Refunded / cancelled Salla orders revoke their entitlements after a grace period
+ALTER TABLE entitlements ADD COLUMN IF NOT EXISTS grace_until timestamptz; -- revoked rows keep access until then
+ALTER TABLE entitlements ADD COLUMN IF NOT EXISTS revoked_at timestamptz;
+ALTER TABLE entitlements ADD COLUMN IF NOT EXISTS revoke_reason text;
+ALTER TABLE entitlements ADD COLUMN IF NOT EXISTS admin_override boolean NOT NULL DEFAULT false; -- webhooks leave these rows alone
+
+-- Optionally the whole account is disabled (from disabled_at on)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS disabled_at timestamptz;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS disabled_reason text;
+
+-- Who changed a user's access, when and why
+CREATE TABLE IF NOT EXISTS audit_log (
+  id SERIAL PRIMARY KEY,
+  user_id uuid REFERENCES users(id) ON DELETE SET NULL, -- The user whose access changed
+  actor text NOT NULL, -- salla | admin email
+  action text NOT NULL, -- entitlement.revoked, entitlement.restored, account.disabled, ...
+  entitlement_id uuid,
+  details jsonb NOT NULL DEFAULT '{}'::jsonb,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log(user_id, created_at);
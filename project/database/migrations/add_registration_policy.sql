@@ -0,0 +1,26 @@
+-- Registration abuse policy: N accounts per IP per time window instead of one account per IP ever
+CREATE INDEX IF NOT EXISTS idx_registration_ips_ip ON registration_ips(ip_address, created_at);
+
+-- Networks that are never limited (schools, offices, a family behind CGNAT, ...)
+CREATE TABLE IF NOT EXISTS registration_allowlist (
+  id SERIAL PRIMARY KEY,
+  network cidr NOT NULL UNIQUE, -- a single address is stored as /32 (/128)
+  note text,
+  created_by text, -- admin email
+  expires_at timestamptz, -- NULL = permanent
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- Every refused registration, for admins to review
+CREATE TABLE IF NOT EXISTS registration_denials (
+  id SERIAL PRIMARY KEY,
+  ip varchar(45),
+  email text,
+  reason text NOT NULL, -- ip_limit | ...
+  details jsonb NOT NULL DEFAULT '{}'::jsonb,
+  user_agent text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_registration_denials_created ON registration_denials(created_at);
+CREATE INDEX IF NOT EXISTS idx_registration_denials_ip ON registration_denials(ip);
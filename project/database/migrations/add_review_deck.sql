@@ -0,0 +1,9 @@
+-- Cumulative review deck: track when a card was first studied so the daily
+-- new-card cap can be enforced
+ALTER TABLE vocabulary_progress ADD COLUMN IF NOT EXISTS first_reviewed_at timestamptz;
+
+UPDATE vocabulary_progress
+SET first_reviewed_at = COALESCE(last_reviewed_at, created_at)
+WHERE first_reviewed_at IS NULL AND review_count > 0;
+
+CREATE INDEX IF NOT EXISTS idx_vocabulary_day ON vocabulary_progress(user_id, day_number);
@@ -0,0 +1,17 @@
+-- One row per signed-in device. The refresh token is rotated on every use and only its sha256 is stored.
+CREATE TABLE IF NOT EXISTS sessions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash text NOT NULL UNIQUE,
+  previous_token_hash text, -- the token it replaced; presenting it again means it was stolen
+  user_agent text,
+  ip text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  last_used_at timestamptz NOT NULL DEFAULT now(),
+  expires_at timestamptz NOT NULL,
+  revoked_at timestamptz,
+  revoke_reason text -- logout | logout_all | password_changed | password_reset | reuse | ...
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id, revoked_at);
+CREATE INDEX IF NOT EXISTS idx_sessions_previous_token ON sessions(previous_token_hash);
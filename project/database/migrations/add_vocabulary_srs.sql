@@ -0,0 +1,26 @@
+-- Spaced repetition state for flashcards (SM-2)
+-- The table is defined in schema.js but was never created in the live database
+CREATE TABLE IF NOT EXISTS vocabulary_progress (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  word text NOT NULL,
+  translation text NOT NULL,
+  level text NOT NULL,
+  mastery_level integer NOT NULL DEFAULT 0,
+  next_review_date timestamptz NOT NULL DEFAULT now(),
+  review_count integer NOT NULL DEFAULT 0,
+  correct_count integer NOT NULL DEFAULT 0,
+  last_reviewed_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- SM-2 scheduling fields + where the card came from
+ALTER TABLE vocabulary_progress ADD COLUMN IF NOT EXISTS example text;
+ALTER TABLE vocabulary_progress ADD COLUMN IF NOT EXISTS day_number integer;
+ALTER TABLE vocabulary_progress ADD COLUMN IF NOT EXISTS ease_factor real NOT NULL DEFAULT 2.5;
+ALTER TABLE vocabulary_progress ADD COLUMN IF NOT EXISTS interval_days integer NOT NULL DEFAULT 0;
+
+-- One card per word per user
+CREATE UNIQUE INDEX IF NOT EXISTS vocabulary_progress_user_word_unique ON vocabulary_progress(user_id, word);
+CREATE INDEX IF NOT EXISTS idx_vocabulary_next_review ON vocabulary_progress(user_id, next_review_date);
+CREATE INDEX IF NOT EXISTS idx_vocabulary_level ON vocabulary_progress(user_id, level);
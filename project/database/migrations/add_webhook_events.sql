@@ -0,0 +1,21 @@
+-- Every webhook delivery we receive, for idempotency, auditing and replay
+CREATE TABLE IF NOT EXISTS webhook_events (
+  id SERIAL PRIMARY KEY,
+  provider text NOT NULL, -- salla
+  event_type text NOT NULL, -- order.created, order.updated, ...
+  order_id text,
+  order_status text,
+  payload_hash text NOT NULL, -- sha256 of the raw body: identical retries share it
+  payload jsonb NOT NULL,
+  processing_status text NOT NULL DEFAULT 'received', -- received | processed | skipped | ignored | duplicate | failed
+  result jsonb,
+  error text,
+  attempts integer NOT NULL DEFAULT 1,
+  received_at timestamptz NOT NULL DEFAULT now(),
+  last_received_at timestamptz NOT NULL DEFAULT now(),
+  processed_at timestamptz,
+  UNIQUE (provider, payload_hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_order ON webhook_events(provider, order_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_status ON webhook_events(processing_status, received_at);
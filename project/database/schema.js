@@ -1,4 +1,4 @@
-import { pgTable, uuid, text, integer, boolean, timestamp, jsonb, index, serial, unique } from 'drizzle-orm/pg-core';
+import { pgTable, uuid, text, integer, real, boolean, timestamp, jsonb, index, uniqueIndex, serial, unique, varchar, cidr } from 'drizzle-orm/pg-core';
 import { sql } from 'drizzle-orm';
 
 // ============================================
@@ -7,32 +7,103 @@ import { sql } from 'drizzle-orm';
 export const users = pgTable('users', {
     id: uuid('id').primaryKey().defaultRandom(),
     email: text('email').notNull().unique(),
-    passwordHash: text('password_hash').notNull(),
+    passwordHash: text('password_hash'), // NULL until an account created from an order is activated
     fullName: text('full_name'),
+    role: text('role').default('student').notNull(), // admin | teacher | student
     passwordChanged: boolean('password_changed').default(false).notNull(),
     termsAccepted: boolean('terms_accepted').default(false),
     termsAcceptedAt: timestamp('terms_accepted_at', { withTimezone: true }),
     createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
     updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow().notNull(),
     lastLoginAt: timestamp('last_login_at', { withTimezone: true }),
+    disabledAt: timestamp('disabled_at', { withTimezone: true }), // Account blocked from this time on (e.g. after a refund)
+    disabledReason: text('disabled_reason'),
+    emailVerified: boolean('email_verified').default(false).notNull(), // Self-registered accounts are limited to the first lessons until verified
+    emailVerifiedAt: timestamp('email_verified_at', { withTimezone: true }),
 }, (table) => ({
     emailIdx: index('idx_users_email').on(table.email),
 }));
 
+// Single-use emailed tokens (activation, ...). Only the sha256 of the token is stored.
+export const authTokens = pgTable('auth_tokens', {
+    id: uuid('id').primaryKey().defaultRandom(),
+    userId: uuid('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+    purpose: text('purpose').notNull(), // activation | password_reset | email_verification
+    tokenHash: text('token_hash').notNull().unique(),
+    expiresAt: timestamp('expires_at', { withTimezone: true }).notNull(),
+    usedAt: timestamp('used_at', { withTimezone: true }),
+    createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
+}, (table) => ({
+    userPurposeIdx: index('idx_auth_tokens_user').on(table.userId, table.purpose),
+}));
+
+// Signed-in devices. The refresh token rotates on every use; only sha256 hashes are stored.
+export const sessions = pgTable('sessions', {
+    id: uuid('id').primaryKey().defaultRandom(),
+    userId: uuid('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+    refreshTokenHash: text('refresh_token_hash').notNull().unique(),
+    previousTokenHash: text('previous_token_hash'), // Reuse of a rotated token revokes the session
+    userAgent: text('user_agent'),
+    ip: text('ip'),
+    createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
+    lastUsedAt: timestamp('last_used_at', { withTimezone: true }).defaultNow().notNull(),
+    expiresAt: timestamp('expires_at', { withTimezone: true }).notNull(),
+    revokedAt: timestamp('revoked_at', { withTimezone: true }),
+    revokeReason: text('revoke_reason'),
+}, (table) => ({
+    userIdx: index('idx_sessions_user').on(table.userId, table.revokedAt),
+    previousTokenIdx: index('idx_sessions_previous_token').on(table.previousTokenHash),
+}));
+
+// Registration abuse policy: accounts created per IP, allowlisted networks and refused registrations
+export const registrationIps = pgTable('registration_ips', {
+    id: serial('id').primaryKey(),
+    ipAddress: varchar('ip_address', { length: 45 }).notNull(), // IPv4 address, or the /64 of an IPv6 one (utils/ip.js ipBucket)
+    email: varchar('email', { length: 255 }).notNull(),
+    createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+}, (table) => ({
+    ipIdx: index('idx_registration_ips_ip').on(table.ipAddress, table.createdAt),
+}));
+
+export const registrationAllowlist = pgTable('registration_allowlist', {
+    id: serial('id').primaryKey(),
+    network: cidr('network').notNull().unique(), // A single address is stored as /32 (/128)
+    note: text('note'),
+    createdBy: text('created_by'), // Admin email
+    expiresAt: timestamp('expires_at', { withTimezone: true }), // NULL = permanent
+    createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
+});
+
+export const registrationDenials = pgTable('registration_denials', {
+    id: serial('id').primaryKey(),
+    ip: varchar('ip', { length: 45 }),
+    email: text('email'),
+    reason: text('reason').notNull(), // ip_limit | ...
+    details: jsonb('details').default(sql`'{}'::jsonb`).notNull(),
+    userAgent: text('user_agent'),
+    createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
+}, (table) => ({
+    createdIdx: index('idx_registration_denials_created').on(table.createdAt),
+    ipIdx: index('idx_registration_denials_ip').on(table.ip),
+}));
+
 // ============================================
 // 2. USER PROFILES TABLE
 // ============================================
 export const userProfiles = pgTable('user_profiles', {
     id: uuid('id').primaryKey().defaultRandom(),
     userId: uuid('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull().unique(),
-    currentLevel: text('current_level').default('A1').notNull(),
-    currentDay: integer('current_day').default(1).notNull(),
+    currentLevel: text('current_level').default('A1').notNull(), // Follows current_day (backend/config/course.js)
+    currentDay: integer('current_day').default(1).notNull(), // 1-120
     listeningScore: integer('listening_score').default(0).notNull(),
     readingScore: integer('reading_score').default(0).notNull(),
     speakingScore: integer('speaking_score').default(0).notNull(),
     grammarScore: integer('grammar_score').default(0).notNull(),
     streakDays: integer('streak_days').default(0).notNull(),
     totalStudyMinutes: integer('total_study_minutes').default(0).notNull(),
+    unlockedThroughDay: integer('unlocked_through_day').default(0).notNull(), // Sequential unlocking: days up to here are open regardless of progress
+    unlockedBy: text('unlocked_by'), // placement | staff email
+    placementStatus: text('placement_status').default('pending').notNull(), // pending | completed | skipped
     createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
     updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow().notNull(),
 }, (table) => ({
@@ -53,6 +124,9 @@ export const lessonProgress = pgTable('lesson_progress', {
     score: integer('score').default(0).notNull(),
     timeSpentMinutes: integer('time_spent_minutes').default(0).notNull(),
     savedAnswers: jsonb('saved_answers'),
+    quizResults: jsonb('quiz_results'),
+    quizSubmittedAt: timestamp('quiz_submitted_at', { withTimezone: true }),
+    quizVariantId: uuid('quiz_variant_id').references(() => quizVariants.id, { onDelete: 'set null' }), // Attempt the answers belong to
     completedAt: timestamp('completed_at', { withTimezone: true }),
     createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
     updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
@@ -70,34 +144,118 @@ export const vocabularyProgress = pgTable('vocabulary_progress', {
     userId: uuid('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
     word: text('word').notNull(),
     translation: text('translation').notNull(),
+    example: text('example'),
     level: text('level').notNull(),
-    masteryLevel: integer('mastery_level').default(0).notNull(),
+    dayNumber: integer('day_number'),
+    masteryLevel: integer('mastery_level').default(0).notNull(), // Successful reviews in a row (SM-2 repetitions)
+    easeFactor: real('ease_factor').default(2.5).notNull(),
+    intervalDays: integer('interval_days').default(0).notNull(),
     nextReviewDate: timestamp('next_review_date', { withTimezone: true }).defaultNow().notNull(),
     reviewCount: integer('review_count').default(0).notNull(),
     correctCount: integer('correct_count').default(0).notNull(),
+    firstReviewedAt: timestamp('first_reviewed_at', { withTimezone: true }),
     lastReviewedAt: timestamp('last_reviewed_at', { withTimezone: true }),
     createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
 }, (table) => ({
     nextReviewIdx: index('idx_vocabulary_next_review').on(table.userId, table.nextReviewDate),
     levelIdx: index('idx_vocabulary_level').on(table.userId, table.level),
+    dayIdx: index('idx_vocabulary_day').on(table.userId, table.dayNumber),
+    userWordUnique: unique('vocabulary_progress_user_word_unique').on(table.userId, table.word),
 }));
 
 // ============================================
-// 5. AI CONVERSATIONS TABLE (DISABLED - للاستخدام المستقبلي)
+// 5. AI CONVERSATIONS TABLE (AI Tutor turns, one row per message)
 // ============================================
-// export const aiConversations = pgTable('ai_conversations', {
-//     id: uuid('id').primaryKey().defaultRandom(),
-//     userId: uuid('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
-//     scenario: text('scenario').notNull(),
-//     message: text('message').notNull(),
-//     role: text('role').notNull(),
-//     corrections: jsonb('corrections').default(sql`'[]'::jsonb`).notNull(),
-//     createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
-// }, (table) => ({
-//     userCreatedIdx: index('idx_ai_conversations_user').on(table.userId, table.createdAt),
-//     scenarioIdx: index('idx_ai_conversations_scenario').on(table.userId, table.scenario),
-// }));
+export const aiConversations = pgTable('ai_conversations', {
+    id: uuid('id').primaryKey().defaultRandom(),
+    userId: uuid('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+    sessionId: uuid('session_id').notNull(), // Groups the turns of one conversation
+    scenario: text('scenario').notNull(),
+    message: text('message').notNull(),
+    role: text('role').notNull(), // user | assistant
+    corrections: jsonb('corrections').default(sql`'[]'::jsonb`).notNull(), // [{error, correction, rule}] on assistant turns
+    createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
+}, (table) => ({
+    userCreatedIdx: index('idx_ai_conversations_user').on(table.userId, table.createdAt),
+    scenarioIdx: index('idx_ai_conversations_scenario').on(table.userId, table.scenario),
+    sessionIdx: index('idx_ai_conversations_session').on(table.sessionId, table.createdAt),
+}));
+
+// ============================================
+// 5b. WEBHOOK EVENTS TABLE (Salla deliveries: idempotency, audit, replay)
+// ============================================
+export const webhookEvents = pgTable('webhook_events', {
+    id: serial('id').primaryKey(),
+    provider: text('provider').notNull(), // salla
+    eventType: text('event_type').notNull(), // order.created, order.updated, ...
+    orderId: text('order_id'),
+    orderStatus: text('order_status'),
+    payloadHash: text('payload_hash').notNull(), // sha256 of the raw body
+    payload: jsonb('payload').notNull(),
+    processingStatus: text('processing_status').default('received').notNull(), // received | processed | skipped | ignored | duplicate | failed
+    result: jsonb('result'),
+    error: text('error'),
+    attempts: integer('attempts').default(1).notNull(),
+    receivedAt: timestamp('received_at', { withTimezone: true }).defaultNow().notNull(),
+    lastReceivedAt: timestamp('last_received_at', { withTimezone: true }).defaultNow().notNull(),
+    processedAt: timestamp('processed_at', { withTimezone: true }),
+}, (table) => ({
+    payloadUnique: unique('webhook_events_provider_payload_hash_key').on(table.provider, table.payloadHash),
+    orderIdx: index('idx_webhook_events_order').on(table.provider, table.orderId),
+    statusIdx: index('idx_webhook_events_status').on(table.processingStatus, table.receivedAt),
+}));
+
+// ============================================
+// 5c. ENTITLEMENTS TABLE (what each user bought: levels / days, start, expiry)
+// ============================================
+export const entitlements = pgTable('entitlements', {
+    id: uuid('id').primaryKey().defaultRandom(),
+    userId: uuid('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+    source: text('source').notNull(), // salla | admin | legacy
+    orderId: text('order_id'), // Salla order id
+    plan: text('plan').notNull(), // key in backend/config/plans.js
+    levels: text('levels').array().default(sql`'{}'`).notNull(),
+    dayFrom: integer('day_from'),
+    dayTo: integer('day_to'),
+    status: text('status').default('active').notNull(), // active | revoked
+    startsAt: timestamp('starts_at', { withTimezone: true }).defaultNow().notNull(),
+    expiresAt: timestamp('expires_at', { withTimezone: true }), // NULL = lifetime
+    graceUntil: timestamp('grace_until', { withTimezone: true }), // Revoked rows keep access until then
+    revokedAt: timestamp('revoked_at', { withTimezone: true }),
+    revokeReason: text('revoke_reason'),
+    adminOverride: boolean('admin_override').default(false).notNull(), // Webhooks leave these rows alone
+    createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
+    updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow().notNull(),
+}, (table) => ({
+    orderPlanUnique: unique('entitlements_source_order_id_plan_key').on(table.source, table.orderId, table.plan),
+    userStatusIdx: index('idx_entitlements_user').on(table.userId, table.status),
+}));
+
+// ============================================
+// 5d. AUDIT LOG TABLE (who changed a user's access, when and why)
+// ============================================
+export const auditLog = pgTable('audit_log', {
+    id: serial('id').primaryKey(),
+    userId: uuid('user_id').references(() => users.id, { onDelete: 'set null' }),
+    actor: text('actor').notNull(), // salla | admin email
+    action: text('action').notNull(), // entitlement.revoked, entitlement.restored, account.disabled, ...
+    entitlementId: uuid('entitlement_id'),
+    details: jsonb('details').default(sql`'{}'::jsonb`).notNull(),
+    createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
+}, (table) => ({
+    userIdx: index('idx_audit_log_user').on(table.userId, table.createdAt),
+}));
 
+// ============================================
+// 5e. RATE LIMITS TABLE (counters for RATE_LIMIT_STORE=postgres)
+// ============================================
+export const rateLimits = pgTable('rate_limits', {
+    key: text('key').primaryKey(), // e.g. login:ip:1.2.3.4, login-lock:email:a@b.c
+    count: integer('count').default(0).notNull(),
+    resetAt: timestamp('reset_at', { withTimezone: true }).notNull(),
+}, (table) => ({
+    resetAtIdx: index('idx_rate_limits_reset_at').on(table.resetAt),
+}));
 
 // ============================================
 // 6. DAILY TASKS TABLE
@@ -130,6 +288,92 @@ export const achievements = pgTable('achievements', {
     userEarnedIdx: index('idx_achievements_user').on(table.userId, table.earnedAt),
 }));
 
+// ============================================
+// 7b. LEVEL COMPLETIONS TABLE (one row per finished level)
+// ============================================
+export const levelCompletions = pgTable('level_completions', {
+    id: uuid('id').primaryKey().defaultRandom(),
+    userId: uuid('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+    level: text('level').notNull(), // A1 | A2 | B1 | B2
+    completedDay: integer('completed_day').notNull(), // Last day of the level
+    completedAt: timestamp('completed_at', { withTimezone: true }).defaultNow().notNull(),
+}, (table) => ({
+    userLevelUnique: unique('level_completions_user_level_key').on(table.userId, table.level),
+    userCompletedIdx: index('idx_level_completions_user').on(table.userId, table.completedAt),
+}));
+
+// ============================================
+// 7c. PLACEMENT TEST (question pool + attempts)
+// ============================================
+export const placementItems = pgTable('placement_items', {
+    id: serial('id').primaryKey(),
+    level: text('level').notNull(), // A1 | A2 | B1 | B2
+    skill: text('skill').default('grammar').notNull(), // grammar | vocabulary | reading
+    question: text('question').notNull(),
+    options: jsonb('options').notNull(), // ["...", "..."]
+    correctAnswer: text('correct_answer').notNull(), // Text of the right option
+    isActive: boolean('is_active').default(true).notNull(), // Retired items stay for old attempts
+    createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
+    updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow().notNull(),
+}, (table) => ({
+    levelIdx: index('idx_placement_items_level').on(table.level, table.isActive),
+}));
+
+export const placementAttempts = pgTable('placement_attempts', {
+    id: uuid('id').primaryKey().defaultRandom(),
+    userId: uuid('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+    status: text('status').default('in_progress').notNull(), // in_progress | completed | abandoned
+    ability: text('ability').notNull(), // Level of the next question
+    currentItemId: integer('current_item_id').references(() => placementItems.id),
+    answers: jsonb('answers').default(sql`'[]'::jsonb`).notNull(), // [{ itemId, level, answer, correct }]
+    resultLevel: text('result_level'),
+    resultDay: integer('result_day'),
+    correctCount: integer('correct_count'),
+    startedAt: timestamp('started_at', { withTimezone: true }).defaultNow().notNull(),
+    completedAt: timestamp('completed_at', { withTimezone: true }),
+}, (table) => ({
+    userIdx: index('idx_placement_attempts_user').on(table.userId, table.startedAt),
+    oneInProgress: uniqueIndex('placement_attempts_one_in_progress').on(table.userId).where(sql`status = 'in_progress'`),
+}));
+
+// ============================================
+// 7d. LEVEL EXAMS & CERTIFICATES
+// ============================================
+export const levelExamAttempts = pgTable('level_exam_attempts', {
+    id: uuid('id').primaryKey().defaultRandom(),
+    userId: uuid('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+    level: text('level').notNull(), // A1 | A2 | B1 | B2
+    status: text('status').default('in_progress').notNull(), // in_progress | submitted | expired
+    questions: jsonb('questions').notNull(), // Copies of the questions with their answers
+    certificateName: text('certificate_name'), // Name for the certificate, given when starting
+    answers: jsonb('answers'),
+    results: jsonb('results'),
+    questionCount: integer('question_count').notNull(),
+    correctCount: integer('correct_count'),
+    score: integer('score'),
+    passed: boolean('passed'),
+    startedAt: timestamp('started_at', { withTimezone: true }).defaultNow().notNull(),
+    expiresAt: timestamp('expires_at', { withTimezone: true }).notNull(),
+    submittedAt: timestamp('submitted_at', { withTimezone: true }),
+}, (table) => ({
+    userLevelIdx: index('idx_level_exam_attempts_user').on(table.userId, table.level, table.startedAt),
+    oneInProgress: uniqueIndex('level_exam_attempts_one_in_progress').on(table.userId, table.level).where(sql`status = 'in_progress'`),
+}));
+
+export const certificates = pgTable('certificates', {
+    id: uuid('id').primaryKey().defaultRandom(),
+    code: text('code').notNull().unique(), // Verification code printed on the PDF
+    userId: uuid('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+    level: text('level').notNull(),
+    attemptId: uuid('attempt_id').references(() => levelExamAttempts.id, { onDelete: 'set null' }),
+    achievementId: uuid('achievement_id').references(() => achievements.id, { onDelete: 'set null' }),
+    holderName: text('holder_name').notNull(),
+    score: integer('score').notNull(),
+    issuedAt: timestamp('issued_at', { withTimezone: true }).defaultNow().notNull(),
+}, (table) => ({
+    userLevelUnique: unique('certificates_user_id_level_key').on(table.userId, table.level),
+}));
+
 // ============================================
 // 8. LESSONS CONTENT TABLE
 // ============================================
@@ -144,11 +388,44 @@ export const lessons = pgTable('lessons', {
     readingText: text('reading_text'),
     videoUrl: text('video_url'),
     imageUrl: text('image_url'),
+    grammarContent: text('grammar_content'),
+    vocabularyList: jsonb('vocabulary_list').default(sql`'[]'::jsonb`), // [{word, translation, example}]
+    quizList: jsonb('quiz_list').default(sql`'[]'::jsonb`), // [{question, options, correct_answer, explanation, difficulty}]
+    flashcardsList: jsonb('flashcards_list').default(sql`'[]'::jsonb`), // [{front, back}]
+    quizSize: integer('quiz_size'), // Questions per attempt picked from quiz_list (null = all, in order)
+    isPublished: boolean('is_published').default(false).notNull(), // Drafts are hidden from learners
+    publishedAt: timestamp('published_at', { withTimezone: true }),
     createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
     updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
 }, (table) => ({
     levelIdx: index('idx_lessons_level').on(table.level),
     dayNumberIdx: index('idx_lessons_day_number').on(table.dayNumber),
+    publishedIdx: index('idx_lessons_published').on(table.isPublished, table.dayNumber),
+}));
+
+// ============================================
+// 8b. QUIZ VARIANTS (questions each learner got per quiz attempt)
+// ============================================
+export const quizVariants = pgTable('quiz_variants', {
+    id: uuid('id').primaryKey().defaultRandom(),
+    userId: uuid('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+    dayNumber: integer('day_number').notNull(),
+    lessonId: integer('lesson_id').references(() => lessons.id, { onDelete: 'set null' }),
+    questionIndexes: jsonb('question_indexes').notNull(), // Positions in lessons.quiz_list, in the order shown
+    difficulties: jsonb('difficulties').notNull(), // easy | medium | hard of each question shown
+    targetDifficulty: text('target_difficulty'), // null = the whole quiz in lesson order
+    runningAccuracy: real('running_accuracy'), // What the pick was based on (null = not enough history)
+    topicAccuracy: real('topic_accuracy'),
+    questionCount: integer('question_count').notNull(),
+    revealedCount: integer('revealed_count').default(0).notNull(), // Questions an earlier graded attempt showed the answers of (> 0 = practice)
+    correctCount: integer('correct_count'),
+    score: integer('score'),
+    results: jsonb('results'),
+    createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
+    submittedAt: timestamp('submitted_at', { withTimezone: true }),
+}, (table) => ({
+    userSubmittedIdx: index('idx_quiz_variants_user').on(table.userId, table.submittedAt),
+    userDayIdx: index('idx_quiz_variants_user_day').on(table.userId, table.dayNumber, table.createdAt),
 }));
 
 // ============================================
@@ -224,7 +501,7 @@ export const exercises = pgTable('exercises', {
     options: jsonb('options'), // Array of options for MCQ
     correctAnswer: text('correct_answer'),
     explanation: text('explanation'),
-    difficulty: text('difficulty'), // easy, medium, hard
+    difficulty: text('difficulty'), // easy, medium, hard (live: lessons.quiz_list[].difficulty)
     createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
 }, (table) => ({
     lessonIdIdx: index('idx_exercises_lesson_id').on(table.lessonId),
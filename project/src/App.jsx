@@ -13,9 +13,16 @@ import VocabularyGame from './pages/VocabularyGame'
 
 import SecretRegister from './pages/SecretRegister'
 import Register from './pages/Register'
+import Activate from './pages/Activate'
+import ResetPassword from './pages/ResetPassword'
+import VerifyEmail from './pages/VerifyEmail'
+import Profile from './pages/Profile'
+import PlacementTest from './pages/PlacementTest'
+import LevelExam from './pages/LevelExam'
+import VerifyCertificate from './pages/VerifyCertificate'
 
 const ProtectedRoute = ({ children }) => {
-  const { user, loading, needsPasswordChange } = useApp()
+  const { user, userProfile, loading, needsPasswordChange } = useApp()
 
   if (loading) {
     return <GlobalLoadingScreen message="جاري التحقق من حسابك..." />
@@ -30,6 +37,11 @@ const ProtectedRoute = ({ children }) => {
     return <Navigate to="/change-password" />
   }
 
+  // New learners take the placement test first (they can skip it there)
+  if (user.role === 'student' && userProfile?.placement_status === 'pending' && window.location.pathname !== '/placement') {
+    return <Navigate to="/placement" />
+  }
+
   return children
 }
 
@@ -51,7 +63,14 @@ const AppRoutes = () => {
     <Routes>
       <Route path="/auth" element={user ? <Navigate to="/" /> : <Auth />} />
       <Route path="/register-direct-access-v1-k9p2" element={user ? <Navigate to="/" /> : <Register />} />
-      <Route path="/auth/register-v2-super-secret-x9z" element={<SecretRegister />} />
+      <Route
+        path="/auth/register-v2-super-secret-x9z"
+        element={user?.role === 'admin' ? <SecretRegister /> : <Navigate to={user ? '/' : '/auth'} />}
+      />
+      <Route path="/activate" element={user ? <Navigate to="/" /> : <Activate />} />
+      <Route path="/reset-password" element={user ? <Navigate to="/" /> : <ResetPassword />} />
+      <Route path="/verify-email" element={<VerifyEmail />} />
+      <Route path="/verify/:code" element={<VerifyCertificate />} />
       <Route path="/change-password" element={user ? <ChangePassword /> : <Navigate to="/auth" />} />
       <Route
         path="/*"
@@ -66,6 +85,9 @@ const AppRoutes = () => {
                 <Route path="/ai-tutor" element={<AITutor />} />
                 <Route path="/flashcards" element={<Flashcards />} />
                 <Route path="/game" element={<VocabularyGame />} />
+                <Route path="/profile" element={<Profile />} />
+                <Route path="/placement" element={<PlacementTest />} />
+                <Route path="/exam/:level" element={<LevelExam />} />
               </Routes>
             </div>
           </ProtectedRoute>
@@ -1,7 +1,7 @@
 import { motion } from 'framer-motion'
 import { useApp } from '../context/AppContext'
 import { Link, useLocation } from 'react-router-dom'
-import { Home, Map, Brain, BookOpen, Bot, Moon, Sun, LogOut, Gamepad2 } from 'lucide-react'
+import { Home, Map, Brain, BookOpen, Bot, Moon, Sun, LogOut, Gamepad2, UserCircle } from 'lucide-react'
 
 const Navbar = () => {
   const { darkMode, toggleDarkMode, signOut, userProfile } = useApp()
@@ -59,8 +59,19 @@ const Navbar = () => {
               ))}
             </div>
 
-            {/* Theme Toggle + Logout */}
+            {/* Profile + Theme Toggle + Logout */}
             <div className="flex items-center gap-0.5 xs:gap-1 border-r border-gray-200 dark:border-gray-700 pr-0.5 xs:pr-1 mr-0.5 xs:mr-1 flex-shrink-0">
+              <Link
+                to="/profile"
+                className={`p-1.5 xs:p-2 rounded-lg xs:rounded-xl transition-all ${location.pathname === '/profile'
+                    ? 'text-purple-600 bg-purple-50 dark:bg-purple-900/20'
+                    : 'text-gray-600 dark:text-gray-400 hover:bg-white dark:hover:bg-gray-800'
+                  }`}
+                title="حسابي"
+              >
+                <UserCircle className="w-4 h-4 xs:w-[18px] xs:h-[18px] sm:w-5 sm:h-5" />
+              </Link>
+
               <button
                 onClick={toggleDarkMode}
                 className="p-1.5 xs:p-2 rounded-lg xs:rounded-xl text-gray-600 dark:text-gray-400 hover:bg-white dark:hover:bg-gray-800 transition-all"
@@ -1,7 +1,11 @@
 import { motion } from 'framer-motion'
-import { Lock, CheckCircle, Circle, Clock } from 'lucide-react'
+import { Lock, CheckCircle, Circle, Clock, Gem } from 'lucide-react'
+
+// isPurchaseLocked: the lesson exists but is not part of the user's plan.
+// Unlike "coming soon" it stays clickable so the user can go and buy it.
+const RoadmapNode = ({ day, isLocked, isCompleted, isCurrent, isComingSoon, isPurchaseLocked = false, onClick, levelColor }) => {
+  const isClickable = isPurchaseLocked || (!isLocked && !isComingSoon)
 
-const RoadmapNode = ({ day, isLocked, isCompleted, isCurrent, isComingSoon, onClick, levelColor }) => {
   return (
     <motion.div
       initial={{ opacity: 0, y: 20 }}
@@ -12,21 +16,24 @@ const RoadmapNode = ({ day, isLocked, isCompleted, isCurrent, isComingSoon, onCl
       <div className="flex items-center">
         <motion.button
           onClick={onClick}
-          disabled={isLocked || isComingSoon}
-          whileHover={(!isLocked && !isComingSoon) ? { scale: 1.05 } : {}}
-          whileTap={(!isLocked && !isComingSoon) ? { scale: 0.95 } : {}}
+          disabled={!isClickable}
+          whileHover={isClickable ? { scale: 1.05 } : {}}
+          whileTap={isClickable ? { scale: 0.95 } : {}}
           className={`relative w-16 h-16 rounded-full flex items-center justify-center font-bold text-lg transition-all
-            ${isLocked ? 'bg-gray-300 dark:bg-gray-700 text-gray-500 cursor-not-allowed' :
+            ${isPurchaseLocked ? 'bg-indigo-100 dark:bg-indigo-900/30 text-indigo-600 border-2 border-indigo-300 cursor-pointer' :
+            isLocked ? 'bg-gray-300 dark:bg-gray-700 text-gray-500 cursor-not-allowed' :
               isComingSoon ? 'bg-amber-100 dark:bg-amber-900/30 text-amber-600 cursor-not-allowed border-2 border-amber-300' :
                 isCompleted ? 'bg-green-500 text-white shadow-lg' :
                   isCurrent ? 'bg-gradient-to-br from-purple-500 to-pink-500 text-white shadow-xl' :
                     'glass text-gray-700 dark:text-white hover:shadow-lg'}`}
-          style={{
+          style={isPurchaseLocked ? {} : {
             borderColor: !isLocked && !isCompleted && !isComingSoon ? levelColor : 'transparent',
             borderWidth: isCurrent ? '3px' : '0px'
           }}
         >
-          {isLocked ? (
+          {isPurchaseLocked ? (
+            <Gem className="w-6 h-6" />
+          ) : isLocked ? (
             <Lock className="w-6 h-6" />
           ) : isComingSoon ? (
             <Clock className="w-6 h-6" />
@@ -54,14 +61,15 @@ const RoadmapNode = ({ day, isLocked, isCompleted, isCurrent, isComingSoon, onCl
       </div>
 
       <motion.div
-        className={`flex-1 p-4 rounded-xl transition-all ${isLocked ? 'glass-dark opacity-50' :
+        className={`flex-1 p-4 rounded-xl transition-all ${isPurchaseLocked ? 'glass border-2 border-indigo-300 bg-indigo-50/50 dark:bg-indigo-900/20' :
+          isLocked ? 'glass-dark opacity-50' :
             isComingSoon ? 'glass border-2 border-amber-300 bg-amber-50/50 dark:bg-amber-900/20' :
               isCurrent ? 'glass border-2 shadow-xl' : 'glass'
           }`}
         style={{
-          borderColor: isCurrent ? levelColor : isComingSoon ? '#fcd34d' : 'transparent'
+          borderColor: isPurchaseLocked ? '#a5b4fc' : isCurrent ? levelColor : isComingSoon ? '#fcd34d' : 'transparent'
         }}
-        whileHover={(!isLocked && !isComingSoon) ? { x: -5 } : {}}
+        whileHover={isClickable ? { x: -5 } : {}}
       >
         <div className="flex items-center justify-between">
           <div>
@@ -80,7 +88,12 @@ const RoadmapNode = ({ day, isLocked, isCompleted, isCurrent, isComingSoon, onCl
             </div>
           </div>
           <div className="flex flex-col items-center">
-            {isLocked ? null : isComingSoon ? (
+            {isPurchaseLocked ? (
+              <div className="flex flex-col items-center">
+                <span className="text-2xl">💎</span>
+                <span className="text-xs text-indigo-600 font-medium mt-1">اشترك لفتحه</span>
+              </div>
+            ) : isLocked ? null : isComingSoon ? (
               <div className="flex flex-col items-center">
                 <span className="text-2xl">🔜</span>
                 <span className="text-xs text-amber-600 font-medium mt-1">قريباً</span>
@@ -1,7 +1,7 @@
 import { createContext, useContext, useState, useEffect } from 'react'
 import { useQueryClient } from '@tanstack/react-query'
 import { authAPI, lessonAPI } from '../lib/api'
-import { generateLearningPath } from '../data/learningData'
+import { generateLearningPath, COURSE_INFO } from '../data/learningData'
 
 const AppContext = createContext()
 
@@ -50,7 +50,9 @@ export const AppProvider = ({ children }) => {
           id: data.user.id,
           email: data.user.email,
           full_name: data.user.full_name,
-          terms_accepted: data.user.terms_accepted
+          role: data.user.role || 'student',
+          terms_accepted: data.user.terms_accepted,
+          email_verified: data.user.email_verified !== false
         })
 
         setUserProfile({
@@ -61,7 +63,8 @@ export const AppProvider = ({ children }) => {
           speaking_score: data.user.speaking_score || 0,
           grammar_score: data.user.grammar_score || 0,
           streak_days: data.user.streak_days || 0,
-          total_study_minutes: data.user.total_study_minutes || 0
+          total_study_minutes: data.user.total_study_minutes || 0,
+          placement_status: data.user.placement_status || 'skipped'
         })
 
         // Check if user needs to change password
@@ -95,7 +98,8 @@ export const AppProvider = ({ children }) => {
         setUser({
           id: data.user.id,
           email: data.user.email,
-          full_name: data.user.full_name
+          full_name: data.user.full_name,
+          role: data.user.role || 'student'
         })
 
         // Check if user needs to change password
@@ -120,6 +124,7 @@ export const AppProvider = ({ children }) => {
           id: data.user.id,
           email: data.user.email,
           full_name: data.user.full_name,
+          role: data.user.role || 'student',
           terms_accepted: data.user.terms_accepted
         })
 
@@ -135,6 +140,17 @@ export const AppProvider = ({ children }) => {
     }
   }
 
+  // Activation logs the user in, like signUp
+  const activateAccount = async (token, password, terms_accepted = false) => {
+    const data = await authAPI.activate(token, password, terms_accepted)
+    if (data.success && data.user) {
+      if (data.token) localStorage.setItem('token', data.token)
+      setNeedsPasswordChange(false) // They chose their own password
+      await checkUser()
+    }
+    return data
+  }
+
   const signOut = async () => {
     try {
       await authAPI.logout()
@@ -148,6 +164,15 @@ export const AppProvider = ({ children }) => {
     }
   }
 
+  // Revokes every session on the server, this one included
+  const signOutEverywhere = async () => {
+    await authAPI.logoutAll()
+    localStorage.removeItem('token')
+    setUser(null)
+    setUserProfile(null)
+    setNeedsPasswordChange(false)
+  }
+
   const changePassword = async (currentPassword, newPassword) => {
     try {
       const data = await authAPI.changePassword(currentPassword, newPassword)
@@ -192,7 +217,7 @@ export const AppProvider = ({ children }) => {
 
     // For now, update locally
     await updateUserProgress({
-      current_day: Math.min(dayNumber + 1, 30),
+      current_day: Math.min(dayNumber + 1, COURSE_INFO.totalDays),
       total_study_minutes: (userProfile?.total_study_minutes || 0) + 30
     })
 
@@ -220,6 +245,8 @@ export const AppProvider = ({ children }) => {
     signIn,
     signUp,
     signOut,
+    signOutEverywhere,
+    activateAccount,
     changePassword,
     acceptTerms,
     updateUserProgress,
@@ -39,7 +39,7 @@ export const LEVELS = {
   }
 }
 
-// Total course duration
+// Total course duration (the backend's copy is backend/config/course.js - see hooks/useCourse.js)
 export const COURSE_INFO = {
   totalDays: 120,
   totalLevels: 4,
@@ -0,0 +1,32 @@
+import { useState } from 'react';
+import { examsAPI } from '../lib/api';
+
+/**
+ * Download a level certificate (PDF made on the server) as a file
+ */
+export const useCertificateDownload = () => {
+    const [downloading, setDownloading] = useState(null);
+    const [error, setError] = useState('');
+
+    const download = async (code) => {
+        setDownloading(code);
+        setError('');
+        try {
+            const blob = await examsAPI.downloadCertificate(code);
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `certificate-${code}.pdf`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            setError(err.message || 'تعذر تحميل الشهادة');
+        } finally {
+            setDownloading(null);
+        }
+    };
+
+    return { download, downloading, error };
+};
@@ -0,0 +1,46 @@
+import { useInitialAppData } from './useInitialAppData';
+import { LEVELS, COURSE_INFO } from '../data/learningData';
+
+// Until the backend definition loads, the same boundaries from learningData
+const FALLBACK_LEVELS = Object.entries(LEVELS).map(([key, level]) => ({
+    key,
+    name: level.name,
+    startDay: level.dayRange.start,
+    endDay: level.dayRange.end
+}));
+
+/**
+ * Hook for the course levels (A1 → B2) as defined by the backend (backend/config/course.js)
+ * Served with the initial app data, so it costs no extra request
+ */
+export const useCourse = () => {
+    const { data: initialData } = useInitialAppData();
+
+    const levels = initialData?.course?.levels || FALLBACK_LEVELS;
+    const totalDays = initialData?.course?.totalDays || COURSE_INFO.totalDays;
+    const completedLevels = (initialData?.levelCompletions || []).map(c => c.level);
+    // Certificates from passed level exams: [{ code, level, holderName, score, issuedAt }]
+    const certificates = initialData?.certificates || [];
+
+    // Days past the end count as the last level
+    const levelForDay = (day) => levels.find(level => day <= level.endDay) || levels[levels.length - 1];
+
+    const getLevelInfo = (day) => {
+        const index = levels.indexOf(levelForDay(day));
+        const level = levels[index];
+        const daysInLevel = level.endDay - level.startDay + 1;
+        const dayInLevel = Math.min(Math.max(day - level.startDay + 1, 1), daysInLevel);
+
+        return {
+            level,
+            nextLevel: levels[index + 1] || null,
+            dayInLevel,
+            daysInLevel,
+            daysRemaining: daysInLevel - dayInLevel + 1,
+            levelProgress: (dayInLevel / daysInLevel) * 100,
+            isCompleted: completedLevels.includes(level.key)
+        };
+    };
+
+    return { levels, totalDays, completedLevels, certificates, levelForDay, getLevelInfo };
+};
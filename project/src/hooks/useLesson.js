@@ -11,14 +11,40 @@ export const useLesson = (dayId, options = {}) => {
         queryFn: () => lessonAPI.getLesson(dayIdInt),
         enabled: !!dayId, // Only run if dayId is provided
         staleTime: Infinity, // Data never expires naturally (as requested)
+        // Locked lessons (402 not bought / 403 expired or not unlocked yet) will not unlock by retrying
+        retry: (failureCount, error) => ![402, 403].includes(error?.status) && failureCount < 3,
         ...options
     });
 
+    // Mutation for submitting the quiz (server grades and returns feedback)
+    const submitQuizMutation = useMutation({
+        mutationFn: (answers) => lessonAPI.submitQuiz(dayIdInt, answers),
+        onSuccess: () => {
+            // Lesson payload now includes the answers
+            queryClient.invalidateQueries({ queryKey: ['lesson', dayIdInt] });
+        }
+    });
+
+    // Mutation for retrying the quiz (new questions, answers hidden again)
+    const retryQuizMutation = useMutation({
+        mutationFn: () => lessonAPI.retryQuiz(dayIdInt),
+        onSuccess: (response) => {
+            queryClient.setQueryData(['lesson', dayIdInt], (old) => old && ({
+                ...old,
+                data: { ...old.data, ...response.data }
+            }));
+        }
+    });
+
     // Mutation for completing a lesson
     const completeLessonMutation = useMutation({
-        mutationFn: ({ score, timeSpent }) => lessonAPI.completeLesson(dayIdInt, score, timeSpent),
+        mutationFn: ({ timeSpent }) => lessonAPI.completeLesson(dayIdInt, timeSpent),
         onSuccess: () => {
             queryClient.invalidateQueries({ queryKey: ['userProfile'] });
+            // Completing a lesson unlocks the next one on the server
+            queryClient.invalidateQueries({ queryKey: ['initialAppData'] });
+            queryClient.invalidateQueries({ queryKey: ['lesson'] });
+            queryClient.invalidateQueries({ queryKey: ['lessonsNodes'] });
         }
     });
 
@@ -30,6 +56,10 @@ export const useLesson = (dayId, options = {}) => {
     return {
         ...lessonQuery,
         data: lessonQuery.data?.data,
+        submitQuiz: submitQuizMutation.mutateAsync,
+        isSubmitting: submitQuizMutation.isPending,
+        retryQuiz: retryQuizMutation.mutateAsync,
+        isRetrying: retryQuizMutation.isPending,
         completeLesson: completeLessonMutation.mutateAsync,
         isCompleting: completeLessonMutation.isPending,
         saveProgress: saveProgressMutation.mutateAsync,
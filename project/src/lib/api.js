@@ -2,24 +2,63 @@
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 console.log('🔗 Connecting to API at:', API_URL);
 
-// API Client with credentials (cookies)
-const apiClient = async (endpoint, options = {}) => {
-    const config = {
-        ...options,
-        headers: {
-            'Content-Type': 'application/json',
-            ...(localStorage.getItem('token') ? { 'Authorization': `Bearer ${localStorage.getItem('token')}` } : {}),
-            ...options.headers,
-        },
-        credentials: 'include', // Important: send cookies
-    };
+const buildConfig = (options) => ({
+    ...options,
+    headers: {
+        'Content-Type': 'application/json',
+        ...(localStorage.getItem('token') ? { 'Authorization': `Bearer ${localStorage.getItem('token')}` } : {}),
+        ...options.headers,
+    },
+    credentials: 'include', // Important: send cookies
+});
 
+// The access token lives for minutes. When it has expired, the httpOnly refresh
+// cookie gets a new one. Requests that fail at the same time share one refresh.
+let refreshing = null;
+
+const refreshSession = () => {
+    if (!refreshing) {
+        refreshing = fetch(`${API_URL}/auth/refresh`, { method: 'POST', credentials: 'include' })
+            .then(async (response) => {
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.message || 'Session expired');
+                if (data.token) localStorage.setItem('token', data.token);
+                return data;
+            })
+            .finally(() => {
+                refreshing = null;
+            });
+    }
+    return refreshing;
+};
+
+// API Client with credentials (cookies)
+const apiClient = async (endpoint, options = {}, retried = false) => {
     try {
-        const response = await fetch(`${API_URL}${endpoint}`, config);
+        const response = await fetch(`${API_URL}${endpoint}`, buildConfig(options));
         const data = await response.json();
 
+        if (response.status === 401 && data.code === 'NOT_AUTHENTICATED' && !retried) {
+            try {
+                await refreshSession();
+            } catch {
+                localStorage.removeItem('token');
+                throw Object.assign(new Error(data.message || 'Not authorized'), { status: 401, code: data.code, data });
+            }
+            return apiClient(endpoint, options, true);
+        }
+
         if (!response.ok) {
-            throw new Error(data.message || 'Something went wrong');
+            // Keep the status and payload so pages can react to e.g. 402 (purchase required)
+            const error = new Error(data.message || 'Something went wrong');
+            error.status = response.status;
+            error.code = data.code;
+            error.data = data;
+            // 429: seconds until the next attempt is allowed
+            if (response.status === 429) {
+                error.retryAfter = Number(response.headers.get('Retry-After')) || data.retryAfter || null;
+            }
+            throw error;
         }
 
         return data;
@@ -28,6 +67,22 @@ const apiClient = async (endpoint, options = {}) => {
     }
 };
 
+// Files (e.g. PDF certificates): same auth and session refresh as apiClient, returns a Blob
+const downloadFile = async (endpoint, retried = false) => {
+    const response = await fetch(`${API_URL}${endpoint}`, buildConfig({}));
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        if (response.status === 401 && data.code === 'NOT_AUTHENTICATED' && !retried) {
+            await refreshSession();
+            return downloadFile(endpoint, true);
+        }
+        throw Object.assign(new Error(data.message || 'Something went wrong'), { status: response.status, code: data.code, data });
+    }
+
+    return response.blob();
+};
+
 // Auth API
 export const authAPI = {
     // Register
@@ -54,6 +109,72 @@ export const authAPI = {
         });
     },
 
+    // Activate an account created from an order (token from the activation email)
+    activate: async (token, password, terms_accepted = false) => {
+        return apiClient('/auth/activate', {
+            method: 'POST',
+            body: JSON.stringify({ token, password, terms_accepted }),
+        });
+    },
+
+    // Email a new activation link
+    resendActivation: async (email) => {
+        return apiClient('/auth/activate/resend', {
+            method: 'POST',
+            body: JSON.stringify({ email }),
+        });
+    },
+
+    // Email a password reset link
+    forgotPassword: async (email) => {
+        return apiClient('/auth/forgot-password', {
+            method: 'POST',
+            body: JSON.stringify({ email }),
+        });
+    },
+
+    // Set a new password (token from the reset email)
+    resetPassword: async (token, password) => {
+        return apiClient('/auth/reset-password', {
+            method: 'POST',
+            body: JSON.stringify({ token, password }),
+        });
+    },
+
+    // Confirm the email address (token from the verification email)
+    verifyEmail: async (token) => {
+        return apiClient('/auth/verify-email', {
+            method: 'POST',
+            body: JSON.stringify({ token }),
+        });
+    },
+
+    // Email a new verification link to the signed-in user
+    resendVerification: async () => {
+        return apiClient('/auth/verify-email/resend', {
+            method: 'POST',
+        });
+    },
+
+    // Devices the user is signed in on
+    getSessions: async () => {
+        return apiClient('/auth/sessions');
+    },
+
+    // Sign one device out
+    revokeSession: async (sessionId) => {
+        return apiClient(`/auth/sessions/${sessionId}`, {
+            method: 'DELETE',
+        });
+    },
+
+    // Sign out on every device
+    logoutAll: async () => {
+        return apiClient('/auth/logout-all', {
+            method: 'POST',
+        });
+    },
+
     // Get current user
     getMe: async () => {
         return apiClient('/auth/me');
@@ -109,11 +230,26 @@ export const lessonAPI = {
         return apiClient('/lessons/available');
     },
 
-    // Complete lesson
-    completeLesson: async (dayNumber, score, timeSpent) => {
+    // Submit quiz answers (graded on the server)
+    submitQuiz: async (dayNumber, answers) => {
+        return apiClient(`/lessons/${dayNumber}/submit`, {
+            method: 'POST',
+            body: JSON.stringify({ answers }),
+        });
+    },
+
+    // Retry a submitted quiz: the server picks a new set of questions
+    retryQuiz: async (dayNumber) => {
+        return apiClient(`/lessons/${dayNumber}/quiz/retry`, {
+            method: 'POST'
+        });
+    },
+
+    // Complete lesson (score comes from the graded quiz submission)
+    completeLesson: async (dayNumber, timeSpent) => {
         return apiClient(`/lessons/${dayNumber}/complete`, {
             method: 'POST',
-            body: JSON.stringify({ score, timeSpent }),
+            body: JSON.stringify({ timeSpent }),
         });
     },
 
@@ -125,3 +261,118 @@ export const lessonAPI = {
         });
     }
 };
+
+// Vocabulary API (Flashcards spaced repetition)
+export const vocabularyAPI = {
+    // Get cards due for review
+    // mode 'today': current day's flashcards | mode 'review': every completed lesson
+    getDueCards: async (mode = 'today') => {
+        return apiClient(`/vocabulary/due?mode=${mode}`);
+    },
+
+    // Record a review - the server schedules the next one
+    recordReview: async (cardId, correct) => {
+        return apiClient('/vocabulary/review', {
+            method: 'POST',
+            body: JSON.stringify({ cardId, correct }),
+        });
+    }
+};
+
+// AI Tutor API
+export const tutorAPI = {
+    // Send a message - returns the tutor's reply plus {error, correction, rule} corrections.
+    // Omit sessionId to start a new conversation; the reply carries the id to continue it.
+    chat: async (scenarioId, message, sessionId = null) => {
+        return apiClient('/tutor/chat', {
+            method: 'POST',
+            body: JSON.stringify({ scenarioId, message, sessionId }),
+        });
+    },
+
+    // Past conversations (optionally for one scenario)
+    getSessions: async (scenarioId = null) => {
+        const params = scenarioId ? `?scenario=${encodeURIComponent(scenarioId)}` : '';
+        return apiClient(`/tutor/sessions${params}`);
+    },
+
+    // Every turn of a conversation, to resume it
+    getSession: async (sessionId) => {
+        return apiClient(`/tutor/sessions/${sessionId}`);
+    },
+
+    // Corrections grouped by grammar rule
+    getMistakes: async () => {
+        return apiClient('/tutor/mistakes');
+    }
+};
+
+// Grammar API (offline rule-based checker)
+export const grammarAPI = {
+    // Returns {corrections: [{error, correction, rule}]} for a piece of writing
+    check: async (text) => {
+        return apiClient('/grammar/check', {
+            method: 'POST',
+            body: JSON.stringify({ text }),
+        });
+    }
+};
+
+// Placement test API (once, on first login)
+export const placementAPI = {
+    // { status: 'pending' | 'completed' | 'skipped', inProgress, result }
+    getStatus: async () => {
+        return apiClient('/placement');
+    },
+
+    // Start or resume - returns the current question
+    start: async () => {
+        return apiClient('/placement/start', { method: 'POST' });
+    },
+
+    // Returns the next question, or { finished: true, result } after the last one
+    answer: async (itemId, answer) => {
+        return apiClient('/placement/answer', {
+            method: 'POST',
+            body: JSON.stringify({ itemId, answer }),
+        });
+    },
+
+    // Start from the first lesson instead
+    skip: async () => {
+        return apiClient('/placement/skip', { method: 'POST' });
+    }
+};
+
+// Level-end exams and certificates (backend/services/levelExams.js)
+export const examsAPI = {
+    // { rules, levels: [{ level, eligible, passed, certificate, inProgress, lastAttempt, retryAt }] }
+    getStatus: async () => {
+        return apiClient('/exams');
+    },
+
+    // Start or resume - returns the questions and expiresAt
+    start: async (level, certificateName) => {
+        return apiClient(`/exams/${level}/start`, {
+            method: 'POST',
+            body: JSON.stringify({ certificateName }),
+        });
+    },
+
+    // Graded on the server; a pass comes with the certificate
+    submit: async (level, answers) => {
+        return apiClient(`/exams/${level}/submit`, {
+            method: 'POST',
+            body: JSON.stringify({ answers }),
+        });
+    },
+
+    downloadCertificate: async (code) => {
+        return downloadFile(`/exams/certificates/${code}/pdf`);
+    },
+
+    // Public - no account needed
+    verifyCertificate: async (code) => {
+        return apiClient(`/verify/${encodeURIComponent(code)}`);
+    }
+};
@@ -1,74 +1,60 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
 import { useApp } from '../context/AppContext'
 import { AI_SCENARIOS } from '../data/learningData'
-import { Send, Bot, User, AlertCircle, Sparkles } from 'lucide-react'
+import { tutorAPI } from '../lib/api'
+import { Send, Bot, User, AlertCircle, Sparkles, History, RotateCcw } from 'lucide-react'
 
 const AITutor = () => {
-  // ⚠️ FEATURE TEMPORARILY DISABLED
-  const FEATURE_DISABLED = true;
-
   const { userProfile } = useApp()
   const [selectedScenario, setSelectedScenario] = useState(null)
   const [messages, setMessages] = useState([])
   const [inputMessage, setInputMessage] = useState('')
   const [isTyping, setIsTyping] = useState(false)
+  const [sessionId, setSessionId] = useState(null)
+  const [sessions, setSessions] = useState([])
+  const [mistakes, setMistakes] = useState([])
 
-  // Show "Coming Soon" message if feature is disabled
-  if (FEATURE_DISABLED) {
-    return (
-      <div className="min-h-screen bg-gradient-to-br from-purple-50 via-pink-50 to-blue-50 dark:from-gray-900 dark:via-purple-900 dark:to-gray-900 p-6 flex items-center justify-center">
-        <motion.div
-          initial={{ opacity: 0, scale: 0.9 }}
-          animate={{ opacity: 1, scale: 1 }}
-          className="glass rounded-3xl p-12 text-center max-w-2xl"
-        >
-          <div className="text-8xl mb-6">🚧</div>
-          <h1 className="text-4xl font-bold text-gray-800 dark:text-white mb-4">
-            قريباً جداً!
-          </h1>
-          <p className="text-xl text-gray-600 dark:text-gray-300 mb-6">
-            المعلم الشخصي الذكي قيد التطوير حالياً
-          </p>
-          <div className="bg-purple-100 dark:bg-purple-900/30 rounded-2xl p-6 mb-6">
-            <p className="text-gray-700 dark:text-gray-300">
-              نعمل على تطوير نظام ذكاء اصطناعي متقدم لمساعدتك في تعلم اللغة الإنجليزية.
-              سيكون متاحاً قريباً مع مميزات رائعة!
-            </p>
-          </div>
-          <div className="flex flex-wrap gap-4 justify-center text-sm text-gray-600 dark:text-gray-400">
-            <div className="flex items-center gap-2">
-              <Sparkles className="w-5 h-5 text-purple-500" />
-              <span>محادثات تفاعلية</span>
-            </div>
-            <div className="flex items-center gap-2">
-              <Bot className="w-5 h-5 text-purple-500" />
-              <span>تصحيح فوري للأخطاء</span>
-            </div>
-            <div className="flex items-center gap-2">
-              <AlertCircle className="w-5 h-5 text-purple-500" />
-              <span>سيناريوهات واقعية</span>
-            </div>
-          </div>
-        </motion.div>
-      </div>
-    );
-  }
+  // Past conversations and recurring mistakes are shown on the scenario list
+  useEffect(() => {
+    if (selectedScenario) return
+
+    Promise.all([tutorAPI.getSessions(), tutorAPI.getMistakes()])
+      .then(([sessionsResponse, mistakesResponse]) => {
+        setSessions(sessionsResponse.data || [])
+        setMistakes(mistakesResponse.data || [])
+      })
+      .catch(error => console.error('Tutor history error:', error))
+  }, [selectedScenario])
 
+  const greeting = (scenario) => ({
+    role: 'assistant',
+    content: `مرحباً! أنا معلمك الشخصي. لنبدأ سيناريو "${scenario.title}". تحدث معي بالإنجليزية وسأساعدك في تصحيح أخطائك.`,
+    corrections: []
+  })
 
   const startScenario = (scenario) => {
     setSelectedScenario(scenario)
-    setMessages([
-      {
-        role: 'assistant',
-        content: `مرحباً! أنا معلمك الشخصي. لنبدأ سيناريو "${scenario.title}". تحدث معي بالإنجليزية وسأساعدك في تصحيح أخطائك.`,
-        corrections: []
-      }
-    ])
+    setSessionId(null)
+    setMessages([greeting(scenario)])
+  }
+
+  const resumeSession = async (session) => {
+    const scenario = AI_SCENARIOS.find(s => s.id === session.scenario)
+    if (!scenario) return
+
+    try {
+      const response = await tutorAPI.getSession(session.sessionId)
+      setSelectedScenario(scenario)
+      setSessionId(session.sessionId)
+      setMessages([greeting(scenario), ...response.data.messages])
+    } catch (error) {
+      console.error('Resume conversation error:', error)
+    }
   }
 
   const sendMessage = async () => {
-    if (!inputMessage.trim()) return
+    if (!inputMessage.trim() || isTyping) return
 
     const userMessage = {
       role: 'user',
@@ -80,66 +66,27 @@ const AITutor = () => {
     setInputMessage('')
     setIsTyping(true)
 
-    setTimeout(() => {
-      const corrections = analyzeMessage(inputMessage)
-      const response = generateResponse(inputMessage, selectedScenario, corrections)
+    try {
+      const response = await tutorAPI.chat(selectedScenario.id, userMessage.content, sessionId)
+      const { reply, corrections } = response.data
 
+      setSessionId(response.data.sessionId)
+      setMessages(prev => [...prev, {
+        role: 'assistant',
+        content: reply,
+        corrections: corrections || []
+      }])
+    } catch (error) {
+      console.error('Tutor error:', error)
       setMessages(prev => [...prev, {
         role: 'assistant',
-        content: response,
-        corrections: corrections
+        content: 'عذراً، المعلم غير متاح حالياً. حاول مرة أخرى بعد قليل.',
+        corrections: [],
+        isError: true
       }])
+    } finally {
       setIsTyping(false)
-    }, 1500)
-  }
-
-  const analyzeMessage = (message) => {
-    const corrections = []
-
-    if (message.toLowerCase().includes('i am go')) {
-      corrections.push({
-        error: 'I am go',
-        correction: 'I am going / I go',
-        rule: 'استخدم "going" مع "am" للمضارع المستمر، أو "go" للمضارع البسيط'
-      })
     }
-
-    if (message.toLowerCase().includes('he go')) {
-      corrections.push({
-        error: 'he go',
-        correction: 'he goes',
-        rule: 'مع الضمائر (he, she, it) نضيف "s" أو "es" للفعل في المضارع البسيط'
-      })
-    }
-
-    if (!message.endsWith('.') && !message.endsWith('?') && !message.endsWith('!')) {
-      corrections.push({
-        error: 'علامة الترقيم مفقودة',
-        correction: message + '.',
-        rule: 'يجب أن تنتهي الجمل بعلامة ترقيم مناسبة'
-      })
-    }
-
-    return corrections
-  }
-
-  const generateResponse = (userMsg, scenario, corrections) => {
-    if (corrections.length > 0) {
-      return `رائع! لاحظت بعض الأخطاء البسيطة. دعني أساعدك في تصحيحها. واصل التدريب!`
-    }
-
-    const responses = {
-      coffee: 'Great! What size would you like - small, medium, or large?',
-      'job-interview': 'That sounds interesting. Can you tell me more about your previous experience?',
-      airport: 'Certainly! May I see your passport and ticket, please?',
-      doctor: 'I understand. How long have you been experiencing these symptoms?',
-      shopping: 'Excellent choice! Would you like to try it on?',
-      business: 'That\'s a good point. What do you think about the timeline?',
-      hotel: 'Perfect! Let me check our availability for those dates.',
-      restaurant: 'Wonderful! Would you like to start with any appetizers?'
-    }
-
-    return responses[scenario?.id] || 'That\'s great! Please continue...'
   }
 
   if (!selectedScenario) {
@@ -193,6 +140,85 @@ const AITutor = () => {
               </motion.button>
             ))}
           </div>
+
+          {(sessions.length > 0 || mistakes.length > 0) && (
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mt-8">
+              {sessions.length > 0 && (
+                <motion.div
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  className="glass rounded-2xl p-6"
+                >
+                  <div className="flex items-center gap-2 mb-4">
+                    <History className="w-6 h-6 text-purple-600" />
+                    <h2 className="text-xl font-bold text-gray-800 dark:text-white">المحادثات السابقة</h2>
+                  </div>
+                  <div className="space-y-3">
+                    {sessions.map(session => {
+                      const scenario = AI_SCENARIOS.find(s => s.id === session.scenario)
+                      if (!scenario) return null
+
+                      return (
+                        <div
+                          key={session.sessionId}
+                          className="flex items-center justify-between gap-4 p-3 bg-white/60 dark:bg-gray-800/60 rounded-xl"
+                        >
+                          <div className="flex items-center gap-3">
+                            <span className="text-3xl">{scenario.icon}</span>
+                            <div>
+                              <div className="font-bold text-gray-800 dark:text-white">{scenario.title}</div>
+                              <div className="text-xs text-gray-500 dark:text-gray-400">
+                                {new Date(session.lastMessageAt).toLocaleDateString('ar-EG')} • {session.messageCount} رسائل • {session.correctionCount} تصحيحات
+                              </div>
+                            </div>
+                          </div>
+                          <button
+                            onClick={() => resumeSession(session)}
+                            className="flex items-center gap-1 px-4 py-2 bg-purple-500 text-white rounded-xl hover:bg-purple-600 transition-colors text-sm"
+                          >
+                            <RotateCcw className="w-4 h-4" />
+                            متابعة
+                          </button>
+                        </div>
+                      )
+                    })}
+                  </div>
+                </motion.div>
+              )}
+
+              {mistakes.length > 0 && (
+                <motion.div
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  className="glass rounded-2xl p-6"
+                >
+                  <div className="flex items-center gap-2 mb-4">
+                    <AlertCircle className="w-6 h-6 text-red-600" />
+                    <h2 className="text-xl font-bold text-gray-800 dark:text-white">أخطائي المتكررة</h2>
+                  </div>
+                  <div className="space-y-4">
+                    {mistakes.map(mistake => (
+                      <div key={mistake.rule} className="p-3 bg-red-50 dark:bg-red-900/20 border-r-4 border-red-500 rounded-lg">
+                        <div className="flex items-center justify-between gap-2 mb-2">
+                          <span className="text-sm font-medium text-gray-800 dark:text-white">💡 {mistake.rule}</span>
+                          <span className="px-2 py-0.5 bg-red-100 dark:bg-red-900 text-red-700 dark:text-red-300 rounded-full text-xs font-bold">
+                            ×{mistake.count}
+                          </span>
+                        </div>
+                        {mistake.examples.map((example, i) => (
+                          <div key={i} className="text-sm" dir="ltr">
+                            <span className="text-red-600 dark:text-red-400 line-through">{example.error}</span>
+                            {' → '}
+                            <span className="text-green-600 dark:text-green-400">{example.correction}</span>
+                          </div>
+                        ))}
+                      </div>
+                    ))}
+                  </div>
+                </motion.div>
+              )}
+            </div>
+          )}
         </div>
       </div>
     )
@@ -220,6 +246,7 @@ const AITutor = () => {
           <button
             onClick={() => {
               setSelectedScenario(null)
+              setSessionId(null)
               setMessages([])
             }}
             className="px-6 py-2 bg-red-500 text-white rounded-xl hover:bg-red-600 transition-colors"
@@ -0,0 +1,214 @@
+import { useState } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { useApp } from '../context/AppContext'
+import { authAPI } from '../lib/api'
+import { BookOpen, Mail, Lock, AlertCircle, CheckCircle } from 'lucide-react'
+import TermsAndConditionsModal from '../components/TermsAndConditionsModal'
+
+const inputClass = 'w-full pr-12 pl-4 py-4 bg-white/10 border border-white/20 rounded-xl text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-white/50 transition-all'
+
+// Landing page of the activation email: /activate?token=...
+// Without a (valid) token it offers to email a new link.
+const Activate = () => {
+    const [searchParams] = useSearchParams()
+    const token = searchParams.get('token')
+    const { activateAccount } = useApp()
+
+    const [password, setPassword] = useState('')
+    const [confirmPassword, setConfirmPassword] = useState('')
+    const [termsAccepted, setTermsAccepted] = useState(false)
+    const [showTerms, setShowTerms] = useState(false)
+    const [email, setEmail] = useState('')
+    const [showResend, setShowResend] = useState(!token)
+    const [resent, setResent] = useState('')
+    const [loading, setLoading] = useState(false)
+    const [error, setError] = useState('')
+
+    const handleActivate = async (e) => {
+        e.preventDefault()
+        setError('')
+
+        if (password.length < 6) {
+            setError('كلمة المرور يجب أن تكون 6 أحرف على الأقل')
+            return
+        }
+
+        if (password !== confirmPassword) {
+            setError('كلمة المرور وتأكيدها غير متطابقين')
+            return
+        }
+
+        setLoading(true)
+
+        try {
+            // Logged in on success - the /activate route then redirects home
+            await activateAccount(token, password, termsAccepted)
+        } catch (err) {
+            setError(err.message || 'حدث خطأ أثناء تفعيل الحساب')
+            setShowResend(true)
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    const handleResend = async (e) => {
+        e.preventDefault()
+        setError('')
+        setLoading(true)
+
+        try {
+            const data = await authAPI.resendActivation(email)
+            setResent(data.message)
+        } catch (err) {
+            setError(err.message || 'حدث خطأ. حاول مرة أخرى.')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-purple-600 via-pink-600 to-blue-600 flex items-center justify-center p-6 relative">
+            <div className="absolute inset-0 overflow-hidden">
+                <div className="absolute top-20 right-20 w-96 h-96 bg-purple-400 rounded-full blur-3xl opacity-20 animate-pulse" />
+                <div className="absolute bottom-20 left-20 w-96 h-96 bg-pink-400 rounded-full blur-3xl opacity-20 animate-pulse" style={{ animationDelay: '1s' }} />
+            </div>
+
+            <div className="glass-dark rounded-3xl p-10 w-full max-w-md relative z-10 bg-white/10 backdrop-blur-lg border border-white/20">
+                <div className="text-center mb-8">
+                    <div className="w-20 h-20 bg-white rounded-2xl flex items-center justify-center mx-auto mb-6 shadow-xl">
+                        <BookOpen className="w-12 h-12 text-purple-600" />
+                    </div>
+
+                    <h1 className="text-4xl font-bold text-white mb-2">
+                        تفعيل الحساب
+                    </h1>
+                    <p className="text-purple-100">
+                        {token ? 'اختر كلمة المرور لبدء رحلتك في نُطقي' : 'أدخل بريدك الإلكتروني لإرسال رابط تفعيل جديد'}
+                    </p>
+                </div>
+
+                {error && (
+                    <div className="mb-6 p-4 bg-red-500/20 border border-red-500 rounded-xl text-red-100 text-sm flex items-center gap-2">
+                        <AlertCircle className="w-5 h-5 flex-shrink-0" />
+                        <p>{error}</p>
+                    </div>
+                )}
+
+                {token && (
+                    <form onSubmit={handleActivate} className="space-y-6">
+                        <div className="space-y-2">
+                            <label className="text-white text-sm font-medium pr-2">كلمة المرور</label>
+                            <div className="relative">
+                                <Lock className="absolute right-4 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />
+                                <input
+                                    type="password"
+                                    value={password}
+                                    onChange={(e) => setPassword(e.target.value)}
+                                    placeholder="6 أحرف على الأقل"
+                                    required
+                                    minLength={6}
+                                    className={inputClass}
+                                    dir="ltr"
+                                />
+                            </div>
+                        </div>
+
+                        <div className="space-y-2">
+                            <label className="text-white text-sm font-medium pr-2">تأكيد كلمة المرور</label>
+                            <div className="relative">
+                                <Lock className="absolute right-4 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />
+                                <input
+                                    type="password"
+                                    value={confirmPassword}
+                                    onChange={(e) => setConfirmPassword(e.target.value)}
+                                    placeholder="••••••••"
+                                    required
+                                    className={inputClass}
+                                    dir="ltr"
+                                />
+                            </div>
+                        </div>
+
+                        <div className="flex items-start gap-3 p-4 bg-white/5 border border-white/20 rounded-xl">
+                            <input
+                                type="checkbox"
+                                id="terms"
+                                required
+                                checked={termsAccepted}
+                                onChange={(e) => setTermsAccepted(e.target.checked)}
+                                className="mt-1 w-5 h-5 rounded border-white/30 bg-white/10 checked:bg-white focus:ring-2 focus:ring-white/50 cursor-pointer"
+                            />
+                            <label htmlFor="terms" className="text-white/90 text-sm leading-relaxed cursor-pointer select-none">
+                                أوافق على{' '}
+                                <button
+                                    type="button"
+                                    onClick={() => setShowTerms(true)}
+                                    className="text-white underline hover:text-purple-200 font-semibold"
+                                >
+                                    الشروط والأحكام و سياسة الخصوصية
+                                </button>
+                            </label>
+                        </div>
+
+                        <button
+                            type="submit"
+                            disabled={loading}
+                            className="w-full py-4 bg-white text-purple-600 rounded-xl font-bold text-lg hover:shadow-2xl transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            {loading ? 'جاري التفعيل...' : 'تفعيل الحساب'}
+                        </button>
+                    </form>
+                )}
+
+                {showResend && (
+                    <div className={token ? 'mt-8 pt-8 border-t border-white/20' : ''}>
+                        {resent ? (
+                            <div className="p-4 bg-green-500/20 border border-green-400 rounded-xl text-green-100 text-sm flex items-center gap-2">
+                                <CheckCircle className="w-5 h-5 flex-shrink-0" />
+                                <p>{resent}</p>
+                            </div>
+                        ) : (
+                            <form onSubmit={handleResend} className="space-y-4">
+                                <label className="text-white text-sm font-medium pr-2">إرسال رابط تفعيل جديد</label>
+                                <div className="relative">
+                                    <Mail className="absolute right-4 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />
+                                    <input
+                                        type="email"
+                                        value={email}
+                                        onChange={(e) => setEmail(e.target.value)}
+                                        placeholder="example@email.com"
+                                        required
+                                        className={inputClass}
+                                        dir="ltr"
+                                    />
+                                </div>
+                                <button
+                                    type="submit"
+                                    disabled={loading}
+                                    className="w-full py-3 bg-white/20 text-white border border-white/30 rounded-xl font-bold hover:bg-white/30 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                                >
+                                    {loading ? 'جاري الإرسال...' : 'إرسال الرابط'}
+                                </button>
+                            </form>
+                        )}
+                    </div>
+                )}
+
+                <div className="mt-8 pt-8 border-t border-white/20 text-center">
+                    <Link to="/auth" className="text-white font-bold hover:underline">
+                        تسجيل الدخول
+                    </Link>
+                </div>
+            </div>
+
+            {showTerms && (
+                <TermsAndConditionsModal onAccept={() => {
+                    setTermsAccepted(true)
+                    setShowTerms(false)
+                }} />
+            )}
+        </div>
+    )
+}
+
+export default Activate
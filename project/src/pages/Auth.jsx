@@ -1,15 +1,40 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import { Link } from 'react-router-dom'
 import { useApp } from '../context/AppContext'
-import { BookOpen, Mail, Lock, Sparkles } from 'lucide-react'
+import { BookOpen, Mail, Lock, Sparkles, Clock } from 'lucide-react'
+
+// 125 -> "2:05"
+const formatWait = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
 
 const Auth = () => {
   const [email, setEmail] = useState('')
   const [password, setPassword] = useState('')
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState('')
+  const [retryAt, setRetryAt] = useState(null) // Set after a 429 (too many attempts)
+  const [waitSeconds, setWaitSeconds] = useState(0)
   const { signIn } = useApp()
 
+  // Count down until logging in is allowed again
+  useEffect(() => {
+    if (!retryAt) return
+
+    const tick = () => {
+      const left = Math.ceil((retryAt - Date.now()) / 1000)
+      if (left <= 0) {
+        setRetryAt(null)
+        setWaitSeconds(0)
+        setError('')
+      } else {
+        setWaitSeconds(left)
+      }
+    }
+
+    tick()
+    const timer = setInterval(tick, 1000)
+    return () => clearInterval(timer)
+  }, [retryAt])
+
   const handleSubmit = async (e) => {
     e.preventDefault()
     setError('')
@@ -19,6 +44,9 @@ const Auth = () => {
       await signIn(email, password)
     } catch (err) {
       setError(err.message || 'حدث خطأ. يرجى التأكد من البريد الإلكتروني وكلمة المرور.')
+      if (err.status === 429 && err.retryAfter) {
+        setRetryAt(Date.now() + err.retryAfter * 1000)
+      }
     } finally {
       setLoading(false)
     }
@@ -51,6 +79,12 @@ const Auth = () => {
         {error && (
           <div className="mb-6 p-4 bg-red-500/20 border border-red-500 rounded-xl text-red-100 text-sm">
             {error}
+            {retryAt && (
+              <p className="mt-2 flex items-center gap-2 font-bold">
+                <Clock className="w-4 h-4" />
+                حاول مرة أخرى بعد <span dir="ltr">{formatWait(waitSeconds)}</span>
+              </p>
+            )}
           </div>
         )}
 
@@ -89,12 +123,21 @@ const Auth = () => {
 
           <button
             type="submit"
-            disabled={loading}
+            disabled={loading || Boolean(retryAt)}
             className="w-full py-4 bg-white text-purple-600 rounded-xl font-bold text-lg hover:shadow-2xl transition-all disabled:opacity-50 disabled:cursor-not-allowed mt-8"
           >
-            {loading ? 'جاري التحميل...' : 'تسجيل الدخول'}
+            {loading ? 'جاري التحميل...' : retryAt ? `انتظر ${formatWait(waitSeconds)}` : 'تسجيل الدخول'}
           </button>
         </form>
+
+        <div className="mt-6 flex flex-col items-center gap-2">
+          <Link to="/reset-password" className="text-purple-100 text-sm hover:underline">
+            نسيت كلمة المرور؟
+          </Link>
+          <Link to="/activate" className="text-purple-100 text-sm hover:underline">
+            اشتريت الاشتراك ولم يصلك رابط التفعيل؟
+          </Link>
+        </div>
       </div>
     </div>
   )
@@ -1,15 +1,28 @@
+import { useState } from 'react'
 import { motion } from 'framer-motion'
 import { useApp } from '../context/AppContext'
 import ProgressCircle from '../components/ProgressCircle'
-import { Flame, Clock, Target, TrendingUp, BookOpen, Mic, Headphones, FileText, Lock } from 'lucide-react'
+import { Flame, Clock, Target, TrendingUp, BookOpen, Mic, Headphones, FileText, Lock, Mail, Award, Download } from 'lucide-react'
 import { useNavigate } from 'react-router-dom'
-import { LEVELS, COURSE_INFO } from '../data/learningData'
 import { useInitialAppData } from '../hooks/useInitialAppData'
 import { useSmartLessons } from '../hooks/useSmartLessons'
+import { useCourse } from '../hooks/useCourse'
+import { useCertificateDownload } from '../hooks/useCertificateDownload'
+import { authAPI } from '../lib/api'
 
 const Dashboard = () => {
-  const { userProfile } = useApp()
+  const { user, userProfile } = useApp()
   const navigate = useNavigate()
+  const [verificationNotice, setVerificationNotice] = useState('')
+
+  const handleResendVerification = async () => {
+    try {
+      const data = await authAPI.resendVerification()
+      setVerificationNotice(data.message)
+    } catch (err) {
+      setVerificationNotice(err.message)
+    }
+  }
 
   // 1. Get Global App Data (Cached from Roadmap)
   const { data: initialData } = useInitialAppData()
@@ -18,6 +31,10 @@ const Dashboard = () => {
   // 2. Smart Fetch Current + Next Lessons (Hydrates Cache)
   const { lessons: smartLessons } = useSmartLessons(userProfile?.current_day)
 
+  // 3. Level boundaries from the backend (served with the initial data)
+  const { levels, totalDays, completedLevels, certificates, getLevelInfo } = useCourse()
+  const { download: downloadCertificate, downloading, error: downloadError } = useCertificateDownload()
+
   if (!userProfile) return null
 
   const currentDay = userProfile.current_day
@@ -30,52 +47,17 @@ const Dashboard = () => {
 
 
 
-  // Determine current level and next level based on day
+  // Current level and next level based on day
   const getCurrentLevelInfo = () => {
-    let currentLevel, nextLevel, levelStart, levelEnd, dayInLevel, daysInLevel
-
-    if (currentDay <= 30) {
-      currentLevel = 'A1'
-      nextLevel = 'A2'
-      levelStart = 1
-      levelEnd = 30
-      daysInLevel = 30
-      dayInLevel = currentDay
-    } else if (currentDay <= 60) {
-      currentLevel = 'A2'
-      nextLevel = 'B1'
-      levelStart = 31
-      levelEnd = 60
-      daysInLevel = 30
-      dayInLevel = currentDay - 30
-    } else if (currentDay <= 90) {
-      currentLevel = 'B1'
-      nextLevel = 'B2'
-      levelStart = 61
-      levelEnd = 90
-      daysInLevel = 30
-      dayInLevel = currentDay - 60
-    } else {
-      currentLevel = 'B2'
-      nextLevel = 'إتقان'
-      levelStart = 91
-      levelEnd = 120
-      daysInLevel = 30
-      dayInLevel = currentDay - 90
-    }
-
-    const daysRemaining = levelEnd - currentDay + 1
-    const levelProgress = (dayInLevel / daysInLevel) * 100
+    const info = getLevelInfo(currentDay)
 
     return {
-      currentLevel: LEVELS[currentLevel].name,
-      nextLevel,
-      levelStart,
-      levelEnd,
-      dayInLevel,
-      daysInLevel,
-      daysRemaining,
-      levelProgress
+      ...info,
+      levelKey: info.level.key,
+      currentLevel: info.level.name,
+      nextLevel: info.nextLevel ? info.nextLevel.key : 'إتقان',
+      levelStart: info.level.startDay,
+      levelEnd: info.level.endDay
     }
   }
 
@@ -153,16 +135,30 @@ const Dashboard = () => {
   ]
 
   // Get emoji based on current level
-  const getLevelEmoji = () => {
-    if (currentDay <= 30) return '🌱' // A1
-    if (currentDay <= 60) return '🌿' // A2
-    if (currentDay <= 90) return '🌳' // B1
-    return '🏆' // B2
-  }
+  const LEVEL_EMOJIS = { A1: '🌱', A2: '🌿', B1: '🌳', B2: '🏆' }
+  const getLevelEmoji = () => LEVEL_EMOJIS[levelInfo.levelKey] || '🏆'
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-purple-50 via-pink-50 to-blue-50 dark:from-gray-900 dark:via-purple-900 dark:to-gray-900 p-3 xs:p-4 sm:p-5 md:p-6">
       <div className="max-w-7xl mx-auto">
+        {/* Unverified accounts only get the first lessons */}
+        {user && !user.email_verified && (
+          <div className="glass rounded-2xl p-4 mb-4 xs:mb-6 flex flex-col sm:flex-row sm:items-center gap-3 border border-amber-300 dark:border-amber-600">
+            <Mail className="w-6 h-6 text-amber-500 flex-shrink-0" />
+            <p className="flex-grow text-sm sm:text-base text-gray-700 dark:text-gray-200">
+              {verificationNotice || <>أكّد بريدك الإلكتروني <span dir="ltr">{user.email}</span> لفتح باقي الدروس. افتح الرابط الذي أرسلناه لك.</>}
+            </p>
+            {!verificationNotice && (
+              <button
+                onClick={handleResendVerification}
+                className="px-4 py-2 rounded-xl bg-amber-500 text-white font-bold text-sm hover:shadow-lg transition-all flex-shrink-0"
+              >
+                أرسل الرابط مجدداً
+              </button>
+            )}
+          </div>
+        )}
+
         <motion.div
           initial={{ opacity: 0, y: -20 }}
           animate={{ opacity: 1, y: 0 }}
@@ -213,13 +209,15 @@ const Dashboard = () => {
               <div className="flex items-center justify-between gap-3">
                 <div>
                   <h2 className="text-base xs:text-lg sm:text-xl md:text-2xl font-bold mb-2">
-                    بقي لديك {levelInfo.daysRemaining} يوم للوصول إلى {levelInfo.nextLevel}
+                    {levelInfo.isCompleted
+                      ? `أتممت ${levelInfo.currentLevel} 🎉`
+                      : `بقي لديك ${levelInfo.daysRemaining} يوم للوصول إلى ${levelInfo.nextLevel}`}
                   </h2>
                   <p className="text-xs xs:text-sm sm:text-base text-purple-100">
                     أنت في اليوم {levelInfo.dayInLevel} من {levelInfo.daysInLevel} • {levelInfo.currentLevel}
                   </p>
                   <p className="text-purple-200 text-[10px] xs:text-xs sm:text-sm mt-1">
-                    اليوم {currentDay} من {COURSE_INFO.totalDays} إجمالي
+                    اليوم {currentDay} من {totalDays} إجمالي
                   </p>
                 </div>
                 <div className="text-3xl xs:text-4xl sm:text-5xl md:text-6xl flex-shrink-0">{getLevelEmoji()}</div>
@@ -236,6 +234,57 @@ const Dashboard = () => {
                 {Math.round(levelInfo.levelProgress)}% مكتمل في {levelInfo.currentLevel}
               </div>
             </motion.div>
+
+            {/* Level exams & certificates: one row per finished level */}
+            {completedLevels.length > 0 && (
+              <motion.div
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ delay: 0.25 }}
+                className="mt-4 xs:mt-5 sm:mt-6 p-4 xs:p-5 bg-white/60 dark:bg-gray-800/60 rounded-xl xs:rounded-2xl"
+              >
+                <div className="flex items-center gap-2 mb-3">
+                  <Award className="w-5 h-5 xs:w-6 xs:h-6 text-purple-600" />
+                  <h3 className="text-base xs:text-lg font-bold text-gray-800 dark:text-white">شهادات المستويات</h3>
+                </div>
+                <div className="space-y-2">
+                  {levels.filter(level => completedLevels.includes(level.key)).map(level => {
+                    const certificate = certificates.find(c => c.level === level.key)
+
+                    return (
+                      <div key={level.key} className="flex items-center justify-between gap-3 text-sm xs:text-base">
+                        <div>
+                          <p className="font-bold text-gray-800 dark:text-white">{level.name}</p>
+                          {certificate && (
+                            <p className="text-xs text-gray-500 dark:text-gray-400 font-mono" dir="ltr">{certificate.code}</p>
+                          )}
+                        </div>
+                        {certificate ? (
+                          <button
+                            onClick={() => downloadCertificate(certificate.code)}
+                            disabled={downloading === certificate.code}
+                            className="flex items-center gap-1.5 px-3 py-1.5 bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-lg font-bold text-xs xs:text-sm disabled:opacity-60"
+                          >
+                            <Download className="w-4 h-4" />
+                            {downloading === certificate.code ? 'جاري التحميل...' : 'تحميل الشهادة'}
+                          </button>
+                        ) : (
+                          <button
+                            onClick={() => navigate(`/exam/${level.key}`)}
+                            className="px-3 py-1.5 border-2 border-purple-600 text-purple-600 dark:text-purple-400 rounded-lg font-bold text-xs xs:text-sm"
+                          >
+                            اختبار نهاية المستوى
+                          </button>
+                        )}
+                      </div>
+                    )
+                  })}
+                </div>
+                {downloadError && (
+                  <p className="mt-2 text-xs text-red-600">{downloadError}</p>
+                )}
+              </motion.div>
+            )}
           </div>
         </motion.div>
 
@@ -340,7 +389,7 @@ const Dashboard = () => {
                   <Target className="w-6 h-6 text-green-600" />
                   <span className="font-medium text-gray-700 dark:text-gray-300">الدروس المكتملة</span>
                 </div>
-                <span className="font-bold text-xl text-gray-800 dark:text-white">{currentDay - 1} / {COURSE_INFO.totalDays}</span>
+                <span className="font-bold text-xl text-gray-800 dark:text-white">{currentDay - 1} / {totalDays}</span>
               </div>
 
               <div className="flex items-center justify-between p-4 bg-white dark:bg-gray-800 rounded-xl">
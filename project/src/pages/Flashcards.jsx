@@ -1,22 +1,21 @@
 import { useState, useEffect, useCallback } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
 import { useApp } from '../context/AppContext'
-import { lessonAPI } from '../lib/api'
-import { useLesson } from '../hooks/useLesson'
+import { vocabularyAPI } from '../lib/api'
 import { RotateCcw, CheckCircle, XCircle, Brain, Trophy, Keyboard, Zap } from 'lucide-react'
 
-// Card States for Spaced Repetition
+// Card States for Spaced Repetition (computed by the server from SM-2 state)
 const CARD_STATE = {
   NEW: 'new',           // Never seen
-  LEARNING: 'learning', // Seen 1-2 times
-  MASTERED: 'mastered'  // Seen 3+ times correctly
+  LEARNING: 'learning', // Reviewed, not yet mastered
+  MASTERED: 'mastered'  // 3+ correct reviews in a row
 }
 
 const Flashcards = () => {
   const { userProfile, user } = useApp()
   const [isFlipped, setIsFlipped] = useState(false)
   const [stats, setStats] = useState({ correct: 0, incorrect: 0 })
-  const [allCards, setAllCards] = useState([]) // Original cards from DB
+  const [allCards, setAllCards] = useState([]) // Cards due this session
   const [cardQueue, setCardQueue] = useState([]) // Current learning queue
   const [currentCard, setCurrentCard] = useState(null)
   const [isLoading, setIsLoading] = useState(true)
@@ -24,12 +23,9 @@ const Flashcards = () => {
   const [cardProgress, setCardProgress] = useState({}) // Track each card's progress
   const [isCompleted, setIsCompleted] = useState(false)
   const [swipeDirection, setSwipeDirection] = useState(null) // For animation
-
-  // Get storage key for this user and day
-  const getStorageKey = () => {
-    if (!user || !userProfile) return null
-    return `flashcards_srs_${user.id}_${userProfile.current_day}`
-  }
+  const [nextDueAt, setNextDueAt] = useState(null) // When the next card becomes due
+  const [mode, setMode] = useState('today') // 'today' = current lesson, 'review' = all completed lessons
+  const [limits, setLimits] = useState(null) // Daily caps left for new / review cards
 
   // Shuffle array (Fisher-Yates algorithm)
   const shuffleArray = (array) => {
@@ -41,50 +37,14 @@ const Flashcards = () => {
     return shuffled
   }
 
-  // Load saved progress from localStorage
-  const loadProgress = () => {
-    const key = getStorageKey()
-    if (!key) return null
-
-    try {
-      const saved = localStorage.getItem(key)
-      if (saved) {
-        return JSON.parse(saved)
-      }
-    } catch (e) {
-      console.error('Failed to load flashcard progress:', e)
-    }
-    return null
-  }
-
-  // Save progress to localStorage
-  const saveProgress = useCallback((newStats, newCardProgress, newQueue, currentCardData) => {
-    const key = getStorageKey()
-    if (!key) return
-
-    try {
-      localStorage.setItem(key, JSON.stringify({
-        stats: newStats,
-        cardProgress: newCardProgress,
-        queue: newQueue,
-        currentCard: currentCardData,
-        lastUpdated: new Date().toISOString()
-      }))
-    } catch (e) {
-      console.error('Failed to save flashcard progress:', e)
-    }
-  }, [getStorageKey])
-
-  // Initialize card progress tracking
+  // Build card progress tracking from the server state
   const initializeCardProgress = (cards) => {
     const progress = {}
     cards.forEach(card => {
       progress[card.id] = {
-        correctCount: 0,
-        incorrectCount: 0,
-        state: CARD_STATE.NEW,
-        lastSeen: null,
-        reviewCount: 0
+        correctCount: card.correctCount || 0,
+        reviewCount: card.reviewCount || 0,
+        state: card.state || CARD_STATE.NEW
       }
     })
     return progress
@@ -92,79 +52,40 @@ const Flashcards = () => {
 
   // Get card state based on progress
   const getCardState = (cardId) => {
-    const progress = cardProgress[cardId]
-    if (!progress) return CARD_STATE.NEW
-
-    if (progress.correctCount >= 3) return CARD_STATE.MASTERED
-    if (progress.reviewCount > 0) return CARD_STATE.LEARNING
-    return CARD_STATE.NEW
+    return cardProgress[cardId]?.state || CARD_STATE.NEW
   }
 
-  // React Query Hooks for Data Fetching (Leverages Cache)
-  const { data: currentLessonData, isLoading: isLoadingCurrent } = useLesson(userProfile?.current_day);
-  const { data: prevLessonData, isLoading: isLoadingPrev } = useLesson(
-    userProfile?.current_day > 1 ? userProfile?.current_day - 1 : null,
-    { enabled: !!userProfile?.current_day && userProfile.current_day > 1 }
-  );
+  // Load due cards from the server (SRS state follows the learner across devices)
+  const loadDeck = useCallback(async () => {
+    setIsLoading(true)
+    setError(null)
+    try {
+      const response = await vocabularyAPI.getDueCards(mode)
+      const cards = response.data.cards || []
+      const shuffled = shuffleArray(cards)
+
+      setAllCards(cards)
+      setCardProgress(initializeCardProgress(cards))
+      setCardQueue(shuffled)
+      setCurrentCard(shuffled[0] || null)
+      setStats({ correct: 0, incorrect: 0 })
+      setNextDueAt(response.data.stats?.nextDueAt || null)
+      setLimits(response.data.limits || null)
+      setIsCompleted(false)
+      setIsFlipped(false)
+      setSwipeDirection(null)
+    } catch (err) {
+      console.error('Failed to load flashcards:', err)
+      setError(err.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }, [mode])
 
   useEffect(() => {
-    // Logic to select which cards to show
-    const loadCards = () => {
-      if (!userProfile?.current_day) return;
-
-      let flashcardsData = null;
-      let foundDay = null;
-
-      // 1. Try current day
-      if (currentLessonData?.flashcards?.length > 0) {
-        flashcardsData = currentLessonData;
-        foundDay = userProfile.current_day;
-      }
-      // 2. Fallback to previous day
-      else if (prevLessonData?.flashcards?.length > 0) {
-        flashcardsData = prevLessonData;
-        foundDay = userProfile.current_day - 1;
-        console.log(`Using flashcards from previous day ${foundDay}`);
-      }
-
-      if (flashcardsData) {
-        // ... (Existing internal processing logic)
-        const mappedCards = flashcardsData.flashcards.map((card, index) => ({
-          id: card.id || `card_${index + 1}`,
-          word: card.front || card.word,
-          translation: card.back || card.translation,
-          example: card.example || '',
-          day: foundDay,
-          level: flashcardsData.level || 'A1'
-        }));
-
-        const savedProgress = loadProgress();
-
-        if (savedProgress && savedProgress.queue && savedProgress.queue.length > 0) {
-          setAllCards(mappedCards);
-          setCardProgress(savedProgress.cardProgress || initializeCardProgress(mappedCards));
-          setStats(savedProgress.stats || { correct: 0, incorrect: 0 });
-          setCardQueue(savedProgress.queue);
-          setCurrentCard(savedProgress.currentCard || savedProgress.queue[0]);
-        } else {
-          const shuffled = shuffleArray(mappedCards);
-          setAllCards(mappedCards);
-          setCardProgress(initializeCardProgress(mappedCards));
-          setCardQueue(shuffled);
-          setCurrentCard(shuffled[0]);
-        }
-        setIsLoading(false);
-      } else {
-        // Only stop loading if both requests finished and found nothing
-        if (!isLoadingCurrent && (!isLoadingPrev || userProfile.current_day <= 1)) {
-          setAllCards([]);
-          setIsLoading(false);
-        }
-      }
-    };
-
-    loadCards();
-  }, [currentLessonData, prevLessonData, userProfile, isLoadingCurrent, isLoadingPrev]);
+    if (!user || !userProfile?.current_day) return
+    loadDeck()
+  }, [user, userProfile?.current_day, loadDeck])
 
   // Keyboard shortcuts
   useEffect(() => {
@@ -218,85 +139,67 @@ const Flashcards = () => {
     }
     setStats(newStats)
 
-    // Update card progress
-    const newCardProgress = { ...cardProgress }
+    // Update card progress locally, the server response has the final state
     const cardId = currentCard.id
-
-    if (!newCardProgress[cardId]) {
-      newCardProgress[cardId] = {
-        correctCount: 0,
-        incorrectCount: 0,
-        state: CARD_STATE.NEW,
-        lastSeen: null,
-        reviewCount: 0
+    const previous = cardProgress[cardId] || { correctCount: 0, reviewCount: 0, state: CARD_STATE.NEW }
+    setCardProgress(prev => ({
+      ...prev,
+      [cardId]: {
+        ...previous,
+        correctCount: previous.correctCount + (isCorrect ? 1 : 0),
+        reviewCount: previous.reviewCount + 1,
+        state: previous.state === CARD_STATE.NEW ? CARD_STATE.LEARNING : previous.state
       }
-    }
-
-    newCardProgress[cardId].correctCount += isCorrect ? 1 : 0
-    newCardProgress[cardId].incorrectCount += isCorrect ? 0 : 1
-    newCardProgress[cardId].reviewCount += 1
-    newCardProgress[cardId].lastSeen = new Date().toISOString()
-
-    // Update state based on correct count
-    if (newCardProgress[cardId].correctCount >= 3) {
-      newCardProgress[cardId].state = CARD_STATE.MASTERED
-    } else if (newCardProgress[cardId].reviewCount > 0) {
-      newCardProgress[cardId].state = CARD_STATE.LEARNING
-    }
-
-    setCardProgress(newCardProgress)
+    }))
+
+    // Record the review - the server schedules the next one (SM-2)
+    vocabularyAPI.recordReview(cardId, isCorrect)
+      .then(response => {
+        const updated = response.data
+        setCardProgress(prev => ({
+          ...prev,
+          [cardId]: {
+            correctCount: updated.correctCount,
+            reviewCount: updated.reviewCount,
+            state: updated.state
+          }
+        }))
+      })
+      .catch(err => console.error('Failed to save flashcard review:', err))
 
     // Set swipe animation
     setSwipeDirection(isCorrect ? 'right' : 'left')
 
     setTimeout(() => {
-      // Spaced Repetition Logic
       let newQueue = [...cardQueue.slice(1)] // Remove current card
 
-      // If incorrect, add card back to queue (sooner)
+      // If incorrect, show it again in this session (sooner)
+      // Correct cards leave the session - they come back when they are due
       if (!isCorrect) {
         const insertPosition = Math.min(3, Math.floor(newQueue.length / 3)) // Add back after 3 cards or 1/3 of queue
         newQueue.splice(insertPosition, 0, currentCard)
-      } else if (newCardProgress[cardId].correctCount < 3) {
-        // If correct but not mastered, add back later in queue
-        const insertPosition = Math.min(newQueue.length, Math.floor(newQueue.length * 0.7)) // Add to last 30%
-        newQueue.splice(insertPosition, 0, currentCard)
       }
-      // If mastered (3+ correct), don't add back to queue
 
       setCardQueue(newQueue)
+      setIsFlipped(false)
+      setSwipeDirection(null)
 
       // Check if completed
       if (newQueue.length === 0) {
         setIsCompleted(true)
-        setIsFlipped(false)
-        setSwipeDirection(null)
-        saveProgress(newStats, newCardProgress, [], null)
       } else {
-        const nextCard = newQueue[0]
-        setCurrentCard(nextCard)
-        setIsFlipped(false)
-        setSwipeDirection(null)
-        saveProgress(newStats, newCardProgress, newQueue, nextCard)
+        setCurrentCard(newQueue[0])
       }
     }, 500)
   }
 
-  const handleReset = () => {
-    const shuffled = shuffleArray(allCards)
+  // Reshuffle the remaining cards of this session
+  const handleShuffle = () => {
+    const shuffled = shuffleArray(cardQueue)
     setCardQueue(shuffled)
-    setCurrentCard(shuffled[0])
+    setCurrentCard(shuffled[0] || null)
     setIsFlipped(false)
-    setStats({ correct: 0, incorrect: 0 })
-    setCardProgress(initializeCardProgress(allCards))
-    setIsCompleted(false)
     setSwipeDirection(null)
-
-    // Clear saved progress
-    const key = getStorageKey()
-    if (key) {
-      localStorage.removeItem(key)
-    }
   }
 
   // Loading state
@@ -333,11 +236,19 @@ const Flashcards = () => {
         <div className="text-center">
           <div className="text-6xl mb-4">📚</div>
           <h2 className="text-2xl font-bold text-gray-800 dark:text-white mb-2">
-            لا توجد بطاقات متاحة حالياً
+            {nextDueAt ? 'لا توجد بطاقات مستحقة للمراجعة الآن' : 'لا توجد بطاقات متاحة حالياً'}
           </h2>
           <p className="text-gray-600 dark:text-gray-400">
-            أكمل دروسك لفتح المزيد من البطاقات التعليمية
+            {nextDueAt
+              ? `المراجعة القادمة: ${new Date(nextDueAt).toLocaleString('ar-EG')}`
+              : 'أكمل دروسك لفتح المزيد من البطاقات التعليمية'}
           </p>
+          <button
+            onClick={() => setMode(mode === 'today' ? 'review' : 'today')}
+            className="mt-6 px-6 py-3 bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-xl font-bold hover:shadow-lg transition-all"
+          >
+            {mode === 'today' ? 'مراجعة شاملة لكل الدروس المكتملة' : 'العودة لبطاقات اليوم'}
+          </button>
         </div>
       </div>
     )
@@ -428,7 +339,7 @@ const Flashcards = () => {
           <motion.button
             whileHover={{ scale: 1.05 }}
             whileTap={{ scale: 0.95 }}
-            onClick={handleReset}
+            onClick={loadDeck}
             className="flex items-center gap-2 mx-auto px-8 py-4 bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-xl font-bold text-lg hover:shadow-xl transition-all"
           >
             <RotateCcw className="w-5 h-5" />
@@ -459,6 +370,30 @@ const Flashcards = () => {
             نظام تكرار متباعد لإتقان أسرع وأفضل
           </p>
 
+          {/* Deck Mode */}
+          <div className="flex items-center justify-center gap-2 mb-2">
+            {[
+              { id: 'today', label: 'بطاقات اليوم' },
+              { id: 'review', label: 'مراجعة شاملة' }
+            ].map(option => (
+              <button
+                key={option.id}
+                onClick={() => setMode(option.id)}
+                className={`px-4 py-2 rounded-xl text-sm font-medium transition-all ${mode === option.id
+                  ? 'bg-purple-600 text-white shadow-md'
+                  : 'bg-white/70 dark:bg-white/10 text-gray-700 dark:text-gray-300 hover:bg-purple-50 dark:hover:bg-white/20'
+                  }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          {limits && (
+            <p className="text-xs text-gray-500 dark:text-gray-400 mb-4 xs:mb-5 sm:mb-6">
+              المتبقي اليوم: {limits.newRemaining} جديدة • {limits.reviewRemaining} مراجعة
+            </p>
+          )}
+
           {/* Keyboard Shortcuts Hint */}
           <div className="hidden sm:flex items-center justify-center gap-3 xs:gap-4 text-xs xs:text-sm text-gray-500 dark:text-gray-400 mb-4 xs:mb-5 sm:mb-6">
             <div className="flex items-center gap-1">
@@ -685,7 +620,7 @@ const Flashcards = () => {
           <motion.button
             whileHover={{ scale: 1.05 }}
             whileTap={{ scale: 0.95 }}
-            onClick={handleReset}
+            onClick={handleShuffle}
             className="flex items-center gap-2 mx-auto px-6 py-3 glass rounded-xl text-gray-700 dark:text-gray-300 hover:shadow-lg transition-all"
           >
             <RotateCcw className="w-5 h-5" />
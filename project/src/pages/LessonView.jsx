@@ -1,12 +1,13 @@
 import { useParams, useNavigate } from 'react-router-dom'
 import { motion, AnimatePresence } from 'framer-motion'
 import { useApp } from '../context/AppContext'
-import { lessonAPI } from '../lib/api'
+import { lessonAPI, authAPI } from '../lib/api'
 import { Play, BookOpen, CheckCircle, ArrowRight, Clock, Target, Award, XCircle, AlertCircle, BookOpenText, Image as ImageIcon, Volume2, Square } from 'lucide-react'
 import { useState, useEffect } from 'react'
 import confetti from 'canvas-confetti'
 import { useLesson } from '../hooks/useLesson'
 import { useSmartLessons } from '../hooks/useSmartLessons'
+import { useCourse } from '../hooks/useCourse'
 
 const LessonView = () => {
   const { dayId } = useParams()
@@ -19,6 +20,10 @@ const LessonView = () => {
     data: apiLessonData,
     isLoading,
     error,
+    submitQuiz: submitQuizToServer,
+    isSubmitting,
+    retryQuiz,
+    isRetrying,
     completeLesson,
     saveProgress,
   } = useLesson(dayId);
@@ -26,6 +31,8 @@ const LessonView = () => {
   // Smart Prefetching: Automatically caches current + next 2 lessons
   useSmartLessons(parseInt(dayId));
 
+  const { totalDays } = useCourse();
+
   const speakWord = (text) => {
     window.speechSynthesis.cancel();
     const utterance = new SpeechSynthesisUtterance(text);
@@ -70,6 +77,7 @@ const LessonView = () => {
   const [userAnswers, setUserAnswers] = useState({})
   const [quizSubmitted, setQuizSubmitted] = useState(false)
   const [score, setScore] = useState(0)
+  const [quizResults, setQuizResults] = useState(null) // Server grading, indexed by question
   const [showFeedback, setShowFeedback] = useState(null)
   const [completedSections, setCompletedSections] = useState({
     video: false,
@@ -79,6 +87,20 @@ const LessonView = () => {
     summary: false,
     exercises: false
   })
+  const [verificationNotice, setVerificationNotice] = useState('')
+  const [resendingVerification, setResendingVerification] = useState(false)
+
+  const handleResendVerification = async () => {
+    setResendingVerification(true)
+    try {
+      const data = await authAPI.resendVerification()
+      setVerificationNotice(data.message)
+    } catch (err) {
+      setVerificationNotice(err.message)
+    } finally {
+      setResendingVerification(false)
+    }
+  }
 
   // Helper to format video URL for embedding
   const getVideoEmbedUrl = (url) => {
@@ -122,6 +144,7 @@ const LessonView = () => {
     return ex.type === 'multiple-choice';
   };
 
+  // Local grading - only used for lessons served from the local file
   const checkIsCorrect = (ex, userAnswer) => {
     if (userAnswer === undefined || userAnswer === null || userAnswer === '') return false;
 
@@ -142,6 +165,17 @@ const LessonView = () => {
     return normalizedUser === normalizedCorrect;
   };
 
+  // Server results take priority: API lessons don't include answers before submission
+  const getResult = (ex, index) => {
+    const serverResult = quizResults?.[index];
+    if (serverResult) return serverResult;
+    return {
+      correct: checkIsCorrect(ex, userAnswers[index]),
+      correctAnswer: ex.correctAnswer !== undefined ? ex.correctAnswer : ex.correct_answer,
+      explanation: ex.explanation
+    };
+  };
+
   const getExerciseType = (ex) => {
     if (ex.type) return ex.type;
     const options = getOptions(ex);
@@ -210,10 +244,17 @@ const LessonView = () => {
           exercises: true,
           summary: true
         });
-        setQuizSubmitted(true);
+        // A retried quiz (new questions) stays open until it is submitted again
+        setQuizSubmitted(Boolean(apiLessonData.userProgress?.quiz_submitted_at) || !apiLessonData.exercises?.length);
         if (apiLessonData.userProgress?.score !== undefined) {
           setScore(apiLessonData.userProgress.score);
         }
+        if (apiLessonData.userProgress?.quiz_results) {
+          setQuizResults(apiLessonData.userProgress.quiz_results);
+        }
+        if (apiLessonData.userProgress?.saved_answers) {
+          initialAnswers = { ...apiLessonData.userProgress.saved_answers };
+        }
       } else {
         // Load saved answers
         if (apiLessonData.userProgress?.saved_answers) {
@@ -252,9 +293,72 @@ const LessonView = () => {
     )
   }
 
+  // Not bought (402), or subscription ended / refunded, email not verified or previous lesson not done (403) - never fall back to the local copy
+  if ([402, 403].includes(error?.status)) {
+    const locked = error.data || {}
+    const expired = locked.code === 'ACCESS_EXPIRED'
+    const revoked = locked.code === 'ACCESS_REVOKED'
+    const unverified = locked.code === 'EMAIL_NOT_VERIFIED'
+    // Previous lesson not completed yet (or its quiz score is too low)
+    const sequenceLocked = locked.code === 'LESSON_LOCKED'
+
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-purple-50 via-pink-50 to-blue-50 dark:from-gray-900 dark:via-purple-900 dark:to-gray-900 p-6">
+        <motion.div
+          initial={{ opacity: 0, scale: 0.9 }}
+          animate={{ opacity: 1, scale: 1 }}
+          className="glass rounded-3xl p-12 text-center max-w-2xl"
+        >
+          <div className="text-8xl mb-6">{sequenceLocked ? '🔒' : unverified ? '📧' : revoked ? '🚫' : expired ? '⌛' : '💎'}</div>
+          <h2 className="text-3xl font-bold text-gray-800 dark:text-white mb-4">
+            {sequenceLocked ? 'هذا الدرس مقفل' : unverified ? 'أكّد بريدك الإلكتروني' : revoked ? 'تم إيقاف اشتراكك' : expired ? 'انتهى اشتراكك' : `درس مستوى ${locked.level || ''} مدفوع`}
+          </h2>
+          <p className="text-xl text-gray-600 dark:text-gray-400 mb-8">
+            {verificationNotice || error.message}
+          </p>
+          <div className="flex flex-col sm:flex-row gap-3 justify-center">
+            {unverified && (
+              <button
+                onClick={handleResendVerification}
+                disabled={resendingVerification}
+                className="px-8 py-4 bg-gradient-to-r from-indigo-600 to-purple-600 text-white rounded-xl hover:shadow-xl transition-all font-bold text-lg disabled:opacity-50"
+              >
+                {resendingVerification ? 'جاري الإرسال...' : 'أرسل رابط التأكيد مجدداً'}
+              </button>
+            )}
+            {sequenceLocked && locked.previousDay && (
+              <button
+                onClick={() => navigate(`/lesson/${locked.previousDay}`)}
+                className="px-8 py-4 bg-gradient-to-r from-indigo-600 to-purple-600 text-white rounded-xl hover:shadow-xl transition-all font-bold text-lg"
+              >
+                {`اذهب لدرس اليوم ${locked.previousDay}`}
+              </button>
+            )}
+            {locked.purchaseUrl && !revoked && !unverified && !sequenceLocked && (
+              <a
+                href={locked.purchaseUrl}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="px-8 py-4 bg-gradient-to-r from-indigo-600 to-purple-600 text-white rounded-xl hover:shadow-xl transition-all font-bold text-lg"
+              >
+                {expired ? 'جدّد الاشتراك' : 'اشترك الآن'}
+              </a>
+            )}
+            <button
+              onClick={() => navigate('/roadmap')}
+              className="px-8 py-4 glass text-gray-700 dark:text-white rounded-xl hover:shadow-xl transition-all font-bold text-lg"
+            >
+              العودة للخارطة
+            </button>
+          </div>
+        </motion.div>
+      </div>
+    )
+  }
+
   if (!lesson) {
     // Check if this is a valid day number but just not in database yet
-    const isValidDay = dayId >= 1 && dayId <= 30;
+    const isValidDay = dayId >= 1 && dayId <= totalDays;
 
     if (isValidDay && !error) {
       // Lesson exists in roadmap but not in database yet
@@ -331,18 +435,38 @@ const LessonView = () => {
     }
   }
 
-  const submitQuiz = () => {
-    let correctCount = 0;
-    lesson.exercises.forEach((ex, index) => {
-      const userAnswer = userAnswers[index];
-      if (!userAnswer) return;
-
-      if (checkIsCorrect(ex, userAnswer)) {
-        correctCount++;
+  const submitQuiz = async () => {
+    let calculatedScore;
+    // Retries on questions whose answers were already shown are practice: the stored score stays
+    let practiceNote = '';
+
+    if (lesson.source === 'api') {
+      // Graded on the server - the score we show is the one that gets stored
+      try {
+        const response = await submitQuizToServer(userAnswers);
+        calculatedScore = response.data.score;
+        setQuizResults(response.data.results);
+        if (response.data.countsTowardScore === false) {
+          practiceNote = ` (محاولة تدريبية - نتيجتك المسجلة ${response.data.bestScore}%)`;
+        }
+      } catch (error) {
+        console.error("Error submitting quiz:", error);
+        setShowFeedback({ type: 'error', message: "عذراً، حدث خطأ أثناء تصحيح الاختبار. حاول مرة أخرى." });
+        return;
       }
-    });
+    } else {
+      let correctCount = 0;
+      lesson.exercises.forEach((ex, index) => {
+        const userAnswer = userAnswers[index];
+        if (!userAnswer) return;
+
+        if (checkIsCorrect(ex, userAnswer)) {
+          correctCount++;
+        }
+      });
+      calculatedScore = Math.round((correctCount / lesson.exercises.length) * 100);
+    }
 
-    const calculatedScore = Math.round((correctCount / lesson.exercises.length) * 100);
     setScore(calculatedScore);
     setQuizSubmitted(true);
     setCompletedSections(prev => ({ ...prev, exercises: true }));
@@ -359,18 +483,50 @@ const LessonView = () => {
         spread: 70,
         origin: { y: 0.6 }
       });
-      setShowFeedback({ type: 'success', message: `رائع! نتيجتك ${calculatedScore}%` });
+      setShowFeedback({ type: 'success', message: `رائع! نتيجتك ${calculatedScore}%${practiceNote}` });
     } else {
-      setShowFeedback({ type: 'error', message: `نتيجتك ${calculatedScore}%. حاول مرة أخرى لتحسين مستواك!` });
+      setShowFeedback({ type: 'error', message: `نتيجتك ${calculatedScore}%${practiceNote}. حاول مرة أخرى لتحسين مستواك!` });
     }
   }
 
+  const handleRetryQuiz = async () => {
+    // Lessons from the database get a new set of questions from the server
+    if (lesson.source === 'api') {
+      try {
+        await retryQuiz();
+      } catch (error) {
+        console.error("Error retrying quiz:", error);
+        setShowFeedback({ type: 'error', message: "عذراً، تعذر بدء اختبار جديد. حاول مرة أخرى." });
+        return;
+      }
+    }
+
+    setQuizSubmitted(false);
+    setUserAnswers({});
+    setScore(0);
+    setQuizResults(null);
+    setCompletedSections(prev => ({ ...prev, exercises: false }));
+  }
+
   const handleCompleteLesson = async () => {
     try {
-      await completeLesson({ score, timeSpent: 30 });
+      const result = await completeLesson({ timeSpent: 30 });
       // Note: refreshProfile is largely redundant if the mutation handles invalidation, 
       // but we'll keep it as a safety or if it handles other context updates.
       await refreshProfile();
+
+      // Last day of a level: celebrate, then on to the level-end exam
+      if (result?.levelCompleted) {
+        confetti({
+          particleCount: 200,
+          spread: 100,
+          origin: { y: 0.6 }
+        });
+        setShowFeedback({ type: 'success', message: `🎓 مبروك! أتممت مستوى ${result.levelCompleted.name}. حان وقت اختبار نهاية المستوى` });
+        setTimeout(() => navigate(`/exam/${result.levelCompleted.level}`), 3000);
+        return;
+      }
+
       navigate('/roadmap');
     } catch (error) {
       console.error("Error completing lesson:", error);
@@ -737,8 +893,9 @@ const LessonView = () => {
                 {lesson.exercises.map((exercise, index) => {
                   const options = getOptions(exercise);
                   const userAnswer = userAnswers[index];
-                  const isCorrect = checkIsCorrect(exercise, userAnswer);
-                  const correctAnswer = exercise.correctAnswer !== undefined ? exercise.correctAnswer : exercise.correct_answer;
+                  const result = getResult(exercise, index);
+                  const isCorrect = result.correct;
+                  const correctAnswer = result.correctAnswer;
 
                   return (
                     <motion.div
@@ -824,17 +981,31 @@ const LessonView = () => {
                                 الإجابة الصحيحة: <span className="font-bold">{correctAnswer}</span>
                               </div>
                             )}
+                            {quizSubmitted && result.corrections?.length > 0 && (
+                              <div className="mt-2 p-3 bg-orange-50 dark:bg-orange-900/20 border-r-4 border-orange-500 rounded-lg text-sm">
+                                {result.corrections.map((correction, i) => (
+                                  <div key={i} className="mb-1 last:mb-0">
+                                    <div dir="ltr" className="text-right">
+                                      <span className="text-red-600 dark:text-red-400 line-through">{correction.error}</span>
+                                      {' → '}
+                                      <span className="text-green-600 dark:text-green-400">{correction.correction}</span>
+                                    </div>
+                                    <div className="text-gray-600 dark:text-gray-400 text-xs">💡 {correction.rule}</div>
+                                  </div>
+                                ))}
+                              </div>
+                            )}
                           </div>
                         )}
                       </div>
 
                       {/* Explanation Block - Shows after submission */}
-                      {quizSubmitted && exercise.explanation && (
+                      {quizSubmitted && result.explanation && (
                         <div className="mt-4 p-3 bg-blue-50 dark:bg-blue-900/20 rounded-lg border border-blue-100 dark:border-blue-800">
                           <div className="flex items-start gap-2">
                             <span className="text-xl">💡</span>
                             <p className="text-sm text-blue-800 dark:text-blue-200 leading-relaxed dir-rtl text-right">
-                              {exercise.explanation}
+                              {result.explanation}
                             </p>
                           </div>
                         </div>
@@ -855,9 +1026,10 @@ const LessonView = () => {
                       submitQuiz();
                     }
                   }}
-                  className={`w-full py-4 bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-xl font-bold hover:shadow-lg transition-all transform active:scale-95 mb-16 ${Object.keys(userAnswers).length < lesson.exercises.length ? 'opacity-70' : ''}`}
+                  disabled={isSubmitting}
+                  className={`w-full py-4 bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-xl font-bold hover:shadow-lg transition-all transform active:scale-95 mb-16 ${Object.keys(userAnswers).length < lesson.exercises.length || isSubmitting ? 'opacity-70' : ''}`}
                 >
-                  عرض النتيجة
+                  {isSubmitting ? 'جاري التصحيح...' : 'عرض النتيجة'}
                 </button>
               ) : (
                 <div className="text-center p-4 bg-purple-50 dark:bg-purple-900/20 rounded-xl mb-16">
@@ -866,15 +1038,11 @@ const LessonView = () => {
                     {score >= 50 ? 'ممتاز! يمكنك المتابعة' : 'حاول مراجعة الدرس مرة أخرى'}
                   </div>
                   <button
-                    onClick={() => {
-                      setQuizSubmitted(false);
-                      setUserAnswers({});
-                      setScore(0);
-                      setCompletedSections(prev => ({ ...prev, exercises: false }));
-                    }}
-                    className="px-6 py-2 bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors font-medium"
+                    onClick={handleRetryQuiz}
+                    disabled={isRetrying}
+                    className="px-6 py-2 bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors font-medium disabled:opacity-50"
                   >
-                    🔄 إعادة الاختبار
+                    {isRetrying ? 'جاري التحميل...' : '🔄 إعادة الاختبار'}
                   </button>
                 </div>
               )}
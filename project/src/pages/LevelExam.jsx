@@ -0,0 +1,357 @@
+import { useEffect, useRef, useState } from 'react'
+import { motion } from 'framer-motion'
+import { useNavigate, useParams } from 'react-router-dom'
+import { useQueryClient } from '@tanstack/react-query'
+import confetti from 'canvas-confetti'
+import { useApp } from '../context/AppContext'
+import { examsAPI } from '../lib/api'
+import { useCertificateDownload } from '../hooks/useCertificateDownload'
+import { Award, AlertCircle, Clock, Download, ArrowLeft } from 'lucide-react'
+
+// The certificate PDF only has Latin fonts (backend/utils/certificatePdf.js)
+const LATIN_NAME = /^[A-Za-zÀ-ÖØ-öø-ÿ][A-Za-zÀ-ÖØ-öø-ÿ .'-]*$/
+
+const getOptions = (question) => {
+  if (!question.options) return null
+  return typeof question.options === 'string' ? JSON.parse(question.options) : question.options
+}
+
+const formatRemaining = (seconds) => {
+  const minutes = Math.floor(seconds / 60)
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`
+}
+
+const formatDate = (date) => new Date(date).toLocaleString('ar-EG', { dateStyle: 'long', timeStyle: 'short' })
+
+// Level-end exam (backend/services/levelExams.js): timed, graded on the server.
+// Passing issues a certificate with a verification code.
+const LevelExam = () => {
+  const { level } = useParams()
+  const navigate = useNavigate()
+  const queryClient = useQueryClient()
+  const { user } = useApp()
+  const { download, downloading, error: downloadError } = useCertificateDownload()
+
+  // loading | intro | exam | result | passed | locked
+  const [stage, setStage] = useState('loading')
+  const [status, setStatus] = useState(null)
+  const [rules, setRules] = useState(null)
+  const [exam, setExam] = useState(null)
+  const [answers, setAnswers] = useState({})
+  const [result, setResult] = useState(null)
+  const [certificateName, setCertificateName] = useState(LATIN_NAME.test(user?.full_name || '') ? user.full_name : '')
+  const [remaining, setRemaining] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  const submitted = useRef(false)
+  // The countdown hands in whatever is answered at that moment
+  const answersRef = useRef({})
+
+  // Answers survive a reload of the page (the clock keeps running on the server)
+  const storageKey = exam ? `level_exam_${exam.attemptId}` : null
+
+  const openExam = (data) => {
+    setExam(data)
+    submitted.current = false
+    const saved = localStorage.getItem(`level_exam_${data.attemptId}`)
+    setAnswers(saved ? JSON.parse(saved) : {})
+    setStage('exam')
+  }
+
+  useEffect(() => {
+    examsAPI.getStatus()
+      .then(async ({ data }) => {
+        const levelStatus = data.levels.find(item => item.level === level)
+        setRules(data.rules)
+        setStatus(levelStatus || null)
+
+        if (!levelStatus || !levelStatus.eligible) {
+          setStage('locked')
+        } else if (levelStatus.passed) {
+          setStage('passed')
+        } else if (levelStatus.inProgress) {
+          const { data: resumed } = await examsAPI.start(level)
+          openExam(resumed)
+        } else {
+          setStage('intro')
+        }
+      })
+      .catch((err) => {
+        setError(err.message)
+        setStage('locked')
+      })
+  }, [level])
+
+  useEffect(() => {
+    answersRef.current = answers
+    if (storageKey) localStorage.setItem(storageKey, JSON.stringify(answers))
+  }, [answers, storageKey])
+
+  const handleSubmit = async () => {
+    if (submitted.current) return
+    submitted.current = true
+    setBusy(true)
+    setError('')
+    try {
+      const { data } = await examsAPI.submit(level, answersRef.current)
+      localStorage.removeItem(storageKey)
+      setResult(data)
+      setStage('result')
+      if (data.passed) {
+        confetti({ particleCount: 200, spread: 100, origin: { y: 0.6 } })
+        // The dashboard lists certificates
+        queryClient.invalidateQueries({ queryKey: ['initialAppData'] })
+      }
+    } catch (err) {
+      if (err.code === 'EXAM_TIME_UP') {
+        localStorage.removeItem(storageKey)
+        setStatus(prev => ({ ...prev, retryAt: err.data?.retryAt }))
+        setResult(null)
+        setStage('result')
+      } else {
+        // Network trouble: let the learner try again while there is time
+        submitted.current = false
+      }
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  // Countdown from the server's expiry time; hand in automatically at zero
+  useEffect(() => {
+    if (stage !== 'exam' || !exam) return
+    const tick = () => {
+      const seconds = Math.max(0, Math.round((new Date(exam.expiresAt) - Date.now()) / 1000))
+      setRemaining(seconds)
+      if (seconds === 0) handleSubmit()
+    }
+    tick()
+    const timer = setInterval(tick, 1000)
+    return () => clearInterval(timer)
+  }, [stage, exam])
+
+  const handleStart = async () => {
+    if (!LATIN_NAME.test(certificateName.trim())) {
+      setError('اكتب اسمك بالحروف الإنجليزية كما تريده على الشهادة.')
+      return
+    }
+    setBusy(true)
+    setError('')
+    try {
+      const { data } = await examsAPI.start(level, certificateName.trim())
+      openExam(data)
+    } catch (err) {
+      if (err.code === 'EXAM_COOLDOWN') setStatus(prev => ({ ...prev, retryAt: err.data?.retryAt }))
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const setAnswer = (index, value) => setAnswers(prev => ({ ...prev, [index]: value }))
+
+  if (stage === 'loading') {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-purple-600"></div>
+      </div>
+    )
+  }
+
+  const levelName = status?.name || level
+  const answeredCount = Object.values(answers).filter(value => value !== '' && value !== undefined).length
+  const certificate = result?.certificate || status?.certificate
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-50 via-pink-50 to-blue-50 dark:from-gray-900 dark:via-purple-900 dark:to-gray-900 p-3 xs:p-4 sm:p-5 md:p-6">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="glass rounded-2xl xs:rounded-3xl p-5 xs:p-6 sm:p-8 md:p-10 w-full max-w-3xl mx-auto"
+      >
+        <div className="flex items-center justify-center gap-3 mb-6">
+          <Award className="w-8 h-8 sm:w-10 sm:h-10 text-purple-600" />
+          <h1 className="text-2xl sm:text-3xl md:text-4xl font-bold text-gray-800 dark:text-white">
+            اختبار نهاية المستوى {levelName}
+          </h1>
+        </div>
+
+        {(error || downloadError) && (
+          <div className="mb-6 p-4 bg-red-50 dark:bg-red-900/30 border border-red-300 dark:border-red-700 rounded-xl text-red-700 dark:text-red-200 text-sm flex items-center gap-2">
+            <AlertCircle className="w-5 h-5 flex-shrink-0" />
+            <p>{error || downloadError}</p>
+          </div>
+        )}
+
+        {stage === 'locked' && (
+          <div className="text-center">
+            <p className="text-lg text-gray-600 dark:text-gray-300 mb-8">
+              {status ? 'أكمل كل دروس المستوى أولاً لتتمكن من دخول اختبار نهاية المستوى.' : 'هذا الاختبار غير متاح.'}
+            </p>
+            <button
+              onClick={() => navigate('/roadmap')}
+              className="px-8 py-3 bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-xl font-bold hover:shadow-lg transition-all"
+            >
+              العودة إلى خريطة التعلم
+            </button>
+          </div>
+        )}
+
+        {stage === 'intro' && rules && (
+          <div className="text-center">
+            <ul className="text-gray-600 dark:text-gray-300 mb-6 space-y-2">
+              <li>{rules.questionCount} سؤال من كل دروس المستوى</li>
+              <li>الوقت: {rules.minutes} دقيقة، وتُسلَّم الإجابات تلقائياً عند انتهائه</li>
+              <li>درجة النجاح: {rules.passScore}% - والناجح يحصل على شهادة برمز تحقق</li>
+              <li>إذا لم تنجح يمكنك الإعادة بعد {rules.retryHours} ساعة</li>
+            </ul>
+
+            {status?.retryAt && new Date(status.retryAt) > new Date() ? (
+              <p className="text-orange-600 dark:text-orange-400 font-medium mb-4">
+                يمكنك إعادة الاختبار بعد {formatDate(status.retryAt)}
+              </p>
+            ) : (
+              <>
+                <label className="block text-right text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  اسمك كما سيظهر على الشهادة (بالحروف الإنجليزية)
+                </label>
+                <input
+                  type="text"
+                  dir="ltr"
+                  value={certificateName}
+                  onChange={(e) => setCertificateName(e.target.value)}
+                  maxLength={80}
+                  placeholder="Your Name"
+                  className="w-full mb-6 px-4 py-3 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-800 dark:text-white focus:ring-2 focus:ring-purple-500 outline-none"
+                />
+                <button
+                  onClick={handleStart}
+                  disabled={busy}
+                  className="px-8 py-3 bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-xl font-bold hover:shadow-lg transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {busy ? 'جاري التحميل...' : 'ابدأ الاختبار'}
+                </button>
+              </>
+            )}
+          </div>
+        )}
+
+        {stage === 'exam' && exam && (
+          <div>
+            <div className="sticky top-2 z-10 flex justify-between items-center mb-6 p-3 rounded-xl bg-white/90 dark:bg-gray-800/90 shadow">
+              <span className="text-sm text-gray-600 dark:text-gray-300">
+                أجبت على {answeredCount} من {exam.questions.length}
+              </span>
+              <span className={`flex items-center gap-2 font-mono font-bold ${remaining !== null && remaining < 120 ? 'text-red-600' : 'text-purple-600'}`}>
+                <Clock className="w-5 h-5" />
+                {remaining !== null ? formatRemaining(remaining) : '--:--'}
+              </span>
+            </div>
+
+            <div className="space-y-6 mb-8">
+              {exam.questions.map((question, index) => {
+                const options = getOptions(question)
+                return (
+                  <div key={index} className="p-4 rounded-xl bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700">
+                    <p className="font-bold text-gray-800 dark:text-white mb-3 text-left" dir="ltr">
+                      {index + 1}. {question.question}
+                    </p>
+                    {options && options.length > 0 ? (
+                      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2" dir="ltr">
+                        {options.map((option) => (
+                          <button
+                            key={option}
+                            onClick={() => setAnswer(index, option)}
+                            className={`p-3 rounded-lg border-2 text-left transition-all ${answers[index] === option
+                              ? 'border-purple-600 bg-purple-50 dark:bg-purple-900/40 text-purple-700 dark:text-purple-200'
+                              : 'border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-200 hover:border-purple-300'
+                              }`}
+                          >
+                            {option}
+                          </button>
+                        ))}
+                      </div>
+                    ) : (
+                      <input
+                        type="text"
+                        dir="ltr"
+                        value={answers[index] || ''}
+                        onChange={(e) => setAnswer(index, e.target.value)}
+                        className="w-full px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 text-gray-800 dark:text-white focus:ring-2 focus:ring-purple-500 outline-none"
+                      />
+                    )}
+                  </div>
+                )
+              })}
+            </div>
+
+            <button
+              onClick={handleSubmit}
+              disabled={busy}
+              className="w-full py-4 bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-xl font-bold hover:shadow-lg transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {busy ? 'جاري التصحيح...' : `تسليم الاختبار (${answeredCount}/${exam.questions.length})`}
+            </button>
+          </div>
+        )}
+
+        {stage === 'result' && (
+          <div className="text-center">
+            {result ? (
+              <>
+                <p className="text-5xl font-bold text-purple-600 dark:text-purple-400 mb-2">{result.score}%</p>
+                <p className="text-gray-500 dark:text-gray-400 mb-6">
+                  {result.correctCount} إجابة صحيحة من {result.total} • درجة النجاح {result.passScore}%
+                </p>
+                <p className="text-xl font-bold text-gray-800 dark:text-white mb-8">
+                  {result.passed
+                    ? `🎓 مبروك! اجتزت ${levelName}`
+                    : `لم تصل لدرجة النجاح هذه المرة.${result.retryAt ? ` يمكنك الإعادة بعد ${formatDate(result.retryAt)}` : ''}`}
+                </p>
+              </>
+            ) : (
+              <p className="text-lg text-gray-600 dark:text-gray-300 mb-8">
+                {status?.retryAt ? `يمكنك الإعادة بعد ${formatDate(status.retryAt)}` : ''}
+              </p>
+            )}
+          </div>
+        )}
+
+        {(stage === 'passed' || (stage === 'result' && result?.passed)) && certificate && (
+          <div className="text-center">
+            {stage === 'passed' && (
+              <p className="text-lg text-gray-600 dark:text-gray-300 mb-4">
+                لقد اجتزت هذا المستوى بنتيجة {certificate.score}% 🎓
+              </p>
+            )}
+            <p className="text-gray-500 dark:text-gray-400 mb-2">رمز التحقق من الشهادة</p>
+            <p className="text-2xl font-mono font-bold text-purple-600 dark:text-purple-400 mb-6" dir="ltr">{certificate.code}</p>
+            <button
+              onClick={() => download(certificate.code)}
+              disabled={downloading === certificate.code}
+              className="px-8 py-3 bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-xl font-bold hover:shadow-lg transition-all inline-flex items-center gap-2 disabled:opacity-50"
+            >
+              <Download className="w-5 h-5" />
+              {downloading === certificate.code ? 'جاري التحميل...' : 'تحميل الشهادة (PDF)'}
+            </button>
+          </div>
+        )}
+
+        {(stage === 'result' || stage === 'passed') && (
+          <div className="text-center mt-6">
+            <button
+              onClick={() => navigate('/')}
+              className="text-purple-600 dark:text-purple-400 font-medium inline-flex items-center gap-2 hover:underline"
+            >
+              العودة للرئيسية
+              <ArrowLeft className="w-4 h-4" />
+            </button>
+          </div>
+        )}
+      </motion.div>
+    </div>
+  )
+}
+
+export default LevelExam
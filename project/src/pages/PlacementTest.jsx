@@ -0,0 +1,237 @@
+import { useEffect, useState } from 'react'
+import { motion } from 'framer-motion'
+import { useNavigate } from 'react-router-dom'
+import { useQueryClient } from '@tanstack/react-query'
+import { useApp } from '../context/AppContext'
+import { placementAPI } from '../lib/api'
+import { Compass, AlertCircle, CheckCircle, ArrowLeft } from 'lucide-react'
+
+// Adaptive placement test, asked once on first login (backend/services/placementTest.js).
+// The server picks every question from the answers so far and grades them - this page only shows them.
+const PlacementTest = () => {
+  const navigate = useNavigate()
+  const queryClient = useQueryClient()
+  const { refreshProfile } = useApp()
+
+  // loading | intro | question | result | done
+  const [stage, setStage] = useState('loading')
+  const [progress, setProgress] = useState(null)
+  const [result, setResult] = useState(null)
+  const [selected, setSelected] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    placementAPI.getStatus()
+      .then(({ data }) => {
+        if (data.inProgress) {
+          setProgress(data.inProgress)
+          setStage('question')
+        } else if (data.status === 'pending') {
+          setStage('intro')
+        } else {
+          setResult(data.result)
+          setStage('done')
+        }
+      })
+      .catch((err) => {
+        setError(err.message)
+        setStage('intro')
+      })
+  }, [])
+
+  // Profile, roadmap and unlocked days all changed on the server
+  const reloadProgress = async () => {
+    await refreshProfile()
+    queryClient.invalidateQueries({ queryKey: ['initialAppData'] })
+  }
+
+  const handleStart = async () => {
+    setBusy(true)
+    setError('')
+    try {
+      const { data } = await placementAPI.start()
+      setProgress(data)
+      setStage('question')
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleSkip = async () => {
+    setBusy(true)
+    setError('')
+    try {
+      await placementAPI.skip()
+      await reloadProgress()
+      navigate('/')
+    } catch (err) {
+      setError(err.message)
+      setBusy(false)
+    }
+  }
+
+  const handleAnswer = async () => {
+    if (!selected) return
+    setBusy(true)
+    setError('')
+    try {
+      const { data } = await placementAPI.answer(progress.item.id, selected)
+      setSelected(null)
+      if (data.finished) {
+        setResult(data.result)
+        setStage('result')
+        await reloadProgress()
+      } else {
+        setProgress(data)
+      }
+    } catch (err) {
+      // The server moved on (e.g. answered in another tab) - pick up where it is
+      if (err.code === 'PLACEMENT_ITEM_MISMATCH') {
+        const { data } = await placementAPI.start().catch(() => ({ data: null }))
+        if (data) setProgress(data)
+      }
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  if (stage === 'loading') {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-purple-600"></div>
+      </div>
+    )
+  }
+
+  const answered = progress?.answered || 0
+  const maxItems = progress?.maxItems || 1
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-50 via-pink-50 to-blue-50 dark:from-gray-900 dark:via-purple-900 dark:to-gray-900 p-3 xs:p-4 sm:p-5 md:p-6 flex items-center justify-center">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="glass rounded-2xl xs:rounded-3xl p-5 xs:p-6 sm:p-8 md:p-10 w-full max-w-2xl"
+      >
+        <div className="flex items-center justify-center gap-3 mb-6">
+          <Compass className="w-8 h-8 sm:w-10 sm:h-10 text-purple-600" />
+          <h1 className="text-2xl sm:text-3xl md:text-4xl font-bold text-gray-800 dark:text-white">
+            اختبار تحديد المستوى
+          </h1>
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 dark:bg-red-900/30 border border-red-300 dark:border-red-700 rounded-xl text-red-700 dark:text-red-200 text-sm flex items-center gap-2">
+            <AlertCircle className="w-5 h-5 flex-shrink-0" />
+            <p>{error}</p>
+          </div>
+        )}
+
+        {stage === 'intro' && (
+          <div className="text-center">
+            <p className="text-lg text-gray-600 dark:text-gray-300 mb-2">
+              أسئلة قصيرة تتغير صعوبتها حسب إجاباتك، لنبدأ معك من المستوى المناسب.
+            </p>
+            <p className="text-sm text-gray-500 dark:text-gray-400 mb-8">
+              يستغرق حوالي 5 دقائق، ويمكنك أخذه مرة واحدة فقط.
+            </p>
+            <div className="flex flex-col sm:flex-row gap-3 justify-center">
+              <button
+                onClick={handleStart}
+                disabled={busy}
+                className="px-8 py-3 bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-xl font-bold hover:shadow-lg transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {busy ? 'جاري التحميل...' : 'ابدأ الاختبار'}
+              </button>
+              <button
+                onClick={handleSkip}
+                disabled={busy}
+                className="px-8 py-3 bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-200 border border-gray-300 dark:border-gray-600 rounded-xl font-bold hover:bg-gray-50 dark:hover:bg-gray-700 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                ابدأ من الدرس الأول
+              </button>
+            </div>
+          </div>
+        )}
+
+        {stage === 'question' && progress?.item && (
+          <div>
+            <div className="flex justify-between text-sm text-gray-500 dark:text-gray-400 mb-2">
+              <span>السؤال {answered + 1} من {maxItems}</span>
+            </div>
+            <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2 overflow-hidden mb-8">
+              <motion.div
+                animate={{ width: `${(answered / maxItems) * 100}%` }}
+                className="h-full bg-gradient-to-r from-purple-600 to-pink-600 rounded-full"
+              />
+            </div>
+
+            <p className="text-xl sm:text-2xl font-bold text-gray-800 dark:text-white mb-6 text-left" dir="ltr">
+              {progress.item.question}
+            </p>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-8" dir="ltr">
+              {progress.item.options.map((option) => (
+                <button
+                  key={option}
+                  onClick={() => setSelected(option)}
+                  disabled={busy}
+                  className={`p-4 rounded-xl border-2 text-left font-medium transition-all ${selected === option
+                    ? 'border-purple-600 bg-purple-50 dark:bg-purple-900/40 text-purple-700 dark:text-purple-200'
+                    : 'border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-200 hover:border-purple-300'
+                    }`}
+                >
+                  {option}
+                </button>
+              ))}
+            </div>
+
+            <button
+              onClick={handleAnswer}
+              disabled={!selected || busy}
+              className="w-full py-3 bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-xl font-bold hover:shadow-lg transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {busy ? 'جاري التحقق...' : 'التالي'}
+            </button>
+          </div>
+        )}
+
+        {(stage === 'result' || stage === 'done') && (
+          <div className="text-center">
+            <CheckCircle className="w-16 h-16 text-green-500 mx-auto mb-4" />
+            {result ? (
+              <>
+                <p className="text-lg text-gray-600 dark:text-gray-300 mb-2">
+                  {stage === 'result' ? 'انتهى الاختبار! ستبدأ من' : 'نتيجة اختبارك السابق:'}
+                </p>
+                <p className="text-3xl font-bold text-purple-600 dark:text-purple-400 mb-2">
+                  {result.name || result.level}
+                </p>
+                <p className="text-gray-500 dark:text-gray-400 mb-8">
+                  اليوم {result.day} • {result.correctCount} إجابة صحيحة من {result.total}
+                </p>
+              </>
+            ) : (
+              <p className="text-lg text-gray-600 dark:text-gray-300 mb-8">
+                لقد تخطيت اختبار تحديد المستوى.
+              </p>
+            )}
+            <button
+              onClick={() => navigate('/')}
+              className="px-8 py-3 bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-xl font-bold hover:shadow-lg transition-all inline-flex items-center gap-2"
+            >
+              ابدأ التعلم
+              <ArrowLeft className="w-5 h-5" />
+            </button>
+          </div>
+        )}
+      </motion.div>
+    </div>
+  )
+}
+
+export default PlacementTest
@@ -0,0 +1,156 @@
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { useApp } from '../context/AppContext'
+import { authAPI } from '../lib/api'
+import { UserCircle, Monitor, Smartphone, KeyRound, LogOut, AlertCircle } from 'lucide-react'
+
+// Short "Chrome • Windows" label from a user agent string
+const describeDevice = (userAgent = '') => {
+  const browser = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+  ].find(([, pattern]) => pattern.test(userAgent))?.[0]
+  const os = [
+    ['Android', /Android/], ['iOS', /iPhone|iPad/], ['Windows', /Windows/], ['macOS', /Mac OS X/], ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent))?.[0]
+
+  return {
+    label: [browser, os].filter(Boolean).join(' • ') || 'جهاز غير معروف',
+    mobile: /Android|iPhone|iPad|Mobile/.test(userAgent)
+  }
+}
+
+const formatDate = (date) => new Date(date).toLocaleString('ar-EG', { dateStyle: 'medium', timeStyle: 'short' })
+
+const Profile = () => {
+  const { user, userProfile, signOutEverywhere } = useApp()
+  const queryClient = useQueryClient()
+  const [error, setError] = useState('')
+
+  const sessionsQuery = useQuery({
+    queryKey: ['sessions'],
+    queryFn: async () => (await authAPI.getSessions()).data
+  })
+
+  const revokeMutation = useMutation({
+    mutationFn: (sessionId) => authAPI.revokeSession(sessionId),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['sessions'] }),
+    onError: (err) => setError(err.message)
+  })
+
+  const handleSignOutEverywhere = async () => {
+    if (!window.confirm('سيتم تسجيل خروجك من جميع الأجهزة بما فيها هذا الجهاز. هل أنت متأكد؟')) return
+    try {
+      await signOutEverywhere()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const sessions = sessionsQuery.data || []
+
+  return (
+    <div className="max-w-3xl mx-auto px-4 py-8 space-y-6">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="glass rounded-3xl p-8 flex items-center gap-6"
+      >
+        <div className="w-20 h-20 bg-gradient-to-br from-purple-500 to-pink-500 rounded-2xl flex items-center justify-center flex-shrink-0">
+          <UserCircle className="w-12 h-12 text-white" />
+        </div>
+        <div className="flex-grow min-w-0">
+          <h1 className="text-2xl font-bold text-gray-800 dark:text-white truncate">
+            {user?.full_name || 'حسابي'}
+          </h1>
+          <p className="text-gray-600 dark:text-gray-400 truncate" dir="ltr">{user?.email}</p>
+          {userProfile && (
+            <p className="text-sm text-gray-500 dark:text-gray-500 mt-1">
+              المستوى {userProfile.current_level} • اليوم {userProfile.current_day}
+            </p>
+          )}
+        </div>
+        <Link
+          to="/change-password"
+          className="flex items-center gap-2 px-4 py-2 rounded-xl bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-200 hover:shadow-lg transition-all flex-shrink-0"
+        >
+          <KeyRound className="w-5 h-5" />
+          <span className="hidden sm:inline">تغيير كلمة المرور</span>
+        </Link>
+      </motion.div>
+
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ delay: 0.1 }}
+        className="glass rounded-3xl p-8"
+      >
+        <div className="flex items-center justify-between mb-6 gap-4">
+          <h2 className="text-xl font-bold text-gray-800 dark:text-white">الأجهزة المسجّل دخولها</h2>
+          <button
+            onClick={handleSignOutEverywhere}
+            className="flex items-center gap-2 px-4 py-2 rounded-xl text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20 transition-all font-medium"
+          >
+            <LogOut className="w-5 h-5" />
+            الخروج من كل الأجهزة
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-4 bg-red-100 dark:bg-red-900/30 border border-red-400 rounded-xl text-red-700 dark:text-red-400 text-sm flex items-center gap-2">
+            <AlertCircle className="w-5 h-5 flex-shrink-0" />
+            <p>{error}</p>
+          </div>
+        )}
+
+        {sessionsQuery.isLoading ? (
+          <p className="text-gray-500 dark:text-gray-400">جاري التحميل...</p>
+        ) : sessions.length === 0 ? (
+          <p className="text-gray-500 dark:text-gray-400">لا توجد جلسات نشطة.</p>
+        ) : (
+          <ul className="space-y-3">
+            {sessions.map((session) => {
+              const device = describeDevice(session.user_agent || '')
+              const DeviceIcon = device.mobile ? Smartphone : Monitor
+
+              return (
+                <li
+                  key={session.id}
+                  className="flex items-center gap-4 p-4 rounded-2xl bg-white/60 dark:bg-gray-800/60"
+                >
+                  <DeviceIcon className="w-8 h-8 text-purple-500 flex-shrink-0" />
+                  <div className="flex-grow min-w-0">
+                    <p className="font-medium text-gray-800 dark:text-white">
+                      {device.label}
+                      {session.current && (
+                        <span className="mr-2 text-xs px-2 py-0.5 rounded-full bg-green-100 text-green-700 dark:bg-green-900/40 dark:text-green-400">
+                          هذا الجهاز
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                      آخر نشاط {formatDate(session.last_used_at)}
+                      {session.ip && <> • <span dir="ltr">{session.ip}</span></>}
+                    </p>
+                  </div>
+                  {!session.current && (
+                    <button
+                      onClick={() => revokeMutation.mutate(session.id)}
+                      disabled={revokeMutation.isPending}
+                      className="px-3 py-1.5 rounded-lg text-sm text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20 transition-all disabled:opacity-50"
+                    >
+                      تسجيل الخروج
+                    </button>
+                  )}
+                </li>
+              )
+            })}
+          </ul>
+        )}
+      </motion.div>
+    </div>
+  )
+}
+
+export default Profile
@@ -0,0 +1,183 @@
+import { useState } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { authAPI } from '../lib/api'
+import { KeyRound, Mail, Lock, AlertCircle, CheckCircle } from 'lucide-react'
+
+const inputClass = 'w-full pr-12 pl-4 py-4 bg-white/10 border border-white/20 rounded-xl text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-white/50 transition-all'
+
+// "Forgot password": without a token it asks for the email and sends a reset link,
+// the link from the email (/reset-password?token=...) sets the new password.
+const ResetPassword = () => {
+    const [searchParams] = useSearchParams()
+    const token = searchParams.get('token')
+
+    const [email, setEmail] = useState('')
+    const [password, setPassword] = useState('')
+    const [confirmPassword, setConfirmPassword] = useState('')
+    const [showRequest, setShowRequest] = useState(!token)
+    const [success, setSuccess] = useState('')
+    const [done, setDone] = useState(false)
+    const [loading, setLoading] = useState(false)
+    const [error, setError] = useState('')
+
+    const handleRequest = async (e) => {
+        e.preventDefault()
+        setError('')
+        setLoading(true)
+
+        try {
+            const data = await authAPI.forgotPassword(email)
+            setSuccess(data.message)
+        } catch (err) {
+            setError(err.message || 'حدث خطأ. حاول مرة أخرى.')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    const handleReset = async (e) => {
+        e.preventDefault()
+        setError('')
+
+        if (password.length < 6) {
+            setError('كلمة المرور يجب أن تكون 6 أحرف على الأقل')
+            return
+        }
+
+        if (password !== confirmPassword) {
+            setError('كلمة المرور وتأكيدها غير متطابقين')
+            return
+        }
+
+        setLoading(true)
+
+        try {
+            const data = await authAPI.resetPassword(token, password)
+            setSuccess(data.message)
+            setDone(true)
+        } catch (err) {
+            setError(err.message || 'حدث خطأ أثناء تغيير كلمة المرور')
+            if (err.code === 'INVALID_RESET_TOKEN') setShowRequest(true)
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-purple-600 via-pink-600 to-blue-600 flex items-center justify-center p-6 relative">
+            <div className="absolute inset-0 overflow-hidden">
+                <div className="absolute top-20 right-20 w-96 h-96 bg-purple-400 rounded-full blur-3xl opacity-20 animate-pulse" />
+                <div className="absolute bottom-20 left-20 w-96 h-96 bg-pink-400 rounded-full blur-3xl opacity-20 animate-pulse" style={{ animationDelay: '1s' }} />
+            </div>
+
+            <div className="glass-dark rounded-3xl p-10 w-full max-w-md relative z-10 bg-white/10 backdrop-blur-lg border border-white/20">
+                <div className="text-center mb-8">
+                    <div className="w-20 h-20 bg-white rounded-2xl flex items-center justify-center mx-auto mb-6 shadow-xl">
+                        <KeyRound className="w-12 h-12 text-purple-600" />
+                    </div>
+
+                    <h1 className="text-4xl font-bold text-white mb-2">
+                        إعادة تعيين كلمة المرور
+                    </h1>
+                    <p className="text-purple-100">
+                        {token ? 'اختر كلمة مرور جديدة لحسابك' : 'أدخل بريدك الإلكتروني لإرسال رابط إعادة التعيين'}
+                    </p>
+                </div>
+
+                {error && (
+                    <div className="mb-6 p-4 bg-red-500/20 border border-red-500 rounded-xl text-red-100 text-sm flex items-center gap-2">
+                        <AlertCircle className="w-5 h-5 flex-shrink-0" />
+                        <p>{error}</p>
+                    </div>
+                )}
+
+                {success && (
+                    <div className="mb-6 p-4 bg-green-500/20 border border-green-400 rounded-xl text-green-100 text-sm flex items-center gap-2">
+                        <CheckCircle className="w-5 h-5 flex-shrink-0" />
+                        <p>{success}</p>
+                    </div>
+                )}
+
+                {token && !done && (
+                    <form onSubmit={handleReset} className="space-y-6">
+                        <div className="space-y-2">
+                            <label className="text-white text-sm font-medium pr-2">كلمة المرور الجديدة</label>
+                            <div className="relative">
+                                <Lock className="absolute right-4 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />
+                                <input
+                                    type="password"
+                                    value={password}
+                                    onChange={(e) => setPassword(e.target.value)}
+                                    placeholder="6 أحرف على الأقل"
+                                    required
+                                    minLength={6}
+                                    className={inputClass}
+                                    dir="ltr"
+                                />
+                            </div>
+                        </div>
+
+                        <div className="space-y-2">
+                            <label className="text-white text-sm font-medium pr-2">تأكيد كلمة المرور</label>
+                            <div className="relative">
+                                <Lock className="absolute right-4 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />
+                                <input
+                                    type="password"
+                                    value={confirmPassword}
+                                    onChange={(e) => setConfirmPassword(e.target.value)}
+                                    placeholder="••••••••"
+                                    required
+                                    className={inputClass}
+                                    dir="ltr"
+                                />
+                            </div>
+                        </div>
+
+                        <button
+                            type="submit"
+                            disabled={loading}
+                            className="w-full py-4 bg-white text-purple-600 rounded-xl font-bold text-lg hover:shadow-2xl transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            {loading ? 'جاري الحفظ...' : 'حفظ كلمة المرور'}
+                        </button>
+                    </form>
+                )}
+
+                {showRequest && !success && (
+                    <div className={token ? 'mt-8 pt-8 border-t border-white/20' : ''}>
+                        <form onSubmit={handleRequest} className="space-y-4">
+                            <label className="text-white text-sm font-medium pr-2">إرسال رابط جديد</label>
+                            <div className="relative">
+                                <Mail className="absolute right-4 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />
+                                <input
+                                    type="email"
+                                    value={email}
+                                    onChange={(e) => setEmail(e.target.value)}
+                                    placeholder="example@email.com"
+                                    required
+                                    className={inputClass}
+                                    dir="ltr"
+                                />
+                            </div>
+                            <button
+                                type="submit"
+                                disabled={loading}
+                                className="w-full py-3 bg-white/20 text-white border border-white/30 rounded-xl font-bold hover:bg-white/30 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                {loading ? 'جاري الإرسال...' : 'إرسال الرابط'}
+                            </button>
+                        </form>
+                    </div>
+                )}
+
+                <div className="mt-8 pt-8 border-t border-white/20 text-center">
+                    <Link to="/auth" className="text-white font-bold hover:underline">
+                        تسجيل الدخول
+                    </Link>
+                </div>
+            </div>
+        </div>
+    )
+}
+
+export default ResetPassword
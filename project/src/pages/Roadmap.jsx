@@ -3,8 +3,9 @@ import { useApp } from '../context/AppContext'
 import RoadmapNode from '../components/RoadmapNode'
 import { LEVELS, COURSE_INFO } from '../data/learningData'
 import { useNavigate } from 'react-router-dom'
-import { Map, CheckCircle2, Clock, Sparkles, Calendar, Lock } from 'lucide-react'
+import { Map, CheckCircle2, Clock, Sparkles, Calendar, Lock, Gem } from 'lucide-react'
 import { useInitialAppData } from '../hooks/useInitialAppData'
+import { useCourse } from '../hooks/useCourse'
 
 const Roadmap = () => {
   const { userProfile } = useApp()
@@ -12,6 +13,7 @@ const Roadmap = () => {
 
   // 🚀 Use cached data instead of N+1 queries!
   const { data: initialData, isLoading } = useInitialAppData()
+  const { totalDays, levelForDay } = useCourse()
 
   if (isLoading || !userProfile) {
     return (
@@ -26,35 +28,52 @@ const Roadmap = () => {
   // Extract data from cache
   const availableDays = initialData?.availableDays || []
   const lessons = initialData?.lessons || []
+  // Published lessons outside the user's plan (see backend/services/entitlements.js)
+  const lockedDays = initialData?.lockedDays || []
+  const purchaseUrl = initialData?.purchaseUrl
 
-  // Create a quick lookup map for titles
+  // Create a quick lookup map for titles and unlock state
   const lessonTitles = {}
+  const lessonUnlocks = {}
   lessons.forEach(lesson => {
     lessonTitles[lesson.day] = lesson.title
+    lessonUnlocks[lesson.day] = lesson.unlock
   })
 
+  // The server decides which days are open (previous lesson completed, see backend/services/lessonUnlocks.js)
+  const isUnlocked = (day) => lessonUnlocks[day] ? lessonUnlocks[day].unlocked : day <= currentDay
+
   // Calculate overall stats
-  const totalLessons = COURSE_INFO.totalDays
+  const totalLessons = totalDays
   const availableCount = availableDays.length
   const completedCount = availableDays.filter(d => d < currentDay).length
   const comingSoonCount = totalLessons - availableCount
 
   const handleNodeClick = (day) => {
     const hasContent = availableDays.includes(day)
-    if (day <= currentDay && hasContent) {
+    // The lesson page explains what to buy
+    if (lockedDays.includes(day) || (isUnlocked(day) && hasContent)) {
       navigate(`/lesson/${day}`)
     }
   }
   // Generate lesson data for display
   const generateLessonData = (day, levelKey) => {
     const hasContent = availableDays.includes(day)
+    const isPurchaseLocked = lockedDays.includes(day)
+    const unlock = lessonUnlocks[day]
     const title = lessonTitles[day] || (hasContent ? `درس اليوم ${day}` : 'قريباً')
     const level = LEVELS[levelKey]
 
+    const lockedDescription = unlock?.reason === 'score_too_low'
+      ? `احصل على ${unlock.requiredScore}% في اختبار اليوم ${unlock.previousDay} لفتحه`
+      : unlock?.previousDay ? `أكمل درس اليوم ${unlock.previousDay} لفتحه` : null
+
     return {
       day: day,
       title: title,
-      description: hasContent ? 'انقر للبدء' : 'سيتم ظهور هذا الدرس قريباً',
+      description: isPurchaseLocked ? 'هذا الدرس غير مشمول في اشتراكك'
+        : hasContent && unlock && !unlock.unlocked ? lockedDescription
+          : hasContent ? 'انقر للبدء' : 'سيتم ظهور هذا الدرس قريباً',
       level: levelKey,
       levelName: level.name,
       estimatedTime: hasContent ? '20 دقيقة' : '~ دقيقة',
@@ -70,7 +89,7 @@ const Roadmap = () => {
     // Add 3-4 upcoming days after the last available day
     const maxAvailableDay = Math.max(...availableDays, 0)
     const upcomingDays = Array.from({ length: 4 }, (_, i) => maxAvailableDay + i + 1)
-      .filter(day => day <= 120 && day > 7) // Don't duplicate first week
+      .filter(day => day <= totalDays && day > 7) // Don't duplicate first week
 
     return {
       firstWeek,
@@ -86,10 +105,12 @@ const Roadmap = () => {
     const levelDays = level.days
     const levelAvailable = availableDays.filter(d => levelDays.includes(d)).length
     const levelCompleted = availableDays.filter(d => levelDays.includes(d) && d < currentDay).length
+    const levelLocked = lockedDays.filter(d => levelDays.includes(d)).length
 
     return {
       total: levelDays.length,
       available: levelAvailable,
+      locked: levelLocked,
       completed: levelCompleted,
       progress: levelDays.length > 0 ? (levelCompleted / levelDays.length) * 100 : 0
     }
@@ -170,6 +191,24 @@ const Roadmap = () => {
           <p className="text-center text-xs xs:text-sm text-gray-500 dark:text-gray-400 mt-3 xs:mt-4">
             💡 نضيف دروساً جديدة باستمرار - راقب هذه الصفحة للتحديثات
           </p>
+          {lockedDays.length > 0 && (
+            <div className="mt-3 xs:mt-4 p-3 rounded-lg xs:rounded-xl bg-indigo-50 dark:bg-indigo-900/20 border border-indigo-200 dark:border-indigo-800 flex flex-col sm:flex-row items-center justify-between gap-2">
+              <span className="text-xs xs:text-sm text-indigo-700 dark:text-indigo-300 flex items-center gap-1">
+                <Gem className="w-4 h-4" />
+                {lockedDays.length} درس منشور غير مشمول في اشتراكك الحالي
+              </span>
+              {purchaseUrl && (
+                <a
+                  href={purchaseUrl}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="px-4 py-1.5 rounded-lg bg-indigo-600 text-white text-xs xs:text-sm font-bold hover:bg-indigo-700 transition-colors"
+                >
+                  اشترك لفتحها
+                </a>
+              )}
+            </div>
+          )}
         </motion.div>
 
         {/* A1 Level - First Week (Detailed View) */}
@@ -238,10 +277,11 @@ const Roadmap = () => {
 
             {firstWeek.map((day) => {
               const hasContent = availableDays.includes(day)
-              const isLocked = day > currentDay || !hasContent
+              const isLocked = !isUnlocked(day) || !hasContent
               const isCompleted = day < currentDay && hasContent
               const isCurrent = day === currentDay && hasContent
               const isComingSoon = !hasContent
+              const isPurchaseLocked = hasContent && lockedDays.includes(day)
               const dayData = generateLessonData(day, 'A1')
 
               return (
@@ -252,6 +292,7 @@ const Roadmap = () => {
                   isCompleted={isCompleted}
                   isCurrent={isCurrent}
                   isComingSoon={isComingSoon}
+                  isPurchaseLocked={isPurchaseLocked}
                   onClick={() => handleNodeClick(day)}
                   levelColor={LEVELS.A1.color}
                 />
@@ -283,7 +324,7 @@ const Roadmap = () => {
             <div className="pr-8 border-r-4 border-amber-300 dark:border-amber-700">
               {upcoming.map((day) => {
                 // Determine which level this day belongs to
-                const levelKey = day <= 30 ? 'A1' : day <= 60 ? 'A2' : day <= 90 ? 'B1' : 'B2'
+                const levelKey = levelForDay(day).key
                 const dayData = generateLessonData(day, levelKey)
                 return (
                   <RoadmapNode
@@ -364,7 +405,14 @@ const Roadmap = () => {
                     </div>
                   )}
 
-                  {stats.available > 0 && (
+                  {stats.available > 0 && stats.locked === stats.available && (
+                    <div className="text-center">
+                      <Gem className="w-8 h-8 text-indigo-500 mx-auto mb-1" />
+                      <span className="text-xs text-indigo-600 font-medium">اشترك لفتحه</span>
+                    </div>
+                  )}
+
+                  {stats.available > 0 && stats.locked < stats.available && (
                     <div className="text-center">
                       <div className="text-2xl font-bold text-green-600">{stats.available}</div>
                       <div className="text-xs text-gray-500">متاح</div>
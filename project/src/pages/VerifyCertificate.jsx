@@ -0,0 +1,97 @@
+import { useEffect, useState } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import { useApp } from '../context/AppContext'
+import { examsAPI } from '../lib/api'
+import { Award, AlertCircle, CheckCircle } from 'lucide-react'
+
+// Public page for the link printed on a level certificate (/verify/:code). No account needed:
+// whoever was handed the certificate can check it is real and what it says.
+const VerifyCertificate = () => {
+    const { code } = useParams()
+    const { user } = useApp()
+
+    // checking | valid | invalid
+    const [status, setStatus] = useState('checking')
+    const [certificate, setCertificate] = useState(null)
+    const [message, setMessage] = useState('')
+
+    useEffect(() => {
+        examsAPI.verifyCertificate(code)
+            .then(({ data }) => {
+                setCertificate(data)
+                setStatus('valid')
+            })
+            .catch((err) => {
+                setMessage(err.message || 'تعذر التحقق من الشهادة')
+                setStatus('invalid')
+            })
+    }, [code])
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-purple-600 via-pink-600 to-blue-600 flex items-center justify-center p-6 relative">
+            <div className="absolute inset-0 overflow-hidden">
+                <div className="absolute top-20 right-20 w-96 h-96 bg-purple-400 rounded-full blur-3xl opacity-20 animate-pulse" />
+                <div className="absolute bottom-20 left-20 w-96 h-96 bg-pink-400 rounded-full blur-3xl opacity-20 animate-pulse" style={{ animationDelay: '1s' }} />
+            </div>
+
+            <div className="glass-dark rounded-3xl p-10 w-full max-w-md relative z-10 bg-white/10 backdrop-blur-lg border border-white/20">
+                <div className="text-center mb-8">
+                    <div className="w-20 h-20 bg-white rounded-2xl flex items-center justify-center mx-auto mb-6 shadow-xl">
+                        <Award className="w-12 h-12 text-purple-600" />
+                    </div>
+                    <h1 className="text-4xl font-bold text-white mb-2">
+                        التحقق من الشهادة
+                    </h1>
+                    <p className="text-purple-100 font-mono" dir="ltr">{code}</p>
+                    {status === 'checking' && (
+                        <p className="text-purple-100 mt-2">جاري التحقق...</p>
+                    )}
+                </div>
+
+                {status === 'invalid' && (
+                    <div className="mb-6 p-4 bg-red-500/20 border border-red-500 rounded-xl text-red-100 text-sm flex items-center gap-2">
+                        <AlertCircle className="w-5 h-5 flex-shrink-0" />
+                        <p>{message}</p>
+                    </div>
+                )}
+
+                {status === 'valid' && certificate && (
+                    <div className="p-4 bg-green-500/20 border border-green-400 rounded-xl text-green-100">
+                        <div className="flex items-center gap-2 font-bold mb-4">
+                            <CheckCircle className="w-5 h-5 flex-shrink-0" />
+                            <p>شهادة صحيحة</p>
+                        </div>
+                        <dl className="space-y-2 text-sm">
+                            <div className="flex justify-between gap-4">
+                                <dt>الاسم</dt>
+                                <dd className="font-bold text-white" dir="auto">{certificate.holderName}</dd>
+                            </div>
+                            <div className="flex justify-between gap-4">
+                                <dt>المستوى</dt>
+                                <dd className="font-bold text-white">{certificate.levelName}</dd>
+                            </div>
+                            <div className="flex justify-between gap-4">
+                                <dt>النتيجة</dt>
+                                <dd className="font-bold text-white">{certificate.score}%</dd>
+                            </div>
+                            <div className="flex justify-between gap-4">
+                                <dt>تاريخ الإصدار</dt>
+                                <dd className="font-bold text-white">
+                                    {new Date(certificate.issuedAt).toLocaleDateString('ar-EG', { dateStyle: 'long' })}
+                                </dd>
+                            </div>
+                        </dl>
+                    </div>
+                )}
+
+                <div className="mt-8 pt-8 border-t border-white/20 text-center">
+                    <Link to={user ? '/' : '/auth'} className="text-white font-bold hover:underline">
+                        {user ? 'العودة للرئيسية' : 'تسجيل الدخول'}
+                    </Link>
+                </div>
+            </div>
+        </div>
+    )
+}
+
+export default VerifyCertificate
@@ -0,0 +1,103 @@
+import { useEffect, useRef, useState } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { useApp } from '../context/AppContext'
+import { authAPI } from '../lib/api'
+import { MailCheck, AlertCircle, CheckCircle } from 'lucide-react'
+
+// The link from the verification email (/verify-email?token=...). Works signed in or not,
+// since the email is often opened on another device.
+const VerifyEmail = () => {
+    const [searchParams] = useSearchParams()
+    const token = searchParams.get('token')
+    const { user, refreshProfile } = useApp()
+
+    const [status, setStatus] = useState(token ? 'verifying' : 'error')
+    const [message, setMessage] = useState(token ? '' : 'رابط التأكيد غير مكتمل. افتح الرابط كما وصلك في البريد.')
+    const [resending, setResending] = useState(false)
+    const started = useRef(false)
+
+    useEffect(() => {
+        // Tokens are single-use - StrictMode must not send it twice
+        if (!token || started.current) return
+        started.current = true
+
+        authAPI.verifyEmail(token)
+            .then(async (data) => {
+                setStatus('verified')
+                setMessage(data.message)
+                if (user) await refreshProfile()
+            })
+            .catch((err) => {
+                setStatus('error')
+                setMessage(err.message || 'حدث خطأ أثناء تأكيد البريد الإلكتروني')
+            })
+    }, [token])
+
+    const handleResend = async () => {
+        setResending(true)
+        try {
+            const data = await authAPI.resendVerification()
+            setMessage(data.message)
+        } catch (err) {
+            setMessage(err.message)
+        } finally {
+            setResending(false)
+        }
+    }
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-purple-600 via-pink-600 to-blue-600 flex items-center justify-center p-6 relative">
+            <div className="absolute inset-0 overflow-hidden">
+                <div className="absolute top-20 right-20 w-96 h-96 bg-purple-400 rounded-full blur-3xl opacity-20 animate-pulse" />
+                <div className="absolute bottom-20 left-20 w-96 h-96 bg-pink-400 rounded-full blur-3xl opacity-20 animate-pulse" style={{ animationDelay: '1s' }} />
+            </div>
+
+            <div className="glass-dark rounded-3xl p-10 w-full max-w-md relative z-10 bg-white/10 backdrop-blur-lg border border-white/20">
+                <div className="text-center mb-8">
+                    <div className="w-20 h-20 bg-white rounded-2xl flex items-center justify-center mx-auto mb-6 shadow-xl">
+                        <MailCheck className="w-12 h-12 text-purple-600" />
+                    </div>
+
+                    <h1 className="text-4xl font-bold text-white mb-2">
+                        تأكيد البريد الإلكتروني
+                    </h1>
+                    {status === 'verifying' && (
+                        <p className="text-purple-100">جاري التأكيد...</p>
+                    )}
+                </div>
+
+                {status === 'error' && message && (
+                    <div className="mb-6 p-4 bg-red-500/20 border border-red-500 rounded-xl text-red-100 text-sm flex items-center gap-2">
+                        <AlertCircle className="w-5 h-5 flex-shrink-0" />
+                        <p>{message}</p>
+                    </div>
+                )}
+
+                {status === 'verified' && (
+                    <div className="mb-6 p-4 bg-green-500/20 border border-green-400 rounded-xl text-green-100 text-sm flex items-center gap-2">
+                        <CheckCircle className="w-5 h-5 flex-shrink-0" />
+                        <p>{message}</p>
+                    </div>
+                )}
+
+                {status === 'error' && user && !user.email_verified && (
+                    <button
+                        onClick={handleResend}
+                        disabled={resending}
+                        className="w-full py-3 bg-white/20 text-white border border-white/30 rounded-xl font-bold hover:bg-white/30 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        {resending ? 'جاري الإرسال...' : 'أرسل رابطاً جديداً'}
+                    </button>
+                )}
+
+                <div className="mt-8 pt-8 border-t border-white/20 text-center">
+                    <Link to={user ? '/' : '/auth'} className="text-white font-bold hover:underline">
+                        {user ? 'العودة للرئيسية' : 'تسجيل الدخول'}
+                    </Link>
+                </div>
+            </div>
+        </div>
+    )
+}
+
+export default VerifyEmail